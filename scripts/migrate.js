@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const { getPool, closePool } = require('../src/database');
+const { migrate } = require('../src/database/migrate');
+
+migrate(getPool())
+  .then(applied => {
+    console.log(applied.length > 0
+      ? `✓ Applied ${applied.join(', ')}`
+      : '✓ Database is up to date');
+  })
+  .catch(error => {
+    console.error(`✗ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => closePool());
@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const { run } = require('../src/vault/cli');
+const { closePool } = require('../src/database');
+
+run(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(`✗ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => closePool());
@@ -0,0 +1,48 @@
+const { generateState } = require('./pkce');
+
+// Server-side storage for in-flight OAuth authorizations. The state value sent
+// to the provider maps back to the PKCE verifier; each state is single-use.
+class OAuthStateStore {
+  constructor(options = {}) {
+    this.ttl = options.ttl || 10 * 60 * 1000;
+    this.entries = new Map();
+  }
+
+  create(platform, data = {}) {
+    this.prune();
+
+    const state = generateState();
+    this.entries.set(state, {
+      ...data,
+      platform,
+      expiresAt: Date.now() + this.ttl
+    });
+
+    return state;
+  }
+
+  // Returns the stored data once; unknown, expired or mismatched states give null
+  consume(state, platform) {
+    const entry = state && this.entries.get(state);
+    if (!entry) return null;
+
+    this.entries.delete(state);
+    if (entry.expiresAt < Date.now() || entry.platform !== platform) {
+      return null;
+    }
+
+    const { expiresAt, ...data } = entry;
+    return data;
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [state, entry] of this.entries) {
+      if (entry.expiresAt < now) {
+        this.entries.delete(state);
+      }
+    }
+  }
+}
+
+module.exports = OAuthStateStore;
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { deriveKey, encrypt, decrypt } = require('../utils/encryption');
+
+// Tokens expiring within this window are reported as warnings
+const EXPIRY_WARNING_WINDOW = 7 * 24 * 60 * 60 * 1000;
+
+// Persists OAuth tokens per platform key (e.g. 'twitter') in a file readable
+// only by the service user, encrypted with TOKEN_ENCRYPTION_KEY.
+class TokenStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath ||
+      process.env.TOKEN_STORE_PATH ||
+      path.join(process.cwd(), 'data', 'tokens.json');
+
+    const secret = options.encryptionKey || process.env.TOKEN_ENCRYPTION_KEY;
+    this.key = secret ? deriveKey(secret) : null;
+    this.tokens = null;
+    // Set when the file exists but cannot be read; the store is then read-only
+    this.readError = null;
+  }
+
+  load() {
+    if (this.tokens) return this.tokens;
+
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        this.tokens = {};
+        return this.tokens;
+      }
+
+      const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (stored.encrypted) {
+        if (!this.key) {
+          throw new Error('token store is encrypted but TOKEN_ENCRYPTION_KEY is not set');
+        }
+        this.tokens = JSON.parse(decrypt(stored, this.key));
+      } else {
+        this.tokens = stored;
+      }
+    } catch (error) {
+      // Saving now would replace every stored token, so refuse writes until the
+      // key or the file is fixed
+      logger.error(`Failed to read token store ${this.filePath}; not saving tokens until it can be read:`, error.message);
+      this.readError = error;
+      this.tokens = {};
+    }
+
+    return this.tokens;
+  }
+
+  assertWritable() {
+    this.load();
+    if (this.readError) {
+      throw new Error(`Token store ${this.filePath} could not be read (${this.readError.message}); refusing to overwrite it`);
+    }
+  }
+
+  save() {
+    this.assertWritable();
+
+    let contents;
+    if (this.key) {
+      contents = { version: 1, encrypted: true, ...encrypt(JSON.stringify(this.tokens), this.key) };
+    } else if (process.env.NODE_ENV === 'production') {
+      throw new Error('TOKEN_ENCRYPTION_KEY must be set to store tokens in production');
+    } else {
+      logger.warn('TOKEN_ENCRYPTION_KEY is not set; storing OAuth tokens unencrypted');
+      contents = this.tokens;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(contents, null, 2), { mode: 0o600 });
+  }
+
+  get(key) {
+    return this.load()[key] || null;
+  }
+
+  set(key, tokens) {
+    this.assertWritable();
+    this.tokens[key] = {
+      ...tokens,
+      updatedAt: new Date().toISOString()
+    };
+    this.save();
+    return this.tokens[key];
+  }
+
+  delete(key) {
+    this.assertWritable();
+    const existed = Boolean(this.tokens[key]);
+    delete this.tokens[key];
+    this.save();
+    return existed;
+  }
+
+  list() {
+    return Object.keys(this.load());
+  }
+
+  // Expiry overview for /health - never includes the tokens themselves
+  getExpiryReport(warningWindow = EXPIRY_WARNING_WINDOW) {
+    const now = Date.now();
+    const tokens = [];
+    const warnings = [];
+
+    if (this.load() && this.readError) {
+      warnings.push(`Token store could not be read (${this.readError.message}); connected accounts are unavailable`);
+    }
+
+    Object.entries(this.load()).forEach(([key, entry]) => {
+      const expiresAt = entry.expiresAt ? Date.parse(entry.expiresAt) : null;
+      const refreshable = Boolean(entry.refreshToken) &&
+        (!entry.refreshTokenExpiresAt || Date.parse(entry.refreshTokenExpiresAt) > now);
+
+      let status = 'valid';
+      if (expiresAt && expiresAt <= now) {
+        status = refreshable ? 'refresh_pending' : 'expired';
+      } else if (expiresAt && expiresAt - now < warningWindow) {
+        status = 'expiring';
+      }
+
+      tokens.push({ key, status, expiresAt: entry.expiresAt || null, refreshable });
+
+      // Tokens that refresh themselves don't need attention
+      if (status === 'expired') {
+        warnings.push(`${key} token expired at ${entry.expiresAt}; reconnect the account`);
+      } else if (status === 'expiring' && !refreshable) {
+        const days = Math.max(Math.floor((expiresAt - now) / (24 * 60 * 60 * 1000)), 0);
+        warnings.push(`${key} token expires in ${days} day(s) and cannot be refreshed; reconnect the account`);
+      }
+    });
+
+    return { tokens, warnings };
+  }
+}
+
+module.exports = TokenStore;
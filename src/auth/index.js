@@ -0,0 +1,28 @@
+const TokenStore = require('./TokenStore');
+const OAuthStateStore = require('./OAuthStateStore');
+const pkce = require('./pkce');
+
+let defaultTokenStore = null;
+let defaultStateStore = null;
+
+function getDefaultTokenStore() {
+  if (!defaultTokenStore) {
+    defaultTokenStore = new TokenStore();
+  }
+  return defaultTokenStore;
+}
+
+function getDefaultStateStore() {
+  if (!defaultStateStore) {
+    defaultStateStore = new OAuthStateStore();
+  }
+  return defaultStateStore;
+}
+
+module.exports = {
+  TokenStore,
+  OAuthStateStore,
+  getDefaultTokenStore,
+  getDefaultStateStore,
+  ...pkce
+};
@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+// PKCE (RFC 7636) helpers for OAuth 2.0 authorization code flows
+
+function base64Url(buffer) {
+  return buffer.toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+// 43-128 characters from the unreserved set; 32 random bytes give 43
+function generateCodeVerifier() {
+  return base64Url(crypto.randomBytes(32));
+}
+
+function generateCodeChallenge(codeVerifier) {
+  return base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+}
+
+function generateState() {
+  return base64Url(crypto.randomBytes(24));
+}
+
+module.exports = { generateCodeVerifier, generateCodeChallenge, generateState };
@@ -1,14 +1,35 @@
 
-const LinkedInPublisher = require('../publishers/LinkedInPublisher');
-const TwitterPublisher = require('../publishers/TwitterPublisher');
+const { getDefaultRegistry } = require('../publishers');
+const { getDefaultPostStore } = require('../posts');
+const { measureLength, truncateToLength } = require('../utils/textLength');
+const { KeyedLimiter } = require('../utils/keyedLimiter');
 const logger = require('../utils/logger');
 
+// Limiter key for the overall cap on platforms publishing at once
+const ALL_PLATFORMS = '*';
+
+let defaultLimiter = null;
+
+function getDefaultLimiter() {
+  if (!defaultLimiter) {
+    defaultLimiter = new KeyedLimiter();
+  }
+  return defaultLimiter;
+}
+
+// Whether a recorded publication is still up and can be edited or deleted
+function isLive(entry) {
+  return entry.status === 'published' && entry.postIds.length > 0;
+}
+
 class SocialMediaController {
-  constructor() {
-    this.publishers = {
-      linkedin: new LinkedInPublisher(),
-      twitter: new TwitterPublisher()
-    };
+  constructor(options = {}) {
+    this.registry = options.registry || getDefaultRegistry();
+    this.postStore = options.postStore || getDefaultPostStore();
+    // One limiter for the whole process, so API requests, async jobs and the
+    // scheduler all respect each platform's limits together
+    this.limiter = options.limiter || getDefaultLimiter();
+    this.maxConcurrency = options.maxConcurrency || Number(process.env.PUBLISH_CONCURRENCY) || 5;
     // Initialize ContentProcessor later to avoid circular dependencies
     this.contentProcessor = null;
   }
@@ -17,7 +38,7 @@ class SocialMediaController {
     if (!this.contentProcessor) {
       try {
         const { ContentProcessor } = require('../processors/ContentProcessor');
-        this.contentProcessor = new ContentProcessor();
+        this.contentProcessor = new ContentProcessor({ registry: this.registry });
       } catch (error) {
         logger.warn('ContentProcessor not available, using basic adaptation');
         this.contentProcessor = new BasicContentProcessor();
@@ -25,8 +46,11 @@ class SocialMediaController {
     }
   }
 
-  async publishContent(content, platforms, category, options = {}) {
+  // onProgress(event), when given, hears about each platform as it is queued,
+  // starts and finishes and about every tweet of a thread as it is posted
+  async publishContent(content, platforms, category, options = {}, onProgress = null) {
     const results = {};
+    const report = event => onProgress && onProgress(event);
     
     try {
       await this.initializeContentProcessor();
@@ -36,47 +60,15 @@ class SocialMediaController {
         content, platforms, { category, ...options }
       );
 
-      // Then publish to each platform
-      for (const platform of platforms) {
-        if (!this.publishers[platform]) {
-          results[platform] = {
-            success: false,
-            error: `Publisher not implemented for ${platform}`
-          };
-          continue;
-        }
+      // Then publish to all platforms at once, within the limits of each API
+      const outcomes = await Promise.all(platforms.map(platform =>
+        this.publishToPlatform(platform, adaptedContent[platform], options, report)
+      ));
 
-        try {
-          logger.info(`Publishing to ${platform}...`);
-          
-          const publishResult = await this.publishers[platform].publish(
-            adaptedContent[platform]
-          );
-          
-          results[platform] = {
-            success: true,
-            data: publishResult,
-            adaptedContent: adaptedContent[platform],
-            timestamp: new Date().toISOString()
-          };
-          
-          logger.info(`Successfully published to ${platform}`, publishResult);
-          
-          // Add delay between publications to respect rate limits
-          if (platforms.length > 1) {
-            await this.delay(2000);
-          }
-          
-        } catch (error) {
-          logger.error(`Failed to publish to ${platform}:`, error);
-          results[platform] = {
-            success: false,
-            error: error.message,
-            adaptedContent: adaptedContent[platform],
-            timestamp: new Date().toISOString()
-          };
-        }
-      }
+      // Results keep the order the platforms were requested in
+      platforms.forEach((platform, index) => {
+        results[platform] = outcomes[index];
+      });
       
       return results;
     } catch (error) {
@@ -85,6 +77,81 @@ class SocialMediaController {
     }
   }
 
+  // Publishes to one platform and never throws, so one failing API cannot affect
+  // the others. Publishes to the same API (a platform and its named accounts)
+  // follow its publishConcurrency / publishInterval capabilities; at most
+  // PUBLISH_CONCURRENCY platforms publish at the same time overall.
+  async publishToPlatform(platform, adaptedContent, options, report) {
+    if (!this.registry.has(platform)) {
+      const error = `Publisher not implemented for ${platform}`;
+      report({ type: 'platform', platform, status: 'failed', error });
+      return { success: false, error };
+    }
+
+    // Named accounts never borrow the default account's credentials
+    const publisher = this.registry.get(platform);
+    if (publisher.account && typeof publisher.hasAccountCredentials === 'function' &&
+        !publisher.hasAccountCredentials()) {
+      const error = `No credentials for ${publisher.account}`;
+      report({ type: 'platform', platform, status: 'failed', error });
+      return { success: false, error };
+    }
+
+    const capabilities = this.registry.getCapabilities(platform);
+    report({ type: 'platform', platform, status: 'queued' });
+
+    try {
+      const publishResult = await this.limiter.run(
+        this.registry.getPlatform(platform),
+        () => this.limiter.run(ALL_PLATFORMS, () => {
+          logger.info(`Publishing to ${platform}...`);
+          report({ type: 'platform', platform, status: 'publishing' });
+
+          const publishOptions = this.getPublishOptions(platform, options);
+          publishOptions.onProgress = event => report({ ...event, platform });
+
+          return publisher.publish(adaptedContent, publishOptions);
+        }, { concurrency: this.maxConcurrency }),
+        { concurrency: capabilities.publishConcurrency, interval: capabilities.publishInterval }
+      );
+      
+      // Publishers report failures in their result rather than throwing
+      const succeeded = publishResult?.success !== false;
+      
+      const result = {
+        success: succeeded,
+        data: publishResult,
+        adaptedContent: adaptedContent,
+        timestamp: new Date().toISOString()
+      };
+      
+      if (succeeded) {
+        logger.info(`Successfully published to ${platform}`, publishResult);
+        report({
+          type: 'platform',
+          platform,
+          status: 'published',
+          postUrl: publishResult?.postUrl || publishResult?.threadUrl || null
+        });
+      } else {
+        result.error = publishResult.error;
+        logger.warn(`Publishing to ${platform} failed: ${publishResult.error}`);
+        report({ type: 'platform', platform, status: 'failed', error: publishResult.error });
+      }
+
+      return result;
+    } catch (error) {
+      logger.error(`Failed to publish to ${platform}:`, error);
+      report({ type: 'platform', platform, status: 'failed', error: error.message });
+      return {
+        success: false,
+        error: error.message,
+        adaptedContent: adaptedContent,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
   async previewContent(content, platforms, category, options = {}) {
     try {
       await this.initializeContentProcessor();
@@ -93,9 +160,22 @@ class SocialMediaController {
         content, platforms, { category, ...options }
       );
 
+      // Publishers that can show the exact posts (e.g. tweets with polls) add them here
+      const posts = {};
+      for (const platform of platforms) {
+        const publisher = this.registry.get(platform);
+        if (publisher && typeof publisher.preview === 'function' && adaptedContent[platform]) {
+          posts[platform] = await publisher.preview(
+            adaptedContent[platform],
+            this.getPublishOptions(platform, options)
+          );
+        }
+      }
+
       return {
         original: content,
         adapted: adaptedContent,
+        posts: posts,
         category: category || 'ai_automation',
         platforms: platforms,
         estimatedPublishTime: new Date(Date.now() + 30000).toISOString()
@@ -106,6 +186,159 @@ class SocialMediaController {
     }
   }
 
+  // Saves a publishContent() run to the publish history: per platform the post
+  // IDs (needed to edit or delete it later), URL, adapted text, privacy
+  // analysis and any error. Returns null if the history cannot be written.
+  async recordPost(content, results, category = null) {
+    const platforms = {};
+
+    Object.entries(results).forEach(([platform, result]) => {
+      const adapted = result.adaptedContent || {};
+      const entry = {
+        adaptedText: adapted.text || null,
+        privacy: adapted.privacyInfo || null
+      };
+
+      if (result.success) {
+        const publisher = this.registry.get(platform);
+        platforms[platform] = {
+          ...entry,
+          status: 'published',
+          postIds: publisher ? publisher.getPostIds(result.data) : [],
+          postUrl: result.data?.postUrl || result.data?.threadUrl || null,
+          publishedAt: result.timestamp || new Date().toISOString()
+        };
+      } else {
+        platforms[platform] = {
+          ...entry,
+          status: 'failed',
+          postIds: [],
+          error: result.error || 'Unknown error',
+          errorDetails: result.data?.details ?? null
+        };
+      }
+    });
+
+    if (Object.keys(platforms).length === 0) return null;
+
+    try {
+      return await this.postStore.create({ content, category, platforms });
+    } catch (error) {
+      logger.error('Failed to record publish history:', error.message);
+      return null;
+    }
+  }
+
+  // Publish history, newest first; filters come from parseListFilters()
+  async listPosts(filters) {
+    return this.postStore.list(filters);
+  }
+
+  // Removes every piece of a recorded post from each platform it is still on.
+  // Returns null for unknown ids.
+  async deletePost(id) {
+    const post = await this.postStore.get(id);
+    if (!post) return null;
+
+    return this.updateRecordedPost(post, async (publisher, entry) => {
+      const result = await publisher.deletePost(entry.postIds);
+      const remaining = entry.postIds.filter(postId => !(result.deleted || []).includes(postId));
+
+      return {
+        result,
+        entry: remaining.length === 0
+          ? { status: 'deleted', deletedAt: new Date().toISOString() }
+          : { postIds: remaining }
+      };
+    });
+  }
+
+  // Replaces the text of a recorded post on each platform it is still on. The new
+  // text is filtered and adapted per platform just like a first publish.
+  async editPost(id, content, options = {}) {
+    const post = await this.postStore.get(id);
+    if (!post) return null;
+
+    await this.initializeContentProcessor();
+    const adaptedContent = await this.contentProcessor.adaptContentForPlatforms(
+      content,
+      Object.keys(post.platforms).filter(platform => isLive(post.platforms[platform])),
+      { category: post.category || undefined, ...options }
+    );
+
+    return this.updateRecordedPost(post, async (publisher, entry, platform) => {
+      const adapted = adaptedContent[platform] || { text: content };
+      const result = await publisher.editPost(entry.postIds, adapted.text, {
+        hashtags: adapted.hashtags,
+        ...this.getPublishOptions(platform, options)
+      });
+
+      return {
+        result,
+        entry: {
+          ...(result.postIds && { postIds: result.postIds }),
+          ...(result.success && {
+            adaptedText: adapted.text,
+            privacy: adapted.privacyInfo || null,
+            editedAt: new Date().toISOString()
+          })
+        }
+      };
+    }, { content });
+  }
+
+  async updateRecordedPost(post, apply, changes = {}) {
+    const results = {};
+    const platforms = {};
+    for (const [platform, entry] of Object.entries(post.platforms)) {
+      // Failed and already deleted publications have nothing to change
+      if (!isLive(entry)) continue;
+
+      const publisher = this.registry.get(platform);
+      if (!publisher) {
+        results[platform] = { success: false, error: `Publisher not available for ${platform}` };
+        continue;
+      }
+
+      try {
+        const outcome = await apply(publisher, entry, platform);
+        results[platform] = outcome.result;
+        platforms[platform] = outcome.entry;
+      } catch (error) {
+        logger.error(`Updating ${platform} post ${post.id} failed:`, error);
+        results[platform] = { success: false, error: error.message };
+      }
+    }
+
+    const anySucceeded = Object.values(results).some(result => result.success);
+    const updated = await this.postStore.update(post.id, {
+      ...(anySucceeded ? changes : {}),
+      platforms
+    });
+
+    return { post: updated, results };
+  }
+
+  // Shared options.publishOptions overlaid with options.platformOptions[platform];
+  // a named account ('linkedin:company') also gets its platform's options
+  getPublishOptions(platform, options = {}) {
+    const platformOptions = options.platformOptions || {};
+    const basePlatform = this.registry.getPlatform(platform);
+
+    return {
+      ...(options.publishOptions || {}),
+      ...(basePlatform && basePlatform !== platform ? platformOptions[basePlatform] || {} : {}),
+      ...(platformOptions[platform] || {})
+    };
+  }
+
+  getPlatformCapabilities(platforms = this.registry.list()) {
+    return platforms.reduce((capabilities, platform) => {
+      capabilities[platform] = this.registry.getCapabilities(platform);
+      return capabilities;
+    }, {});
+  }
+
   delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
@@ -126,16 +359,14 @@ class BasicContentProcessor {
   createBasicAdaptation(content, platform) {
     const maxLengths = { linkedin: 2800, twitter: 250, medium: 1000 };
     const maxLength = maxLengths[platform] || 500;
+    const lengthUnit = platform === 'twitter' ? 'weighted' : 'characters';
+    const suffix = platform === 'twitter' ? ' 🧵' : '';
     
-    let text = content.length > maxLength 
-      ? content.substring(0, maxLength - 3) + '...' 
-      : content;
+    let text = truncateToLength(content, maxLength - measureLength(suffix, lengthUnit), lengthUnit) + suffix;
     
     // Add platform-specific formatting
     if (platform === 'linkedin') {
       text = `🚀 ${text}\n\nWhat are your thoughts?`;
-    } else if (platform === 'twitter') {
-      text = `${text} 🧵`;
     }
 
     return {
@@ -148,4 +379,19 @@ class BasicContentProcessor {
   }
 }
 
-module.exports = { SocialMediaController };
\ No newline at end of file
+let defaultController = null;
+
+// The controller behind the API routes and the scheduler, so both share its
+// publish limits
+function getDefaultController() {
+  if (!defaultController) {
+    defaultController = new SocialMediaController();
+  }
+  return defaultController;
+}
+
+function setDefaultController(controller) {
+  defaultController = controller;
+}
+
+module.exports = { SocialMediaController, getDefaultController, setDefaultController, getDefaultLimiter };
\ No newline at end of file
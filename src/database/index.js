@@ -0,0 +1,26 @@
+const logger = require('../utils/logger');
+
+let pool = null;
+
+// Shared pg pool, created on first use so the app runs without a database
+function getPool() {
+  if (!pool) {
+    if (!process.env.DATABASE_URL) {
+      throw new Error('DATABASE_URL is not set');
+    }
+
+    const { Pool } = require('pg');
+    pool = new Pool({ connectionString: process.env.DATABASE_URL });
+    pool.on('error', error => logger.error('Postgres pool error:', error.message));
+  }
+  return pool;
+}
+
+async function closePool() {
+  if (pool) {
+    await pool.end();
+    pool = null;
+  }
+}
+
+module.exports = { getPool, closePool };
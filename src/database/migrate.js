@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const CREATE_MIGRATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    name TEXT PRIMARY KEY,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  )
+`;
+
+// SQL files in name order (001_create_posts.sql, 002_...)
+function listMigrations(directory = MIGRATIONS_DIR) {
+  return fs.readdirSync(directory)
+    .filter(file => file.endsWith('.sql'))
+    .sort()
+    .map(file => ({
+      name: path.basename(file, '.sql'),
+      sql: fs.readFileSync(path.join(directory, file), 'utf8')
+    }));
+}
+
+// Key of the advisory lock held while migrating, so instances starting together
+// (or a store and the scheduler in one process) never run a migration twice
+const MIGRATION_LOCK_ID = 5151842001;
+
+// One run per pool and directory; every store calls migrate() on first use
+const runs = new WeakMap();
+
+// Applies pending migrations in one transaction under the advisory lock, each
+// recorded in schema_migrations, and returns the names that were applied.
+// Concurrent callers with the same pool share the run.
+function migrate(pool, options = {}) {
+  const directory = options.directory || MIGRATIONS_DIR;
+  if (!runs.has(pool)) runs.set(pool, new Map());
+  const poolRuns = runs.get(pool);
+
+  if (!poolRuns.has(directory)) {
+    poolRuns.set(directory, applyPending(pool, directory).catch(error => {
+      poolRuns.delete(directory);
+      throw error;
+    }));
+  }
+  return poolRuns.get(directory);
+}
+
+async function applyPending(pool, directory) {
+  const client = await pool.connect();
+  const ran = [];
+
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_ID]);
+    // Read under the lock: another instance may have just finished migrating
+    await client.query(CREATE_MIGRATIONS_TABLE);
+    const { rows } = await client.query('SELECT name FROM schema_migrations');
+    const applied = new Set(rows.map(row => row.name));
+
+    for (const migration of listMigrations(directory)) {
+      if (applied.has(migration.name)) continue;
+
+      try {
+        await client.query(migration.sql);
+      } catch (error) {
+        throw new Error(`Migration ${migration.name} failed: ${error.message}`);
+      }
+      await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [migration.name]);
+      ran.push(migration.name);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  ran.forEach(name => logger.info(`Applied migration ${name}`));
+  return ran;
+}
+
+module.exports = { migrate, listMigrations };
@@ -0,0 +1,31 @@
+-- Publish history: one row per publishContent() run and one per platform it targeted
+CREATE TABLE posts (
+  id TEXT PRIMARY KEY,
+  content TEXT NOT NULL,
+  category TEXT,
+  status TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX posts_created_at_idx ON posts (created_at DESC);
+CREATE INDEX posts_category_idx ON posts (category);
+CREATE INDEX posts_status_idx ON posts (status);
+
+CREATE TABLE publications (
+  post_id TEXT NOT NULL REFERENCES posts (id) ON DELETE CASCADE,
+  platform TEXT NOT NULL,
+  status TEXT NOT NULL,
+  post_ids JSONB NOT NULL DEFAULT '[]',
+  post_url TEXT,
+  adapted_text TEXT,
+  privacy JSONB,
+  error TEXT,
+  error_details JSONB,
+  published_at TIMESTAMPTZ,
+  edited_at TIMESTAMPTZ,
+  deleted_at TIMESTAMPTZ,
+  PRIMARY KEY (post_id, platform)
+);
+
+CREATE INDEX publications_platform_idx ON publications (platform);
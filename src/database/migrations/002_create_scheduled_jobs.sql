@@ -0,0 +1,21 @@
+-- Publish jobs waiting for their time; the worker claims due rows with SKIP LOCKED
+CREATE TABLE scheduled_jobs (
+  id TEXT PRIMARY KEY,
+  content TEXT NOT NULL,
+  platforms JSONB NOT NULL,
+  category TEXT,
+  options JSONB NOT NULL DEFAULT '{}',
+  publish_at TIMESTAMPTZ NOT NULL,
+  time_zone TEXT NOT NULL DEFAULT 'UTC',
+  status TEXT NOT NULL,
+  post_id TEXT REFERENCES posts (id) ON DELETE SET NULL,
+  results JSONB,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX scheduled_jobs_due_idx ON scheduled_jobs (publish_at) WHERE status = 'scheduled';
+CREATE INDEX scheduled_jobs_status_idx ON scheduled_jobs (status);
@@ -0,0 +1,14 @@
+-- Credential vault entries (VAULT_BACKEND=postgres). IF NOT EXISTS because
+-- earlier versions created the table outside the migrations.
+CREATE TABLE IF NOT EXISTS credentials (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  account TEXT,
+  version INTEGER NOT NULL DEFAULT 1,
+  iv TEXT NOT NULL,
+  tag TEXT NOT NULL,
+  data TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  rotated_at TIMESTAMPTZ
+);
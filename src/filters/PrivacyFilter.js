@@ -1,4 +1,5 @@
 const logger = require('../utils/logger');
+const { resolveCredential } = require('../vault');
 
 class PrivacyFilter {
   constructor() {
@@ -54,10 +55,11 @@ class PrivacyFilter {
 
   async initializeOpenAI() {
     try {
-      if (process.env.OPENAI_API_KEY) {
+      const apiKey = resolveCredential('OPENAI_API_KEY');
+      if (apiKey) {
         const OpenAI = require('openai');
         this.openai = new OpenAI({
-          apiKey: process.env.OPENAI_API_KEY,
+          apiKey,
         });
         logger.info('PrivacyFilter OpenAI initialized successfully');
       } else {
@@ -7,6 +7,9 @@ const morgan = require('morgan');
 const compression = require('compression');
 
 const logger = require('./utils/logger');
+const { getDefaultTokenStore } = require('./auth');
+const { getDefaultVault } = require('./vault');
+const { getDefaultScheduler } = require('./scheduler');
 const { errorHandler } = require('./middleware/errorHandler');
 const apiRoutes = require('./routes/api');
 
@@ -34,11 +37,16 @@ class Application {
   setupRoutes() {
     // Health check
     this.app.get('/health', (req, res) => {
+      // Connected OAuth accounts; expired or soon-expiring tokens show up as warnings
+      const { tokens, warnings } = getDefaultTokenStore().getExpiryReport();
+
       res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
         version: '1.0.0',
-        environment: process.env.NODE_ENV || 'development'
+        environment: process.env.NODE_ENV || 'development',
+        tokens,
+        warnings
       });
     });
 
@@ -64,6 +72,14 @@ class Application {
       logger.info(`🚀 Social Media Automation MVP started on port ${this.port}`);
       logger.info(`📱 Health check: http://localhost:${this.port}/health`);
       logger.info(`📊 API docs: http://localhost:${this.port}/api/docs`);
+
+      getDefaultTokenStore().getExpiryReport().warnings
+        .forEach(warning => logger.warn(warning));
+
+      // Several instances can share a Postgres job store; turn the worker off where it shouldn't run
+      if (process.env.SCHEDULER_ENABLED !== 'false') {
+        getDefaultScheduler().start();
+      }
     });
     
     return this.server;
@@ -72,8 +88,15 @@ class Application {
 
 // Start application
 if (require.main === module) {
-  const app = new Application();
-  app.start();
+  // Postgres-backed vaults must be loaded before publishers resolve credentials
+  getDefaultVault().load()
+    .catch(error => {
+      logger.error('Failed to load credential vault, using environment variables only:', error.message);
+    })
+    .then(() => {
+      const app = new Application();
+      app.start();
+    });
 }
 
 module.exports = Application;
\ No newline at end of file
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+// In-memory record of publish runs started with POST /api/content/publish
+// { "async": true }. Each job keeps every progress event with a sequence id, so
+// an SSE client that (re)connects late can replay what it missed. Finished jobs
+// are dropped after PUBLISH_JOB_TTL_MINUTES (default 60); the publish history
+// keeps the outcome for good.
+class PublishJobTracker {
+  constructor(options = {}) {
+    this.ttl = options.ttl || Number(process.env.PUBLISH_JOB_TTL_MINUTES || 60) * 60 * 1000;
+    this.jobs = new Map();
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  // Starts run(report) in the background and returns the job right away.
+  // run resolves to the job result; report(event) adds a progress event.
+  start(run, details = {}) {
+    this.prune();
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      ...details,
+      progress: {},
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null,
+      events: []
+    };
+    this.jobs.set(job.id, job);
+
+    setImmediate(() => this.run(job, run));
+    return this.toJSON(job);
+  }
+
+  async run(job, run) {
+    this.setStatus(job, 'running');
+
+    try {
+      job.result = await run(event => this.report(job, event));
+      job.completedAt = new Date().toISOString();
+      this.setStatus(job, 'completed', { summary: job.result?.summary || null });
+    } catch (error) {
+      logger.error(`Publish job ${job.id} failed:`, error);
+      job.error = error.message;
+      job.completedAt = new Date().toISOString();
+      this.setStatus(job, 'failed', { error: error.message });
+    }
+  }
+
+  setStatus(job, status, data = {}) {
+    job.status = status;
+    this.report(job, { type: 'job', status, ...data });
+  }
+
+  report(job, event) {
+    const entry = {
+      id: job.events.length + 1,
+      ...event,
+      timestamp: new Date().toISOString()
+    };
+
+    job.events.push(entry);
+    job.updatedAt = entry.timestamp;
+    if (event.platform) {
+      job.progress[event.platform] = mergeProgress(job.progress[event.platform], event);
+    }
+
+    this.emitter.emit(job.id, entry);
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.toJSON(job) : null;
+  }
+
+  // Calls listener with every event after afterId, then with new ones until the
+  // job finishes. Returns an unsubscribe function, or null for unknown jobs.
+  subscribe(id, listener, afterId = 0) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    job.events.filter(event => event.id > afterId).forEach(listener);
+    if (FINISHED_STATUSES.includes(job.status)) {
+      return () => {};
+    }
+
+    this.emitter.on(id, listener);
+    return () => this.emitter.off(id, listener);
+  }
+
+  isFinished(id) {
+    const job = this.jobs.get(id);
+    return !job || FINISHED_STATUSES.includes(job.status);
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.ttl;
+    for (const [id, job] of this.jobs) {
+      if (job.completedAt && Date.parse(job.completedAt) < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  toJSON(job) {
+    const { events, ...rest } = job;
+    return { ...rest, eventCount: events.length };
+  }
+}
+
+// Latest state per platform: its status and, for threads, how many tweets are out
+function mergeProgress(current = {}, event) {
+  if (event.type === 'tweet') {
+    return { ...current, tweetsPosted: event.position, tweetsTotal: event.total };
+  }
+
+  const { type, platform, timestamp, ...state } = event;
+  return { ...current, ...state };
+}
+
+module.exports = { PublishJobTracker, FINISHED_STATUSES };
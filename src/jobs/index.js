@@ -0,0 +1,21 @@
+const { PublishJobTracker, FINISHED_STATUSES } = require('./PublishJobTracker');
+
+let defaultTracker = null;
+
+function getDefaultJobTracker() {
+  if (!defaultTracker) {
+    defaultTracker = new PublishJobTracker();
+  }
+  return defaultTracker;
+}
+
+function setDefaultJobTracker(tracker) {
+  defaultTracker = tracker;
+}
+
+module.exports = {
+  PublishJobTracker,
+  FINISHED_STATUSES,
+  getDefaultJobTracker,
+  setDefaultJobTracker
+};
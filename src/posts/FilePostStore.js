@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { postStatus, mergePlatforms, matchesFilters } = require('./records');
+
+// Publish history in a JSON file (POST_STORE_PATH) for setups without Postgres.
+// Same async interface as PostgresPostStore.
+class FilePostStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath ||
+      process.env.POST_STORE_PATH ||
+      path.join(process.cwd(), 'data', 'posts.json');
+    this.posts = null;
+    // Set when the file exists but can't be read; writing would wipe the history
+    this.readError = null;
+  }
+
+  load() {
+    if (this.posts) return this.posts;
+
+    try {
+      this.posts = fs.existsSync(this.filePath)
+        ? JSON.parse(fs.readFileSync(this.filePath, 'utf8')).posts || {}
+        : {};
+    } catch (error) {
+      logger.error(`Failed to read post store ${this.filePath}:`, error.message);
+      this.readError = error;
+      this.posts = {};
+    }
+
+    return this.posts;
+  }
+
+  assertWritable() {
+    this.load();
+    if (this.readError) {
+      throw new Error(`Post store ${this.filePath} could not be read (${this.readError.message}); refusing to overwrite it`);
+    }
+  }
+
+  save() {
+    this.assertWritable();
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ version: 1, posts: this.posts }, null, 2));
+  }
+
+  async create({ content, category = null, platforms }) {
+    const now = new Date().toISOString();
+    const post = {
+      id: crypto.randomUUID(),
+      content,
+      category,
+      status: postStatus(platforms),
+      platforms,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.assertWritable();
+    this.posts[post.id] = post;
+    this.save();
+    return post;
+  }
+
+  async get(id) {
+    return this.load()[id] || null;
+  }
+
+  // Merges changes into a record; platform entries are merged one by one
+  async update(id, changes) {
+    const post = await this.get(id);
+    if (!post) return null;
+
+    this.assertWritable();
+    const platforms = mergePlatforms(post.platforms, changes.platforms);
+    this.posts[id] = {
+      ...post,
+      ...changes,
+      platforms,
+      status: postStatus(platforms),
+      updatedAt: new Date().toISOString()
+    };
+    this.save();
+    return this.posts[id];
+  }
+
+  // Newest first; filters come from parseListFilters()
+  async list(filters = {}) {
+    const matching = Object.values(this.load())
+      .filter(post => matchesFilters(post, filters))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const offset = filters.offset || 0;
+
+    return {
+      posts: matching.slice(offset, filters.limit ? offset + filters.limit : undefined),
+      total: matching.length
+    };
+  }
+}
+
+module.exports = FilePostStore;
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const { getPool } = require('../database');
+const { migrate } = require('../database/migrate');
+const { postStatus, mergePlatforms } = require('./records');
+
+// Entry fields and their publications columns; JSON columns are serialized on write
+const ENTRY_COLUMNS = {
+  status: 'status',
+  postIds: 'post_ids',
+  postUrl: 'post_url',
+  adaptedText: 'adapted_text',
+  privacy: 'privacy',
+  error: 'error',
+  errorDetails: 'error_details',
+  publishedAt: 'published_at',
+  editedAt: 'edited_at',
+  deletedAt: 'deleted_at'
+};
+const JSON_COLUMNS = ['post_ids', 'privacy', 'error_details'];
+const COLUMNS = Object.values(ENTRY_COLUMNS);
+
+const UPSERT_PUBLICATION = `
+  INSERT INTO publications (post_id, platform, ${COLUMNS.join(', ')})
+  VALUES ($1, $2, ${COLUMNS.map((_, i) => `$${i + 3}`).join(', ')})
+  ON CONFLICT (post_id, platform) DO UPDATE SET
+    ${COLUMNS.map(column => `${column} = EXCLUDED.${column}`).join(',\n    ')}
+`;
+
+function toIso(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function toPost(row, publications) {
+  return {
+    id: row.id,
+    content: row.content,
+    category: row.category,
+    status: row.status,
+    platforms: Object.fromEntries(publications
+      .filter(publication => publication.post_id === row.id)
+      .map(publication => [publication.platform, toEntry(publication)])),
+    createdAt: toIso(row.created_at),
+    updatedAt: toIso(row.updated_at)
+  };
+}
+
+function toEntry(row) {
+  const entry = {};
+  Object.entries(ENTRY_COLUMNS).forEach(([field, column]) => {
+    entry[field] = column.endsWith('_at') ? toIso(row[column]) : row[column] ?? null;
+  });
+  entry.postIds = entry.postIds || [];
+  return entry;
+}
+
+function publicationParams(postId, platform, entry) {
+  return [postId, platform, ...Object.entries(ENTRY_COLUMNS).map(([field, column]) => {
+    const value = entry[field] ?? null;
+    if (column === 'post_ids') return JSON.stringify(value || []);
+    return JSON_COLUMNS.includes(column) && value !== null ? JSON.stringify(value) : value;
+  })];
+}
+
+// Publish history in the posts and publications tables of DATABASE_URL.
+// Pending migrations run on first use.
+class PostgresPostStore {
+  constructor(options = {}) {
+    this.pool = options.pool || null;
+    this.ready = null;
+  }
+
+  getPool() {
+    if (!this.pool) this.pool = getPool();
+    return this.pool;
+  }
+
+  ensureSchema() {
+    if (!this.ready) {
+      this.ready = migrate(this.getPool()).catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  async transaction(work) {
+    await this.ensureSchema();
+    const client = await this.getPool().connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async create({ content, category = null, platforms }) {
+    const id = crypto.randomUUID();
+
+    await this.transaction(async client => {
+      await client.query(
+        'INSERT INTO posts (id, content, category, status) VALUES ($1, $2, $3, $4)',
+        [id, content, category, postStatus(platforms)]
+      );
+      for (const [platform, entry] of Object.entries(platforms)) {
+        await client.query(UPSERT_PUBLICATION, publicationParams(id, platform, entry));
+      }
+    });
+
+    return this.get(id);
+  }
+
+  async get(id) {
+    await this.ensureSchema();
+    const { rows } = await this.getPool().query('SELECT * FROM posts WHERE id = $1', [id]);
+    if (rows.length === 0) return null;
+
+    const publications = await this.getPool().query('SELECT * FROM publications WHERE post_id = $1', [id]);
+    return toPost(rows[0], publications.rows);
+  }
+
+  // Merges changes into a record; platform entries are merged one by one
+  async update(id, changes) {
+    const post = await this.get(id);
+    if (!post) return null;
+
+    const platforms = mergePlatforms(post.platforms, changes.platforms);
+    await this.transaction(async client => {
+      await client.query(
+        'UPDATE posts SET content = $2, category = $3, status = $4, updated_at = NOW() WHERE id = $1',
+        [id, changes.content ?? post.content, changes.category ?? post.category, postStatus(platforms)]
+      );
+      for (const platform of Object.keys(changes.platforms || {})) {
+        await client.query(UPSERT_PUBLICATION, publicationParams(id, platform, platforms[platform]));
+      }
+    });
+
+    return this.get(id);
+  }
+
+  // Newest first; filters come from parseListFilters()
+  async list(filters = {}) {
+    await this.ensureSchema();
+    const conditions = [];
+    const params = [];
+    const param = value => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    if (filters.platform) {
+      conditions.push(`EXISTS (SELECT 1 FROM publications WHERE post_id = posts.id AND platform = ${param(filters.platform)})`);
+    }
+    if (filters.category) conditions.push(`category = ${param(filters.category)}`);
+    if (filters.status) conditions.push(`status = ${param(filters.status)}`);
+    if (filters.from) conditions.push(`created_at >= ${param(filters.from)}`);
+    if (filters.to) conditions.push(`created_at <= ${param(filters.to)}`);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const count = await this.getPool().query(`SELECT COUNT(*) AS total FROM posts ${where}`, params);
+    const page = await this.getPool().query(
+      `SELECT * FROM posts ${where} ORDER BY created_at DESC LIMIT ${param(filters.limit || null)} OFFSET ${param(filters.offset || 0)}`,
+      params
+    );
+
+    const ids = page.rows.map(row => row.id);
+    const publications = ids.length > 0
+      ? (await this.getPool().query('SELECT * FROM publications WHERE post_id = ANY($1)', [ids])).rows
+      : [];
+
+    return {
+      posts: page.rows.map(row => toPost(row, publications)),
+      total: Number(count.rows[0].total)
+    };
+  }
+}
+
+module.exports = PostgresPostStore;
@@ -0,0 +1,37 @@
+const FilePostStore = require('./FilePostStore');
+const PostgresPostStore = require('./PostgresPostStore');
+const records = require('./records');
+
+// Postgres when DATABASE_URL is set, unless POST_STORE says otherwise
+function createPostStore(type = process.env.POST_STORE || (process.env.DATABASE_URL ? 'postgres' : 'file')) {
+  switch (type) {
+    case 'file':
+      return new FilePostStore();
+    case 'postgres':
+      return new PostgresPostStore();
+    default:
+      throw new Error(`Unknown POST_STORE: ${type}`);
+  }
+}
+
+let defaultPostStore = null;
+
+function getDefaultPostStore() {
+  if (!defaultPostStore) {
+    defaultPostStore = createPostStore();
+  }
+  return defaultPostStore;
+}
+
+function setDefaultPostStore(store) {
+  defaultPostStore = store;
+}
+
+module.exports = {
+  FilePostStore,
+  PostgresPostStore,
+  createPostStore,
+  getDefaultPostStore,
+  setDefaultPostStore,
+  ...records
+};
@@ -0,0 +1,79 @@
+// Helpers shared by the post stores. A post record looks like
+// { id, content, category, status, createdAt, updatedAt, platforms: { twitter: entry } }
+// where an entry is { status, postIds, postUrl, adaptedText, privacy, error,
+// errorDetails, publishedAt, editedAt, deletedAt }.
+
+const POST_STATUSES = ['published', 'partial', 'failed', 'deleted'];
+const MAX_LIST_LIMIT = 200;
+const DEFAULT_LIST_LIMIT = 50;
+
+// 'partial' when some platforms failed; 'deleted' once nothing is left up
+function postStatus(platforms) {
+  const statuses = Object.values(platforms).map(entry => entry.status);
+
+  if (statuses.includes('published')) {
+    return statuses.includes('failed') ? 'partial' : 'published';
+  }
+  return statuses.includes('deleted') ? 'deleted' : 'failed';
+}
+
+function mergePlatforms(current = {}, changes = {}) {
+  const platforms = { ...current };
+  Object.entries(changes).forEach(([platform, entry]) => {
+    platforms[platform] = { ...platforms[platform], ...entry };
+  });
+  return platforms;
+}
+
+function parseDate(value, name) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${name} must be a date, e.g. 2024-05-01 or 2024-05-01T12:00:00Z`);
+  }
+  return date;
+}
+
+// Query string -> list filters; throws with a readable message on bad input
+function parseListFilters(query = {}) {
+  if (query.status && !POST_STATUSES.includes(query.status)) {
+    throw new Error(`status must be one of ${POST_STATUSES.join(', ')}`);
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIST_LIMIT : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+    throw new Error(`limit must be between 1 and ${MAX_LIST_LIMIT}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error('offset must be 0 or more');
+  }
+
+  return {
+    platform: query.platform ? String(query.platform).toLowerCase() : null,
+    category: query.category || null,
+    status: query.status || null,
+    from: parseDate(query.from, 'from'),
+    to: parseDate(query.to, 'to'),
+    limit,
+    offset
+  };
+}
+
+function matchesFilters(post, filters) {
+  const createdAt = new Date(post.createdAt);
+
+  return (!filters.platform || Boolean(post.platforms[filters.platform])) &&
+    (!filters.category || post.category === filters.category) &&
+    (!filters.status || post.status === filters.status) &&
+    (!filters.from || createdAt >= filters.from) &&
+    (!filters.to || createdAt <= filters.to);
+}
+
+module.exports = {
+  POST_STATUSES,
+  postStatus,
+  mergePlatforms,
+  parseListFilters,
+  matchesFilters
+};
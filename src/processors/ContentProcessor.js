@@ -2,12 +2,18 @@
 // This adds real AI content adaptation
 
 const logger = require('../utils/logger');
+const { resolveCredential } = require('../vault');
 const PrivacyFilter = require('../filters/PrivacyFilter');
+const { getDefaultRegistry } = require('../publishers');
+const { measureLength, truncateToLength } = require('../utils/textLength');
 
 class ContentProcessor {
-  constructor() {
+  constructor(options = {}) {
     this.contentCache = new Map();
     
+    // Publisher registry - source of per-platform capabilities
+    this.registry = options.registry || getDefaultRegistry();
+    
     // Initialize OpenAI if available
     this.openai = null;
     this.initializeOpenAI();
@@ -18,10 +24,11 @@ class ContentProcessor {
 
   async initializeOpenAI() {
     try {
-      if (process.env.OPENAI_API_KEY) {
+      const apiKey = resolveCredential('OPENAI_API_KEY');
+      if (apiKey) {
         const OpenAI = require('openai');
         this.openai = new OpenAI({
-          apiKey: process.env.OPENAI_API_KEY,
+          apiKey,
         });
         logger.info('OpenAI initialized successfully');
       } else {
@@ -54,12 +61,14 @@ class ContentProcessor {
       
       // Step 2: Process each platform with filtered content
       for (const platform of platforms) {
+        // Named accounts ('linkedin:company') are adapted like their platform
+        const target = this.getTargetPlatform(platform);
         try {
           let platformContent;
           if (this.openai) {
-            platformContent = await this.aiAdaptContent(filteredContent, platform, category);
+            platformContent = await this.aiAdaptContent(filteredContent, target, category);
           } else {
-            platformContent = this.basicAdaptContent(filteredContent, platform);
+            platformContent = this.basicAdaptContent(filteredContent, target);
           }
           
           // Add privacy information to adapted content
@@ -74,7 +83,7 @@ class ContentProcessor {
           adaptedContent[platform] = platformContent;
         } catch (error) {
           logger.error(`Failed to adapt content for ${platform}:`, error);
-          adaptedContent[platform] = this.basicAdaptContent(filteredContent, platform);
+          adaptedContent[platform] = this.basicAdaptContent(filteredContent, target);
         }
       }
 
@@ -142,14 +151,33 @@ Keep it professional yet engaging.`;
     const requirements = {
       linkedin: 'Professional tone, 2-3 hashtags, discussion prompt, under 3000 chars',
       twitter: 'Conversational, 1-3 hashtags, under 280 chars per tweet',
+      bluesky: 'Conversational, 1-2 hashtags, under 300 characters (graphemes) per post, links written out in full',
+      slack: 'Internal announcement tone, concise summary with key points, 0-2 hashtags',
+      discord: 'Casual community announcement, concise, 0-2 hashtags',
+      teams: 'Internal announcement tone, clear and professional, no hashtags',
+      mastodon: `Friendly, community-minded tone, 1-3 CamelCase hashtags, no engagement bait, under ${this.getCapabilities('mastodon')?.maxLength || 500} chars per post`,
+      reddit: 'Community tone written as a fellow member, no hashtags, no marketing language or emojis, ' +
+        'required descriptive title under 300 chars, body in Markdown that invites discussion',
+      facebook: 'Friendly, conversational tone, 1-3 hashtags, question that invites comments, ideally under 500 chars',
+      instagram: 'Visual storytelling caption with a strong first line, emojis welcome, up to 30 relevant hashtags, ' +
+        'under 2200 chars including hashtags, no clickable links',
+      telegram: 'Channel announcement tone, short paragraphs, 0-3 hashtags, under 4096 chars',
       medium: 'Thoughtful tone, detailed with examples, 8+ min read'
     };
 
+    // Article platforms (dev.to, Hashnode, ...) share Medium's long-form requirements
+    let platformRequirements = requirements[platform];
+    if (!platformRequirements) {
+      platformRequirements = this.isLongForm(platform)
+        ? `${requirements.medium}, Markdown formatting, descriptive title`
+        : this.buildCapabilityRequirements(platform);
+    }
+
     return `Transform this content for ${platform}:
 
 "${content}"
 
-Requirements: ${requirements[platform] || requirements.linkedin}
+Requirements: ${platformRequirements}
 Category: ${category}
 
 Return JSON format:
@@ -172,16 +200,82 @@ Return JSON format:
     }
   }
 
+  getTargetPlatform(platform) {
+    return (this.registry && this.registry.getPlatform(platform)) || platform;
+  }
+
+  getCapabilities(platform) {
+    return this.registry ? this.registry.getCapabilities(platform) : null;
+  }
+
+  // Requirements for platforms without a hand-written profile, derived from
+  // the publisher's capabilities instead of falling back to LinkedIn's
+  buildCapabilityRequirements(platform) {
+    const capabilities = this.getCapabilities(platform) || {};
+    const requirements = ['Clear, engaging tone suited to the platform'];
+
+    if (capabilities.maxHashtags === 0) {
+      requirements.push('no hashtags');
+    } else if (capabilities.maxHashtags) {
+      requirements.push(`at most ${capabilities.maxHashtags} hashtags`);
+    } else {
+      requirements.push('1-3 hashtags');
+    }
+
+    if (capabilities.requiresTitle) {
+      requirements.push('a title is required');
+    }
+
+    const unit = capabilities.lengthUnit === 'weighted'
+      ? 'characters (links count as 23, emoji and CJK characters as 2)'
+      : capabilities.lengthUnit || 'characters';
+    requirements.push(`under ${capabilities.maxLength || 3000} ${unit}`);
+    return requirements.join(', ');
+  }
+
+  // Derive a title from the first sentence when a platform requires one
+  deriveTitle(text, maxLength = 300) {
+    const firstLine = (text || '').split('\n').find(line => line.trim()) || '';
+    const sentence = (firstLine.match(/^.*?[.!?](\s|$)/) || [firstLine])[0].trim();
+    return truncateToLength(sentence, maxLength);
+  }
+
+  // Hashtags written into the text count towards the platform limit (Instagram allows 30)
+  limitHashtags(text, hashtags, maxHashtags) {
+    const inlineCount = ((text || '').match(/(^|\s)#[\p{L}\p{N}_]+/gu) || []).length;
+    return hashtags.slice(0, Math.max(maxHashtags - inlineCount, 0));
+  }
+
+  isLongForm(platform) {
+    return platform === 'medium' || Boolean(this.getCapabilities(platform)?.longForm);
+  }
+
+  // Bluesky counts graphemes and X weighs URLs and emoji rather than UTF-16 characters
+  getLengthUnit(platform) {
+    const capabilities = this.getCapabilities(platform);
+    if (capabilities?.lengthUnit) return capabilities.lengthUnit;
+    if (platform === 'twitter') return 'weighted';
+    return platform === 'bluesky' ? 'graphemes' : 'characters';
+  }
+
   validateContent(content, platform) {
-    const maxLengths = { linkedin: 3000, twitter: 280, medium: 50000 };
-    const maxLength = maxLengths[platform] || 3000;
+    const maxLengths = { linkedin: 3000, twitter: 280, bluesky: 300, instagram: 2200, medium: 50000 };
+    const capabilities = this.getCapabilities(platform);
+    const maxLength = capabilities?.maxLength || maxLengths[platform] || 3000;
+    const lengthUnit = this.getLengthUnit(platform);
     
-    if (content.text && content.text.length > maxLength) {
-      content.text = content.text.substring(0, maxLength - 3) + '...';
+    if (content.text && measureLength(content.text, lengthUnit) > maxLength) {
+      content.text = truncateToLength(content.text, maxLength, lengthUnit);
     }
 
     // Ensure required fields
-    content.hashtags = content.hashtags || ['AI', 'Technology'];
+    content.hashtags = capabilities?.maxHashtags === 0 ? [] : (content.hashtags || ['AI', 'Technology']);
+    if (capabilities?.maxHashtags) {
+      content.hashtags = this.limitHashtags(content.text, content.hashtags, capabilities.maxHashtags);
+    }
+    if (capabilities?.requiresTitle && !content.title) {
+      content.title = this.deriveTitle(content.text, capabilities.maxTitleLength);
+    }
     content.callToAction = content.callToAction || 'What are your thoughts?';
     content.estimatedEngagement = content.estimatedEngagement || 'medium';
 
@@ -189,24 +283,30 @@ Return JSON format:
   }
 
   basicAdaptContent(content, platform) {
-    const maxLengths = { linkedin: 2800, twitter: 250, medium: 1000 };
-    const maxLength = maxLengths[platform] || 500;
+    const maxLengths = { linkedin: 2800, twitter: 250, bluesky: 270, medium: 1000 };
+    const capabilities = this.getCapabilities(platform);
+    const maxLength = maxLengths[platform] ||
+      (this.isLongForm(platform) ? maxLengths.medium : capabilities?.maxLength) || 500;
     
-    let text = content.length > maxLength 
-      ? content.substring(0, maxLength - 3) + '...' 
-      : content;
+    const lengthUnit = this.getLengthUnit(platform);
+    // The thread marker counts towards the limit too
+    const suffix = platform === 'twitter' ? ' 🧵' : '';
+    let text = truncateToLength(content, maxLength - measureLength(suffix, lengthUnit), lengthUnit) + suffix;
     
     // Platform-specific formatting
     if (platform === 'linkedin') {
       text = `🚀 ${text}\n\nWhat are your thoughts on this?`;
-    } else if (platform === 'twitter') {
-      text = `${text} 🧵`;
+    }
+
+    let title = this.isLongForm(platform) || capabilities?.supportsTitle ? 'Insights and Thoughts' : null;
+    if (capabilities?.requiresTitle) {
+      title = this.deriveTitle(content, capabilities.maxTitleLength) || title;
     }
 
     return {
       text: text,
-      hashtags: ['AI', 'Technology', 'Innovation'],
-      title: platform === 'medium' ? 'Insights and Thoughts' : null,
+      hashtags: capabilities?.maxHashtags === 0 ? [] : ['AI', 'Technology', 'Innovation'],
+      title: title,
       callToAction: 'What do you think?',
       estimatedEngagement: 'medium'
     };
@@ -0,0 +1,304 @@
+const logger = require('../utils/logger');
+const { getDefaultTokenStore } = require('../auth');
+const { resolveCredential } = require('../vault');
+
+// Refresh stored OAuth tokens this long before they expire
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
+// Shared contract for every publisher registered with the PublisherRegistry.
+// Subclasses implement publish() and override the static capabilities getter.
+class BasePublisher {
+  constructor(config = {}) {
+    this.config = config;
+    // Scopes vault lookups, e.g. 'linkedin:company'
+    this.account = config.account || null;
+    this.platform = config.platform || this.constructor.platform || 'unknown';
+    this.displayName = config.displayName || this.constructor.displayName || this.platform;
+
+    // Rate limiting - either a single limiter ({ requests, maxRequests, timeWindow })
+    // or a map of named limiters keyed by request type
+    this.rateLimiter = {
+      requests: [],
+      maxRequests: 100,
+      timeWindow: 60 * 60 * 1000
+    };
+
+    // OAuth tokens saved by the /api/auth routes, keyed by platform or account
+    this.tokenStore = config.tokenStore || getDefaultTokenStore();
+    this.refreshing = null;
+  }
+
+  // What the platform accepts - queried by ContentProcessor and the API
+  static get capabilities() {
+    return {
+      maxLength: 3000,
+      lengthUnit: 'characters',
+      threading: false,
+      maxThreadLength: 1,
+      mediaTypes: [],
+      maxMedia: 0,
+      maxHashtags: null,
+      maxMentions: null,
+      supportsTitle: false,
+      // Whether deletePost() / editPost() are implemented
+      deletable: false,
+      editable: false,
+      // Publishes to this platform (all its accounts) that may run at once, and
+      // the minimum ms between their starts
+      publishConcurrency: 1,
+      publishInterval: 2000
+    };
+  }
+
+  getCapabilities() {
+    return {
+      ...this.constructor.capabilities,
+      ...(this.config.capabilities || {})
+    };
+  }
+
+  // Secret from the credential vault, falling back to the environment. Named
+  // accounts only get their own values unless the credential is shared.
+  credential(name, options = {}) {
+    return resolveCredential(name, this.account, options);
+  }
+
+  // Exposes a credential as a property. An explicit value (from config or assigned
+  // later) wins; otherwise the vault is consulted on each read, so rotated
+  // credentials apply without recreating the publisher. { shared: true } marks
+  // app-level keys that named accounts take from the default configuration.
+  defineCredential(property, names, explicitValue, options = {}) {
+    const candidates = Array.isArray(names) ? names : [names];
+    let override = explicitValue || undefined;
+
+    if (!options.shared) {
+      this.accountCredentials = [...(this.accountCredentials || []), property];
+    }
+
+    Object.defineProperty(this, property, {
+      get: () => {
+        if (override !== undefined) return override;
+        for (const name of candidates) {
+          const value = this.credential(name, options);
+          if (value) return value;
+        }
+        return undefined;
+      },
+      set: value => {
+        override = value;
+      },
+      enumerable: true,
+      configurable: true
+    });
+  }
+
+  // Whether a named account has any credential of its own: a connected OAuth
+  // token, an access token or another non-shared credential
+  hasAccountCredentials() {
+    if (this.tokenStore.get(this.tokenKey)) return true;
+    if (this.getDefaultAccessToken()) return true;
+    return (this.accountCredentials || []).some(property => this[property]);
+  }
+
+  // Access token used when publish() is called with an adapted content object.
+  // Publishers without one return whatever secret addresses the target instead
+  // (a bot token or webhook URL), so the same value works for publish(token, ...).
+  getDefaultAccessToken() {
+    return this.accessToken || null;
+  }
+
+  // Connected accounts keep separate tokens: 'twitter' and 'twitter:devrel'
+  get tokenKey() {
+    return this.account || this.platform;
+  }
+
+  saveTokens(tokens) {
+    return this.tokenStore.set(this.tokenKey, {
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      scope: tokens.scope,
+      expiresAt: tokens.expiresAt,
+      refreshTokenExpiresAt: tokens.refreshTokenExpiresAt
+    });
+  }
+
+  // Stored OAuth user token, refreshed shortly before it expires when the
+  // publisher implements refreshAccessToken(). Concurrent callers share one
+  // refresh so a rotated refresh token is never used twice.
+  async getValidAccessToken() {
+    const tokens = this.tokenStore.get(this.tokenKey);
+    if (!tokens || !tokens.accessToken) return null;
+
+    if (!tokens.expiresAt || Date.parse(tokens.expiresAt) - Date.now() > TOKEN_REFRESH_MARGIN) {
+      return tokens.accessToken;
+    }
+
+    if (!tokens.refreshToken || typeof this.refreshAccessToken !== 'function') {
+      logger.warn(`${this.displayName} access token expired and cannot be refreshed; reconnect the account`);
+      return null;
+    }
+
+    if (!this.refreshing) {
+      this.refreshing = this.refreshAccessToken(tokens.refreshToken)
+        .then(result => {
+          if (result.success) this.saveTokens(result);
+          return result;
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+
+    const result = await this.refreshing;
+    return result.success ? result.accessToken : null;
+  }
+
+  // Handle both calling patterns:
+  // 1. publish(accessToken, content, options) - direct API usage
+  // 2. publish(adaptedContent, options) - called from SocialMediaController
+  normalizePublishArgs(accessTokenOrAdaptedContent, content, options = {}) {
+    if (typeof accessTokenOrAdaptedContent === 'object' && accessTokenOrAdaptedContent !== null &&
+        accessTokenOrAdaptedContent.text) {
+      const adaptedContent = accessTokenOrAdaptedContent;
+      const extraOptions = (typeof content === 'object' && content !== null) ? content : options;
+
+      return {
+        accessToken: this.getDefaultAccessToken(),
+        content: adaptedContent.text,
+        adaptedContent,
+        options: {
+          hashtags: adaptedContent.hashtags,
+          mediaUrl: adaptedContent.mediaUrl,
+          mediaTitle: adaptedContent.title,
+          mediaDescription: adaptedContent.description,
+          ...extraOptions
+        }
+      };
+    }
+
+    return {
+      accessToken: accessTokenOrAdaptedContent,
+      content: content,
+      adaptedContent: null,
+      options: options || {}
+    };
+  }
+
+  async publish() {
+    throw new Error(`${this.constructor.name} must implement publish()`);
+  }
+
+  // Platform post IDs from a publish() result, kept so the post can be edited or
+  // deleted later; threads return every piece in order
+  getPostIds(result) {
+    return result?.postId ? [String(result.postId)] : [];
+  }
+
+  // Removes every piece of a published post. Resolves to
+  // { success, deleted: [ids], failed: [{ id, error }] }
+  async deletePost() {
+    return this.failure('Not supported', `${this.displayName} posts cannot be deleted through this tool`);
+  }
+
+  // Replaces the text of a published post. Resolves to { success, postIds } where
+  // postIds are the IDs to use from now on (edits can change them)
+  async editPost() {
+    return this.failure('Not supported', `${this.displayName} posts cannot be edited through this tool`);
+  }
+
+  formatHashtags(hashtags, limit = null) {
+    if (!hashtags || !Array.isArray(hashtags)) return '';
+
+    const tags = hashtags.map(tag => tag.startsWith('#') ? tag : `#${tag}`);
+    return (limit ? tags.slice(0, limit) : tags).join(' ');
+  }
+
+  formatMentions(mentions, limit = null) {
+    if (!mentions || !Array.isArray(mentions)) return '';
+
+    const handles = mentions.map(mention => mention.startsWith('@') ? mention : `@${mention}`);
+    return (limit ? handles.slice(0, limit) : handles).join(' ');
+  }
+
+  // Append hashtag and mention blocks, honouring the platform's limits
+  appendTagsAndMentions(content, options = {}) {
+    const capabilities = this.getCapabilities();
+    let formattedContent = content;
+
+    const hashtagString = this.formatHashtags(options.hashtags, capabilities.maxHashtags);
+    if (hashtagString) {
+      formattedContent += `\n\n${hashtagString}`;
+    }
+
+    const mentionString = this.formatMentions(options.mentions, capabilities.maxMentions);
+    if (mentionString) {
+      formattedContent += `\n\n${mentionString}`;
+    }
+
+    return formattedContent;
+  }
+
+  formatContent(content, options = {}) {
+    return this.appendTagsAndMentions(content, options);
+  }
+
+  getRateLimiter(type) {
+    if (Array.isArray(this.rateLimiter.requests)) {
+      return this.rateLimiter;
+    }
+    return this.rateLimiter[type];
+  }
+
+  async checkRateLimit(type) {
+    const limiter = this.getRateLimiter(type);
+    if (!limiter) return;
+
+    const keyed = limiter !== this.rateLimiter;
+    const now = Date.now();
+
+    // Remove requests older than the time window
+    limiter.requests = limiter.requests.filter(
+      timestamp => now - timestamp < limiter.timeWindow
+    );
+
+    // Check if we're at the rate limit
+    if (limiter.requests.length >= limiter.maxRequests) {
+      const oldestRequest = Math.min(...limiter.requests);
+      const resetTime = oldestRequest + limiter.timeWindow;
+      const waitTime = resetTime - now;
+      const label = keyed ? `${this.displayName} ${type}` : this.displayName;
+
+      logger.warn(`${label} rate limit reached. Next request available in ${Math.ceil(waitTime / 1000)} seconds`);
+
+      throw new Error(keyed
+        ? `Rate limit exceeded for ${type}. Try again in ${Math.ceil(waitTime / 60000)} minutes`
+        : `Rate limit exceeded. Try again in ${Math.ceil(waitTime / 60000)} minutes`);
+    }
+
+    // Add current request to the tracker
+    limiter.requests.push(now);
+  }
+
+  failure(error, details) {
+    return {
+      success: false,
+      error: error,
+      details: details,
+      platform: this.platform
+    };
+  }
+
+  async validateToken() {
+    return {
+      success: false,
+      valid: false,
+      error: `Token validation not supported for ${this.platform}`
+    };
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = BasePublisher;
@@ -0,0 +1,443 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const logger = require('../utils/logger');
+const BasePublisher = require('./BasePublisher');
+const { splitIntoThreads } = require('../utils/threadSplitter');
+const { countGraphemes, truncateGraphemes, utf8Length } = require('../utils/textLength');
+
+// Patterns follow the reference detection in @atproto/api's RichText
+const MENTION_REGEX = /(^|\s|\()@([a-zA-Z0-9.-]+)\b/g;
+const URL_REGEX = /(^|\s|\()(https?:\/\/[^\s]+)/gim;
+const TAG_REGEX = /(^|\s)[#＃]([^\s#＃]*[^\d\s\p{P}][^\s#＃]*)/gu;
+const HANDLE_REGEX = /^([a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\.)+[a-zA-Z]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?$/;
+
+class BlueskyPublisher extends BasePublisher {
+  static get platform() {
+    return 'bluesky';
+  }
+
+  static get displayName() {
+    return 'Bluesky';
+  }
+
+  static get capabilities() {
+    return {
+      ...super.capabilities,
+      maxLength: 300,
+      lengthUnit: 'graphemes',
+      threading: true,
+      maxThreadLength: 25,
+      mediaTypes: ['image', 'link'],
+      maxMedia: 4,
+      maxHashtags: 3
+    };
+  }
+
+  constructor(config = {}) {
+    super(config);
+    this.serviceUrl = (config.serviceUrl || process.env.BLUESKY_SERVICE_URL || 'https://bsky.social')
+      .replace(/\/+$/, '');
+    this.defineCredential('identifier', 'BLUESKY_IDENTIFIER', config.identifier);
+    this.defineCredential('appPassword', 'BLUESKY_APP_PASSWORD', config.appPassword);
+    this.session = null;
+
+    this.maxPostGraphemes = 300;
+    this.maxThreadPosts = 25;
+    this.maxImages = 4;
+    this.maxBlobSize = 1000000;
+
+    // Rate limiting - PDS write budget is 5000 points/hour, a create costs 3;
+    // createSession is limited to 30 per 5 minutes
+    this.rateLimiter = {
+      posts: {
+        requests: [],
+        maxRequests: 1666,
+        timeWindow: 60 * 60 * 1000
+      },
+      sessions: {
+        requests: [],
+        maxRequests: 30,
+        timeWindow: 5 * 60 * 1000
+      }
+    };
+  }
+
+  getDefaultAccessToken() {
+    return this.appPassword;
+  }
+
+  async createSession(identifier = this.identifier, password = this.appPassword) {
+    await this.checkRateLimit('sessions');
+
+    const response = await axios.post(`${this.serviceUrl}/xrpc/com.atproto.server.createSession`, {
+      identifier,
+      password
+    }, {
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    this.session = response.data;
+    logger.info('Bluesky session created', { handle: this.session.handle });
+
+    return this.session;
+  }
+
+  async refreshSession() {
+    const response = await axios.post(`${this.serviceUrl}/xrpc/com.atproto.server.refreshSession`, null, {
+      headers: { 'Authorization': `Bearer ${this.session.refreshJwt}` }
+    });
+
+    this.session = { ...this.session, ...response.data };
+    return this.session;
+  }
+
+  async getSession(password) {
+    if (!this.session || (password && password !== this.appPassword)) {
+      await this.createSession(this.identifier, password || this.appPassword);
+    }
+    return this.session;
+  }
+
+  // Run an authenticated XRPC call, refreshing the session once on expiry
+  async withSession(request) {
+    try {
+      return await request(this.session);
+    } catch (error) {
+      if (error.response?.data?.error !== 'ExpiredToken') throw error;
+
+      logger.info('Bluesky access token expired, refreshing session');
+      await this.refreshSession();
+      return request(this.session);
+    }
+  }
+
+  authHeaders(session, extra = {}) {
+    return {
+      'Authorization': `Bearer ${session.accessJwt}`,
+      ...extra
+    };
+  }
+
+  async getUserProfile() {
+    try {
+      const session = await this.getSession();
+      const response = await this.withSession(current => axios.get(
+        `${this.serviceUrl}/xrpc/app.bsky.actor.getProfile`,
+        { params: { actor: session.did }, headers: this.authHeaders(current) }
+      ));
+
+      return {
+        success: true,
+        profile: response.data,
+        method: 'atproto'
+      };
+    } catch (error) {
+      logger.error('Failed to get Bluesky user profile:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: 'Failed to retrieve user profile',
+        details: error.response?.data || error.message
+      };
+    }
+  }
+
+  async resolveHandle(handle) {
+    try {
+      const response = await axios.get(`${this.serviceUrl}/xrpc/com.atproto.identity.resolveHandle`, {
+        params: { handle }
+      });
+      return response.data.did;
+    } catch (error) {
+      logger.warn(`Could not resolve Bluesky handle ${handle}`);
+      return null;
+    }
+  }
+
+  // Rich-text facets with UTF-8 byte offsets for links, mentions and hashtags
+  async detectFacets(text) {
+    const facets = [];
+    const byteIndex = charIndex => utf8Length(text.substring(0, charIndex));
+
+    for (const match of text.matchAll(MENTION_REGEX)) {
+      const handle = match[2].replace(/\.+$/, '');
+      if (!HANDLE_REGEX.test(handle)) continue;
+
+      const did = await this.resolveHandle(handle);
+      if (!did) continue;
+
+      const start = match.index + match[1].length;
+      facets.push({
+        index: { byteStart: byteIndex(start), byteEnd: byteIndex(start + handle.length + 1) },
+        features: [{ $type: 'app.bsky.richtext.facet#mention', did }]
+      });
+    }
+
+    for (const match of text.matchAll(URL_REGEX)) {
+      let uri = match[2];
+
+      // Trailing punctuation and unbalanced parentheses aren't part of the link
+      uri = uri.replace(/[.,;:!?]+$/, '');
+      if (uri.endsWith(')') && !uri.includes('(')) {
+        uri = uri.slice(0, -1);
+      }
+
+      const start = match.index + match[1].length;
+      facets.push({
+        index: { byteStart: byteIndex(start), byteEnd: byteIndex(start + uri.length) },
+        features: [{ $type: 'app.bsky.richtext.facet#link', uri }]
+      });
+    }
+
+    for (const match of text.matchAll(TAG_REGEX)) {
+      const tag = match[2].replace(/\p{P}+$/u, '');
+      if (!tag || tag.length > 64) continue;
+
+      const start = match.index + match[1].length;
+      facets.push({
+        index: { byteStart: byteIndex(start), byteEnd: byteIndex(start + tag.length + 1) },
+        features: [{ $type: 'app.bsky.richtext.facet#tag', tag }]
+      });
+    }
+
+    return facets.sort((a, b) => a.index.byteStart - b.index.byteStart);
+  }
+
+  formatContent(content, options = {}) {
+    return this.appendTagsAndMentions(content, options);
+  }
+
+  splitIntoThreads(content) {
+    return splitIntoThreads(content, {
+      maxLength: this.maxPostGraphemes,
+      maxParts: this.maxThreadPosts,
+      measure: countGraphemes
+    });
+  }
+
+  async uploadBlob(data, mimeType) {
+    const response = await this.withSession(session => axios.post(
+      `${this.serviceUrl}/xrpc/com.atproto.repo.uploadBlob`,
+      data,
+      { headers: this.authHeaders(session, { 'Content-Type': mimeType }) }
+    ));
+
+    return response.data.blob;
+  }
+
+  async downloadMedia(url) {
+    const response = await axios.get(url, { responseType: 'arraybuffer' });
+    return {
+      data: Buffer.from(response.data),
+      mimeType: response.headers['content-type'] || 'image/jpeg'
+    };
+  }
+
+  async buildImagesEmbed(media) {
+    const images = [];
+
+    for (const item of media.slice(0, this.maxImages)) {
+      try {
+        const { data, mimeType } = await this.downloadMedia(item.url);
+        if (data.length > this.maxBlobSize) {
+          logger.warn('Image exceeds Bluesky blob size limit, skipping', { url: item.url, size: data.length });
+          continue;
+        }
+
+        images.push({
+          alt: item.altText || item.description || '',
+          image: await this.uploadBlob(data, mimeType)
+        });
+      } catch (error) {
+        logger.warn('Bluesky image upload failed, skipping', { url: item.url, error: error.message });
+      }
+    }
+
+    return images.length > 0 ? { $type: 'app.bsky.embed.images', images } : null;
+  }
+
+  async buildLinkCardEmbed(url) {
+    try {
+      const response = await axios.get(url, { timeout: 5000, responseType: 'text' });
+      const $ = cheerio.load(response.data);
+      const meta = name => $(`meta[property="${name}"]`).attr('content') ||
+        $(`meta[name="${name}"]`).attr('content');
+
+      const external = {
+        uri: url,
+        title: meta('og:title') || $('title').text() || url,
+        description: meta('og:description') || meta('description') || ''
+      };
+
+      const imageUrl = meta('og:image');
+      if (imageUrl) {
+        try {
+          const { data, mimeType } = await this.downloadMedia(new URL(imageUrl, url).toString());
+          if (data.length <= this.maxBlobSize) {
+            external.thumb = await this.uploadBlob(data, mimeType);
+          }
+        } catch (error) {
+          logger.warn('Bluesky link card thumbnail failed', { url: imageUrl });
+        }
+      }
+
+      return { $type: 'app.bsky.embed.external', external };
+    } catch (error) {
+      logger.warn('Failed to build Bluesky link card', { url, error: error.message });
+      return null;
+    }
+  }
+
+  // Images win over link cards - a post carries a single embed
+  async buildEmbed(text, options = {}) {
+    const media = (Array.isArray(options.media) ? [...options.media] : [])
+      .map(item => typeof item === 'string' ? { url: item } : item)
+      .filter(item => item && item.url);
+
+    if (options.mediaUrl && options.mediaType !== 'link') {
+      media.unshift({ url: options.mediaUrl, altText: options.mediaDescription });
+    }
+
+    if (media.length > 0) {
+      const imagesEmbed = await this.buildImagesEmbed(media);
+      if (imagesEmbed) return imagesEmbed;
+    }
+
+    if (options.linkCard === false) return null;
+
+    const linkUrl = options.linkUrl ||
+      (options.mediaType === 'link' && options.mediaUrl) ||
+      (text.match(/https?:\/\/[^\s]+/) || [])[0];
+
+    return linkUrl ? this.buildLinkCardEmbed(linkUrl.replace(/[.,;:!?)]+$/, '')) : null;
+  }
+
+  getPostUrl(uri, handle) {
+    const rkey = uri.split('/').pop();
+    return `https://bsky.app/profile/${handle}/post/${rkey}`;
+  }
+
+  async publish(accessTokenOrAdaptedContent, content, options = {}) {
+    try {
+      await this.checkRateLimit('posts');
+
+      const {
+        accessToken: appPassword,
+        content: actualContent,
+        options: actualOptions
+      } = this.normalizePublishArgs(accessTokenOrAdaptedContent, content, options);
+
+      if (!this.identifier || !appPassword) {
+        return {
+          success: false,
+          error: 'Missing Bluesky credentials',
+          details: 'Bluesky posting requires BLUESKY_IDENTIFIER and BLUESKY_APP_PASSWORD (an app password, not your account password)',
+          platform: 'bluesky'
+        };
+      }
+
+      const session = await this.getSession(appPassword);
+
+      const formattedContent = this.formatContent(actualContent, actualOptions);
+      const posts = this.splitIntoThreads(formattedContent);
+      const embed = await this.buildEmbed(formattedContent, actualOptions);
+
+      const results = [];
+      let root = null;
+      let parent = null;
+
+      for (let i = 0; i < posts.length; i++) {
+        const text = truncateGraphemes(posts[i], this.maxPostGraphemes);
+        const record = {
+          $type: 'app.bsky.feed.post',
+          text,
+          createdAt: new Date().toISOString()
+        };
+
+        const facets = await this.detectFacets(text);
+        if (facets.length > 0) {
+          record.facets = facets;
+        }
+
+        if (actualOptions.langs || actualOptions.language) {
+          record.langs = actualOptions.langs || [actualOptions.language];
+        }
+
+        // Embed goes on the first post only
+        if (i === 0 && embed) {
+          record.embed = embed;
+        }
+
+        if (parent) {
+          record.reply = { root, parent };
+        }
+
+        const response = await this.withSession(current => axios.post(
+          `${this.serviceUrl}/xrpc/com.atproto.repo.createRecord`,
+          { repo: session.did, collection: 'app.bsky.feed.post', record },
+          { headers: this.authHeaders(current, { 'Content-Type': 'application/json' }) }
+        ));
+
+        const ref = { uri: response.data.uri, cid: response.data.cid };
+        if (!root) root = ref;
+        parent = ref;
+
+        results.push({
+          success: true,
+          uri: ref.uri,
+          cid: ref.cid,
+          postUrl: this.getPostUrl(ref.uri, session.handle),
+          text,
+          threadPosition: i + 1,
+          threadTotal: posts.length
+        });
+
+        // Add delay between posts in thread to avoid rate limiting
+        if (i < posts.length - 1) {
+          await this.delay(1000);
+        }
+      }
+
+      logger.info('Bluesky thread published successfully', {
+        posts: results.length,
+        rootUri: results[0].uri
+      });
+
+      return {
+        success: true,
+        postId: results[0].uri,
+        postUrl: results[0].postUrl,
+        thread: results,
+        threadUrl: results[0].postUrl,
+        publishedAt: new Date().toISOString(),
+        platform: 'bluesky',
+        stats: {
+          totalPosts: results.length,
+          totalGraphemes: countGraphemes(formattedContent),
+          embed: embed ? embed.$type : null
+        }
+      };
+    } catch (error) {
+      logger.error('Bluesky post publication failed:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: 'Post publication failed',
+        details: error.response?.data || error.message,
+        platform: 'bluesky'
+      };
+    }
+  }
+
+  async validateToken() {
+    const response = await this.getUserProfile();
+    return {
+      success: response.success,
+      valid: response.success,
+      profile: response.profile,
+      error: response.error
+    };
+  }
+}
+
+module.exports = BlueskyPublisher;
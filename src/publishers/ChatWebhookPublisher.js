@@ -0,0 +1,103 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const BasePublisher = require('./BasePublisher');
+
+// Shared flow for incoming-webhook chat channels (Slack, Discord, Teams).
+// Subclasses turn the adapted content into a platform payload via render().
+class ChatWebhookPublisher extends BasePublisher {
+  static get capabilities() {
+    return {
+      ...super.capabilities,
+      maxLength: 3000,
+      mediaTypes: ['image', 'link'],
+      maxMedia: 1,
+      supportsTitle: true,
+      internal: true
+    };
+  }
+
+  constructor(config = {}) {
+    super(config);
+    this.webhookUrl = config.webhookUrl;
+
+    this.rateLimiter = {
+      requests: [],
+      maxRequests: 60,
+      timeWindow: 60 * 1000
+    };
+  }
+
+  getDefaultAccessToken() {
+    return this.webhookUrl;
+  }
+
+  // Adapted content plus options, reduced to what every chat format renders
+  buildMessage(content, options = {}, adaptedContent = null) {
+    return {
+      title: options.title || adaptedContent?.title || options.mediaTitle || null,
+      text: content,
+      hashtags: (options.hashtags || []).map(tag => tag.startsWith('#') ? tag : `#${tag}`),
+      callToAction: options.callToAction || adaptedContent?.callToAction || null,
+      url: options.linkUrl || options.mediaUrl || null,
+      imageUrl: options.imageUrl || null
+    };
+  }
+
+  render() {
+    throw new Error(`${this.constructor.name} must implement render()`);
+  }
+
+  getRequestConfig() {
+    return { headers: { 'Content-Type': 'application/json' } };
+  }
+
+  parseResponse() {
+    return {};
+  }
+
+  async publish(accessTokenOrAdaptedContent, content, options = {}) {
+    try {
+      await this.checkRateLimit();
+
+      const {
+        accessToken: webhookUrl,
+        content: actualContent,
+        adaptedContent,
+        options: actualOptions
+      } = this.normalizePublishArgs(accessTokenOrAdaptedContent, content, options);
+
+      if (!webhookUrl) {
+        return this.failure(
+          'No webhook URL provided',
+          `Either pass a webhook URL as parameter or configure the ${this.displayName} incoming webhook URL`
+        );
+      }
+
+      const payload = this.render(this.buildMessage(actualContent, actualOptions, adaptedContent), actualOptions);
+      const response = await axios.post(webhookUrl, payload, this.getRequestConfig(webhookUrl));
+
+      logger.info(`${this.displayName} webhook message sent successfully`, { status: response.status });
+
+      return {
+        success: true,
+        postId: null,
+        postUrl: null,
+        ...this.parseResponse(response),
+        status: response.status,
+        publishedAt: new Date().toISOString(),
+        platform: this.platform
+      };
+    } catch (error) {
+      logger.error(`${this.displayName} webhook message failed:`, error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: 'Post publication failed',
+        details: error.response?.data || error.message,
+        platform: this.platform
+      };
+    }
+  }
+}
+
+module.exports = ChatWebhookPublisher;
@@ -0,0 +1,158 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const LongFormPublisher = require('./LongFormPublisher');
+
+class DevToPublisher extends LongFormPublisher {
+  static get platform() {
+    return 'devto';
+  }
+
+  static get displayName() {
+    return 'DEV';
+  }
+
+  static get capabilities() {
+    return {
+      ...super.capabilities,
+      maxHashtags: 4
+    };
+  }
+
+  constructor(config = {}) {
+    super(config);
+    this.defineCredential('accessToken', 'DEVTO_API_KEY', config.apiKey);
+    this.organizationId = config.organizationId || process.env.DEVTO_ORGANIZATION_ID;
+    // Articles are created as drafts unless configured otherwise
+    this.defaultPublished = config.published !== undefined
+      ? config.published === true
+      : process.env.DEVTO_PUBLISHED === 'true';
+    this.baseUrl = 'https://dev.to/api';
+
+    // Rate limiting - Forem allows 10 article writes per 30 seconds
+    this.rateLimiter = {
+      requests: [],
+      maxRequests: 10,
+      timeWindow: 30 * 1000
+    };
+  }
+
+  getHeaders(apiKey) {
+    return {
+      'api-key': apiKey,
+      'Content-Type': 'application/json',
+      'Accept': 'application/vnd.forem.api-v1+json'
+    };
+  }
+
+  // dev.to tags: at most 4, lowercase alphanumerics only
+  formatTags(tags = []) {
+    return tags
+      .map(tag => tag.toLowerCase().replace(/[^a-z0-9]/g, ''))
+      .filter(Boolean)
+      .slice(0, this.getCapabilities().maxHashtags);
+  }
+
+  async getUserProfile(apiKey) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/users/me`, {
+        headers: this.getHeaders(apiKey || this.accessToken)
+      });
+
+      return {
+        success: true,
+        profile: response.data,
+        method: 'forem_api_v1'
+      };
+    } catch (error) {
+      logger.error('Failed to get dev.to user profile:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: 'Failed to retrieve user profile',
+        details: error.response?.data || error.message
+      };
+    }
+  }
+
+  async publish(accessTokenOrAdaptedContent, content, options = {}) {
+    try {
+      await this.checkRateLimit();
+
+      const {
+        accessToken: apiKey,
+        content: actualContent,
+        adaptedContent,
+        options: actualOptions
+      } = this.normalizePublishArgs(accessTokenOrAdaptedContent, content, options);
+
+      if (!apiKey) {
+        return {
+          success: false,
+          error: 'No API key provided',
+          details: 'Either pass an API key as parameter or set DEVTO_API_KEY environment variable',
+          platform: 'devto'
+        };
+      }
+
+      const article = this.resolveArticle(actualContent, actualOptions, adaptedContent);
+      if (!article.title) {
+        return this.failure('Title is required', 'dev.to articles need a title in the adaptation, front matter or options.title');
+      }
+
+      const articleData = {
+        title: article.title,
+        body_markdown: article.body,
+        published: article.published,
+        tags: this.formatTags(article.tags)
+      };
+
+      if (article.series) articleData.series = article.series;
+      if (article.coverImage) articleData.main_image = article.coverImage;
+      if (article.canonicalUrl) articleData.canonical_url = article.canonicalUrl;
+      if (article.description) articleData.description = article.description;
+
+      const organizationId = actualOptions.organizationId || this.organizationId;
+      if (organizationId) articleData.organization_id = Number(organizationId);
+
+      const response = await axios.post(`${this.baseUrl}/articles`, { article: articleData }, {
+        headers: this.getHeaders(apiKey)
+      });
+
+      logger.info('dev.to article created successfully', {
+        articleId: response.data.id,
+        published: response.data.published
+      });
+
+      return {
+        success: true,
+        postId: String(response.data.id),
+        postUrl: response.data.url,
+        canonicalUrl: response.data.canonical_url || article.canonicalUrl || null,
+        published: response.data.published ?? article.published,
+        publishedAt: response.data.published_at || new Date().toISOString(),
+        platform: 'devto'
+      };
+    } catch (error) {
+      logger.error('dev.to article publication failed:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: 'Post publication failed',
+        details: error.response?.data || error.message,
+        platform: 'devto'
+      };
+    }
+  }
+
+  async validateToken(apiKey) {
+    const response = await this.getUserProfile(apiKey);
+    return {
+      success: response.success,
+      valid: response.success,
+      profile: response.profile,
+      error: response.error
+    };
+  }
+}
+
+module.exports = DevToPublisher;
@@ -0,0 +1,87 @@
+const ChatWebhookPublisher = require('./ChatWebhookPublisher');
+
+class DiscordPublisher extends ChatWebhookPublisher {
+  static get platform() {
+    return 'discord';
+  }
+
+  static get displayName() {
+    return 'Discord';
+  }
+
+  static get capabilities() {
+    return {
+      ...super.capabilities,
+      // Embed descriptions are capped at 4096 characters
+      maxLength: 4096
+    };
+  }
+
+  constructor(config = {}) {
+    super(config);
+    this.defineCredential('webhookUrl', 'DISCORD_WEBHOOK_URL', config.webhookUrl);
+    this.embedColor = config.embedColor || parseInt(process.env.DISCORD_EMBED_COLOR, 16) || 0x5865f2;
+
+    // Discord allows 30 messages per minute per webhook
+    this.rateLimiter = {
+      requests: [],
+      maxRequests: 30,
+      timeWindow: 60 * 1000
+    };
+  }
+
+  // ?wait=true makes Discord return the created message
+  getRequestConfig(webhookUrl) {
+    return {
+      headers: { 'Content-Type': 'application/json' },
+      params: webhookUrl.includes('wait=') ? undefined : { wait: true }
+    };
+  }
+
+  render(message, options = {}) {
+    const embed = {
+      description: message.text.substring(0, 4096),
+      color: options.embedColor || this.embedColor,
+      timestamp: new Date().toISOString()
+    };
+
+    if (message.title) embed.title = message.title.substring(0, 256);
+    if (message.url) embed.url = message.url;
+    if (message.imageUrl) embed.image = { url: message.imageUrl };
+
+    if (message.callToAction) {
+      embed.fields = [{ name: '💬', value: message.callToAction.substring(0, 1024) }];
+    }
+
+    if (message.hashtags.length > 0) {
+      embed.footer = { text: message.hashtags.join(' ').substring(0, 2048) };
+    }
+
+    const payload = {
+      embeds: [embed],
+      // Never ping @everyone/@here or roles from syndicated content
+      allowed_mentions: { parse: [] }
+    };
+
+    if (options.content) payload.content = options.content.substring(0, 2000);
+    if (options.username) payload.username = options.username;
+    if (options.avatarUrl) payload.avatar_url = options.avatarUrl;
+
+    return payload;
+  }
+
+  parseResponse(response) {
+    const message = response.data || {};
+    if (!message.id) return {};
+
+    return {
+      postId: message.id,
+      postUrl: message.guild_id
+        ? `https://discord.com/channels/${message.guild_id}/${message.channel_id}/${message.id}`
+        : null,
+      channelId: message.channel_id
+    };
+  }
+}
+
+module.exports = DiscordPublisher;
@@ -0,0 +1,111 @@
+const logger = require('../utils/logger');
+const MetaGraphPublisher = require('./MetaGraphPublisher');
+
+class FacebookPublisher extends MetaGraphPublisher {
+  static get platform() {
+    return 'facebook';
+  }
+
+  static get displayName() {
+    return 'Facebook';
+  }
+
+  static get capabilities() {
+    return {
+      ...super.capabilities,
+      maxLength: 63206,
+      mediaTypes: ['image', 'link'],
+      maxMedia: 1,
+      maxHashtags: 5
+    };
+  }
+
+  formatContent(content, options = {}) {
+    let formattedContent = content;
+
+    if (options.callToAction && !formattedContent.includes(options.callToAction)) {
+      formattedContent += `\n\n${options.callToAction}`;
+    }
+
+    return this.appendTagsAndMentions(formattedContent, options);
+  }
+
+  async publish(accessTokenOrAdaptedContent, content, options = {}) {
+    try {
+      await this.checkRateLimit();
+
+      const {
+        accessToken,
+        content: actualContent,
+        adaptedContent,
+        options: actualOptions
+      } = this.normalizePublishArgs(accessTokenOrAdaptedContent, content, options);
+
+      const pageId = actualOptions.pageId || this.pageId;
+      if (!pageId) {
+        return this.failure('No page configured', 'Set FACEBOOK_PAGE_ID or pass options.pageId');
+      }
+
+      if (!accessToken && !actualOptions.pageAccessToken && !this.getCachedPageAccessToken(pageId)) {
+        return this.failure(
+          'No access token provided',
+          'Pass a user access token, set META_USER_ACCESS_TOKEN or set FACEBOOK_PAGE_ACCESS_TOKEN'
+        );
+      }
+
+      const pageToken = actualOptions.pageAccessToken || await this.getPageAccessToken(pageId, accessToken);
+
+      const message = this.formatContent(actualContent, {
+        ...actualOptions,
+        callToAction: actualOptions.callToAction || adaptedContent?.callToAction
+      });
+
+      // Photo posts carry the text as a caption; everything else goes to the feed
+      let data;
+      let postType;
+      if (actualOptions.imageUrl) {
+        postType = 'photo';
+        data = await this.graphPost(`${pageId}/photos`, {
+          url: actualOptions.imageUrl,
+          caption: message,
+          ...(actualOptions.altText && { alt_text_custom: actualOptions.altText }),
+          published: actualOptions.published !== false
+        }, pageToken);
+      } else {
+        const link = actualOptions.linkUrl || actualOptions.mediaUrl;
+        postType = link ? 'link' : 'text';
+        data = await this.graphPost(`${pageId}/feed`, {
+          message,
+          ...(link && { link }),
+          published: actualOptions.published !== false
+        }, pageToken);
+      }
+
+      // Photo uploads return the photo id plus the feed story id as post_id
+      const postId = data.post_id || data.id;
+
+      logger.info('Facebook page post published successfully', { postId, pageId, postType });
+
+      return {
+        success: true,
+        postId,
+        postUrl: `https://www.facebook.com/${postId}`,
+        pageId,
+        postType,
+        publishedAt: new Date().toISOString(),
+        platform: 'facebook'
+      };
+    } catch (error) {
+      logger.error('Facebook post publication failed:', this.graphError(error));
+
+      return {
+        success: false,
+        error: 'Post publication failed',
+        details: this.graphError(error),
+        platform: 'facebook'
+      };
+    }
+  }
+}
+
+module.exports = FacebookPublisher;
@@ -0,0 +1,197 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const LongFormPublisher = require('./LongFormPublisher');
+
+const PUBLISH_POST_MUTATION = `mutation PublishPost($input: PublishPostInput!) {
+  publishPost(input: $input) {
+    post { id slug url publishedAt }
+  }
+}`;
+
+const CREATE_DRAFT_MUTATION = `mutation CreateDraft($input: CreateDraftInput!) {
+  createDraft(input: $input) {
+    draft { id slug }
+  }
+}`;
+
+const ME_QUERY = `query Me {
+  me { id username publications(first: 10) { edges { node { id title url } } } }
+}`;
+
+class HashnodePublisher extends LongFormPublisher {
+  static get platform() {
+    return 'hashnode';
+  }
+
+  static get displayName() {
+    return 'Hashnode';
+  }
+
+  static get capabilities() {
+    return {
+      ...super.capabilities,
+      maxHashtags: 5
+    };
+  }
+
+  constructor(config = {}) {
+    super(config);
+    this.defineCredential('accessToken', 'HASHNODE_ACCESS_TOKEN', config.accessToken);
+    this.publicationId = config.publicationId || process.env.HASHNODE_PUBLICATION_ID;
+    this.defaultPublished = config.published !== undefined
+      ? config.published === true
+      : process.env.HASHNODE_PUBLISHED === 'true';
+    this.apiUrl = 'https://gql.hashnode.com';
+
+    // Rate limiting - Hashnode allows 500 mutations per minute
+    this.rateLimiter = {
+      requests: [],
+      maxRequests: 500,
+      timeWindow: 60 * 1000
+    };
+  }
+
+  async graphql(query, variables, accessToken) {
+    const response = await axios.post(this.apiUrl, { query, variables }, {
+      headers: {
+        'Authorization': accessToken,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    // GraphQL reports errors with a 200 status
+    if (response.data.errors && response.data.errors.length > 0) {
+      const error = new Error(response.data.errors.map(e => e.message).join('; '));
+      error.response = { data: response.data.errors };
+      throw error;
+    }
+
+    return response.data.data;
+  }
+
+  // Hashnode tags need a slug and a display name
+  formatTags(tags = []) {
+    return tags
+      .map(tag => ({
+        slug: tag.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+        name: tag
+      }))
+      .filter(tag => tag.slug)
+      .slice(0, this.getCapabilities().maxHashtags);
+  }
+
+  async getUserProfile(accessToken) {
+    try {
+      const data = await this.graphql(ME_QUERY, {}, accessToken || this.accessToken);
+
+      return {
+        success: true,
+        profile: data.me,
+        method: 'hashnode_gql'
+      };
+    } catch (error) {
+      logger.error('Failed to get Hashnode user profile:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: 'Failed to retrieve user profile',
+        details: error.response?.data || error.message
+      };
+    }
+  }
+
+  async publish(accessTokenOrAdaptedContent, content, options = {}) {
+    try {
+      await this.checkRateLimit();
+
+      const {
+        accessToken,
+        content: actualContent,
+        adaptedContent,
+        options: actualOptions
+      } = this.normalizePublishArgs(accessTokenOrAdaptedContent, content, options);
+
+      if (!accessToken) {
+        return {
+          success: false,
+          error: 'No access token provided',
+          details: 'Either pass accessToken as parameter or set HASHNODE_ACCESS_TOKEN environment variable',
+          platform: 'hashnode'
+        };
+      }
+
+      const publicationId = actualOptions.publicationId || this.publicationId;
+      if (!publicationId) {
+        return this.failure('No publication configured', 'Set HASHNODE_PUBLICATION_ID or pass options.publicationId');
+      }
+
+      const article = this.resolveArticle(actualContent, actualOptions, adaptedContent);
+      if (!article.title) {
+        return this.failure('Title is required', 'Hashnode posts need a title in the adaptation, front matter or options.title');
+      }
+
+      const input = {
+        title: article.title,
+        contentMarkdown: article.body,
+        publicationId,
+        tags: this.formatTags(article.tags)
+      };
+
+      if (article.description) input.subtitle = article.description;
+      if (article.coverImage) input.coverImageOptions = { coverImageURL: article.coverImage };
+      if (article.canonicalUrl) input.originalArticleURL = article.canonicalUrl;
+      // Hashnode series are referenced by ID
+      if (article.series) input.seriesId = article.series;
+
+      let result;
+      if (article.published) {
+        const data = await this.graphql(PUBLISH_POST_MUTATION, { input }, accessToken);
+        const post = data.publishPost.post;
+        result = {
+          postId: post.id,
+          postUrl: post.url,
+          publishedAt: post.publishedAt || new Date().toISOString()
+        };
+      } else {
+        const data = await this.graphql(CREATE_DRAFT_MUTATION, { input }, accessToken);
+        const draft = data.createDraft.draft;
+        result = {
+          postId: draft.id,
+          postUrl: `https://hashnode.com/draft/${draft.id}`,
+          publishedAt: null
+        };
+      }
+
+      logger.info('Hashnode article created successfully', { postId: result.postId, published: article.published });
+
+      return {
+        success: true,
+        ...result,
+        canonicalUrl: article.canonicalUrl || null,
+        published: article.published,
+        platform: 'hashnode'
+      };
+    } catch (error) {
+      logger.error('Hashnode article publication failed:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: 'Post publication failed',
+        details: error.response?.data || error.message,
+        platform: 'hashnode'
+      };
+    }
+  }
+
+  async validateToken(accessToken) {
+    const response = await this.getUserProfile(accessToken);
+    return {
+      success: response.success,
+      valid: response.success,
+      profile: response.profile,
+      error: response.error
+    };
+  }
+}
+
+module.exports = HashnodePublisher;
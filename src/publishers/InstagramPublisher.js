@@ -0,0 +1,189 @@
+const logger = require('../utils/logger');
+const MetaGraphPublisher = require('./MetaGraphPublisher');
+
+const MAX_CAPTION_LENGTH = 2200;
+const MAX_HASHTAGS = 30;
+const HASHTAG_STRATEGIES = ['first_comment', 'caption'];
+
+class InstagramPublisher extends MetaGraphPublisher {
+  static get platform() {
+    return 'instagram';
+  }
+
+  static get displayName() {
+    return 'Instagram';
+  }
+
+  static get capabilities() {
+    return {
+      ...super.capabilities,
+      maxLength: MAX_CAPTION_LENGTH,
+      mediaTypes: ['image'],
+      maxMedia: 1,
+      requiresMedia: true,
+      maxHashtags: MAX_HASHTAGS
+    };
+  }
+
+  constructor(config = {}) {
+    super(config);
+    // Configured account of the default page; other pages are looked up per page
+    this.instagramAccountId = config.instagramAccountId || process.env.INSTAGRAM_BUSINESS_ACCOUNT_ID;
+    this.instagramAccounts = new Map();
+    // Hashtags in the first comment keep the caption readable
+    this.hashtagStrategy = config.hashtagStrategy || process.env.INSTAGRAM_HASHTAG_STRATEGY || 'first_comment';
+  }
+
+  // The Instagram Business account linked to the Facebook Page
+  async resolveInstagramAccountId(pageId, pageToken) {
+    if (pageId === this.pageId && this.instagramAccountId) return this.instagramAccountId;
+    if (this.instagramAccounts.has(pageId)) return this.instagramAccounts.get(pageId);
+
+    const data = await this.graphGet(pageId, { fields: 'instagram_business_account' }, pageToken);
+    if (!data.instagram_business_account) {
+      throw new Error(`Page ${pageId} has no linked Instagram Business account`);
+    }
+
+    this.instagramAccounts.set(pageId, data.instagram_business_account.id);
+    return data.instagram_business_account.id;
+  }
+
+  // Instagram caps hashtags per post, counting the ones already written into the text
+  formatHashtagList(content, hashtags = []) {
+    const inlineCount = (content.match(/(^|\s)#[\p{L}\p{N}_]+/gu) || []).length;
+    const remaining = MAX_HASHTAGS - inlineCount;
+    return remaining > 0 ? this.formatHashtags(hashtags, remaining) : '';
+  }
+
+  formatCaption(content, options = {}) {
+    let caption = content;
+
+    if (options.callToAction && !caption.includes(options.callToAction)) {
+      caption += `\n\n${options.callToAction}`;
+    }
+
+    if (options.hashtagStrategy === 'caption') {
+      const hashtagString = this.formatHashtagList(caption, options.hashtags);
+      if (hashtagString && caption.length + hashtagString.length + 2 <= MAX_CAPTION_LENGTH) {
+        caption += `\n\n${hashtagString}`;
+      }
+    }
+
+    return caption.length > MAX_CAPTION_LENGTH
+      ? caption.substring(0, MAX_CAPTION_LENGTH - 3) + '...'
+      : caption;
+  }
+
+  // Containers are processed asynchronously; publishing before FINISHED fails
+  async waitForContainer(containerId, accessToken) {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const data = await this.graphGet(containerId, { fields: 'status_code,status' }, accessToken);
+
+      if (data.status_code === 'FINISHED') return;
+      if (data.status_code === 'ERROR' || data.status_code === 'EXPIRED') {
+        throw new Error(`Media container ${containerId} failed: ${data.status || data.status_code}`);
+      }
+
+      await this.delay(2000);
+    }
+
+    throw new Error(`Media container ${containerId} was not ready in time`);
+  }
+
+  async publish(accessTokenOrAdaptedContent, content, options = {}) {
+    try {
+      await this.checkRateLimit();
+
+      const {
+        accessToken,
+        content: actualContent,
+        adaptedContent,
+        options: actualOptions
+      } = this.normalizePublishArgs(accessTokenOrAdaptedContent, content, options);
+
+      const pageId = actualOptions.pageId || this.pageId;
+      if (!pageId) {
+        return this.failure('No page configured', 'Set FACEBOOK_PAGE_ID to the Page linked to the Instagram account');
+      }
+
+      if (!accessToken && !actualOptions.pageAccessToken && !this.getCachedPageAccessToken(pageId)) {
+        return this.failure(
+          'No access token provided',
+          'Pass a user access token, set META_USER_ACCESS_TOKEN or set FACEBOOK_PAGE_ACCESS_TOKEN'
+        );
+      }
+
+      const imageUrl = actualOptions.imageUrl || actualOptions.mediaUrl;
+      if (!imageUrl) {
+        return this.failure('Image is required', 'Instagram posts need options.imageUrl or an adapted mediaUrl');
+      }
+
+      const hashtagStrategy = actualOptions.hashtagStrategy || this.hashtagStrategy;
+      if (!HASHTAG_STRATEGIES.includes(hashtagStrategy)) {
+        return this.failure('Invalid hashtag strategy', `hashtagStrategy must be one of: ${HASHTAG_STRATEGIES.join(', ')}`);
+      }
+
+      const pageToken = actualOptions.pageAccessToken || await this.getPageAccessToken(pageId, accessToken);
+      const accountId = await this.resolveInstagramAccountId(pageId, pageToken);
+
+      const caption = this.formatCaption(actualContent, {
+        ...actualOptions,
+        hashtagStrategy,
+        callToAction: actualOptions.callToAction || adaptedContent?.callToAction
+      });
+
+      // Two-step flow: create a media container, then publish it
+      const container = await this.graphPost(`${accountId}/media`, {
+        image_url: imageUrl,
+        caption,
+        ...(actualOptions.altText && { alt_text: actualOptions.altText })
+      }, pageToken);
+
+      await this.waitForContainer(container.id, pageToken);
+
+      const published = await this.graphPost(`${accountId}/media_publish`, {
+        creation_id: container.id
+      }, pageToken);
+
+      const media = await this.graphGet(published.id, { fields: 'permalink' }, pageToken);
+
+      let firstCommentId = null;
+      if (hashtagStrategy === 'first_comment') {
+        const hashtagString = this.formatHashtagList(caption, actualOptions.hashtags);
+        if (hashtagString) {
+          try {
+            const comment = await this.graphPost(`${published.id}/comments`, { message: hashtagString }, pageToken);
+            firstCommentId = comment.id;
+          } catch (error) {
+            // The post is live; a missing hashtag comment shouldn't report it as failed
+            logger.warn('Instagram first comment failed:', this.graphError(error));
+          }
+        }
+      }
+
+      logger.info('Instagram post published successfully', { postId: published.id, hashtagStrategy });
+
+      return {
+        success: true,
+        postId: published.id,
+        postUrl: media.permalink || null,
+        containerId: container.id,
+        firstCommentId,
+        hashtagStrategy,
+        publishedAt: new Date().toISOString(),
+        platform: 'instagram'
+      };
+    } catch (error) {
+      logger.error('Instagram post publication failed:', this.graphError(error));
+
+      return {
+        success: false,
+        error: 'Post publication failed',
+        details: this.graphError(error),
+        platform: 'instagram'
+      };
+    }
+  }
+}
+
+module.exports = InstagramPublisher;
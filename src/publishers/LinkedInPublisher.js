@@ -1,13 +1,55 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const BasePublisher = require('./BasePublisher');
+const { loadMedia } = require('../utils/mediaSource');
+
+// Organization roles allowed to post as the page
+const POSTING_ROLES = ['ADMINISTRATOR', 'CONTENT_ADMINISTRATOR'];
+// How long a member's administered organizations are trusted before re-checking
+const ORGANIZATION_CACHE_TTL = 60 * 60 * 1000;
+// Images per post: the Posts API takes up to 20, ugcPosts up to 9
+const MAX_IMAGES = { posts: 20, ugc: 9 };
+// Characters with a meaning in the Posts API "little text" commentary format
+const LITTLE_TEXT_RESERVED = /[\\|{}@[\]()<>#*_~]/g;
+
+class LinkedInPublisher extends BasePublisher {
+  static get platform() {
+    return 'linkedin';
+  }
+
+  static get displayName() {
+    return 'LinkedIn';
+  }
+
+  static get capabilities() {
+    return {
+      ...super.capabilities,
+      maxLength: 3000,
+      mediaTypes: ['article', 'image', 'document'],
+      maxMedia: process.env.LINKEDIN_POSTS_API === 'true' ? MAX_IMAGES.posts : MAX_IMAGES.ugc,
+      deletable: true,
+      editable: true
+    };
+  }
 
-class LinkedInPublisher {
   constructor(config = {}) {
-    this.clientId = config.clientId || process.env.LINKEDIN_CLIENT_ID;
-    this.clientSecret = config.clientSecret || process.env.LINKEDIN_CLIENT_SECRET;
-    this.redirectUri = config.redirectUri || process.env.LINKEDIN_REDIRECT_URI;
+    super(config);
+    this.defineCredential('clientId', 'LINKEDIN_CLIENT_ID', config.clientId, { shared: true });
+    this.defineCredential('clientSecret', 'LINKEDIN_CLIENT_SECRET', config.clientSecret, { shared: true });
+    this.redirectUri = config.redirectUri || process.env.LINKEDIN_REDIRECT_URI ||
+      'http://localhost:3000/api/auth/linkedin/callback';
+    this.scope = config.scope || process.env.LINKEDIN_SCOPES || 'openid profile email w_member_social';
+    // Posts go out as this organization unless a request picks another author
+    this.defineCredential('organizationId', 'LINKEDIN_ORGANIZATION_ID', config.organizationId);
+    this.organizationCache = new Map();
     this.apiVersion = 'v2';
     this.baseUrl = 'https://api.linkedin.com';
+
+    // Versioned Posts API (/rest/posts); off falls back to the legacy /v2/ugcPosts endpoint
+    this.usePostsApi = config.postsApi !== undefined
+      ? Boolean(config.postsApi)
+      : process.env.LINKEDIN_POSTS_API === 'true';
+    this.linkedInVersion = config.linkedInVersion || process.env.LINKEDIN_API_VERSION || '202509';
     
     // Rate limiting - LinkedIn allows 100 API calls per day for basic access
     this.rateLimiter = {
@@ -17,6 +59,14 @@ class LinkedInPublisher {
     };
   }
 
+  // The image limit depends on the API this instance posts through
+  getCapabilities() {
+    return {
+      ...super.getCapabilities(),
+      maxMedia: this.usePostsApi ? MAX_IMAGES.posts : MAX_IMAGES.ugc
+    };
+  }
+
   async authenticate(authCode) {
     try {
       const tokenResponse = await axios.post('https://www.linkedin.com/oauth/v2/accessToken', {
@@ -31,16 +81,9 @@ class LinkedInPublisher {
         }
       });
 
-      const { access_token, expires_in } = tokenResponse.data;
-      
       logger.info('LinkedIn authentication successful');
       
-      return {
-        success: true,
-        accessToken: access_token,
-        expiresIn: expires_in,
-        expiresAt: new Date(Date.now() + expires_in * 1000).toISOString()
-      };
+      return this.parseTokenResponse(tokenResponse.data);
     } catch (error) {
       logger.error('LinkedIn authentication failed:', error.response?.data || error.message);
       
@@ -52,6 +95,50 @@ class LinkedInPublisher {
     }
   }
 
+  // Refresh tokens are only issued to apps approved for programmatic refresh
+  parseTokenResponse(data) {
+    const { access_token, expires_in, refresh_token, refresh_token_expires_in, scope } = data;
+
+    return {
+      success: true,
+      accessToken: access_token,
+      refreshToken: refresh_token,
+      scope: scope,
+      expiresIn: expires_in,
+      expiresAt: new Date(Date.now() + expires_in * 1000).toISOString(),
+      refreshTokenExpiresAt: refresh_token_expires_in
+        ? new Date(Date.now() + refresh_token_expires_in * 1000).toISOString()
+        : undefined
+    };
+  }
+
+  async refreshAccessToken(refreshToken) {
+    try {
+      const tokenResponse = await axios.post('https://www.linkedin.com/oauth/v2/accessToken', {
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+        client_id: this.clientId,
+        client_secret: this.clientSecret
+      }, {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      });
+
+      logger.info('LinkedIn access token refreshed');
+
+      return this.parseTokenResponse(tokenResponse.data);
+    } catch (error) {
+      logger.error('LinkedIn token refresh failed:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: 'Token refresh failed',
+        details: error.response?.data?.error_description || error.message
+      };
+    }
+  }
+
   async getUserProfile(accessToken) {
     try {
       await this.checkRateLimit();
@@ -112,24 +199,125 @@ class LinkedInPublisher {
     }
   }
 
-  formatContent(content, options = {}) {
-    let formattedContent = content;
-    
-    // Add hashtags if provided
-    if (options.hashtags && Array.isArray(options.hashtags)) {
-      const hashtagString = options.hashtags.map(tag => 
-        tag.startsWith('#') ? tag : `#${tag}`
-      ).join(' ');
-      formattedContent += `\n\n${hashtagString}`;
+  getDefaultAccessToken() {
+    return this.credential('LINKEDIN_ACCESS_TOKEN');
+  }
+
+  // Organizations the member can post for; needs the r_organization_admin
+  // (or rw_organization_admin) scope
+  async listOrganizations(accessToken) {
+    try {
+      await this.checkRateLimit();
+
+      const response = await axios.get(`${this.baseUrl}/v2/organizationAcls`, {
+        params: {
+          q: 'roleAssignee',
+          state: 'APPROVED',
+          projection: '(elements*(organization~(id,localizedName,vanityName),role,state))'
+        },
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'X-Restli-Protocol-Version': '2.0.0'
+        }
+      });
+
+      const organizations = (response.data.elements || [])
+        .filter(element => POSTING_ROLES.includes(element.role))
+        .map(element => {
+          const organization = element['organization~'] || {};
+          return {
+            id: String(element.organization).split(':').pop(),
+            urn: element.organization,
+            name: organization.localizedName || null,
+            vanityName: organization.vanityName || null,
+            role: element.role
+          };
+        });
+
+      this.organizationCache.set(accessToken, { organizations, fetchedAt: Date.now() });
+
+      return {
+        success: true,
+        organizations
+      };
+    } catch (error) {
+      logger.error('Failed to list LinkedIn organizations:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: 'Failed to list organizations',
+        details: error.response?.data || error.message
+      };
     }
-    
-    // Add mentions if provided
-    if (options.mentions && Array.isArray(options.mentions)) {
-      const mentionString = options.mentions.map(mention => 
-        mention.startsWith('@') ? mention : `@${mention}`
-      ).join(' ');
-      formattedContent += `\n\n${mentionString}`;
+  }
+
+  async getAdministeredOrganizations(accessToken) {
+    const cached = this.organizationCache.get(accessToken);
+    if (cached && Date.now() - cached.fetchedAt < ORGANIZATION_CACHE_TTL) {
+      return { success: true, organizations: cached.organizations };
+    }
+    return this.listOrganizations(accessToken);
+  }
+
+  // options.author: 'person', 'organization', or a urn:li:person / urn:li:organization URN;
+  // options.organizationId also selects the organization. Without either, posts go out
+  // as the configured organization, else as the member.
+  async resolveAuthor(accessToken, options = {}) {
+    const author = options.author || (options.organizationId ? 'organization' : null) ||
+      (this.organizationId ? 'organization' : 'person');
+
+    if (typeof author === 'string' && author.startsWith('urn:li:person:')) {
+      return { success: true, urn: author };
+    }
+
+    if (author === 'person') {
+      const profileResult = await this.getUserProfile(accessToken);
+      if (!profileResult.success) {
+        return {
+          success: false,
+          error: 'Cannot get user profile for posting',
+          details: 'LinkedIn requires the actual member ID for posting. Profile access failed.'
+        };
+      }
+
+      // OpenID Connect userinfo has the member ID in 'sub', the legacy API in 'id'
+      const memberId = profileResult.method === 'openid_connect'
+        ? profileResult.profile.sub
+        : profileResult.profile.id;
+
+      return { success: true, urn: `urn:li:person:${memberId}` };
+    }
+
+    const organizationId = author.startsWith('urn:li:organization:')
+      ? author.split(':').pop()
+      : author === 'organization' ? options.organizationId || this.organizationId : null;
+
+    if (!organizationId) {
+      return {
+        success: false,
+        error: author === 'organization' ? 'No organization configured' : `Unsupported author ${author}`,
+        details: 'Pass options.organizationId or an urn:li:organization URN as options.author, or set LINKEDIN_ORGANIZATION_ID'
+      };
     }
+
+    // Without the admin scope we can't check and leave it to LinkedIn to refuse
+    const administered = await this.getAdministeredOrganizations(accessToken);
+    if (!administered.success) {
+      logger.warn('Could not verify LinkedIn organization roles; posting anyway');
+    } else if (!administered.organizations.some(organization => organization.id === String(organizationId))) {
+      return {
+        success: false,
+        error: 'Not an administrator of this organization',
+        details: `The connected member cannot post for organization ${organizationId}. ` +
+          `Administered: ${administered.organizations.map(organization => organization.id).join(', ') || 'none'}`
+      };
+    }
+
+    return { success: true, urn: `urn:li:organization:${organizationId}` };
+  }
+
+  formatContent(content, options = {}) {
+    let formattedContent = this.appendTagsAndMentions(content, options);
     
     // Add GitHub repo link if not already present
     const repoUrl = 'https://github.com/phiphi325/social-media-post';
@@ -150,109 +338,77 @@ class LinkedInPublisher {
     try {
       await this.checkRateLimit();
       
-      // Handle both calling patterns:
-      // 1. publish(accessToken, content, options) - direct API usage
-      // 2. publish(adaptedContent) - called from SocialMediaController
-      let accessToken, actualContent, actualOptions;
+      const {
+        accessToken: explicitToken,
+        content: actualContent,
+        adaptedContent,
+        options: actualOptions
+      } = this.normalizePublishArgs(accessTokenOrAdaptedContent, content, options);
       
-      if (typeof accessTokenOrAdaptedContent === 'object' && accessTokenOrAdaptedContent.text) {
-        // Called from SocialMediaController with adapted content object
-        const adaptedContent = accessTokenOrAdaptedContent;
-        accessToken = process.env.LINKEDIN_ACCESS_TOKEN;
-        actualContent = adaptedContent.text;
-        actualOptions = {
-          hashtags: adaptedContent.hashtags,
-          mediaUrl: adaptedContent.mediaUrl,
-          mediaTitle: adaptedContent.title,
-          mediaDescription: adaptedContent.description,
-          ...options
-        };
-      } else {
-        // Direct API usage
-        accessToken = accessTokenOrAdaptedContent;
-        actualContent = content;
-        actualOptions = options;
-      }
+      // A connected account (/api/auth/linkedin/start) takes precedence over the env token
+      const accessToken = adaptedContent
+        ? (await this.getValidAccessToken()) || explicitToken
+        : explicitToken;
       
       if (!accessToken) {
         return {
           success: false,
           error: 'No access token provided',
-          details: 'Either pass accessToken as parameter or set LINKEDIN_ACCESS_TOKEN environment variable',
+          details: 'Connect an account via /api/auth/linkedin/start, pass accessToken as parameter or set LINKEDIN_ACCESS_TOKEN environment variable',
           platform: 'linkedin'
         };
       }
       
       const formattedContent = this.formatContent(actualContent, actualOptions);
       
-      // Get the actual member ID since symbolic URNs don't work
-      const profileResult = await this.getUserProfile(accessToken);
-      if (!profileResult.success) {
+      // Symbolic URNs don't work, so the author is resolved to an actual member or organization ID
+      const author = await this.resolveAuthor(accessToken, actualOptions);
+      if (!author.success) {
         return {
           success: false,
-          error: 'Cannot get user profile for posting',
-          details: 'LinkedIn requires the actual member ID for posting. Profile access failed.',
+          error: author.error,
+          details: author.details,
           platform: 'linkedin'
         };
       }
       
-      // Extract member ID from profile response
-      let memberId;
-      if (profileResult.method === 'openid_connect') {
-        // OpenID Connect userinfo response has 'sub' field with member ID
-        memberId = profileResult.profile.sub;
-      } else {
-        // Legacy API response has 'id' field
-        memberId = profileResult.profile.id;
+      const media = this.collectMedia(actualOptions);
+      if (media.error) {
+        return {
+          success: false,
+          error: 'Invalid media',
+          details: media.error,
+          platform: 'linkedin'
+        };
       }
-      
-      const personUrn = `urn:li:person:${memberId}`;
-      
-      const postData = {
-        author: personUrn,
-        lifecycleState: 'PUBLISHED',
-        specificContent: {
-          'com.linkedin.ugc.ShareContent': {
-            shareCommentary: {
-              text: formattedContent
-            },
-            shareMediaCategory: 'NONE'
-          }
-        },
-        visibility: {
-          'com.linkedin.ugc.MemberNetworkVisibility': 'PUBLIC'
-        }
-      };
 
-      // Add media if provided
-      if (actualOptions.mediaUrl) {
-        postData.specificContent['com.linkedin.ugc.ShareContent'].shareMediaCategory = 'ARTICLE';
-        postData.specificContent['com.linkedin.ugc.ShareContent'].media = [{
-          status: 'READY',
-          description: {
-            text: actualOptions.mediaDescription || ''
-          },
-          media: actualOptions.mediaUrl,
-          title: {
-            text: actualOptions.mediaTitle || ''
-          }
-        }];
+      // Document posts only exist in the Posts API
+      const usePostsApi = this.usePostsApi || Boolean(media.document);
+
+      let attachments;
+      try {
+        attachments = await this.uploadAttachments(accessToken, author.urn, media, usePostsApi);
+      } catch (error) {
+        logger.error('LinkedIn media upload failed:', error.response?.data || error.message);
+        return {
+          success: false,
+          error: 'Media upload failed',
+          details: error.response?.data || error.message,
+          platform: 'linkedin'
+        };
       }
 
-      const response = await axios.post(`${this.baseUrl}/${this.apiVersion}/ugcPosts`, postData, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-          'X-Restli-Protocol-Version': '2.0.0'
-        }
-      });
+      const created = usePostsApi
+        ? await this.createPost(accessToken, author.urn, formattedContent, actualOptions, attachments)
+        : await this.createUgcPost(accessToken, author.urn, formattedContent, actualOptions, attachments);
 
-      logger.info('LinkedIn post published successfully', { postId: response.data.id });
+      logger.info('LinkedIn post published successfully', { postId: created.id, author: author.urn });
       
       return {
         success: true,
-        postId: response.data.id,
-        postUrl: `https://www.linkedin.com/feed/update/${response.data.id}`,
+        postId: created.id,
+        postUrl: `https://www.linkedin.com/feed/update/${created.id}`,
+        author: author.urn,
         publishedAt: new Date().toISOString(),
         platform: 'linkedin'
       };
@@ -268,27 +424,327 @@ class LinkedInPublisher {
     }
   }
 
-  async checkRateLimit() {
-    const now = Date.now();
-    
-    // Remove requests older than the time window
-    this.rateLimiter.requests = this.rateLimiter.requests.filter(
-      timestamp => now - timestamp < this.rateLimiter.timeWindow
-    );
-    
-    // Check if we're at the rate limit
-    if (this.rateLimiter.requests.length >= this.rateLimiter.maxRequests) {
-      const oldestRequest = Math.min(...this.rateLimiter.requests);
-      const resetTime = oldestRequest + this.rateLimiter.timeWindow;
-      const waitTime = resetTime - now;
-      
-      logger.warn(`LinkedIn rate limit reached. Next request available in ${Math.ceil(waitTime / 1000)} seconds`);
-      
-      throw new Error(`Rate limit exceeded. Try again in ${Math.ceil(waitTime / 60000)} minutes`);
+  // Images come from options.media ([{ url | path, altText }]) and options.imageUrl
+  // (+ options.altText); a PDF document (carousel) from options.documentUrl or
+  // options.documentPath (+ options.documentTitle) or a media item with type 'document'.
+  // options.mediaUrl stays an article link.
+  collectMedia(options = {}) {
+    const items = (Array.isArray(options.media) ? options.media : [])
+      .map(item => (typeof item === 'string' ? { url: item } : item))
+      .filter(item => item && (item.url || item.path));
+
+    if (options.imageUrl) {
+      items.unshift({ url: options.imageUrl, altText: options.altText });
+    }
+    if (options.documentUrl || options.documentPath) {
+      items.push({
+        type: 'document',
+        url: options.documentUrl,
+        path: options.documentPath,
+        title: options.documentTitle
+      });
+    }
+
+    const documents = items.filter(item => item.type === 'document');
+    const images = items.filter(item => item.type !== 'document');
+
+    if (documents.length > 1 || (documents.length && images.length)) {
+      return { error: 'A LinkedIn post can have several images or one document, not both' };
+    }
+
+    const maxImages = this.usePostsApi ? MAX_IMAGES.posts : MAX_IMAGES.ugc;
+    if (images.length > maxImages) {
+      return { error: `A LinkedIn post can have at most ${maxImages} images` };
+    }
+
+    return { images, document: documents[0] || null };
+  }
+
+  async uploadAttachments(accessToken, ownerUrn, media, usePostsApi) {
+    const images = [];
+    for (const image of media.images) {
+      const id = usePostsApi
+        ? await this.uploadToPostsApi(accessToken, ownerUrn, 'images', image)
+        : await this.uploadAsset(accessToken, ownerUrn, image);
+      images.push({ id, altText: image.altText || image.description || '', title: image.title || '' });
+    }
+
+    let document = null;
+    if (media.document) {
+      const id = await this.uploadToPostsApi(accessToken, ownerUrn, 'documents', media.document);
+      document = {
+        id,
+        title: media.document.title || (media.document.path || media.document.url || '').split('/').pop() || 'Document'
+      };
+    }
+
+    return { images, document };
+  }
+
+  async putUpload(uploadUrl, accessToken, file) {
+    await axios.put(uploadUrl, file.data, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': file.contentType
+      },
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity
+    });
+  }
+
+  // Legacy Assets API: register the upload, PUT the bytes, reference the asset URN
+  async uploadAsset(accessToken, ownerUrn, source) {
+    await this.checkRateLimit();
+    const file = await loadMedia(source);
+
+    const registration = await axios.post(`${this.baseUrl}/v2/assets?action=registerUpload`, {
+      registerUploadRequest: {
+        recipes: ['urn:li:digitalmediaRecipe:feedshare-image'],
+        owner: ownerUrn,
+        serviceRelationships: [{
+          relationshipType: 'OWNER',
+          identifier: 'urn:li:userGeneratedContent'
+        }]
+      }
+    }, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+        'X-Restli-Protocol-Version': '2.0.0'
+      }
+    });
+
+    const { value } = registration.data;
+    const uploadUrl = value.uploadMechanism['com.linkedin.digitalmedia.uploading.MediaUploadHttpRequest'].uploadUrl;
+    await this.putUpload(uploadUrl, accessToken, file);
+
+    return value.asset;
+  }
+
+  // Posts API: /rest/images or /rest/documents initializeUpload, then PUT the bytes
+  async uploadToPostsApi(accessToken, ownerUrn, kind, source) {
+    await this.checkRateLimit();
+    const file = await loadMedia(source);
+
+    if (kind === 'documents' && file.contentType !== 'application/pdf') {
+      throw new Error(`Documents must be PDFs, got ${file.contentType}`);
+    }
+
+    const response = await axios.post(`${this.baseUrl}/rest/${kind}?action=initializeUpload`, {
+      initializeUploadRequest: { owner: ownerUrn }
+    }, {
+      headers: this.getRestHeaders(accessToken)
+    });
+
+    const { value } = response.data;
+    await this.putUpload(value.uploadUrl, accessToken, file);
+
+    return kind === 'documents' ? value.document : value.image;
+  }
+
+  // Legacy UGC Posts API
+  async createUgcPost(accessToken, authorUrn, text, options = {}, attachments = {}) {
+    const postData = {
+      author: authorUrn,
+      lifecycleState: 'PUBLISHED',
+      specificContent: {
+        'com.linkedin.ugc.ShareContent': {
+          shareCommentary: {
+            text: text
+          },
+          shareMediaCategory: 'NONE'
+        }
+      },
+      visibility: {
+        'com.linkedin.ugc.MemberNetworkVisibility': 'PUBLIC'
+      }
+    };
+
+    // ugcPosts has no alt text field, so it goes into the media description
+    if (attachments.images?.length) {
+      postData.specificContent['com.linkedin.ugc.ShareContent'].shareMediaCategory = 'IMAGE';
+      postData.specificContent['com.linkedin.ugc.ShareContent'].media = attachments.images.map(image => ({
+        status: 'READY',
+        media: image.id,
+        description: {
+          text: image.altText
+        },
+        title: {
+          text: image.title
+        }
+      }));
+    } else if (options.mediaUrl) {
+      postData.specificContent['com.linkedin.ugc.ShareContent'].shareMediaCategory = 'ARTICLE';
+      postData.specificContent['com.linkedin.ugc.ShareContent'].media = [{
+        status: 'READY',
+        description: {
+          text: options.mediaDescription || ''
+        },
+        media: options.mediaUrl,
+        title: {
+          text: options.mediaTitle || ''
+        }
+      }];
+    }
+
+    const response = await axios.post(`${this.baseUrl}/${this.apiVersion}/ugcPosts`, postData, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+        'X-Restli-Protocol-Version': '2.0.0'
+      }
+    });
+
+    return { id: response.data.id };
+  }
+
+  getRestHeaders(accessToken) {
+    return {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      'LinkedIn-Version': this.linkedInVersion,
+      'X-Restli-Protocol-Version': '2.0.0'
+    };
+  }
+
+  // Posts API commentary is "little text": reserved characters are escaped and
+  // hashtags use the {hashtag|\#|tag} template so they stay clickable
+  toCommentary(text) {
+    const escape = part => part.replace(LITTLE_TEXT_RESERVED, '\\$&');
+
+    return text
+      .split(/(#[\p{L}\p{N}_]+)/u)
+      .map((part, index) => (index % 2 ? `{hashtag|\\#|${escape(part.substring(1))}}` : escape(part)))
+      .join('');
+  }
+
+  // Versioned Posts API
+  async createPost(accessToken, authorUrn, text, options = {}, attachments = {}) {
+    const postData = {
+      author: authorUrn,
+      commentary: this.toCommentary(text),
+      visibility: 'PUBLIC',
+      distribution: {
+        feedDistribution: 'MAIN_FEED',
+        targetEntities: [],
+        thirdPartyDistributionChannels: []
+      },
+      lifecycleState: 'PUBLISHED',
+      isReshareDisabledByAuthor: false
+    };
+
+    const images = attachments.images || [];
+    if (images.length > 1) {
+      postData.content = {
+        multiImage: {
+          images: images.map(image => ({ id: image.id, altText: image.altText }))
+        }
+      };
+    } else if (images.length === 1) {
+      postData.content = {
+        media: { id: images[0].id, altText: images[0].altText }
+      };
+    } else if (attachments.document) {
+      postData.content = {
+        media: { id: attachments.document.id, title: attachments.document.title }
+      };
+    } else if (options.mediaUrl) {
+      postData.content = {
+        article: {
+          source: options.mediaUrl,
+          title: options.mediaTitle || options.mediaUrl,
+          description: options.mediaDescription || undefined
+        }
+      };
+    }
+
+    const response = await axios.post(`${this.baseUrl}/rest/posts`, postData, {
+      headers: this.getRestHeaders(accessToken)
+    });
+
+    // The Posts API answers 201 with the new URN in a header and no body
+    return { id: response.headers?.['x-restli-id'] || response.data?.id };
+  }
+
+  // Goes through the Posts API like editPost(): it accepts ugcPost URNs too, so
+  // posts made through either API can be deleted whatever LINKEDIN_POSTS_API says
+  async deletePost(postIds = []) {
+    try {
+      await this.checkRateLimit();
+
+      const accessToken = (await this.getValidAccessToken()) || this.getDefaultAccessToken();
+      if (!accessToken) {
+        return this.failure('No access token provided', 'Connect an account via /api/auth/linkedin/start or set LINKEDIN_ACCESS_TOKEN');
+      }
+
+      const deleted = [];
+      const failed = [];
+      for (const urn of postIds) {
+        try {
+          await axios.delete(`${this.baseUrl}/rest/posts/${encodeURIComponent(urn)}`, {
+            headers: this.getRestHeaders(accessToken)
+          });
+          deleted.push(urn);
+        } catch (error) {
+          // Already gone counts as deleted
+          if (error.response?.status === 404) {
+            deleted.push(urn);
+          } else {
+            failed.push({ id: urn, error: error.response?.data?.message || error.message });
+          }
+        }
+      }
+
+      logger.info('LinkedIn post deleted', { deleted, failed: failed.length });
+
+      return {
+        success: failed.length === 0,
+        deleted,
+        failed,
+        platform: 'linkedin',
+        ...(failed.length > 0 && { error: 'Post deletion failed' })
+      };
+    } catch (error) {
+      logger.error('LinkedIn post deletion failed:', error.response?.data || error.message);
+      return this.failure('Post deletion failed', error.response?.data || error.message);
+    }
+  }
+
+  // Only the Posts API can update a post; it also accepts posts created through
+  // ugcPosts. The commentary is replaced, media and article links stay as they are.
+  async editPost(postIds = [], content, options = {}) {
+    try {
+      await this.checkRateLimit();
+
+      const accessToken = (await this.getValidAccessToken()) || this.getDefaultAccessToken();
+      if (!accessToken) {
+        return this.failure('No access token provided', 'Connect an account via /api/auth/linkedin/start or set LINKEDIN_ACCESS_TOKEN');
+      }
+
+      const commentary = this.toCommentary(this.formatContent(content, options));
+      for (const urn of postIds) {
+        await axios.post(`${this.baseUrl}/rest/posts/${encodeURIComponent(urn)}`, {
+          patch: { $set: { commentary } }
+        }, {
+          headers: {
+            ...this.getRestHeaders(accessToken),
+            'X-RestLi-Method': 'PARTIAL_UPDATE'
+          }
+        });
+      }
+
+      logger.info('LinkedIn post edited', { postIds });
+
+      return {
+        success: true,
+        postIds,
+        postUrl: `https://www.linkedin.com/feed/update/${postIds[0]}`,
+        platform: 'linkedin'
+      };
+    } catch (error) {
+      logger.error('LinkedIn post edit failed:', error.response?.data || error.message);
+      return this.failure('Post edit failed', error.response?.data || error.message);
     }
-    
-    // Add current request to the tracker
-    this.rateLimiter.requests.push(now);
   }
 
   getAuthUrl(state = '') {
@@ -297,7 +753,7 @@ class LinkedInPublisher {
       client_id: this.clientId,
       redirect_uri: this.redirectUri,
       state: state,
-      scope: 'openid profile email w_member_social'
+      scope: this.scope
     });
     
     return `https://www.linkedin.com/oauth/v2/authorization?${params.toString()}`;
@@ -305,7 +761,11 @@ class LinkedInPublisher {
 
   async validateToken(accessToken) {
     try {
-      const response = await axios.get(`${this.baseUrl}/${this.apiVersion}/me`, {
+      // /v2/me needs the retired r_liteprofile scope; userinfo works with the OpenID scopes
+      const url = this.usePostsApi
+        ? `${this.baseUrl}/${this.apiVersion}/userinfo`
+        : `${this.baseUrl}/${this.apiVersion}/me`;
+      const response = await axios.get(url, {
         headers: {
           'Authorization': `Bearer ${accessToken}`,
           'X-Restli-Protocol-Version': '2.0.0'
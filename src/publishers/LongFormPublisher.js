@@ -0,0 +1,70 @@
+const BasePublisher = require('./BasePublisher');
+const { parseFrontMatter, toList } = require('../utils/frontMatter');
+
+// Shared metadata handling for long-form article platforms (Medium, dev.to, Hashnode).
+// Metadata comes from, in increasing priority: the adaptation, front matter
+// in the body, and explicit publish options.
+class LongFormPublisher extends BasePublisher {
+  static get capabilities() {
+    return {
+      ...super.capabilities,
+      maxLength: 100000,
+      mediaTypes: ['image'],
+      maxMedia: 1,
+      supportsTitle: true,
+      supportsCanonicalUrl: true,
+      longForm: true,
+      contentFormats: ['markdown']
+    };
+  }
+
+  resolveArticle(content, options = {}, adaptedContent = null) {
+    const { attributes, body } = parseFrontMatter(content);
+    const pick = (...keys) => {
+      for (const key of keys) {
+        if (options[key] !== undefined && options[key] !== null) return options[key];
+      }
+      for (const key of keys) {
+        if (attributes[key] !== undefined) return attributes[key];
+      }
+      return undefined;
+    };
+
+    // `draft: true` and `published: false` both mean draft
+    let published = pick('published');
+    if (published === undefined && pick('draft') !== undefined) {
+      published = !pick('draft');
+    }
+    if (published === undefined) {
+      published = this.defaultPublished;
+    }
+
+    const tags = toList(pick('tags') || options.hashtags || adaptedContent?.hashtags)
+      .map(tag => String(tag).replace(/^#/, ''));
+
+    const article = {
+      title: pick('title') || adaptedContent?.title || options.mediaTitle,
+      description: pick('description', 'subtitle') || options.mediaDescription,
+      tags,
+      series: pick('series'),
+      coverImage: pick('coverImage', 'cover_image', 'main_image') || options.mediaUrl,
+      canonicalUrl: pick('canonicalUrl', 'canonical_url') || adaptedContent?.canonicalUrl,
+      // null when neither the post nor the publisher decides
+      published: published === undefined || published === null
+        ? null
+        : published === true || published === 'true'
+    };
+    article.body = this.formatBody(
+      body.trim(), options.callToAction || adaptedContent?.callToAction, article, options
+    );
+
+    return article;
+  }
+
+  // Markdown body with the call to action as its closing line
+  formatBody(body, callToAction) {
+    return callToAction && !body.includes(callToAction) ? `${body}\n\n*${callToAction}*` : body;
+  }
+}
+
+module.exports = LongFormPublisher;
@@ -0,0 +1,384 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const BasePublisher = require('./BasePublisher');
+const { splitIntoThreads } = require('../utils/threadSplitter');
+const { countGraphemes } = require('../utils/textLength');
+
+const VISIBILITIES = ['public', 'unlisted', 'private', 'direct'];
+// Mastodon counts every link as 23 characters, however long or short it is
+const URL_LENGTH = 23;
+const URL_PATTERN = /\bhttps?:\/\/[^\s]+/gi;
+const URL_TRAILING = /[.,:;!?'")\]]+$/;
+// Attempts per status when the request fails without a response
+const STATUS_ATTEMPTS = 3;
+
+class MastodonPublisher extends BasePublisher {
+  static get platform() {
+    return 'mastodon';
+  }
+
+  static get displayName() {
+    return 'Mastodon';
+  }
+
+  static get capabilities() {
+    return {
+      ...super.capabilities,
+      // Instances can raise the default 500 character limit
+      maxLength: parseInt(process.env.MASTODON_MAX_CHARACTERS, 10) || 500,
+      threading: true,
+      maxThreadLength: 25,
+      mediaTypes: ['image', 'gif', 'video', 'audio'],
+      maxMedia: 4,
+      maxHashtags: 5,
+      supportsContentWarning: true,
+      visibilities: VISIBILITIES
+    };
+  }
+
+  constructor(config = {}) {
+    super(config);
+    this.instanceUrl = (config.instanceUrl || process.env.MASTODON_INSTANCE_URL || 'https://mastodon.social')
+      .replace(/\/+$/, '');
+    this.defineCredential('accessToken', 'MASTODON_ACCESS_TOKEN', config.accessToken);
+    this.defaultVisibility = config.visibility || process.env.MASTODON_DEFAULT_VISIBILITY || 'public';
+
+    this.maxStatusLength = config.maxCharacters ||
+      parseInt(process.env.MASTODON_MAX_CHARACTERS, 10) || 500;
+    this.maxThreadStatuses = 25;
+    this.maxMediaAttachments = 4;
+    this.instanceLimits = null;
+
+    // Rate limiting - Mastodon defaults: 300 requests per 5 minutes,
+    // 30 media uploads per 30 minutes
+    this.rateLimiter = {
+      statuses: {
+        requests: [],
+        maxRequests: 300,
+        timeWindow: 5 * 60 * 1000
+      },
+      media: {
+        requests: [],
+        maxRequests: 30,
+        timeWindow: 30 * 60 * 1000
+      }
+    };
+  }
+
+  getCapabilities() {
+    return {
+      ...super.getCapabilities(),
+      maxLength: this.maxStatusLength
+    };
+  }
+
+  getHeaders(accessToken, extra = {}) {
+    return {
+      'Authorization': `Bearer ${accessToken}`,
+      ...extra
+    };
+  }
+
+  // Pick up the instance's configured character limit
+  async fetchInstanceLimits() {
+    try {
+      const response = await axios.get(`${this.instanceUrl}/api/v2/instance`);
+      const maxCharacters = response.data?.configuration?.statuses?.max_characters;
+      const maxMedia = response.data?.configuration?.statuses?.max_media_attachments;
+
+      if (maxCharacters) this.maxStatusLength = maxCharacters;
+      if (maxMedia) this.maxMediaAttachments = maxMedia;
+
+      return {
+        success: true,
+        maxCharacters: this.maxStatusLength,
+        maxMediaAttachments: this.maxMediaAttachments
+      };
+    } catch (error) {
+      logger.warn('Failed to fetch Mastodon instance limits:', error.response?.data || error.message);
+      return {
+        success: false,
+        maxCharacters: this.maxStatusLength,
+        maxMediaAttachments: this.maxMediaAttachments
+      };
+    }
+  }
+
+  // Reads the instance's limits once, before the first publish. Until then, and
+  // while the instance can't be reached, MASTODON_MAX_CHARACTERS applies.
+  loadInstanceLimits() {
+    if (!this.instanceLimits) {
+      this.instanceLimits = this.fetchInstanceLimits().then(limits => {
+        if (!limits.success) this.instanceLimits = null;
+        return limits;
+      });
+    }
+    return this.instanceLimits;
+  }
+
+  async getUserProfile(accessToken) {
+    try {
+      const response = await axios.get(`${this.instanceUrl}/api/v1/accounts/verify_credentials`, {
+        headers: this.getHeaders(accessToken || this.accessToken)
+      });
+
+      return {
+        success: true,
+        profile: response.data,
+        method: 'mastodon_api_v1'
+      };
+    } catch (error) {
+      logger.error('Failed to get Mastodon user profile:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: 'Failed to retrieve user profile',
+        details: error.response?.data || error.message
+      };
+    }
+  }
+
+  formatContent(content, options = {}) {
+    return this.appendTagsAndMentions(content, options);
+  }
+
+  // Status length as Mastodon counts it: graphemes, with links as 23
+  statusLength(text) {
+    return countGraphemes((text || '').replace(URL_PATTERN, url => {
+      const trailing = (url.match(URL_TRAILING) || [''])[0];
+      return 'x'.repeat(URL_LENGTH) + trailing;
+    }));
+  }
+
+  splitIntoThreads(content) {
+    return splitIntoThreads(content, {
+      maxLength: this.maxStatusLength,
+      maxParts: this.maxThreadStatuses,
+      measure: text => this.statusLength(text)
+    });
+  }
+
+  // Collect media from options.media ([{ url, altText }]) and the adapted mediaUrl
+  collectMedia(options = {}) {
+    const media = Array.isArray(options.media) ? [...options.media] : [];
+
+    if (options.mediaUrl) {
+      media.unshift({ url: options.mediaUrl, altText: options.mediaDescription });
+    }
+
+    return media
+      .map(item => typeof item === 'string' ? { url: item } : item)
+      .filter(item => item && item.url)
+      .slice(0, this.maxMediaAttachments);
+  }
+
+  async uploadMedia(mediaUrl, altText, accessToken) {
+    try {
+      await this.checkRateLimit('media');
+
+      // Download media first
+      const mediaResponse = await axios.get(mediaUrl, { responseType: 'arraybuffer' });
+      const contentType = mediaResponse.headers['content-type'] || 'application/octet-stream';
+
+      const formData = new FormData();
+      formData.append('file', new Blob([mediaResponse.data], { type: contentType }), 'media');
+      if (altText) {
+        formData.append('description', altText);
+      }
+
+      const uploadResponse = await axios.post(`${this.instanceUrl}/api/v2/media`, formData, {
+        headers: this.getHeaders(accessToken)
+      });
+
+      let attachment = uploadResponse.data;
+
+      // Large media is processed asynchronously (202 with a null url)
+      let attempts = 0;
+      while (!attachment.url && attempts < 10) {
+        await this.delay(1000);
+        const statusResponse = await axios.get(`${this.instanceUrl}/api/v1/media/${attachment.id}`, {
+          headers: this.getHeaders(accessToken)
+        });
+        attachment = statusResponse.data;
+        attempts++;
+      }
+
+      return {
+        success: true,
+        mediaId: attachment.id,
+        processed: Boolean(attachment.url)
+      };
+    } catch (error) {
+      logger.error('Mastodon media upload failed:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: 'Media upload failed',
+        details: error.response?.data || error.message
+      };
+    }
+  }
+
+  async publish(accessTokenOrAdaptedContent, content, options = {}) {
+    try {
+      await this.checkRateLimit('statuses');
+
+      const {
+        accessToken,
+        content: actualContent,
+        options: actualOptions
+      } = this.normalizePublishArgs(accessTokenOrAdaptedContent, content, options);
+
+      if (!accessToken) {
+        return {
+          success: false,
+          error: 'No access token provided',
+          details: 'Either pass accessToken as parameter or set MASTODON_ACCESS_TOKEN environment variable',
+          platform: 'mastodon'
+        };
+      }
+
+      const visibility = actualOptions.visibility || this.defaultVisibility;
+      if (!VISIBILITIES.includes(visibility)) {
+        return {
+          success: false,
+          error: 'Invalid visibility',
+          details: `Visibility must be one of: ${VISIBILITIES.join(', ')}`,
+          platform: 'mastodon'
+        };
+      }
+
+      // Replies to a public status default to unlisted so the thread doesn't flood timelines
+      const replyVisibility = actualOptions.replyVisibility ||
+        (visibility === 'public' ? 'unlisted' : visibility);
+      const spoilerText = actualOptions.contentWarning || actualOptions.spoilerText;
+
+      await this.loadInstanceLimits();
+
+      const formattedContent = this.formatContent(actualContent, actualOptions);
+      const statuses = this.splitIntoThreads(formattedContent);
+
+      // Handle media uploads if provided
+      const mediaIds = [];
+      for (const item of this.collectMedia(actualOptions)) {
+        const mediaResult = await this.uploadMedia(item.url, item.altText || item.description, accessToken);
+        if (mediaResult.success) {
+          mediaIds.push(mediaResult.mediaId);
+        } else {
+          logger.warn('Media upload failed, posting without media', { url: item.url });
+        }
+      }
+
+      const results = [];
+      let inReplyToId = actualOptions.inReplyToId || null;
+
+      // Post statuses in sequence, each replying to the previous one
+      for (let i = 0; i < statuses.length; i++) {
+        const statusData = {
+          status: statuses[i],
+          visibility: i === 0 ? visibility : replyVisibility
+        };
+
+        if (spoilerText) {
+          statusData.spoiler_text = spoilerText;
+          statusData.sensitive = true;
+        }
+
+        if (actualOptions.language) {
+          statusData.language = actualOptions.language;
+        }
+
+        // Add media to first status only
+        if (i === 0 && mediaIds.length > 0) {
+          statusData.media_ids = mediaIds;
+        }
+
+        if (inReplyToId) {
+          statusData.in_reply_to_id = inReplyToId;
+        }
+
+        const response = await this.postStatus(statusData, accessToken);
+
+        results.push({
+          success: true,
+          statusId: response.data.id,
+          statusUrl: response.data.url || `${this.instanceUrl}/statuses/${response.data.id}`,
+          text: statuses[i],
+          threadPosition: i + 1,
+          threadTotal: statuses.length
+        });
+        inReplyToId = response.data.id;
+
+        // Add delay between statuses in thread to avoid rate limiting
+        if (i < statuses.length - 1) {
+          await this.delay(1000);
+        }
+      }
+
+      logger.info('Mastodon thread published successfully', {
+        statuses: results.length,
+        firstStatusId: results[0].statusId
+      });
+
+      return {
+        success: true,
+        postId: results[0].statusId,
+        postUrl: results[0].statusUrl,
+        thread: results,
+        threadUrl: results[0].statusUrl,
+        publishedAt: new Date().toISOString(),
+        platform: 'mastodon',
+        stats: {
+          totalStatuses: results.length,
+          totalCharacters: formattedContent.length,
+          mediaAttached: mediaIds.length
+        }
+      };
+    } catch (error) {
+      logger.error('Mastodon post publication failed:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: 'Post publication failed',
+        details: error.response?.data || error.message,
+        platform: 'mastodon'
+      };
+    }
+  }
+
+  // A request that fails without a response may still have created the status.
+  // Retries send the same Idempotency-Key, so Mastodon returns that status
+  // instead of posting it twice.
+  async postStatus(statusData, accessToken) {
+    const idempotencyKey = crypto.randomBytes(32).toString('hex');
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await axios.post(`${this.instanceUrl}/api/v1/statuses`, statusData, {
+          headers: this.getHeaders(accessToken, {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': idempotencyKey
+          })
+        });
+      } catch (error) {
+        if (error.response || attempt >= STATUS_ATTEMPTS) throw error;
+
+        logger.warn(`Posting Mastodon status failed (${error.message}), retrying`);
+        await this.delay(1000 * attempt);
+      }
+    }
+  }
+
+  async validateToken(accessToken) {
+    const response = await this.getUserProfile(accessToken);
+    return {
+      success: response.success,
+      valid: response.success,
+      profile: response.profile,
+      error: response.error
+    };
+  }
+}
+
+module.exports = MastodonPublisher;
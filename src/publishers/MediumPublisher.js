@@ -0,0 +1,267 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const LongFormPublisher = require('./LongFormPublisher');
+
+const PUBLISH_STATUSES = ['public', 'draft', 'unlisted'];
+const CONTENT_FORMATS = ['markdown', 'html'];
+
+class MediumPublisher extends LongFormPublisher {
+  static get platform() {
+    return 'medium';
+  }
+
+  static get displayName() {
+    return 'Medium';
+  }
+
+  static get capabilities() {
+    return {
+      ...super.capabilities,
+      maxLength: 50000,
+      maxMedia: 10,
+      maxHashtags: 5,
+      contentFormats: CONTENT_FORMATS
+    };
+  }
+
+  constructor(config = {}) {
+    super(config);
+    this.defineCredential('accessToken', 'MEDIUM_INTEGRATION_TOKEN', config.accessToken);
+    this.publicationId = config.publicationId || process.env.MEDIUM_PUBLICATION_ID;
+    this.defaultPublishStatus = config.publishStatus || process.env.MEDIUM_PUBLISH_STATUS || 'draft';
+    this.baseUrl = 'https://api.medium.com/v1';
+    this.userId = null;
+
+    // Rate limiting - Medium doesn't publish limits; stay well under abuse thresholds
+    this.rateLimiter = {
+      requests: [],
+      maxRequests: 100,
+      timeWindow: 24 * 60 * 60 * 1000
+    };
+  }
+
+  getHeaders(accessToken) {
+    return {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      'Accept-Charset': 'utf-8'
+    };
+  }
+
+  async getUserProfile(accessToken) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/me`, {
+        headers: this.getHeaders(accessToken || this.accessToken)
+      });
+
+      return {
+        success: true,
+        profile: response.data.data,
+        method: 'medium_api_v1'
+      };
+    } catch (error) {
+      logger.error('Failed to get Medium user profile:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: 'Failed to retrieve user profile',
+        details: error.response?.data || error.message
+      };
+    }
+  }
+
+  async listPublications(accessToken) {
+    try {
+      const token = accessToken || this.accessToken;
+      const profile = await this.getUserProfile(token);
+      if (!profile.success) return profile;
+
+      const response = await axios.get(`${this.baseUrl}/users/${profile.profile.id}/publications`, {
+        headers: this.getHeaders(token)
+      });
+
+      return {
+        success: true,
+        publications: response.data.data
+      };
+    } catch (error) {
+      logger.error('Failed to list Medium publications:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: 'Failed to list publications',
+        details: error.response?.data || error.message
+      };
+    }
+  }
+
+  // Medium tags: at most 5, no '#', 25 characters each
+  formatTags(hashtags = []) {
+    return (hashtags || [])
+      .map(tag => tag.replace(/^#/, '').trim())
+      .filter(Boolean)
+      .map(tag => tag.substring(0, 25))
+      .slice(0, this.getCapabilities().maxHashtags);
+  }
+
+  escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Medium takes the title from the body, so it leads the story in either format
+  formatBody(body, callToAction, article, options = {}) {
+    return this.formatContent(body, {
+      contentFormat: options.contentFormat,
+      title: article.title,
+      callToAction: callToAction && !body.includes(callToAction) ? callToAction : null
+    });
+  }
+
+  // Tags go in the post metadata, so the body carries only title, text and call to action
+  formatContent(content, options = {}) {
+    const format = options.contentFormat || 'markdown';
+    const looksLikeHtml = /^\s*</.test(content);
+
+    if (format === 'html') {
+      const body = looksLikeHtml
+        ? content
+        : content.split(/\n{2,}/).map(paragraph => `<p>${this.escapeHtml(paragraph.trim())}</p>`).join('\n');
+      const title = options.title ? `<h1>${this.escapeHtml(options.title)}</h1>\n` : '';
+      const callToAction = options.callToAction ? `\n<p><em>${this.escapeHtml(options.callToAction)}</em></p>` : '';
+      return `${title}${body}${callToAction}`;
+    }
+
+    const title = options.title ? `# ${options.title}\n\n` : '';
+    const callToAction = options.callToAction ? `\n\n*${options.callToAction}*` : '';
+    return `${title}${content}${callToAction}`;
+  }
+
+  async publish(accessTokenOrAdaptedContent, content, options = {}) {
+    try {
+      await this.checkRateLimit();
+
+      const {
+        accessToken,
+        content: actualContent,
+        adaptedContent,
+        options: actualOptions
+      } = this.normalizePublishArgs(accessTokenOrAdaptedContent, content, options);
+
+      if (!accessToken) {
+        return {
+          success: false,
+          error: 'No access token provided',
+          details: 'Either pass accessToken as parameter or set MEDIUM_INTEGRATION_TOKEN environment variable',
+          platform: 'medium'
+        };
+      }
+
+      const article = this.resolveArticle(actualContent, actualOptions, adaptedContent);
+      if (!article.title) {
+        return {
+          success: false,
+          error: 'Title is required',
+          details: 'Medium stories need a title; provide one in the adaptation, front matter or options.title',
+          platform: 'medium'
+        };
+      }
+
+      const contentFormat = actualOptions.contentFormat || 'markdown';
+      // `published` / `draft` from the options or front matter pick public or draft
+      const publishStatus = actualOptions.publishStatus ||
+        (article.published === null ? this.defaultPublishStatus : (article.published ? 'public' : 'draft'));
+
+      if (!CONTENT_FORMATS.includes(contentFormat)) {
+        return this.failure('Invalid content format', `contentFormat must be one of: ${CONTENT_FORMATS.join(', ')}`);
+      }
+      if (!PUBLISH_STATUSES.includes(publishStatus)) {
+        return this.failure('Invalid publish status', `publishStatus must be one of: ${PUBLISH_STATUSES.join(', ')}`);
+      }
+
+      const postData = {
+        title: article.title.substring(0, 100),
+        contentFormat,
+        content: article.body,
+        tags: this.formatTags(article.tags),
+        publishStatus
+      };
+
+      const canonicalUrl = article.canonicalUrl;
+      if (canonicalUrl) {
+        postData.canonicalUrl = canonicalUrl;
+      }
+      if (actualOptions.license) {
+        postData.license = actualOptions.license;
+      }
+      if (actualOptions.notifyFollowers !== undefined) {
+        postData.notifyFollowers = actualOptions.notifyFollowers;
+      }
+
+      // Publication targets post under /publications, otherwise under the user
+      const publicationId = actualOptions.publicationId || this.publicationId;
+      let endpoint;
+      if (publicationId) {
+        endpoint = `${this.baseUrl}/publications/${publicationId}/posts`;
+      } else {
+        if (!this.userId || accessToken !== this.accessToken) {
+          const profileResult = await this.getUserProfile(accessToken);
+          if (!profileResult.success) {
+            return {
+              success: false,
+              error: 'Cannot get user profile for posting',
+              details: 'Medium requires the author ID for posting. Profile access failed.',
+              platform: 'medium'
+            };
+          }
+          this.userId = profileResult.profile.id;
+        }
+        endpoint = `${this.baseUrl}/users/${this.userId}/posts`;
+      }
+
+      const response = await axios.post(endpoint, postData, {
+        headers: this.getHeaders(accessToken)
+      });
+
+      const post = response.data.data;
+      logger.info('Medium story published successfully', { postId: post.id, publishStatus: post.publishStatus });
+
+      return {
+        success: true,
+        postId: post.id,
+        postUrl: post.url,
+        canonicalUrl: post.canonicalUrl || canonicalUrl || null,
+        publishStatus: post.publishStatus,
+        publicationId: post.publicationId || publicationId || null,
+        tags: post.tags,
+        publishedAt: post.publishedAt ? new Date(post.publishedAt).toISOString() : new Date().toISOString(),
+        platform: 'medium'
+      };
+    } catch (error) {
+      logger.error('Medium post publication failed:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: 'Post publication failed',
+        details: error.response?.data || error.message,
+        platform: 'medium'
+      };
+    }
+  }
+
+  async validateToken(accessToken) {
+    const response = await this.getUserProfile(accessToken);
+    return {
+      success: response.success,
+      valid: response.success,
+      profile: response.profile,
+      error: response.error
+    };
+  }
+}
+
+module.exports = MediumPublisher;
@@ -0,0 +1,167 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const BasePublisher = require('./BasePublisher');
+
+// Shared Graph API plumbing for Facebook Pages and Instagram Business accounts.
+// Both post with a Page access token, which is derived from a user token and
+// cached per page rather than treated as the user's own token.
+class MetaGraphPublisher extends BasePublisher {
+  constructor(config = {}) {
+    super(config);
+    this.defineCredential('appId', 'META_APP_ID', config.appId, { shared: true });
+    this.defineCredential('appSecret', 'META_APP_SECRET', config.appSecret, { shared: true });
+    this.defineCredential('userAccessToken', 'META_USER_ACCESS_TOKEN', config.userAccessToken);
+    this.pageId = config.pageId || process.env.FACEBOOK_PAGE_ID;
+    this.graphVersion = config.graphVersion || process.env.META_GRAPH_VERSION || 'v19.0';
+    this.baseUrl = `https://graph.facebook.com/${this.graphVersion}`;
+
+    // Token for the configured page; others are derived and cached in pageTokens
+    this.defineCredential('pageAccessToken', 'FACEBOOK_PAGE_ACCESS_TOKEN', config.pageAccessToken);
+    this.pageTokens = new Map();
+
+    // Rate limiting - Pages get roughly 200 calls per hour per user
+    this.rateLimiter = {
+      requests: [],
+      maxRequests: 200,
+      timeWindow: 60 * 60 * 1000
+    };
+  }
+
+  // The user token; page tokens are resolved per page in getPageAccessToken()
+  getDefaultAccessToken() {
+    return this.userAccessToken || null;
+  }
+
+  // Graph API errors come back as { error: { message, type, code } }
+  graphError(error) {
+    return error.response?.data?.error || error.response?.data || error.message;
+  }
+
+  async graphGet(path, params, accessToken) {
+    const response = await axios.get(`${this.baseUrl}/${path}`, {
+      params: { ...params, access_token: accessToken }
+    });
+    return response.data;
+  }
+
+  async graphPost(path, data, accessToken) {
+    const response = await axios.post(`${this.baseUrl}/${path}`, data, {
+      params: { access_token: accessToken }
+    });
+    return response.data;
+  }
+
+  // Swap a short-lived user token for a ~60 day one
+  async exchangeForLongLivedToken(shortLivedToken) {
+    try {
+      const data = await this.graphGet('oauth/access_token', {
+        grant_type: 'fb_exchange_token',
+        client_id: this.appId,
+        client_secret: this.appSecret,
+        fb_exchange_token: shortLivedToken
+      });
+
+      logger.info('Meta long-lived token exchange successful');
+
+      return {
+        success: true,
+        accessToken: data.access_token,
+        expiresIn: data.expires_in,
+        expiresAt: data.expires_in ? new Date(Date.now() + data.expires_in * 1000).toISOString() : null
+      };
+    } catch (error) {
+      logger.error('Meta token exchange failed:', this.graphError(error));
+
+      return {
+        success: false,
+        error: 'Authentication failed',
+        details: this.graphError(error)
+      };
+    }
+  }
+
+  // Pages the user manages, each with its own page access token
+  async listPages(userAccessToken) {
+    try {
+      const data = await this.graphGet('me/accounts', {
+        fields: 'id,name,access_token,instagram_business_account'
+      }, userAccessToken || this.userAccessToken);
+
+      const pages = data.data || [];
+      pages.forEach(page => this.pageTokens.set(page.id, page.access_token));
+
+      return {
+        success: true,
+        pages: pages.map(page => ({
+          id: page.id,
+          name: page.name,
+          instagramBusinessAccountId: page.instagram_business_account?.id || null
+        }))
+      };
+    } catch (error) {
+      logger.error('Failed to list Facebook pages:', this.graphError(error));
+
+      return {
+        success: false,
+        error: 'Failed to list pages',
+        details: this.graphError(error)
+      };
+    }
+  }
+
+  getCachedPageAccessToken(pageId) {
+    if (pageId === this.pageId && this.pageAccessToken) {
+      return this.pageAccessToken;
+    }
+    return this.pageTokens.get(pageId) || null;
+  }
+
+  async getPageAccessToken(pageId, userAccessToken) {
+    const cached = this.getCachedPageAccessToken(pageId);
+    if (cached) return cached;
+
+    if (!userAccessToken) {
+      throw new Error(`No page access token for page ${pageId} and no user token to derive one`);
+    }
+
+    const data = await this.graphGet(pageId, { fields: 'access_token' }, userAccessToken);
+    if (!data.access_token) {
+      throw new Error(`User token cannot manage page ${pageId}`);
+    }
+
+    this.pageTokens.set(pageId, data.access_token);
+    return data.access_token;
+  }
+
+  async getUserProfile(accessToken) {
+    try {
+      const profile = await this.graphGet('me', { fields: 'id,name' }, accessToken || this.userAccessToken);
+
+      return {
+        success: true,
+        profile,
+        method: 'graph_api'
+      };
+    } catch (error) {
+      logger.error(`Failed to get ${this.displayName} profile:`, this.graphError(error));
+
+      return {
+        success: false,
+        error: 'Failed to retrieve user profile',
+        details: this.graphError(error)
+      };
+    }
+  }
+
+  async validateToken(accessToken) {
+    const response = await this.getUserProfile(accessToken);
+    return {
+      success: response.success,
+      valid: response.success,
+      profile: response.profile,
+      error: response.error
+    };
+  }
+}
+
+module.exports = MetaGraphPublisher;
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const BasePublisher = require('./BasePublisher');
+
+// Maps platform names to publisher classes. Instances are created lazily so
+// registering a publisher never touches its credentials until it is used.
+class PublisherRegistry {
+  constructor() {
+    this.entries = new Map();
+    // Configurable publisher types, e.g. 'webhook' -> WebhookPublisher
+    this.types = new Map();
+  }
+
+  registerType(type, PublisherClass) {
+    this.types.set(type, PublisherClass);
+    return this;
+  }
+
+  register(name, PublisherClass, config = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Publisher name must be a non-empty string');
+    }
+    if (typeof PublisherClass !== 'function' || typeof PublisherClass.prototype.publish !== 'function') {
+      throw new Error(`Publisher "${name}" must be a class implementing publish()`);
+    }
+
+    const key = name.toLowerCase();
+    if (this.entries.has(key)) {
+      logger.warn(`Replacing registered publisher for ${key}`);
+    }
+
+    this.entries.set(key, {
+      name: key,
+      PublisherClass,
+      config: { platform: key, ...config },
+      instance: null
+    });
+
+    return this;
+  }
+
+  // Named accounts ('linkedin:company', 'twitter:devrel') get their own instance of
+  // the platform's publisher, so credentials and rate limiter state stay separate
+  registerAccount(name, config = {}) {
+    const key = typeof name === 'string' ? name.toLowerCase() : '';
+    const [platform, label] = key.split(':');
+    if (!label) {
+      throw new Error(`Account "${name}" must be named <platform>:<account>`);
+    }
+
+    const base = this.entries.get(platform);
+    if (!base || base.account) {
+      throw new Error(`Cannot add account "${name}": no publisher registered for ${platform}`);
+    }
+
+    if (this.entries.has(key)) {
+      logger.warn(`Replacing registered account ${key}`);
+    }
+
+    this.entries.set(key, {
+      name: key,
+      PublisherClass: base.PublisherClass,
+      config: { ...base.config, ...config, platform: base.config.platform, account: key },
+      account: key,
+      instance: null
+    });
+
+    return this;
+  }
+
+  // Register a publisher from a module path (relative paths resolve against baseDir)
+  registerModule(name, modulePath, config = {}, baseDir = process.cwd()) {
+    const resolvedPath = modulePath.startsWith('.') || path.isAbsolute(modulePath)
+      ? path.resolve(baseDir, modulePath)
+      : modulePath;
+
+    const exported = require(resolvedPath);
+    const PublisherClass = typeof exported === 'function'
+      ? exported
+      : exported.default || Object.values(exported).find(value => typeof value === 'function');
+
+    if (!PublisherClass) {
+      throw new Error(`Module ${modulePath} does not export a publisher class`);
+    }
+
+    logger.info(`Registered publisher ${name} from ${modulePath}`);
+    return this.register(name, PublisherClass, config);
+  }
+
+  // Accepts { publishers: [{ name, module | type, options }], accounts: [{ name, options }] }
+  // or the publishers array itself
+  loadFromConfig(config, baseDir = process.cwd()) {
+    const entries = Array.isArray(config) ? config : (config && config.publishers) || [];
+    const accounts = (!Array.isArray(config) && config && config.accounts) || [];
+
+    entries.forEach(entry => {
+      if (entry.enabled === false) return;
+
+      try {
+        if (entry.type) {
+          const PublisherClass = this.types.get(entry.type);
+          if (!PublisherClass) {
+            throw new Error(`Unknown publisher type "${entry.type}"`);
+          }
+          this.register(entry.name, PublisherClass, entry.options || {});
+        } else {
+          this.registerModule(entry.name, entry.module, entry.options || {}, baseDir);
+        }
+      } catch (error) {
+        logger.error(`Failed to load publisher ${entry.name} from ${entry.module || entry.type}:`, error.message);
+      }
+    });
+
+    // After the publishers so accounts can refer to configured ones
+    accounts.forEach(entry => {
+      if (entry.enabled === false) return;
+
+      try {
+        this.registerAccount(entry.name, entry.options || {});
+      } catch (error) {
+        logger.error(`Failed to load account ${entry.name}:`, error.message);
+      }
+    });
+
+    return this;
+  }
+
+  loadFromFile(configPath) {
+    if (!configPath || !fs.existsSync(configPath)) {
+      return this;
+    }
+
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return this.loadFromConfig(config, path.dirname(path.resolve(configPath)));
+  }
+
+  has(name) {
+    return Boolean(name) && this.entries.has(name.toLowerCase());
+  }
+
+  get(name) {
+    const entry = name && this.entries.get(name.toLowerCase());
+    if (!entry) return null;
+
+    if (!entry.instance) {
+      entry.instance = new entry.PublisherClass(entry.config);
+    }
+
+    return entry.instance;
+  }
+
+  // Platform a name publishes to - 'linkedin' for 'linkedin:company'
+  getPlatform(name) {
+    const entry = name && this.entries.get(name.toLowerCase());
+    return entry ? entry.config.platform : null;
+  }
+
+  unregister(name) {
+    return this.entries.delete(name.toLowerCase());
+  }
+
+  list() {
+    return Array.from(this.entries.keys());
+  }
+
+  getCapabilities(name) {
+    const entry = name && this.entries.get(name.toLowerCase());
+    if (!entry) return null;
+
+    if (entry.instance && typeof entry.instance.getCapabilities === 'function') {
+      return entry.instance.getCapabilities();
+    }
+
+    return {
+      ...(entry.PublisherClass.capabilities || BasePublisher.capabilities),
+      ...(entry.config.capabilities || {})
+    };
+  }
+
+  getAllCapabilities() {
+    return this.list().reduce((all, name) => {
+      all[name] = this.getCapabilities(name);
+      return all;
+    }, {});
+  }
+}
+
+module.exports = PublisherRegistry;
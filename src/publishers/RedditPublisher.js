@@ -0,0 +1,405 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const BasePublisher = require('./BasePublisher');
+
+const MAX_TITLE_LENGTH = 300;
+
+class RedditPublisher extends BasePublisher {
+  static get platform() {
+    return 'reddit';
+  }
+
+  static get displayName() {
+    return 'Reddit';
+  }
+
+  static get capabilities() {
+    return {
+      ...super.capabilities,
+      maxLength: 40000,
+      mediaTypes: ['link'],
+      maxMedia: 1,
+      // Hashtags read as spam on Reddit
+      maxHashtags: 0,
+      supportsTitle: true,
+      requiresTitle: true,
+      maxTitleLength: MAX_TITLE_LENGTH
+    };
+  }
+
+  constructor(config = {}) {
+    super(config);
+    this.defineCredential('clientId', 'REDDIT_CLIENT_ID', config.clientId, { shared: true });
+    this.defineCredential('clientSecret', 'REDDIT_CLIENT_SECRET', config.clientSecret, { shared: true });
+    this.defineCredential('username', 'REDDIT_USERNAME', config.username);
+    this.defineCredential('password', 'REDDIT_PASSWORD', config.password);
+    this.userAgent = config.userAgent || process.env.REDDIT_USER_AGENT ||
+      `node:social-media-automation:1.0.0 (by /u/${this.username || 'unknown'})`;
+
+    this.defaultSubreddits = config.subreddits ||
+      (process.env.REDDIT_SUBREDDITS || '').split(',').map(name => name.trim()).filter(Boolean);
+
+    // Per-subreddit rules: { javascript: { titlePrefix: '[Project]', flair: 'Showoff', ... } }
+    this.subredditRules = config.subredditRules || this.parseRules(process.env.REDDIT_SUBREDDIT_RULES);
+
+    this.authUrl = 'https://www.reddit.com/api/v1/access_token';
+    this.baseUrl = 'https://oauth.reddit.com';
+    this.token = null;
+
+    // Rate limiting - 100 requests per minute per OAuth client
+    this.rateLimiter = {
+      requests: [],
+      maxRequests: 100,
+      timeWindow: 60 * 1000
+    };
+  }
+
+  parseRules(json) {
+    if (!json) return {};
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      logger.warn('Ignoring invalid REDDIT_SUBREDDIT_RULES JSON');
+      return {};
+    }
+  }
+
+  getDefaultAccessToken() {
+    return this.token && this.token.expiresAt > Date.now() ? this.token.accessToken : null;
+  }
+
+  // Script-app password grant; tokens last an hour
+  async authenticate() {
+    try {
+      const response = await axios.post(this.authUrl, new URLSearchParams({
+        grant_type: 'password',
+        username: this.username,
+        password: this.password
+      }).toString(), {
+        headers: {
+          'Authorization': `Basic ${Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64')}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'User-Agent': this.userAgent
+        }
+      });
+
+      if (response.data.error) {
+        throw new Error(response.data.error);
+      }
+
+      const { access_token, expires_in } = response.data;
+      this.token = {
+        accessToken: access_token,
+        // Refresh a minute early
+        expiresAt: Date.now() + (expires_in - 60) * 1000
+      };
+
+      logger.info('Reddit authentication successful');
+
+      return {
+        success: true,
+        accessToken: access_token,
+        expiresIn: expires_in,
+        expiresAt: new Date(Date.now() + expires_in * 1000).toISOString()
+      };
+    } catch (error) {
+      logger.error('Reddit authentication failed:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: 'Authentication failed',
+        details: error.response?.data?.error || error.message
+      };
+    }
+  }
+
+  getHeaders(accessToken, extra = {}) {
+    return {
+      'Authorization': `Bearer ${accessToken}`,
+      'User-Agent': this.userAgent,
+      ...extra
+    };
+  }
+
+  async getUserProfile(accessToken) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/api/v1/me`, {
+        headers: this.getHeaders(accessToken || this.getDefaultAccessToken())
+      });
+
+      return {
+        success: true,
+        profile: response.data,
+        method: 'reddit_oauth'
+      };
+    } catch (error) {
+      logger.error('Failed to get Reddit user profile:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: 'Failed to retrieve user profile',
+        details: error.response?.data || error.message
+      };
+    }
+  }
+
+  async getLinkFlairs(subreddit, accessToken) {
+    const response = await axios.get(`${this.baseUrl}/r/${subreddit}/api/link_flair_v2`, {
+      headers: this.getHeaders(accessToken)
+    });
+    return response.data || [];
+  }
+
+  // Match a flair by template ID or (case-insensitive) text
+  async resolveFlair(subreddit, flair, accessToken) {
+    if (!flair) return null;
+
+    try {
+      const flairs = await this.getLinkFlairs(subreddit, accessToken);
+      const wanted = String(flair).toLowerCase();
+      const match = flairs.find(item => item.id === flair || (item.text || '').toLowerCase() === wanted);
+
+      if (!match) {
+        logger.warn(`Flair "${flair}" not found in r/${subreddit}`);
+        return null;
+      }
+
+      return { id: match.id, text: match.text };
+    } catch (error) {
+      logger.warn(`Could not load flairs for r/${subreddit}:`, error.response?.data || error.message);
+      return null;
+    }
+  }
+
+  // Subreddits come as names or { name, flair, nsfw, spoiler, ...rules } objects
+  normalizeSubreddits(subreddits) {
+    const list = subreddits && subreddits.length > 0 ? subreddits : this.defaultSubreddits;
+
+    return (Array.isArray(list) ? list : [list])
+      .map(entry => typeof entry === 'string' ? { name: entry } : entry)
+      .filter(entry => entry && entry.name)
+      .map(entry => {
+        const name = entry.name.replace(/^\/?r\//i, '');
+        return { ...(this.subredditRules[name] || {}), ...entry, name };
+      });
+  }
+
+  // Apply per-subreddit title rules; returns { title } or { error }
+  applyTitleRules(title, rules = {}) {
+    let result = title.trim();
+
+    if (rules.titlePrefix && !result.startsWith(rules.titlePrefix)) {
+      result = `${rules.titlePrefix} ${result}`;
+    }
+    if (rules.titleSuffix && !result.endsWith(rules.titleSuffix)) {
+      result = `${result} ${rules.titleSuffix}`;
+    }
+
+    const maxLength = Math.min(rules.maxTitleLength || MAX_TITLE_LENGTH, MAX_TITLE_LENGTH);
+    if (result.length > maxLength) {
+      result = result.substring(0, maxLength - 3).trim() + '...';
+    }
+
+    if (rules.minTitleLength && result.length < rules.minTitleLength) {
+      return { error: `Title must be at least ${rules.minTitleLength} characters in r/${rules.name}` };
+    }
+
+    if (rules.titlePattern) {
+      // A broken pattern only fails its own subreddit
+      let pattern;
+      try {
+        pattern = new RegExp(rules.titlePattern);
+      } catch (error) {
+        return { error: `Invalid titlePattern for r/${rules.name}: ${error.message}` };
+      }
+      if (!pattern.test(result)) {
+        return { error: `Title does not match the required format for r/${rules.name}` };
+      }
+    }
+
+    const bannedWord = (rules.bannedTitleWords || [])
+      .find(word => result.toLowerCase().includes(word.toLowerCase()));
+    if (bannedWord) {
+      return { error: `Title contains "${bannedWord}", which r/${rules.name} does not allow` };
+    }
+
+    return { title: result };
+  }
+
+  formatContent(content, options = {}) {
+    let formattedContent = content;
+
+    if (options.callToAction && !formattedContent.includes(options.callToAction)) {
+      formattedContent += `\n\n${options.callToAction}`;
+    }
+
+    return formattedContent;
+  }
+
+  async submit(submission, accessToken) {
+    const response = await axios.post(`${this.baseUrl}/api/submit`, new URLSearchParams(submission).toString(), {
+      headers: this.getHeaders(accessToken, { 'Content-Type': 'application/x-www-form-urlencoded' })
+    });
+
+    const errors = response.data?.json?.errors || [];
+    if (errors.length > 0) {
+      const error = new Error(errors.map(item => item.slice(0, 2).join(': ')).join('; '));
+      error.response = { data: errors };
+      throw error;
+    }
+
+    return response.data.json.data;
+  }
+
+  async publish(accessTokenOrAdaptedContent, content, options = {}) {
+    try {
+      await this.checkRateLimit();
+
+      let {
+        accessToken,
+        content: actualContent,
+        adaptedContent,
+        options: actualOptions
+      } = this.normalizePublishArgs(accessTokenOrAdaptedContent, content, options);
+
+      if (!accessToken) {
+        if (!this.clientId || !this.clientSecret || !this.username || !this.password) {
+          return this.failure(
+            'Missing Reddit credentials',
+            'Reddit posting requires REDDIT_CLIENT_ID, REDDIT_CLIENT_SECRET, REDDIT_USERNAME and REDDIT_PASSWORD'
+          );
+        }
+
+        const auth = await this.authenticate();
+        if (!auth.success) {
+          return this.failure(auth.error, auth.details);
+        }
+        accessToken = auth.accessToken;
+      }
+
+      const subreddits = this.normalizeSubreddits(actualOptions.subreddits || actualOptions.subreddit);
+      if (subreddits.length === 0) {
+        return this.failure('No subreddit specified', 'Pass options.subreddits or set REDDIT_SUBREDDITS');
+      }
+
+      const title = actualOptions.title || adaptedContent?.title || actualOptions.mediaTitle;
+      if (!title) {
+        return this.failure('Title is required', 'Reddit posts need a title in the adaptation or options.title');
+      }
+
+      const linkUrl = actualOptions.url || actualOptions.linkUrl;
+      const kind = actualOptions.kind || (linkUrl ? 'link' : 'self');
+      if (kind === 'link' && !linkUrl) {
+        return this.failure('Link URL is required', 'Link posts need options.url or options.linkUrl');
+      }
+      const body = this.formatContent(actualContent, {
+        ...actualOptions,
+        callToAction: actualOptions.callToAction || adaptedContent?.callToAction
+      });
+
+      const submissions = [];
+      const failures = [];
+
+      for (let i = 0; i < subreddits.length; i++) {
+        const rules = subreddits[i];
+        const titleResult = this.applyTitleRules(title, rules);
+
+        if (titleResult.error) {
+          failures.push({ subreddit: rules.name, error: titleResult.error });
+          continue;
+        }
+
+        const submission = {
+          api_type: 'json',
+          sr: rules.name,
+          kind,
+          title: titleResult.title,
+          nsfw: String(Boolean(rules.nsfw ?? actualOptions.nsfw)),
+          spoiler: String(Boolean(rules.spoiler ?? actualOptions.spoiler)),
+          sendreplies: String(actualOptions.sendReplies !== false),
+          resubmit: 'true'
+        };
+
+        if (kind === 'link') {
+          submission.url = linkUrl;
+        } else {
+          submission.text = body;
+        }
+
+        const flair = await this.resolveFlair(rules.name, rules.flair || actualOptions.flair, accessToken);
+        if (flair) {
+          submission.flair_id = flair.id;
+          if (rules.flairText) submission.flair_text = rules.flairText;
+        } else if (rules.flairRequired) {
+          failures.push({ subreddit: rules.name, error: `r/${rules.name} requires post flair` });
+          continue;
+        }
+
+        try {
+          const data = await this.submit(submission, accessToken);
+          submissions.push({
+            success: true,
+            subreddit: rules.name,
+            postId: data.name || data.id,
+            postUrl: data.url,
+            title: titleResult.title,
+            flair: flair ? flair.text : null
+          });
+        } catch (error) {
+          logger.error(`Reddit submission to r/${rules.name} failed:`, error.response?.data || error.message);
+          failures.push({ subreddit: rules.name, error: error.message, details: error.response?.data });
+        }
+
+        // Space out submissions to stay clear of Reddit's spam filters
+        if (i < subreddits.length - 1) {
+          await this.delay(2000);
+        }
+      }
+
+      if (submissions.length === 0) {
+        return {
+          success: false,
+          error: 'Post publication failed',
+          details: failures,
+          platform: 'reddit'
+        };
+      }
+
+      logger.info('Reddit posts submitted successfully', {
+        subreddits: submissions.map(item => item.subreddit),
+        failed: failures.length
+      });
+
+      return {
+        success: true,
+        postId: submissions[0].postId,
+        postUrl: submissions[0].postUrl,
+        submissions,
+        failures,
+        publishedAt: new Date().toISOString(),
+        platform: 'reddit'
+      };
+    } catch (error) {
+      logger.error('Reddit post publication failed:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: 'Post publication failed',
+        details: error.response?.data || error.message,
+        platform: 'reddit'
+      };
+    }
+  }
+
+  async validateToken(accessToken) {
+    const response = await this.getUserProfile(accessToken);
+    return {
+      success: response.success,
+      valid: response.success,
+      profile: response.profile,
+      error: response.error
+    };
+  }
+}
+
+module.exports = RedditPublisher;
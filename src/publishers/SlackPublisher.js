@@ -0,0 +1,88 @@
+const ChatWebhookPublisher = require('./ChatWebhookPublisher');
+
+class SlackPublisher extends ChatWebhookPublisher {
+  static get platform() {
+    return 'slack';
+  }
+
+  static get displayName() {
+    return 'Slack';
+  }
+
+  static get capabilities() {
+    return {
+      ...super.capabilities,
+      // A section block's text is capped at 3000 characters
+      maxLength: 3000
+    };
+  }
+
+  constructor(config = {}) {
+    super(config);
+    this.defineCredential('webhookUrl', 'SLACK_WEBHOOK_URL', config.webhookUrl);
+  }
+
+  // Slack mrkdwn only needs &, < and > escaped
+  escape(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  // Block Kit message; `text` is the notification fallback
+  render(message, options = {}) {
+    const blocks = [];
+
+    if (message.title) {
+      blocks.push({
+        type: 'header',
+        text: { type: 'plain_text', text: message.title.substring(0, 150), emoji: true }
+      });
+    }
+
+    const section = {
+      type: 'section',
+      text: { type: 'mrkdwn', text: this.escape(message.text).substring(0, 3000) }
+    };
+    if (message.imageUrl) {
+      section.accessory = { type: 'image', image_url: message.imageUrl, alt_text: message.title || 'image' };
+    }
+    blocks.push(section);
+
+    if (message.url) {
+      blocks.push({
+        type: 'actions',
+        elements: [{
+          type: 'button',
+          text: { type: 'plain_text', text: options.buttonText || 'Read more' },
+          url: message.url
+        }]
+      });
+    }
+
+    if (message.callToAction) {
+      blocks.push({
+        type: 'section',
+        text: { type: 'mrkdwn', text: `_${this.escape(message.callToAction)}_` }
+      });
+    }
+
+    if (message.hashtags.length > 0) {
+      blocks.push({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: this.escape(message.hashtags.join(' ')) }]
+      });
+    }
+
+    const payload = {
+      text: message.title ? `${message.title}: ${message.text}`.substring(0, 3000) : message.text.substring(0, 3000),
+      blocks
+    };
+
+    if (options.channel) payload.channel = options.channel;
+    if (options.username) payload.username = options.username;
+    if (options.iconEmoji) payload.icon_emoji = options.iconEmoji;
+
+    return payload;
+  }
+}
+
+module.exports = SlackPublisher;
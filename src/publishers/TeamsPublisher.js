@@ -0,0 +1,76 @@
+const ChatWebhookPublisher = require('./ChatWebhookPublisher');
+
+class TeamsPublisher extends ChatWebhookPublisher {
+  static get platform() {
+    return 'teams';
+  }
+
+  static get displayName() {
+    return 'Microsoft Teams';
+  }
+
+  static get capabilities() {
+    return {
+      ...super.capabilities,
+      // Webhook payloads are limited to 28 KB; keep text comfortably below
+      maxLength: 20000
+    };
+  }
+
+  constructor(config = {}) {
+    super(config);
+    this.defineCredential('webhookUrl', 'TEAMS_WEBHOOK_URL', config.webhookUrl);
+
+    // Teams connectors throttle at 4 requests per second
+    this.rateLimiter = {
+      requests: [],
+      maxRequests: 4,
+      timeWindow: 1000
+    };
+  }
+
+  // Adaptive Card wrapped in a message attachment
+  render(message) {
+    const body = [];
+
+    if (message.title) {
+      body.push({ type: 'TextBlock', text: message.title, size: 'Large', weight: 'Bolder', wrap: true });
+    }
+
+    body.push({ type: 'TextBlock', text: message.text, wrap: true });
+
+    if (message.imageUrl) {
+      body.push({ type: 'Image', url: message.imageUrl, size: 'Stretch' });
+    }
+
+    if (message.callToAction) {
+      body.push({ type: 'TextBlock', text: `_${message.callToAction}_`, isSubtle: true, wrap: true });
+    }
+
+    if (message.hashtags.length > 0) {
+      body.push({ type: 'TextBlock', text: message.hashtags.join(' '), color: 'Accent', size: 'Small', wrap: true });
+    }
+
+    const card = {
+      $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+      type: 'AdaptiveCard',
+      version: '1.4',
+      body
+    };
+
+    if (message.url) {
+      card.actions = [{ type: 'Action.OpenUrl', title: 'Read more', url: message.url }];
+    }
+
+    return {
+      type: 'message',
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: card
+      }]
+    };
+  }
+}
+
+module.exports = TeamsPublisher;
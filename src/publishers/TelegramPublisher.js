@@ -0,0 +1,288 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const BasePublisher = require('./BasePublisher');
+const { splitIntoThreads } = require('../utils/threadSplitter');
+
+const MAX_MESSAGE_LENGTH = 4096;
+const MAX_CAPTION_LENGTH = 1024;
+
+// Every character MarkdownV2 treats as markup must be backslash-escaped in plain text
+const MARKDOWN_V2_SPECIAL = /[_*[\]()~`>#+\-=|{}.!\\]/g;
+
+class TelegramPublisher extends BasePublisher {
+  static get platform() {
+    return 'telegram';
+  }
+
+  static get displayName() {
+    return 'Telegram';
+  }
+
+  static get capabilities() {
+    return {
+      ...super.capabilities,
+      maxLength: MAX_MESSAGE_LENGTH,
+      // Long posts are sent as consecutive messages rather than replies
+      threading: true,
+      maxThreadLength: 10,
+      mediaTypes: ['image', 'document'],
+      maxMedia: 10,
+      supportsTitle: true
+    };
+  }
+
+  constructor(config = {}) {
+    super(config);
+    this.defineCredential('botToken', 'TELEGRAM_BOT_TOKEN', config.botToken);
+    this.chatId = config.chatId || process.env.TELEGRAM_CHAT_ID;
+    this.disableLinkPreview = config.disableLinkPreview !== undefined
+      ? config.disableLinkPreview === true
+      : process.env.TELEGRAM_DISABLE_LINK_PREVIEW === 'true';
+    this.baseUrl = 'https://api.telegram.org';
+
+    // Rate limiting - bots may send about 20 messages per minute to the same channel
+    this.rateLimiter = {
+      requests: [],
+      maxRequests: 20,
+      timeWindow: 60 * 1000
+    };
+  }
+
+  getDefaultAccessToken() {
+    return this.botToken;
+  }
+
+  async callApi(method, payload, botToken) {
+    const response = await axios.post(`${this.baseUrl}/bot${botToken}/${method}`, payload, {
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    if (!response.data.ok) {
+      const error = new Error(response.data.description || `Telegram ${method} failed`);
+      error.response = { data: response.data };
+      throw error;
+    }
+
+    return response.data.result;
+  }
+
+  escapeMarkdownV2(text) {
+    return text.replace(MARKDOWN_V2_SPECIAL, '\\$&');
+  }
+
+  formatContent(content, options = {}) {
+    let formattedContent = options.title ? `${options.title}\n\n${content}` : content;
+
+    if (options.callToAction && !formattedContent.includes(options.callToAction)) {
+      formattedContent += `\n\n${options.callToAction}`;
+    }
+
+    return this.appendTagsAndMentions(formattedContent, options);
+  }
+
+  // Split the plain text first (Telegram's limit applies after entity parsing),
+  // then escape each message and bold the title on the first one
+  buildMessages(text, title, maxLength = MAX_MESSAGE_LENGTH) {
+    const parts = splitIntoThreads(text, {
+      maxLength,
+      maxParts: this.getCapabilities().maxThreadLength,
+      numbering: false
+    });
+
+    return parts.map((part, index) => {
+      if (index === 0 && title && part.startsWith(title)) {
+        return `*${this.escapeMarkdownV2(title)}*${this.escapeMarkdownV2(part.substring(title.length))}`;
+      }
+      return this.escapeMarkdownV2(part);
+    });
+  }
+
+  // Collect attachments from options.media ([{ url, type, caption }]), imageUrl and documentUrl
+  collectMedia(options = {}) {
+    const media = Array.isArray(options.media) ? [...options.media] : [];
+
+    if (options.imageUrl) media.unshift({ url: options.imageUrl, type: 'photo' });
+    if (options.documentUrl) media.push({ url: options.documentUrl, type: 'document' });
+
+    return media
+      .map(item => typeof item === 'string' ? { url: item, type: 'photo' } : { type: 'photo', ...item })
+      .filter(item => item.url)
+      .slice(0, this.getCapabilities().maxMedia);
+  }
+
+  // Albums can't mix documents with photos or videos, so documents go in a
+  // group of their own, in the order their first item appeared
+  groupMedia(media) {
+    const groups = new Map();
+    media.forEach(item => {
+      const kind = item.type === 'document' ? 'document' : 'visual';
+      if (!groups.has(kind)) groups.set(kind, []);
+      groups.get(kind).push(item);
+    });
+    return Array.from(groups.values());
+  }
+
+  // Sends each group as a single message or an album; the caption goes on the first
+  async sendMedia(media, caption, chatId, botToken, sendOptions) {
+    const groups = this.groupMedia(media);
+    const messages = [];
+
+    for (let i = 0; i < groups.length; i++) {
+      messages.push(...await this.sendMediaGroup(groups[i], i === 0 ? caption : null, chatId, botToken, sendOptions));
+
+      // Brief pause between groups to keep them in order
+      if (i < groups.length - 1) {
+        await this.delay(1000);
+      }
+    }
+
+    return messages;
+  }
+
+  async sendMediaGroup(media, caption, chatId, botToken, sendOptions) {
+    const captionFields = caption ? { caption, parse_mode: 'MarkdownV2' } : {};
+
+    if (media.length === 1) {
+      const [item] = media;
+      const method = item.type === 'document' ? 'sendDocument' : 'sendPhoto';
+      const message = await this.callApi(method, {
+        chat_id: chatId,
+        [item.type === 'document' ? 'document' : 'photo']: item.url,
+        ...captionFields,
+        ...sendOptions
+      }, botToken);
+      return [message];
+    }
+
+    return this.callApi('sendMediaGroup', {
+      chat_id: chatId,
+      media: media.map((item, index) => ({
+        type: item.type,
+        media: item.url,
+        ...(index === 0 ? captionFields : {})
+      })),
+      ...sendOptions
+    }, botToken);
+  }
+
+  getMessageUrl(message, chatId) {
+    const username = message.chat?.username || (String(chatId).startsWith('@') ? String(chatId).substring(1) : null);
+    return username ? `https://t.me/${username}/${message.message_id}` : null;
+  }
+
+  async publish(accessTokenOrAdaptedContent, content, options = {}) {
+    try {
+      await this.checkRateLimit();
+
+      const {
+        accessToken: botToken,
+        content: actualContent,
+        adaptedContent,
+        options: actualOptions
+      } = this.normalizePublishArgs(accessTokenOrAdaptedContent, content, options);
+
+      if (!botToken) {
+        return this.failure(
+          'No bot token provided',
+          'Either pass a bot token as parameter or set TELEGRAM_BOT_TOKEN environment variable'
+        );
+      }
+
+      const chatId = actualOptions.chatId || this.chatId;
+      if (!chatId) {
+        return this.failure('No chat configured', 'Set TELEGRAM_CHAT_ID (e.g. @yourchannel) or pass options.chatId');
+      }
+
+      const title = actualOptions.title || adaptedContent?.title || null;
+      const text = this.formatContent(actualContent, {
+        ...actualOptions,
+        title,
+        callToAction: actualOptions.callToAction || adaptedContent?.callToAction
+      });
+
+      const disableLinkPreview = actualOptions.disableLinkPreview ?? this.disableLinkPreview;
+      const sendOptions = {
+        ...(actualOptions.disableNotification && { disable_notification: true })
+      };
+
+      const media = this.collectMedia(actualOptions);
+      const sentMessages = [];
+      let messages;
+
+      if (media.length > 0) {
+        // Short posts ride along as the caption; longer ones follow as messages
+        if (text.length <= MAX_CAPTION_LENGTH) {
+          const [caption] = this.buildMessages(text, title, MAX_CAPTION_LENGTH);
+          sentMessages.push(...await this.sendMedia(media, caption, chatId, botToken, sendOptions));
+          messages = [];
+        } else {
+          sentMessages.push(...await this.sendMedia(media, null, chatId, botToken, sendOptions));
+          messages = this.buildMessages(text, title);
+        }
+      } else {
+        messages = this.buildMessages(text, title);
+      }
+
+      for (let i = 0; i < messages.length; i++) {
+        const message = await this.callApi('sendMessage', {
+          chat_id: chatId,
+          text: messages[i],
+          parse_mode: 'MarkdownV2',
+          link_preview_options: { is_disabled: Boolean(disableLinkPreview) },
+          ...sendOptions
+        }, botToken);
+        sentMessages.push(message);
+
+        // Brief pause between messages to keep them in order
+        if (i < messages.length - 1) {
+          await this.delay(1000);
+        }
+      }
+
+      const [first] = sentMessages;
+      logger.info('Telegram messages sent successfully', {
+        chatId,
+        messages: sentMessages.length,
+        mediaAttached: media.length
+      });
+
+      return {
+        success: true,
+        postId: first.message_id,
+        postUrl: this.getMessageUrl(first, chatId),
+        messageIds: sentMessages.map(message => message.message_id),
+        chatId,
+        publishedAt: new Date().toISOString(),
+        platform: 'telegram'
+      };
+    } catch (error) {
+      logger.error('Telegram message failed:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: 'Post publication failed',
+        details: error.response?.data?.description || error.response?.data || error.message,
+        platform: 'telegram'
+      };
+    }
+  }
+
+  async validateToken(botToken) {
+    try {
+      const bot = await this.callApi('getMe', {}, botToken || this.botToken);
+      return {
+        success: true,
+        valid: true,
+        profile: bot
+      };
+    } catch (error) {
+      return {
+        success: false,
+        valid: false,
+        error: error.response?.data?.description || error.message
+      };
+    }
+  }
+}
+
+module.exports = TelegramPublisher;
@@ -1,17 +1,79 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
+const BasePublisher = require('./BasePublisher');
+const { splitIntoThreads } = require('../utils/threadSplitter');
+const { loadMedia, getMp4Duration } = require('../utils/mediaSource');
+const { weightedLength } = require('../utils/textLength');
+
+const TOKEN_URL = 'https://api.twitter.com/2/oauth2/token';
+
+// Upload limits per media category (durations in seconds)
+const MEDIA_LIMITS = {
+  tweet_image: { maxBytes: 5 * 1024 * 1024 },
+  tweet_gif: { maxBytes: 15 * 1024 * 1024 },
+  tweet_video: { maxBytes: 512 * 1024 * 1024, minDuration: 0.5, maxDuration: 140 }
+};
+const MAX_IMAGES_PER_TWEET = 4;
+const MAX_ALT_TEXT_LENGTH = 1000;
+// APPEND accepts up to 5 MB per segment
+const UPLOAD_CHUNK_SIZE = 4 * 1024 * 1024;
+const MAX_STATUS_CHECKS = 60;
+
+const POLL_LIMITS = { minOptions: 2, maxOptions: 4, optionLength: 25, minMinutes: 5, maxMinutes: 7 * 24 * 60 };
+// Accepted replySettings values mapped to the API's reply_settings ('everyone' is the default)
+const REPLY_SETTINGS = {
+  everyone: null,
+  following: 'following',
+  mentioned: 'mentionedUsers',
+  mentionedUsers: 'mentionedUsers',
+  subscribers: 'subscribers',
+  verified: 'verified'
+};
+
+class TwitterPublisher extends BasePublisher {
+  static get platform() {
+    return 'twitter';
+  }
+
+  static get displayName() {
+    return 'Twitter';
+  }
+
+  static get capabilities() {
+    return {
+      ...super.capabilities,
+      maxLength: 280,
+      lengthUnit: 'weighted',
+      threading: true,
+      maxThreadLength: 25,
+      mediaTypes: ['image', 'gif', 'video'],
+      maxMedia: 4,
+      maxHashtags: 5,
+      maxMentions: 3,
+      deletable: true,
+      editable: true
+    };
+  }
 
-class TwitterPublisher {
   constructor(config = {}) {
-    this.apiKey = config.apiKey || process.env.TWITTER_API_KEY;
-    this.apiSecret = config.apiSecret || process.env.TWITTER_API_SECRET;
-    this.accessToken = config.accessToken || process.env.TWITTER_ACCESS_TOKEN;
-    this.accessSecret = config.accessSecret || process.env.TWITTER_ACCESS_SECRET;
-    this.bearerToken = config.bearerToken || process.env.TWITTER_BEARER_TOKEN;
+    super(config);
+    this.defineCredential('apiKey', 'TWITTER_API_KEY', config.apiKey, { shared: true });
+    this.defineCredential('apiSecret', 'TWITTER_API_SECRET', config.apiSecret, { shared: true });
+    this.defineCredential('accessToken', 'TWITTER_ACCESS_TOKEN', config.accessToken);
+    this.defineCredential('accessSecret', 'TWITTER_ACCESS_SECRET', config.accessSecret);
+    this.defineCredential('bearerToken', 'TWITTER_BEARER_TOKEN', config.bearerToken, { shared: true });
+
+    // OAuth 2.0 (PKCE) client; falls back to the API key pair used so far
+    this.defineCredential('clientId', ['TWITTER_CLIENT_ID', 'TWITTER_API_KEY'], config.clientId || config.apiKey, { shared: true });
+    this.defineCredential('clientSecret', ['TWITTER_CLIENT_SECRET', 'TWITTER_API_SECRET'], config.clientSecret || config.apiSecret, { shared: true });
+    this.redirectUri = config.redirectUri || process.env.TWITTER_REDIRECT_URI ||
+      'http://localhost:3000/api/auth/twitter/callback';
     
     this.baseUrl = 'https://api.twitter.com/2';
     this.uploadUrl = 'https://upload.twitter.com/1.1';
+    // X user ID of the connected OAuth 2.0 token, see getMediaOwners()
+    this.connectedUser = null;
     
     // Rate limiting - Twitter API v2 limits
     this.rateLimiter = {
@@ -32,22 +94,28 @@ class TwitterPublisher {
     this.maxThreadTweets = 25;
   }
 
+  getTokenRequestHeaders() {
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    // Confidential clients authenticate with Basic auth; public clients only send client_id
+    if (this.clientSecret) {
+      headers['Authorization'] = `Basic ${Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64')}`;
+    }
+    return headers;
+  }
+
   async authenticate(authCode, codeVerifier) {
     try {
-      const tokenResponse = await axios.post('https://api.twitter.com/2/oauth2/token', {
+      const tokenResponse = await axios.post(TOKEN_URL, new URLSearchParams({
         grant_type: 'authorization_code',
         code: authCode,
-        redirect_uri: process.env.TWITTER_REDIRECT_URI,
+        redirect_uri: this.redirectUri,
         code_verifier: codeVerifier,
-        client_id: this.apiKey
-      }, {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Authorization': `Basic ${Buffer.from(`${this.apiKey}:${this.apiSecret}`).toString('base64')}`
-        }
+        client_id: this.clientId
+      }).toString(), {
+        headers: this.getTokenRequestHeaders()
       });
 
-      const { access_token, refresh_token, expires_in } = tokenResponse.data;
+      const { access_token, refresh_token, expires_in, scope } = tokenResponse.data;
       
       logger.info('Twitter authentication successful');
       
@@ -55,6 +123,7 @@ class TwitterPublisher {
         success: true,
         accessToken: access_token,
         refreshToken: refresh_token,
+        scope: scope,
         expiresIn: expires_in,
         expiresAt: new Date(Date.now() + expires_in * 1000).toISOString()
       };
@@ -69,6 +138,67 @@ class TwitterPublisher {
     }
   }
 
+  // Twitter rotates refresh tokens: the old one stops working once used.
+  // Access tokens last two hours, so posting relies on getValidAccessToken()
+  async refreshAccessToken(refreshToken) {
+    try {
+      const tokenResponse = await axios.post(TOKEN_URL, new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+        client_id: this.clientId
+      }).toString(), {
+        headers: this.getTokenRequestHeaders()
+      });
+
+      const { access_token, refresh_token, expires_in, scope } = tokenResponse.data;
+
+      logger.info('Twitter access token refreshed');
+
+      return {
+        success: true,
+        accessToken: access_token,
+        refreshToken: refresh_token || refreshToken,
+        scope: scope,
+        expiresIn: expires_in,
+        expiresAt: new Date(Date.now() + expires_in * 1000).toISOString()
+      };
+    } catch (error) {
+      logger.error('Twitter token refresh failed:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: 'Token refresh failed',
+        details: error.response?.data?.error_description || error.message
+      };
+    }
+  }
+
+  hasOAuth1Credentials() {
+    return Boolean(this.apiKey && this.apiSecret && this.accessToken && this.accessSecret);
+  }
+
+  // OAuth 1.0a access tokens start with the ID of the user they belong to
+  getOAuth1UserId() {
+    const match = /^(\d+)-/.exec(this.accessToken || '');
+    return match ? match[1] : null;
+  }
+
+  // Media is always uploaded with OAuth 1.0a, but tweets from a connected
+  // account are posted with its OAuth 2.0 token. When that is another X account
+  // it has to be an additional owner of the media, or X rejects the media_ids.
+  // Resolves to the owners to add, or null when the account can't be looked up.
+  async getMediaOwners(userToken) {
+    if (!userToken) return [];
+
+    if (this.connectedUser?.token !== userToken) {
+      const profile = await this.getUserProfile(userToken);
+      if (!profile.success || !profile.profile?.id) return null;
+      this.connectedUser = { token: userToken, id: String(profile.profile.id) };
+    }
+
+    return this.connectedUser.id === this.getOAuth1UserId() ? [] : [this.connectedUser.id];
+  }
+
   async getUserProfile(accessToken) {
     try {
       await this.checkRateLimit('api');
@@ -101,25 +231,8 @@ class TwitterPublisher {
   }
 
   formatContent(content, options = {}) {
-    let formattedContent = content;
-    
-    // Add hashtags if provided
-    if (options.hashtags && Array.isArray(options.hashtags)) {
-      const hashtagString = options.hashtags
-        .map(tag => tag.startsWith('#') ? tag : `#${tag}`)
-        .slice(0, 5) // Limit to 5 hashtags for better engagement
-        .join(' ');
-      formattedContent += `\n\n${hashtagString}`;
-    }
-    
-    // Add mentions if provided
-    if (options.mentions && Array.isArray(options.mentions)) {
-      const mentionString = options.mentions
-        .map(mention => mention.startsWith('@') ? mention : `@${mention}`)
-        .slice(0, 3) // Limit mentions
-        .join(' ');
-      formattedContent += `\n\n${mentionString}`;
-    }
+    // Hashtags and mentions are capped at 5 and 3 for better engagement
+    let formattedContent = this.appendTagsAndMentions(content, options);
     
     // Add GitHub repo link if not already present and there's space
     const repoUrl = 'https://github.com/phiphi325/social-media-post';
@@ -135,85 +248,234 @@ class TwitterPublisher {
   }
 
   splitIntoThreads(content) {
-    const tweets = [];
-    let remainingContent = content;
-    let tweetNumber = 1;
-    
-    // Calculate available length for thread numbering (e.g., " 1/5")
-    const threadNumberLength = 10; // Conservative estimate
-    const availableLength = this.maxTweetLength - threadNumberLength;
-    
-    while (remainingContent.length > 0 && tweets.length < this.maxThreadTweets) {
-      if (remainingContent.length <= availableLength) {
-        // Last tweet or content fits in one tweet
-        tweets.push(remainingContent.trim());
-        break;
+    // X counts URLs as 23 and emoji/CJK as 2, so String length over- or underfills tweets
+    return splitIntoThreads(content, {
+      maxLength: this.maxTweetLength,
+      maxParts: this.maxThreadTweets,
+      measure: weightedLength
+    });
+  }
+
+  // Tweet id from an id or a twitter.com / x.com status URL
+  parseTweetId(value) {
+    const match = String(value).trim().match(/^(\d+)$|^https?:\/\/(?:www\.|mobile\.)?(?:twitter|x)\.com\/[^/]+\/status(?:es)?\/(\d+)/);
+    return match ? match[1] || match[2] : null;
+  }
+
+  // poll, quoteTweet, replyTo and replySettings options as tweet fields: the first
+  // tweet carries the poll, quote and reply target, every tweet gets reply_settings
+  buildTweetOptions(options = {}) {
+    const first = {};
+    const every = {};
+    const invalid = details => ({ success: false, error: 'Invalid tweet options', details });
+
+    if (options.poll) {
+      const pollOptions = (options.poll.options || []).map(option => String(option).trim());
+      const minutes = Number(options.poll.durationMinutes ?? 24 * 60);
+
+      if (pollOptions.length < POLL_LIMITS.minOptions || pollOptions.length > POLL_LIMITS.maxOptions) {
+        return invalid(`A poll needs ${POLL_LIMITS.minOptions}-${POLL_LIMITS.maxOptions} options`);
       }
-      
-      // Find the best place to split
-      let splitIndex = availableLength;
-      
-      // Try to split at sentence boundaries
-      const sentenceEnd = remainingContent.lastIndexOf('.', splitIndex);
-      const questionEnd = remainingContent.lastIndexOf('?', splitIndex);
-      const exclamationEnd = remainingContent.lastIndexOf('!', splitIndex);
-      
-      const bestSentenceEnd = Math.max(sentenceEnd, questionEnd, exclamationEnd);
-      if (bestSentenceEnd > availableLength * 0.7) {
-        splitIndex = bestSentenceEnd + 1;
-      } else {
-        // Split at word boundaries
-        const lastSpace = remainingContent.lastIndexOf(' ', splitIndex);
-        if (lastSpace > availableLength * 0.7) {
-          splitIndex = lastSpace;
-        }
+      if (pollOptions.some(option => !option || option.length > POLL_LIMITS.optionLength)) {
+        return invalid(`Poll options must be 1-${POLL_LIMITS.optionLength} characters`);
       }
-      
-      tweets.push(remainingContent.substring(0, splitIndex).trim());
-      remainingContent = remainingContent.substring(splitIndex).trim();
-      tweetNumber++;
+      if (!Number.isInteger(minutes) || minutes < POLL_LIMITS.minMinutes || minutes > POLL_LIMITS.maxMinutes) {
+        return invalid(`Poll duration must be ${POLL_LIMITS.minMinutes}-${POLL_LIMITS.maxMinutes} minutes`);
+      }
+      first.poll = { options: pollOptions, duration_minutes: minutes };
     }
-    
-    // Add thread numbering if multiple tweets
-    if (tweets.length > 1) {
-      tweets.forEach((tweet, index) => {
-        tweets[index] = `${tweet} ${index + 1}/${tweets.length}`;
+
+    if (options.quoteTweet) {
+      const quoteId = this.parseTweetId(options.quoteTweet);
+      if (!quoteId) return invalid(`Cannot quote ${options.quoteTweet}: not a tweet id or URL`);
+      if (first.poll) return invalid('A tweet cannot have both a poll and a quote');
+      first.quote_tweet_id = quoteId;
+    }
+
+    if (options.replyTo) {
+      const replyId = this.parseTweetId(options.replyTo);
+      if (!replyId) return invalid(`Cannot reply to ${options.replyTo}: not a tweet id or URL`);
+      first.reply = { in_reply_to_tweet_id: replyId };
+    }
+
+    if (options.replySettings) {
+      if (!(options.replySettings in REPLY_SETTINGS)) {
+        return invalid(`replySettings must be one of ${Object.keys(REPLY_SETTINGS).join(', ')}`);
+      }
+      if (REPLY_SETTINGS[options.replySettings]) {
+        every.reply_settings = REPLY_SETTINGS[options.replySettings];
+      }
+    }
+
+    return { success: true, first, every };
+  }
+
+  // Tweet payloads for the content without media ids or thread links, and the
+  // media to upload for each of them
+  buildTweets(content, options = {}) {
+    const tweetOptions = this.buildTweetOptions(options);
+    if (!tweetOptions.success) return tweetOptions;
+
+    const mediaByTweet = this.collectMedia(options);
+    if (tweetOptions.first.poll && mediaByTweet.has(1)) {
+      return { success: false, error: 'Invalid tweet options', details: 'A tweet cannot have both a poll and media' };
+    }
+
+    const formattedContent = this.formatContent(content, options);
+    const tweets = this.splitIntoThreads(formattedContent).map((text, i) => ({
+      text,
+      ...(i === 0 && tweetOptions.first),
+      ...tweetOptions.every
+    }));
+
+    return { success: true, tweets, formattedContent, mediaByTweet };
+  }
+
+  // What publish() would post, without uploading or posting anything
+  preview(accessTokenOrAdaptedContent, content, options = {}) {
+    const { content: actualContent, options: actualOptions } =
+      this.normalizePublishArgs(accessTokenOrAdaptedContent, content, options);
+
+    const built = this.buildTweets(actualContent, actualOptions);
+    if (!built.success) return { ...built, platform: 'twitter' };
+
+    return {
+      success: true,
+      platform: 'twitter',
+      tweets: built.tweets.map((tweet, i) => ({
+        ...tweet,
+        length: weightedLength(tweet.text),
+        media: (built.mediaByTweet.get(i + 1) || []).map(item => item.url || item.path)
+      }))
+    };
+  }
+
+  getMediaCategory(contentType) {
+    if (contentType === 'image/gif') return 'tweet_gif';
+    if (contentType.startsWith('video/')) return 'tweet_video';
+    return 'tweet_image';
+  }
+
+  validateMedia(file, category) {
+    const limits = MEDIA_LIMITS[category];
+    if (file.size > limits.maxBytes) {
+      return `${file.filename} is ${(file.size / 1024 / 1024).toFixed(1)} MB; ${category} allows ${limits.maxBytes / 1024 / 1024} MB`;
+    }
+
+    if (limits.maxDuration) {
+      const duration = getMp4Duration(file.data);
+      if (duration !== null && (duration < limits.minDuration || duration > limits.maxDuration)) {
+        return `${file.filename} is ${duration.toFixed(1)}s long; videos must be ${limits.minDuration}-${limits.maxDuration}s`;
+      }
+    }
+
+    return null;
+  }
+
+  // v1.1 upload endpoints take form parameters, which are part of the OAuth 1.0a signature
+  async uploadCommand(params) {
+    const url = `${this.uploadUrl}/media/upload.json`;
+    const response = await axios.post(url, new URLSearchParams(params).toString(), {
+      headers: {
+        'Authorization': this.generateOAuth1Header('POST', url, params),
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+    return response.data;
+  }
+
+  async waitForProcessing(mediaId, processingInfo) {
+    const url = `${this.uploadUrl}/media/upload.json`;
+    let info = processingInfo;
+    let checks = 0;
+
+    while (info && (info.state === 'pending' || info.state === 'in_progress')) {
+      if (checks++ >= MAX_STATUS_CHECKS) {
+        throw new Error(`Media ${mediaId} is still processing`);
+      }
+      await this.delay((info.check_after_secs || 1) * 1000);
+
+      const params = { command: 'STATUS', media_id: mediaId };
+      const response = await axios.get(url, {
+        params,
+        headers: { 'Authorization': this.generateOAuth1Header('GET', url, params) }
       });
+      info = response.data.processing_info;
+    }
+
+    if (info && info.state === 'failed') {
+      throw new Error(info.error?.message || `Processing failed for media ${mediaId}`);
     }
-    
-    return tweets;
   }
 
-  async uploadMedia(mediaUrl, accessToken) {
+  async setAltText(mediaId, altText) {
+    const url = `${this.uploadUrl}/media/metadata/create.json`;
+    await axios.post(url, {
+      media_id: mediaId,
+      alt_text: { text: altText.substring(0, MAX_ALT_TEXT_LENGTH) }
+    }, {
+      headers: {
+        'Authorization': this.generateOAuth1Header('POST', url),
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  // Chunked upload (INIT / APPEND / FINALIZE, then STATUS while processing) - the
+  // only flow that accepts videos and large GIFs. source is a URL or { url | path, altText };
+  // additionalOwners are user IDs that may attach the media besides the uploader.
+  async uploadMedia(source, additionalOwners = []) {
     try {
       await this.checkRateLimit('media');
-      
-      // Download media first
-      const mediaResponse = await axios.get(mediaUrl, { responseType: 'arraybuffer' });
-      const mediaBuffer = Buffer.from(mediaResponse.data);
-      
-      // Determine media type
-      const contentType = mediaResponse.headers['content-type'] || 'image/jpeg';
-      const mediaCategory = contentType.startsWith('video/') ? 'tweet_video' : 'tweet_image';
-      
-      // Upload media to Twitter
-      const formData = new FormData();
-      formData.append('media', mediaBuffer, {
-        filename: 'media',
-        contentType: contentType
-      });
-      formData.append('media_category', mediaCategory);
-      
-      const uploadResponse = await axios.post(`${this.uploadUrl}/media/upload.json`, formData, {
-        headers: {
-          'Authorization': this.generateOAuth1Header('POST', `${this.uploadUrl}/media/upload.json`),
-          ...formData.getHeaders()
-        }
+
+      const item = typeof source === 'string' ? { url: source } : source;
+      const file = await loadMedia(item);
+      const category = item.category || this.getMediaCategory(file.contentType);
+
+      const invalid = this.validateMedia(file, category);
+      if (invalid) {
+        return {
+          success: false,
+          error: 'Invalid media',
+          details: invalid
+        };
+      }
+
+      const init = await this.uploadCommand({
+        command: 'INIT',
+        total_bytes: file.size,
+        media_type: file.contentType,
+        media_category: category,
+        ...(additionalOwners.length > 0 && { additional_owners: additionalOwners.join(',') })
       });
-      
+      const mediaId = init.media_id_string;
+
+      const url = `${this.uploadUrl}/media/upload.json`;
+      for (let offset = 0, segment = 0; offset < file.size; offset += UPLOAD_CHUNK_SIZE, segment++) {
+        const formData = new FormData();
+        formData.append('command', 'APPEND');
+        formData.append('media_id', mediaId);
+        formData.append('segment_index', String(segment));
+        formData.append('media', new Blob([file.data.subarray(offset, offset + UPLOAD_CHUNK_SIZE)]), file.filename);
+
+        // Multipart bodies are not part of the signature
+        await axios.post(url, formData, {
+          headers: { 'Authorization': this.generateOAuth1Header('POST', url) },
+          maxBodyLength: Infinity
+        });
+      }
+
+      const finalized = await this.uploadCommand({ command: 'FINALIZE', media_id: mediaId });
+      await this.waitForProcessing(mediaId, finalized.processing_info);
+
+      if (item.altText) {
+        await this.setAltText(mediaId, item.altText);
+      }
+
       return {
         success: true,
-        mediaId: uploadResponse.data.media_id_string
+        mediaId,
+        category
       };
     } catch (error) {
       logger.error('Twitter media upload failed:', error.response?.data || error.message);
@@ -226,51 +488,101 @@ class TwitterPublisher {
     }
   }
 
+  // Media from options.media ([{ url | path, altText, tweet }]) and the adapted mediaUrl,
+  // grouped by 1-based position in the thread (default: the first tweet)
+  collectMedia(options = {}) {
+    const items = (Array.isArray(options.media) ? [...options.media] : [])
+      .map(item => (typeof item === 'string' ? { url: item } : item))
+      .filter(item => item && (item.url || item.path));
+
+    if (options.mediaUrl) {
+      items.unshift({ url: options.mediaUrl, altText: options.altText });
+    }
+
+    const byTweet = new Map();
+    items.forEach(item => {
+      const position = Math.max(parseInt(item.tweet, 10) || 1, 1);
+      byTweet.set(position, [...(byTweet.get(position) || []), item]);
+    });
+
+    return byTweet;
+  }
+
+  // A tweet carries up to 4 images, or a single GIF or video
+  async uploadTweetMedia(items, additionalOwners = []) {
+    const uploaded = [];
+    const warnings = [];
+
+    for (const item of items) {
+      const result = await this.uploadMedia(item, additionalOwners);
+      if (!result.success) {
+        warnings.push(`${item.url || item.path}: ${result.details || result.error}`);
+        continue;
+      }
+      uploaded.push(result);
+    }
+
+    const single = uploaded.find(media => media.category !== 'tweet_image');
+    const selected = single ? [single] : uploaded.slice(0, MAX_IMAGES_PER_TWEET);
+    if (selected.length < uploaded.length) {
+      warnings.push('A tweet can have up to 4 images or one GIF/video; extra media was left out');
+    }
+
+    return { mediaIds: selected.map(media => media.mediaId), warnings };
+  }
+
   async publish(accessTokenOrAdaptedContent, content, options = {}) {
     try {
       await this.checkRateLimit('tweets');
       
-      // Handle both calling patterns like LinkedInPublisher
-      let accessToken, actualContent, actualOptions;
+      const {
+        accessToken,
+        content: actualContent,
+        adaptedContent,
+        options: actualOptions
+      } = this.normalizePublishArgs(accessTokenOrAdaptedContent, content, options);
       
-      if (typeof accessTokenOrAdaptedContent === 'object' && accessTokenOrAdaptedContent.text) {
-        const adaptedContent = accessTokenOrAdaptedContent;
-        accessToken = this.accessToken;
-        actualContent = adaptedContent.text;
-        actualOptions = {
-          hashtags: adaptedContent.hashtags,
-          mediaUrl: adaptedContent.mediaUrl,
-          mediaDescription: adaptedContent.description,
-          ...options
-        };
-      } else {
-        accessToken = accessTokenOrAdaptedContent;
-        actualContent = content;
-        actualOptions = options;
+      // Explicit tokens are OAuth 2.0 user tokens; otherwise use the connected
+      // account's stored token and fall back to OAuth 1.0a credentials
+      const userToken = adaptedContent ? await this.getValidAccessToken() : accessToken;
+      if (!userToken && !this.hasOAuth1Credentials()) {
+        return this.missingCredentials();
       }
       
-      // For posting, we need OAuth 1.0a credentials, not just access token
-      if (!this.apiKey || !this.apiSecret || !this.accessToken || !this.accessSecret) {
-        return {
-          success: false,
-          error: 'Missing OAuth 1.0a credentials',
-          details: 'Twitter posting requires TWITTER_API_KEY, TWITTER_API_SECRET, TWITTER_ACCESS_TOKEN, and TWITTER_ACCESS_SECRET for OAuth 1.0a authentication',
-          platform: 'twitter',
-          requiredEnvVars: ['TWITTER_API_KEY', 'TWITTER_API_SECRET', 'TWITTER_ACCESS_TOKEN', 'TWITTER_ACCESS_SECRET']
-        };
+      const built = this.buildTweets(actualContent, actualOptions);
+      if (!built.success) {
+        return { ...built, platform: 'twitter' };
       }
-      
-      const formattedContent = this.formatContent(actualContent, actualOptions);
-      const tweets = this.splitIntoThreads(formattedContent);
+      const { tweets, formattedContent, mediaByTweet } = built;
       
       // Handle media upload if provided
-      let mediaIds = [];
-      if (actualOptions.mediaUrl) {
-        const mediaResult = await this.uploadMedia(actualOptions.mediaUrl, accessToken);
-        if (mediaResult.success) {
-          mediaIds.push(mediaResult.mediaId);
-        } else {
-          logger.warn('Media upload failed, posting without media');
+      const mediaIdsByTweet = new Map();
+      const warnings = [];
+      const mediaOwners = mediaByTweet.size > 0 && this.hasOAuth1Credentials()
+        ? await this.getMediaOwners(userToken)
+        : [];
+      if (mediaByTweet.size > 0 && !this.hasOAuth1Credentials()) {
+        // The v1.1 upload endpoint only accepts OAuth 1.0a
+        logger.warn('Media upload requires OAuth 1.0a credentials, posting without media');
+        warnings.push('Media upload requires OAuth 1.0a credentials; posted without media');
+      } else if (!mediaOwners) {
+        logger.warn('Could not look up the connected X account, posting without media');
+        warnings.push('Could not look up the connected X account to share the media with; posted without media');
+      } else {
+        for (const [position, items] of mediaByTweet) {
+          if (position > tweets.length) {
+            warnings.push(`Media for tweet ${position} skipped; the thread has ${tweets.length} tweet(s)`);
+            continue;
+          }
+
+          const uploaded = await this.uploadTweetMedia(items, mediaOwners);
+          warnings.push(...uploaded.warnings);
+          if (uploaded.mediaIds.length > 0) {
+            mediaIdsByTweet.set(position, uploaded.mediaIds);
+          }
+        }
+        if (warnings.length > 0) {
+          logger.warn('Some Twitter media was not attached', { warnings });
         }
       }
       
@@ -279,13 +591,10 @@ class TwitterPublisher {
       
       // Post tweets in sequence
       for (let i = 0; i < tweets.length; i++) {
-        const tweetData = {
-          text: tweets[i]
-        };
+        const tweetData = { ...tweets[i] };
         
-        // Add media to first tweet only
-        if (i === 0 && mediaIds.length > 0) {
-          tweetData.media = { media_ids: mediaIds };
+        if (mediaIdsByTweet.has(i + 1)) {
+          tweetData.media = { media_ids: mediaIdsByTweet.get(i + 1) };
         }
         
         // Add reply reference for thread
@@ -295,7 +604,7 @@ class TwitterPublisher {
         
         const response = await axios.post(`${this.baseUrl}/tweets`, tweetData, {
           headers: {
-            'Authorization': this.generateOAuth1Header('POST', `${this.baseUrl}/tweets`),
+            'Authorization': this.getAuthorizationHeader('POST', `${this.baseUrl}/tweets`, userToken),
             'Content-Type': 'application/json'
           }
         });
@@ -304,13 +613,22 @@ class TwitterPublisher {
           success: true,
           tweetId: response.data.data.id,
           tweetUrl: `https://twitter.com/i/web/status/${response.data.data.id}`,
-          text: tweets[i],
+          text: tweets[i].text,
           threadPosition: i + 1,
           threadTotal: tweets.length
         };
         
         results.push(tweetResult);
         inReplyToTweetId = response.data.data.id;
+        if (actualOptions.onProgress) {
+          actualOptions.onProgress({
+            type: 'tweet',
+            position: i + 1,
+            total: tweets.length,
+            tweetId: tweetResult.tweetId,
+            tweetUrl: tweetResult.tweetUrl
+          });
+        }
         
         // Add delay between tweets in thread to avoid rate limiting
         if (i < tweets.length - 1) {
@@ -332,7 +650,8 @@ class TwitterPublisher {
         stats: {
           totalTweets: results.length,
           totalCharacters: formattedContent.length
-        }
+        },
+        ...(warnings.length > 0 && { warnings })
       };
     } catch (error) {
       logger.error('Twitter post publication failed:', error.response?.data || error.message);
@@ -346,28 +665,128 @@ class TwitterPublisher {
     }
   }
 
-  async checkRateLimit(type = 'tweets') {
-    const limiter = this.rateLimiter[type];
-    const now = Date.now();
-    
-    // Remove requests older than the time window
-    limiter.requests = limiter.requests.filter(
-      timestamp => now - timestamp < limiter.timeWindow
-    );
-    
-    // Check if we're at the rate limit
-    if (limiter.requests.length >= limiter.maxRequests) {
-      const oldestRequest = Math.min(...limiter.requests);
-      const resetTime = oldestRequest + limiter.timeWindow;
-      const waitTime = resetTime - now;
-      
-      logger.warn(`Twitter ${type} rate limit reached. Next request available in ${Math.ceil(waitTime / 1000)} seconds`);
-      
-      throw new Error(`Rate limit exceeded for ${type}. Try again in ${Math.ceil(waitTime / 60000)} minutes`);
+  missingCredentials() {
+    return {
+      success: false,
+      error: 'No access token provided',
+      details: 'Connect an account via /api/auth/twitter/start or set TWITTER_API_KEY, TWITTER_API_SECRET, TWITTER_ACCESS_TOKEN, and TWITTER_ACCESS_SECRET for OAuth 1.0a authentication',
+      platform: 'twitter',
+      requiredEnvVars: ['TWITTER_API_KEY', 'TWITTER_API_SECRET', 'TWITTER_ACCESS_TOKEN', 'TWITTER_ACCESS_SECRET']
+    };
+  }
+
+  // OAuth 2.0 user token when an account is connected, otherwise OAuth 1.0a
+  getAuthorizationHeader(method, url, userToken) {
+    return userToken ? `Bearer ${userToken}` : this.generateOAuth1Header(method, url);
+  }
+
+  getPostIds(result) {
+    return (result?.thread || []).map(tweet => tweet.tweetId);
+  }
+
+  async deletePost(postIds = []) {
+    try {
+      await this.checkRateLimit('tweets');
+
+      const userToken = await this.getValidAccessToken();
+      if (!userToken && !this.hasOAuth1Credentials()) {
+        return this.missingCredentials();
+      }
+
+      const deleted = [];
+      const failed = [];
+      // Last tweet first so the thread never hangs off a deleted tweet
+      for (const id of [...postIds].reverse()) {
+        const url = `${this.baseUrl}/tweets/${id}`;
+        try {
+          await axios.delete(url, {
+            headers: { 'Authorization': this.getAuthorizationHeader('DELETE', url, userToken) }
+          });
+          deleted.push(id);
+        } catch (error) {
+          // Already gone counts as deleted
+          if (error.response?.status === 404) {
+            deleted.push(id);
+          } else {
+            failed.push({ id, error: error.response?.data?.detail || error.message });
+          }
+        }
+      }
+
+      logger.info('Twitter thread deleted', { deleted: deleted.length, failed: failed.length });
+
+      return {
+        success: failed.length === 0,
+        deleted,
+        failed,
+        platform: 'twitter',
+        ...(failed.length > 0 && { error: 'Some tweets could not be deleted' })
+      };
+    } catch (error) {
+      logger.error('Twitter post deletion failed:', error.response?.data || error.message);
+      return this.failure('Post deletion failed', error.response?.data || error.message);
+    }
+  }
+
+  // X only allows editing a tweet within an hour of posting, five times at most.
+  // Each edit gets a new tweet ID; a longer thread gains replies, a shorter one
+  // drops its leftover tweets.
+  async editPost(postIds = [], content, options = {}) {
+    const currentIds = [...postIds];
+
+    try {
+      await this.checkRateLimit('tweets');
+
+      const userToken = await this.getValidAccessToken();
+      if (!userToken && !this.hasOAuth1Credentials()) {
+        return this.missingCredentials();
+      }
+
+      const tweets = this.splitIntoThreads(this.formatContent(content, options));
+      const url = `${this.baseUrl}/tweets`;
+
+      for (let i = 0; i < tweets.length; i++) {
+        const tweetData = i < postIds.length
+          ? { text: tweets[i], edit_options: { previous_post_id: postIds[i] } }
+          : { text: tweets[i], reply: { in_reply_to_tweet_id: currentIds[i - 1] } };
+
+        const response = await axios.post(url, tweetData, {
+          headers: {
+            'Authorization': this.getAuthorizationHeader('POST', url, userToken),
+            'Content-Type': 'application/json'
+          }
+        });
+        currentIds[i] = response.data.data.id;
+
+        if (i < tweets.length - 1) {
+          await this.delay(2000);
+        }
+      }
+
+      const leftover = currentIds.splice(tweets.length);
+      const removed = leftover.length > 0 ? await this.deletePost(leftover) : null;
+      if (removed && !removed.success) {
+        currentIds.push(...(removed.failed || []).map(failure => failure.id).reverse());
+      }
+
+      logger.info('Twitter thread edited', { tweets: tweets.length, removed: leftover.length });
+
+      return {
+        success: !removed || removed.success,
+        postIds: currentIds,
+        postUrl: `https://twitter.com/i/web/status/${currentIds[0]}`,
+        platform: 'twitter',
+        ...(removed && !removed.success && { error: removed.error || 'Leftover tweets could not be deleted' })
+      };
+    } catch (error) {
+      logger.error('Twitter post edit failed:', error.response?.data || error.message);
+
+      // Tweets edited before the failure already have new IDs
+      return {
+        ...this.failure('Post edit failed', error.response?.data || error.message),
+        postIds: currentIds
+      };
     }
-    
-    // Add current request to the tracker
-    limiter.requests.push(now);
   }
 
   generateOAuth1Header(method, url, params = {}) {
@@ -408,8 +827,8 @@ class TwitterPublisher {
   getAuthUrl(state = '', codeChallenge = '') {
     const params = new URLSearchParams({
       response_type: 'code',
-      client_id: this.apiKey,
-      redirect_uri: process.env.TWITTER_REDIRECT_URI || 'http://localhost:3000/auth/twitter/callback',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
       scope: 'tweet.read tweet.write users.read offline.access',
       state: state,
       code_challenge: codeChallenge,
@@ -436,10 +855,6 @@ class TwitterPublisher {
       };
     }
   }
-
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
 }
 
 module.exports = TwitterPublisher;
\ No newline at end of file
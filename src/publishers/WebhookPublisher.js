@@ -0,0 +1,217 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const BasePublisher = require('./BasePublisher');
+
+// Delivers adapted content to arbitrary HTTP endpoints (custom CMSs, internal
+// services). Each named target in config/publishers.json becomes its own platform:
+// { "name": "cms", "type": "webhook", "options": { "url": "...", "bodyTemplate": {...} } }
+class WebhookPublisher extends BasePublisher {
+  static get platform() {
+    return 'webhook';
+  }
+
+  static get displayName() {
+    return 'Webhook';
+  }
+
+  static get capabilities() {
+    return {
+      ...super.capabilities,
+      maxLength: 100000,
+      mediaTypes: ['image', 'link'],
+      maxMedia: 1,
+      supportsTitle: true
+    };
+  }
+
+  constructor(config = {}) {
+    super(config);
+    const envPrefix = `WEBHOOK_${this.platform.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+
+    this.defineCredential('url', `${envPrefix}_URL`, config.url);
+    this.method = (config.method || 'POST').toUpperCase();
+    this.headers = config.headers || {};
+    this.bodyTemplate = config.bodyTemplate || null;
+    // Secrets stay out of the config file: WEBHOOK_<NAME>_SECRET
+    this.defineCredential('secret', `${envPrefix}_SECRET`, config.secret);
+    this.signatureHeader = config.signatureHeader || 'X-Webhook-Signature';
+    this.timestampHeader = config.timestampHeader || 'X-Webhook-Timestamp';
+    this.successStatus = config.successStatus || null;
+    this.responseIdPath = config.responseIdPath || 'id';
+    this.responseUrlPath = config.responseUrlPath || 'url';
+    this.timeout = config.timeout || 10000;
+
+    this.rateLimiter = {
+      requests: [],
+      maxRequests: config.maxRequestsPerMinute || 60,
+      timeWindow: 60 * 1000
+    };
+  }
+
+  getDefaultAccessToken() {
+    return this.url;
+  }
+
+  getValue(source, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+  }
+
+  // "{{text}}" on its own keeps the value's type (arrays stay arrays);
+  // placeholders inside longer strings are interpolated
+  renderTemplate(template, context) {
+    if (typeof template === 'string') {
+      const exact = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+      if (exact) {
+        const value = this.getValue(context, exact[1]);
+        return value === undefined ? null : value;
+      }
+
+      return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+        const value = this.getValue(context, path);
+        if (value == null) return '';
+        return Array.isArray(value) ? value.join(' ') : String(value);
+      });
+    }
+
+    if (Array.isArray(template)) {
+      return template.map(item => this.renderTemplate(item, context));
+    }
+
+    if (template && typeof template === 'object') {
+      return Object.entries(template).reduce((rendered, [key, value]) => {
+        rendered[key] = this.renderTemplate(value, context);
+        return rendered;
+      }, {});
+    }
+
+    return template;
+  }
+
+  buildContext(content, options = {}, adaptedContent = null) {
+    return {
+      platform: this.platform,
+      text: content,
+      title: options.title || adaptedContent?.title || options.mediaTitle || null,
+      hashtags: options.hashtags || [],
+      mentions: options.mentions || [],
+      callToAction: options.callToAction || adaptedContent?.callToAction || null,
+      mediaUrl: options.mediaUrl || null,
+      imageUrl: options.imageUrl || null,
+      content: this.formatContent(content, options),
+      adapted: adaptedContent || {},
+      options,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // HMAC-SHA256 over "<timestamp>.<body>" so receivers can reject replays
+  sign(body, timestamp) {
+    const signature = crypto.createHmac('sha256', this.secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+    return `sha256=${signature}`;
+  }
+
+  isSuccessStatus(status) {
+    if (!this.successStatus) {
+      return status >= 200 && status < 300;
+    }
+    const expected = Array.isArray(this.successStatus) ? this.successStatus : [this.successStatus];
+    return expected.map(Number).includes(status);
+  }
+
+  async publish(accessTokenOrAdaptedContent, content, options = {}) {
+    try {
+      await this.checkRateLimit();
+
+      const {
+        accessToken: url,
+        content: actualContent,
+        adaptedContent,
+        options: actualOptions
+      } = this.normalizePublishArgs(accessTokenOrAdaptedContent, content, options);
+
+      if (!url) {
+        return this.failure(
+          'No webhook URL provided',
+          `Configure options.url for the "${this.platform}" webhook target`
+        );
+      }
+
+      const context = this.buildContext(actualContent, actualOptions, adaptedContent);
+      const payload = this.bodyTemplate
+        ? this.renderTemplate(this.bodyTemplate, context)
+        : {
+          platform: context.platform,
+          text: context.text,
+          title: context.title,
+          hashtags: context.hashtags,
+          callToAction: context.callToAction,
+          mediaUrl: context.mediaUrl,
+          timestamp: context.timestamp
+        };
+
+      // Serialize once so the signature covers exactly the bytes sent
+      const body = JSON.stringify(payload);
+      const headers = {
+        'Content-Type': 'application/json',
+        ...this.renderTemplate(this.headers, context)
+      };
+
+      if (this.secret) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        headers[this.timestampHeader] = timestamp;
+        headers[this.signatureHeader] = this.sign(body, timestamp);
+      }
+
+      const response = await axios.request({
+        url,
+        method: this.method,
+        data: body,
+        headers,
+        timeout: this.timeout,
+        validateStatus: () => true
+      });
+
+      if (!this.isSuccessStatus(response.status)) {
+        logger.error(`Webhook ${this.platform} returned unexpected status ${response.status}`);
+
+        return {
+          success: false,
+          error: 'Post publication failed',
+          details: {
+            status: response.status,
+            expected: this.successStatus || '2xx',
+            body: response.data
+          },
+          platform: this.platform
+        };
+      }
+
+      const responseData = typeof response.data === 'object' && response.data !== null ? response.data : {};
+      logger.info(`Webhook ${this.platform} delivered successfully`, { status: response.status });
+
+      return {
+        success: true,
+        postId: this.getValue(responseData, this.responseIdPath) || null,
+        postUrl: this.getValue(responseData, this.responseUrlPath) || null,
+        status: response.status,
+        signed: Boolean(this.secret),
+        publishedAt: new Date().toISOString(),
+        platform: this.platform
+      };
+    } catch (error) {
+      logger.error(`Webhook ${this.platform} delivery failed:`, error.message);
+
+      return {
+        success: false,
+        error: 'Post publication failed',
+        details: error.message,
+        platform: this.platform
+      };
+    }
+  }
+}
+
+module.exports = WebhookPublisher;
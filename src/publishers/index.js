@@ -0,0 +1,75 @@
+const path = require('path');
+const logger = require('../utils/logger');
+const BasePublisher = require('./BasePublisher');
+const PublisherRegistry = require('./PublisherRegistry');
+const LinkedInPublisher = require('./LinkedInPublisher');
+const TwitterPublisher = require('./TwitterPublisher');
+const MastodonPublisher = require('./MastodonPublisher');
+const BlueskyPublisher = require('./BlueskyPublisher');
+const MediumPublisher = require('./MediumPublisher');
+const DevToPublisher = require('./DevToPublisher');
+const HashnodePublisher = require('./HashnodePublisher');
+const SlackPublisher = require('./SlackPublisher');
+const DiscordPublisher = require('./DiscordPublisher');
+const TeamsPublisher = require('./TeamsPublisher');
+const RedditPublisher = require('./RedditPublisher');
+const FacebookPublisher = require('./FacebookPublisher');
+const InstagramPublisher = require('./InstagramPublisher');
+const TelegramPublisher = require('./TelegramPublisher');
+const WebhookPublisher = require('./WebhookPublisher');
+
+let defaultRegistry = null;
+
+function createDefaultRegistry(options = {}) {
+  const registry = new PublisherRegistry();
+
+  registry.register('linkedin', LinkedInPublisher);
+  registry.register('twitter', TwitterPublisher);
+  registry.register('mastodon', MastodonPublisher);
+  registry.register('bluesky', BlueskyPublisher);
+  registry.register('medium', MediumPublisher);
+  registry.register('devto', DevToPublisher);
+  registry.register('hashnode', HashnodePublisher);
+  registry.register('slack', SlackPublisher);
+  registry.register('discord', DiscordPublisher);
+  registry.register('teams', TeamsPublisher);
+  registry.register('reddit', RedditPublisher);
+  registry.register('facebook', FacebookPublisher);
+  registry.register('instagram', InstagramPublisher);
+  registry.register('telegram', TelegramPublisher);
+
+  registry.registerType('webhook', WebhookPublisher);
+
+  // In-house publishers listed in config/publishers.json (or PUBLISHERS_CONFIG)
+  const configPath = options.configPath ||
+    process.env.PUBLISHERS_CONFIG ||
+    path.join(process.cwd(), 'config', 'publishers.json');
+  registry.loadFromFile(configPath);
+
+  // Extra accounts without per-account options, e.g. PUBLISHER_ACCOUNTS=linkedin:company,twitter:devrel
+  (process.env.PUBLISHER_ACCOUNTS || '').split(',').map(name => name.trim()).filter(Boolean)
+    .filter(name => !registry.has(name))
+    .forEach(name => {
+      try {
+        registry.registerAccount(name);
+      } catch (error) {
+        logger.error(`Failed to add account ${name}:`, error.message);
+      }
+    });
+
+  return registry;
+}
+
+function getDefaultRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = createDefaultRegistry();
+  }
+  return defaultRegistry;
+}
+
+module.exports = {
+  BasePublisher,
+  PublisherRegistry,
+  createDefaultRegistry,
+  getDefaultRegistry
+};
@@ -2,10 +2,18 @@
 
 const express = require('express');
 const router = express.Router();
-const { SocialMediaController } = require('../controllers/SocialMediaController');
+const { getDefaultController } = require('../controllers/SocialMediaController');
+const { getDefaultTokenStore } = require('../auth');
+const { accountEnvName } = require('../vault');
+const { parseListFilters } = require('../posts');
+const { getDefaultScheduler } = require('../scheduler');
+const { getDefaultJobTracker, FINISHED_STATUSES } = require('../jobs');
+const authRoutes = require('./auth');
 const logger = require('../utils/logger');
 
-const socialController = new SocialMediaController();
+const socialController = getDefaultController();
+
+router.use('/auth', authRoutes);
 
 // Content publishing with real implementation
 router.post('/content/publish', async (req, res) => {
@@ -21,48 +29,51 @@ router.post('/content/publish', async (req, res) => {
     }
 
     // Check for required API keys
-    const missingKeys = [];
-    if (platforms.includes('linkedin') && !process.env.LINKEDIN_ACCESS_TOKEN) {
-      missingKeys.push('LINKEDIN_ACCESS_TOKEN');
-    }
-    if ((platforms.includes('twitter') || platforms.includes('x')) && !process.env.TWITTER_ACCESS_TOKEN) {
-      missingKeys.push('TWITTER_ACCESS_TOKEN');
-    }
+    const missingKeys = platforms.map(missingUserToken).filter(Boolean);
 
     if (missingKeys.length > 0) {
       return res.status(400).json({
         success: false,
         message: `Missing required environment variables: ${missingKeys.join(', ')}`,
-        hint: 'Please add these API keys to your .env file'
+        hint: 'Add these to your .env file or connect the account via /api/auth/:platform/start'
       });
     }
 
     logger.info('Real content publish request', { 
       contentLength: content.length, 
       platforms, 
-      category 
+      category,
+      async: Boolean(req.body.async)
     });
 
-    // Real publishing
-    const results = await socialController.publishContent(
+    // Long threads can outlast proxy timeouts: answer at once and let the
+    // client follow GET /api/jobs/:id or its event stream
+    if (req.body.async) {
+      const job = getDefaultJobTracker().start(
+        report => publishAndRecord(content, platforms, category, options, report),
+        { platforms }
+      );
+
+      return res.status(202).json({
+        success: true,
+        message: 'Publishing started',
+        data: {
+          jobId: job.id,
+          job,
+          statusUrl: `/api/jobs/${job.id}`,
+          eventsUrl: `/api/jobs/${job.id}/events`
+        }
+      });
+    }
+
+    const { successCount, totalCount, ...data } = await publishAndRecord(
       content, platforms, category, options
     );
 
-    const successCount = Object.values(results).filter(r => r.success).length;
-    const totalCount = Object.keys(results).length;
-
     res.json({
       success: successCount > 0,
       message: `Published to ${successCount}/${totalCount} platforms`,
-      data: {
-        results: results,
-        summary: {
-          successful: successCount,
-          failed: totalCount - successCount,
-          platforms: platforms
-        },
-        timestamp: new Date().toISOString()
-      }
+      data
     });
 
   } catch (error) {
@@ -75,6 +86,225 @@ router.post('/content/publish', async (req, res) => {
   }
 });
 
+// Environment variable holding the user token of platforms that cannot publish without one
+const USER_TOKEN_VARIABLES = {
+  linkedin: 'LINKEDIN_ACCESS_TOKEN',
+  twitter: 'TWITTER_ACCESS_TOKEN'
+};
+
+// Name of the missing token variable, or null. An account connected through
+// /api/auth/:platform/start replaces the env token, for named accounts too.
+function missingUserToken(platform) {
+  const name = platform === 'x' ? 'twitter' : platform;
+  const variable = USER_TOKEN_VARIABLES[socialController.registry.getPlatform(name)];
+  if (!variable) return null;
+
+  const publisher = socialController.registry.get(name);
+  if (getDefaultTokenStore().get(publisher.tokenKey) || publisher.getDefaultAccessToken()) {
+    return null;
+  }
+
+  return publisher.account ? accountEnvName(variable, publisher.account) : variable;
+}
+
+// Publishes and saves the run to the publish history; shared by the blocking
+// and the async (job) variant of POST /content/publish
+async function publishAndRecord(content, platforms, category, options, onProgress = null) {
+  const results = await socialController.publishContent(
+    content, platforms, category, options, onProgress
+  );
+
+  const successCount = Object.values(results).filter(r => r.success).length;
+  const totalCount = Object.keys(results).length;
+  // The id addresses the post in DELETE / PATCH /api/posts/:id
+  const post = await socialController.recordPost(content, results, category);
+
+  return {
+    successCount,
+    totalCount,
+    id: post ? post.id : null,
+    results: results,
+    summary: {
+      successful: successCount,
+      failed: totalCount - successCount,
+      platforms: platforms
+    },
+    timestamp: new Date().toISOString()
+  };
+}
+
+// State of an async publish: status, per-platform progress and, once done, the
+// same data the blocking publish returns
+router.get('/jobs/:id', (req, res) => {
+  const job = getDefaultJobTracker().get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: `Job ${req.params.id} not found`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { job }
+  });
+});
+
+// Server-Sent Events for an async publish. Events already emitted are replayed
+// (after Last-Event-ID when reconnecting); the stream ends with the final
+// "job" event.
+router.get('/jobs/:id/events', (req, res) => {
+  const tracker = getDefaultJobTracker();
+  if (!tracker.get(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      message: `Job ${req.params.id} not found`
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps compression (ours and proxies') from buffering events
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Stops nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+
+  let unsubscribe = () => {};
+  let closed = false;
+  // Comments keep idle proxies from closing the connection between tweets
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  const send = event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    if (event.type === 'job' && FINISHED_STATUSES.includes(event.status)) {
+      setImmediate(close);
+    }
+  };
+
+  const lastEventId = Number(req.get('Last-Event-ID')) || 0;
+  unsubscribe = tracker.subscribe(req.params.id, send, lastEventId);
+  req.on('close', close);
+
+  // Reconnecting after the final event: nothing more will come
+  if (tracker.isFinished(req.params.id)) {
+    setImmediate(close);
+  }
+});
+
+function schedulerFailure(res, error, message) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal error'
+  });
+}
+
+// Publish later: publishAt is an ISO timestamp with an offset, or wall-clock
+// time ("2024-06-01T09:00") in the IANA timezone given (default UTC)
+router.post('/content/schedule', async (req, res) => {
+  try {
+    const job = await getDefaultScheduler().schedule(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: `Scheduled for ${job.publishAt}`,
+      data: { job }
+    });
+  } catch (error) {
+    schedulerFailure(res, error, 'Scheduling failed');
+  }
+});
+
+// Scheduled jobs, soonest first (?status=scheduled|running|published|partial|failed|cancelled)
+router.get('/content/schedule', async (req, res) => {
+  try {
+    const jobs = await getDefaultScheduler().list({ status: req.query.status });
+
+    res.json({
+      success: true,
+      data: { jobs }
+    });
+  } catch (error) {
+    schedulerFailure(res, error, 'Listing scheduled jobs failed');
+  }
+});
+
+router.get('/content/schedule/:id', async (req, res) => {
+  try {
+    const job = await getDefaultScheduler().get(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: `Job ${req.params.id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { job }
+    });
+  } catch (error) {
+    schedulerFailure(res, error, 'Loading the scheduled job failed');
+  }
+});
+
+router.patch('/content/schedule/:id', async (req, res) => {
+  try {
+    const job = await getDefaultScheduler().reschedule(req.params.id, req.body);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: `Job ${req.params.id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Rescheduled for ${job.publishAt}`,
+      data: { job }
+    });
+  } catch (error) {
+    schedulerFailure(res, error, 'Rescheduling failed');
+  }
+});
+
+router.delete('/content/schedule/:id', async (req, res) => {
+  try {
+    const job = await getDefaultScheduler().cancel(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: `Job ${req.params.id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job cancelled',
+      data: { job }
+    });
+  } catch (error) {
+    schedulerFailure(res, error, 'Cancelling failed');
+  }
+});
+
 // Content preview with real AI adaptation
 router.post('/content/preview', async (req, res) => {
   try {
@@ -113,6 +343,169 @@ router.post('/content/preview', async (req, res) => {
   }
 });
 
+function summarizePostUpdate(outcome, verb) {
+  const results = Object.values(outcome.results);
+  const successCount = results.filter(result => result.success).length;
+
+  return {
+    success: results.length > 0 && successCount === results.length,
+    message: `${verb} on ${successCount}/${results.length} platforms`,
+    data: {
+      post: outcome.post,
+      results: outcome.results
+    }
+  };
+}
+
+// Publish history, newest first. Filters: platform, category, status
+// (published, partial, failed, deleted), from / to (ISO dates), limit, offset
+router.get('/posts', async (req, res) => {
+  let filters;
+  try {
+    filters = parseListFilters(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  try {
+    const { posts, total } = await socialController.listPosts(filters);
+
+    res.json({
+      success: true,
+      data: {
+        posts,
+        total,
+        limit: filters.limit,
+        offset: filters.offset
+      }
+    });
+  } catch (error) {
+    logger.error('Listing posts failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Listing posts failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal error'
+    });
+  }
+});
+
+// Retract a published post from every platform, including all tweets of a thread
+router.delete('/posts/:id', async (req, res) => {
+  try {
+    const outcome = await socialController.deletePost(req.params.id);
+    if (!outcome) {
+      return res.status(404).json({
+        success: false,
+        message: `Post ${req.params.id} not found`
+      });
+    }
+
+    res.json(summarizePostUpdate(outcome, 'Deleted'));
+  } catch (error) {
+    logger.error('Post deletion failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Deleting the post failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal error'
+    });
+  }
+});
+
+// Replace the text of a published post everywhere it is still up
+router.patch('/posts/:id', async (req, res) => {
+  try {
+    const { content, options } = req.body;
+
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Content is required'
+      });
+    }
+
+    const outcome = await socialController.editPost(req.params.id, content, options);
+    if (!outcome) {
+      return res.status(404).json({
+        success: false,
+        message: `Post ${req.params.id} not found`
+      });
+    }
+
+    res.json(summarizePostUpdate(outcome, 'Edited'));
+  } catch (error) {
+    logger.error('Post edit failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Editing the post failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal error'
+    });
+  }
+});
+
+// Registered publishers and their capabilities
+router.get('/platforms', (req, res) => {
+  const capabilities = socialController.getPlatformCapabilities();
+
+  res.json({
+    success: true,
+    data: {
+      platforms: Object.keys(capabilities),
+      capabilities: capabilities
+    }
+  });
+});
+
+// LinkedIn organizations the connected member can post as (?account=company for a named account)
+router.get('/linkedin/organizations', async (req, res) => {
+  try {
+    const name = req.query.account ? `linkedin:${req.query.account}` : 'linkedin';
+    const publisher = socialController.registry.get(name);
+    if (!publisher) {
+      return res.status(404).json({
+        success: false,
+        message: `Account ${name} is not configured`
+      });
+    }
+
+    const accessToken = (await publisher.getValidAccessToken()) || publisher.getDefaultAccessToken();
+    if (!accessToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'No LinkedIn access token',
+        hint: 'Connect an account via /api/auth/linkedin/start or set LINKEDIN_ACCESS_TOKEN'
+      });
+    }
+
+    const result = await publisher.listOrganizations(accessToken);
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        message: result.error,
+        error: result.details,
+        hint: 'The token needs the r_organization_admin or rw_organization_admin scope'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        organizations: result.organizations,
+        default: publisher.organizationId || null
+      }
+    });
+  } catch (error) {
+    logger.error('Listing LinkedIn organizations failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Listing organizations failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal error'
+    });
+  }
+});
+
 // Test LinkedIn authentication
 router.get('/test/linkedin-auth', async (req, res) => {
   try {
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { getDefaultRegistry } = require('../publishers');
+const {
+  getDefaultStateStore,
+  generateCodeVerifier,
+  generateCodeChallenge
+} = require('../auth');
+const logger = require('../utils/logger');
+
+// How each platform starts and completes its authorization code flow
+const providers = {
+  // OAuth 2.0 with PKCE
+  twitter: {
+    configHint: 'Set TWITTER_CLIENT_ID (and TWITTER_CLIENT_SECRET for confidential clients) in .env',
+    isConfigured: publisher => Boolean(publisher.clientId),
+    begin(publisher) {
+      const codeVerifier = generateCodeVerifier();
+      return {
+        pending: { codeVerifier },
+        authUrl: state => publisher.getAuthUrl(state, generateCodeChallenge(codeVerifier))
+      };
+    },
+    exchange: (publisher, code, pending) => publisher.authenticate(code, pending.codeVerifier),
+    accountName: profile => profile.profile?.username
+  },
+  linkedin: {
+    configHint: 'Set LINKEDIN_CLIENT_ID, LINKEDIN_CLIENT_SECRET and LINKEDIN_REDIRECT_URI in .env',
+    isConfigured: publisher => Boolean(publisher.clientId && publisher.clientSecret),
+    begin(publisher) {
+      return {
+        pending: {},
+        authUrl: state => publisher.getAuthUrl(state)
+      };
+    },
+    exchange: (publisher, code) => publisher.authenticate(code),
+    accountName: profile => profile.profile?.name || profile.profile?.localizedFirstName
+  }
+};
+
+const STATE_COOKIE_MAX_AGE = 10 * 60;
+
+function stateCookieName(platform) {
+  return `oauth_state_${platform}`;
+}
+
+function readCookie(req, name) {
+  const cookies = (req.headers.cookie || '').split(';').map(cookie => cookie.trim());
+  const match = cookies.find(cookie => cookie.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.substring(name.length + 1)) : null;
+}
+
+function setStateCookie(req, res, platform, value, maxAge) {
+  const attributes = [
+    `${stateCookieName(platform)}=${encodeURIComponent(value)}`,
+    'Path=/api/auth',
+    `Max-Age=${maxAge}`,
+    'HttpOnly',
+    'SameSite=Lax'
+  ];
+  if (req.secure) attributes.push('Secure');
+
+  res.append('Set-Cookie', attributes.join('; '));
+}
+
+// The state must match the cookie set on this browser, so a callback URL
+// crafted by someone else can't attach their account to our session
+function stateMatchesCookie(req, platform, state) {
+  const cookieState = readCookie(req, stateCookieName(platform));
+  if (!cookieState || !state || cookieState.length !== state.length) return false;
+
+  return crypto.timingSafeEqual(Buffer.from(cookieState), Buffer.from(state));
+}
+
+// ?account=company connects the named account 'twitter:company' instead of the default one
+function resolveProvider(req, res) {
+  const platform = req.params.platform.toLowerCase();
+  const provider = providers[platform];
+  const account = req.query.account ? `${platform}:${req.query.account}`.toLowerCase() : null;
+  const publisher = provider && getDefaultRegistry().get(account || platform);
+
+  if (!publisher) {
+    res.status(404).json({
+      success: false,
+      message: account
+        ? `Account ${account} is not configured`
+        : `OAuth connect is not supported for ${platform}`,
+      supported: Object.keys(providers)
+    });
+    return null;
+  }
+
+  return { platform, provider, publisher, account };
+}
+
+router.get('/:platform/start', (req, res) => {
+  const resolved = resolveProvider(req, res);
+  if (!resolved) return;
+
+  const { platform, provider, publisher, account } = resolved;
+  if (!provider.isConfigured(publisher)) {
+    return res.status(400).json({
+      success: false,
+      message: `${publisher.displayName} OAuth is not configured`,
+      hint: provider.configHint
+    });
+  }
+
+  const { pending, authUrl: buildAuthUrl } = provider.begin(publisher);
+  const state = getDefaultStateStore().create(platform, { ...pending, account });
+  const authUrl = buildAuthUrl(state);
+
+  setStateCookie(req, res, platform, state, STATE_COOKIE_MAX_AGE);
+  logger.info(`${publisher.displayName} OAuth flow started`, { account });
+
+  if (req.query.redirect === 'false') {
+    return res.json({
+      success: true,
+      data: { authUrl }
+    });
+  }
+
+  res.redirect(authUrl);
+});
+
+router.get('/:platform/callback', async (req, res) => {
+  try {
+    const resolved = resolveProvider(req, res);
+    if (!resolved) return;
+
+    const { platform, provider } = resolved;
+    let { publisher } = resolved;
+    const { code, state, error, error_description: errorDescription } = req.query;
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: `${publisher.displayName} authorization was denied`,
+        error: errorDescription || error
+      });
+    }
+
+    const cookieMatches = stateMatchesCookie(req, platform, state);
+    // Consume regardless so a state can never be replayed
+    const pending = getDefaultStateStore().consume(state, platform);
+    setStateCookie(req, res, platform, '', 0);
+
+    if (!pending || !cookieMatches) {
+      logger.warn(`${publisher.displayName} OAuth callback rejected: invalid state`);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired OAuth state',
+        hint: `Start again from /api/auth/${platform}/start`
+      });
+    }
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authorization code is required'
+      });
+    }
+
+    // The account was chosen when the flow started
+    if (pending.account) {
+      publisher = getDefaultRegistry().get(pending.account);
+    }
+
+    const tokens = await provider.exchange(publisher, code, pending);
+    if (!tokens.success) {
+      return res.status(400).json({
+        success: false,
+        message: `${publisher.displayName} authentication failed`,
+        error: tokens.details
+      });
+    }
+
+    publisher.saveTokens(tokens);
+    const profile = await publisher.getUserProfile(tokens.accessToken);
+    const account = profile.success ? provider.accountName(profile) || null : null;
+
+    logger.info(`${publisher.displayName} account connected`, { account, key: publisher.tokenKey });
+
+    res.json({
+      success: true,
+      message: `${publisher.displayName} account connected`,
+      data: {
+        account,
+        key: publisher.tokenKey,
+        scope: tokens.scope,
+        expiresAt: tokens.expiresAt,
+        refreshable: Boolean(tokens.refreshToken)
+      }
+    });
+  } catch (error) {
+    logger.error('OAuth callback failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'OAuth callback failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Scheduled jobs in a JSON file (SCHEDULE_STORE_PATH) for setups without Postgres.
+// Only safe with a single worker process. Same async interface as PostgresJobStore.
+class FileJobStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath ||
+      process.env.SCHEDULE_STORE_PATH ||
+      path.join(process.cwd(), 'data', 'schedule.json');
+    this.jobs = null;
+    // Set when the file exists but can't be read; writing would drop every job
+    this.readError = null;
+  }
+
+  load() {
+    if (this.jobs) return this.jobs;
+
+    try {
+      this.jobs = fs.existsSync(this.filePath)
+        ? JSON.parse(fs.readFileSync(this.filePath, 'utf8')).jobs || {}
+        : {};
+    } catch (error) {
+      logger.error(`Failed to read schedule store ${this.filePath}:`, error.message);
+      this.readError = error;
+      this.jobs = {};
+    }
+
+    return this.jobs;
+  }
+
+  assertWritable() {
+    this.load();
+    if (this.readError) {
+      throw new Error(`Schedule store ${this.filePath} could not be read (${this.readError.message}); refusing to overwrite it`);
+    }
+  }
+
+  save() {
+    this.assertWritable();
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ version: 1, jobs: this.jobs }, null, 2));
+  }
+
+  async create(job) {
+    const now = new Date().toISOString();
+    const created = {
+      id: crypto.randomUUID(),
+      category: null,
+      options: {},
+      postId: null,
+      results: null,
+      error: null,
+      startedAt: null,
+      completedAt: null,
+      ...job,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.assertWritable();
+    this.jobs[created.id] = created;
+    this.save();
+    return created;
+  }
+
+  async get(id) {
+    return this.load()[id] || null;
+  }
+
+  // Applies changes only while the job is in one of the expected states, so a
+  // job the worker already picked up cannot be rescheduled or cancelled
+  async update(id, changes, expectedStatuses = null) {
+    const job = await this.get(id);
+    if (!job || (expectedStatuses && !expectedStatuses.includes(job.status))) return null;
+
+    this.assertWritable();
+    this.jobs[id] = { ...job, ...changes, updatedAt: new Date().toISOString() };
+    this.save();
+    return this.jobs[id];
+  }
+
+  // Soonest first
+  async list(filters = {}) {
+    return Object.values(this.load())
+      .filter(job => !filters.status || job.status === filters.status)
+      .sort((a, b) => a.publishAt.localeCompare(b.publishAt));
+  }
+
+  // Marks due jobs as running and returns them
+  async claimDue(now = new Date(), limit = 10) {
+    const due = (await this.list({ status: 'scheduled' }))
+      .filter(job => new Date(job.publishAt) <= now)
+      .slice(0, limit);
+
+    const startedAt = new Date().toISOString();
+    due.forEach(job => {
+      this.jobs[job.id] = { ...job, status: 'running', startedAt, updatedAt: startedAt };
+    });
+    if (due.length > 0) this.save();
+
+    return due.map(job => this.jobs[job.id]);
+  }
+
+  // Jobs still running since before startedBefore were left behind by a stopped process
+  async failInterrupted(error, startedBefore = new Date()) {
+    const running = (await this.list({ status: 'running' }))
+      .filter(job => new Date(job.startedAt) <= startedBefore);
+    for (const job of running) {
+      await this.update(job.id, { status: 'failed', error, completedAt: new Date().toISOString() });
+    }
+    return running.length;
+  }
+}
+
+module.exports = FileJobStore;
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { getPool } = require('../database');
+const { migrate } = require('../database/migrate');
+
+// Job fields and their scheduled_jobs columns; JSON columns are serialized on write
+const JOB_COLUMNS = {
+  content: 'content',
+  platforms: 'platforms',
+  category: 'category',
+  options: 'options',
+  publishAt: 'publish_at',
+  timeZone: 'time_zone',
+  status: 'status',
+  postId: 'post_id',
+  results: 'results',
+  error: 'error',
+  startedAt: 'started_at',
+  completedAt: 'completed_at'
+};
+const JSON_COLUMNS = ['platforms', 'options', 'results'];
+
+function toIso(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function toJob(row) {
+  const job = { id: row.id };
+  Object.entries(JOB_COLUMNS).forEach(([field, column]) => {
+    job[field] = column.endsWith('_at') ? toIso(row[column]) : row[column] ?? null;
+  });
+  job.createdAt = toIso(row.created_at);
+  job.updatedAt = toIso(row.updated_at);
+  return job;
+}
+
+function toColumnValue(column, value) {
+  if (value === undefined || value === null) return null;
+  return JSON_COLUMNS.includes(column) ? JSON.stringify(value) : value;
+}
+
+// Scheduled jobs in the scheduled_jobs table of DATABASE_URL. Claiming uses
+// FOR UPDATE SKIP LOCKED, so several workers never run the same job.
+class PostgresJobStore {
+  constructor(options = {}) {
+    this.pool = options.pool || null;
+    this.ready = null;
+  }
+
+  getPool() {
+    if (!this.pool) this.pool = getPool();
+    return this.pool;
+  }
+
+  ensureSchema() {
+    if (!this.ready) {
+      this.ready = migrate(this.getPool()).catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  async query(sql, params) {
+    await this.ensureSchema();
+    return this.getPool().query(sql, params);
+  }
+
+  async create(job) {
+    const fields = Object.keys(JOB_COLUMNS).filter(field => job[field] !== undefined);
+    const columns = fields.map(field => JOB_COLUMNS[field]);
+    const { rows } = await this.query(
+      `INSERT INTO scheduled_jobs (id, ${columns.join(', ')})
+       VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(', ')})
+       RETURNING *`,
+      [crypto.randomUUID(), ...fields.map(field => toColumnValue(JOB_COLUMNS[field], job[field]))]
+    );
+    return toJob(rows[0]);
+  }
+
+  async get(id) {
+    const { rows } = await this.query('SELECT * FROM scheduled_jobs WHERE id = $1', [id]);
+    return rows.length > 0 ? toJob(rows[0]) : null;
+  }
+
+  // Applies changes only while the job is in one of the expected states, so a
+  // job the worker already picked up cannot be rescheduled or cancelled
+  async update(id, changes, expectedStatuses = null) {
+    const fields = Object.keys(changes).filter(field => JOB_COLUMNS[field]);
+    const params = [id, ...fields.map(field => toColumnValue(JOB_COLUMNS[field], changes[field]))];
+    const assignments = fields.map((field, i) => `${JOB_COLUMNS[field]} = $${i + 2}`);
+    let condition = 'id = $1';
+    if (expectedStatuses) {
+      params.push(expectedStatuses);
+      condition += ` AND status = ANY($${params.length})`;
+    }
+
+    const { rows } = await this.query(
+      `UPDATE scheduled_jobs SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+       WHERE ${condition} RETURNING *`,
+      params
+    );
+    return rows.length > 0 ? toJob(rows[0]) : null;
+  }
+
+  // Soonest first
+  async list(filters = {}) {
+    const { rows } = filters.status
+      ? await this.query('SELECT * FROM scheduled_jobs WHERE status = $1 ORDER BY publish_at', [filters.status])
+      : await this.query('SELECT * FROM scheduled_jobs ORDER BY publish_at');
+    return rows.map(toJob);
+  }
+
+  // Marks due jobs as running and returns them
+  async claimDue(now = new Date(), limit = 10) {
+    const { rows } = await this.query(`
+      UPDATE scheduled_jobs SET status = 'running', started_at = NOW(), updated_at = NOW()
+      WHERE id IN (
+        SELECT id FROM scheduled_jobs
+        WHERE status = 'scheduled' AND publish_at <= $1
+        ORDER BY publish_at
+        LIMIT $2
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [now, limit]);
+    return rows.map(toJob);
+  }
+
+  // Jobs still running since before startedBefore were left behind by a stopped process
+  async failInterrupted(error, startedBefore = new Date()) {
+    const { rowCount } = await this.query(`
+      UPDATE scheduled_jobs SET status = 'failed', error = $1, completed_at = NOW(), updated_at = NOW()
+      WHERE status = 'running' AND started_at <= $2
+    `, [error, startedBefore]);
+    return rowCount;
+  }
+}
+
+module.exports = PostgresJobStore;
@@ -0,0 +1,187 @@
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const { resolvePublishTime } = require('./time');
+
+const JOB_STATUSES = ['scheduled', 'running', 'published', 'partial', 'failed', 'cancelled'];
+// Publishing takes seconds per platform; a job running this long was interrupted
+const INTERRUPTED_AFTER = 15 * 60 * 1000;
+
+function schedulerError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Per-platform outcome kept on the job (the full results go to the publish history)
+function summarizeResults(results) {
+  return Object.fromEntries(Object.entries(results).map(([platform, result]) => [platform, {
+    success: result.success,
+    error: result.error || null,
+    postUrl: result.data?.postUrl || result.data?.threadUrl || null
+  }]));
+}
+
+// Stores publish jobs with a target time and runs the due ones through
+// SocialMediaController.publishContent on a cron tick (every minute by default).
+// Jobs live in the job store, so they survive restarts; jobs that came due
+// while the process was down run on the first tick after start().
+class Scheduler {
+  constructor(options = {}) {
+    this.controller = options.controller;
+    this.store = options.store;
+    this.cronExpression = options.cronExpression || process.env.SCHEDULER_CRON || '* * * * *';
+    this.batchSize = options.batchSize || 10;
+    this.task = null;
+    this.running = null;
+  }
+
+  resolveTime(publishAt, timeZone) {
+    let publishTime;
+    try {
+      publishTime = resolvePublishTime(publishAt, timeZone);
+    } catch (error) {
+      throw schedulerError(error.message, 400);
+    }
+
+    if (publishTime <= new Date()) {
+      throw schedulerError('publishAt must be in the future', 400);
+    }
+    return publishTime;
+  }
+
+  async schedule({ content, platforms, category, options, publishAt, timezone }) {
+    if (!content || !Array.isArray(platforms) || platforms.length === 0) {
+      throw schedulerError('Content and platforms are required', 400);
+    }
+
+    const timeZone = timezone || 'UTC';
+    const job = await this.store.create({
+      content,
+      platforms,
+      category: category || null,
+      options: options || {},
+      publishAt: this.resolveTime(publishAt, timeZone).toISOString(),
+      timeZone,
+      status: 'scheduled'
+    });
+
+    logger.info('Publish job scheduled', { id: job.id, publishAt: job.publishAt, platforms });
+    return job;
+  }
+
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  async list(filters = {}) {
+    if (filters.status && !JOB_STATUSES.includes(filters.status)) {
+      throw schedulerError(`status must be one of ${JOB_STATUSES.join(', ')}`, 400);
+    }
+    return this.store.list(filters);
+  }
+
+  // Only jobs that have not started can change; returns null for unknown ids
+  async reschedule(id, { publishAt, timezone }) {
+    const job = await this.store.get(id);
+    if (!job) return null;
+
+    const timeZone = timezone || job.timeZone;
+    const publishTime = this.resolveTime(publishAt, timeZone);
+    const updated = await this.store.update(id, { publishAt: publishTime.toISOString(), timeZone }, ['scheduled']);
+
+    return updated || this.notPending(id, 'rescheduled');
+  }
+
+  async cancel(id) {
+    const job = await this.store.get(id);
+    if (!job) return null;
+
+    const updated = await this.store.update(id, { status: 'cancelled', completedAt: new Date().toISOString() }, ['scheduled']);
+    return updated || this.notPending(id, 'cancelled');
+  }
+
+  async notPending(id, action) {
+    const job = await this.store.get(id);
+    throw schedulerError(`Job ${id} is ${job.status} and can no longer be ${action}`, 409);
+  }
+
+  // One pass of the worker. Overlapping ticks share the pass in progress.
+  runDueJobs(now = new Date()) {
+    if (!this.running) {
+      this.running = this.runPass(now).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async runPass(now) {
+    // A second attempt could post twice, so interrupted jobs fail instead of retrying
+    const interrupted = await this.store.failInterrupted(
+      'Interrupted before finishing; check the platforms before scheduling it again',
+      new Date(now.getTime() - INTERRUPTED_AFTER)
+    );
+    if (interrupted > 0) {
+      logger.warn(`Marked ${interrupted} interrupted publish job(s) as failed`);
+    }
+
+    const jobs = await this.store.claimDue(now, this.batchSize);
+    for (const job of jobs) {
+      await this.runJob(job);
+    }
+    return jobs.length;
+  }
+
+  async runJob(job) {
+    logger.info('Running scheduled publish job', { id: job.id, platforms: job.platforms });
+
+    try {
+      const results = await this.controller.publishContent(job.content, job.platforms, job.category, job.options);
+      const post = await this.controller.recordPost(job.content, results, job.category);
+
+      const outcomes = Object.values(results);
+      const successCount = outcomes.filter(result => result.success).length;
+      let status = 'partial';
+      if (successCount === outcomes.length) status = 'published';
+      if (successCount === 0) status = 'failed';
+
+      return await this.store.update(job.id, {
+        status,
+        results: summarizeResults(results),
+        postId: post ? post.id : null,
+        error: status === 'failed' ? 'No platform accepted the post' : null,
+        completedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error(`Scheduled publish job ${job.id} failed:`, error.message);
+
+      return this.store.update(job.id, {
+        status: 'failed',
+        error: error.message,
+        completedAt: new Date().toISOString()
+      });
+    }
+  }
+
+  start() {
+    if (this.task) return this.task;
+
+    const tick = () => this.runDueJobs().catch(error => {
+      logger.error('Scheduled publishing failed:', error.message);
+    });
+
+    this.task = cron.schedule(this.cronExpression, tick);
+    tick();
+    logger.info(`Publish scheduler started (${this.cronExpression})`);
+    return this.task;
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+}
+
+module.exports = { Scheduler, JOB_STATUSES };
@@ -0,0 +1,45 @@
+const { getDefaultController } = require('../controllers/SocialMediaController');
+const { Scheduler, JOB_STATUSES } = require('./Scheduler');
+const FileJobStore = require('./FileJobStore');
+const PostgresJobStore = require('./PostgresJobStore');
+const time = require('./time');
+
+// Jobs are kept next to the publish history, so POST_STORE decides for both
+function createJobStore(type = process.env.POST_STORE || (process.env.DATABASE_URL ? 'postgres' : 'file')) {
+  switch (type) {
+    case 'file':
+      return new FileJobStore();
+    case 'postgres':
+      return new PostgresJobStore();
+    default:
+      throw new Error(`Unknown POST_STORE: ${type}`);
+  }
+}
+
+let defaultScheduler = null;
+
+function getDefaultScheduler() {
+  if (!defaultScheduler) {
+    defaultScheduler = new Scheduler({
+      // Same controller as the API, so scheduled and requested publishes share limits
+      controller: getDefaultController(),
+      store: createJobStore()
+    });
+  }
+  return defaultScheduler;
+}
+
+function setDefaultScheduler(scheduler) {
+  defaultScheduler = scheduler;
+}
+
+module.exports = {
+  Scheduler,
+  FileJobStore,
+  PostgresJobStore,
+  JOB_STATUSES,
+  createJobStore,
+  getDefaultScheduler,
+  setDefaultScheduler,
+  ...time
+};
@@ -0,0 +1,59 @@
+// Publish times arrive either as an absolute ISO timestamp (with Z or an offset)
+// or as wall-clock time ("2024-06-01T09:00") in the job's IANA time zone.
+
+const OFFSET_PATTERN = /(?:Z|[+-]\d{2}:?\d{2})$/i;
+const LOCAL_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Milliseconds the zone is ahead of UTC at the given instant
+function timeZoneOffset(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - (date.getTime() - date.getMilliseconds());
+}
+
+function resolvePublishTime(publishAt, timeZone = 'UTC') {
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Unknown time zone: ${timeZone}`);
+  }
+
+  const value = String(publishAt || '').trim();
+  if (OFFSET_PATTERN.test(value)) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid publishAt: ${value}`);
+    }
+    return date;
+  }
+
+  const match = value.match(LOCAL_PATTERN);
+  if (!match) {
+    throw new Error('publishAt must be an ISO date-time, e.g. 2024-06-01T09:00 or 2024-06-01T07:00:00Z');
+  }
+
+  const [, year, month, day, hour, minute, second = '0'] = match;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  // The offset at the guessed instant can differ around DST changes, so correct once more
+  const guess = wallClock - timeZoneOffset(new Date(wallClock), timeZone);
+  return new Date(wallClock - timeZoneOffset(new Date(guess), timeZone));
+}
+
+module.exports = { resolvePublishTime, isValidTimeZone, timeZoneOffset };
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+
+// AES-256-GCM helpers for secrets at rest
+
+const ALGORITHM = 'aes-256-gcm';
+
+// Accepts a 32-byte key as 64 hex characters or base64; anything else is
+// treated as a passphrase and stretched with scrypt
+function deriveKey(secret) {
+  if (Buffer.isBuffer(secret) && secret.length === 32) return secret;
+
+  if (/^[0-9a-f]{64}$/i.test(secret)) {
+    return Buffer.from(secret, 'hex');
+  }
+
+  const decoded = Buffer.from(secret, 'base64');
+  if (decoded.length === 32 && decoded.toString('base64').replace(/=+$/, '') === secret.replace(/=+$/, '')) {
+    return decoded;
+  }
+
+  return crypto.scryptSync(secret, 'social-media-automation', 32);
+}
+
+// Optional associated data (e.g. a record ID) is authenticated but not stored,
+// so a ciphertext copied to another record fails to decrypt
+function encrypt(plaintext, key, associatedData = null) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (associatedData) cipher.setAAD(Buffer.from(associatedData));
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+// Throws if the key is wrong or the payload was tampered with
+function decrypt(payload, key, associatedData = null) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(payload.iv, 'base64'));
+  if (associatedData) decipher.setAAD(Buffer.from(associatedData));
+  decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(payload.data, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+module.exports = { deriveKey, encrypt, decrypt };
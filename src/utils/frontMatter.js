@@ -0,0 +1,60 @@
+// Minimal front-matter support for long-form Markdown posts:
+//
+// ---
+// title: My post
+// tags: javascript, node
+// published: false
+// ---
+
+const FRONT_MATTER_REGEX = /^﻿?---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+function parseValue(value) {
+  const trimmed = value.trim();
+
+  if (trimmed === 'true') return true;
+  if (trimmed === 'false') return false;
+
+  // Inline lists: [a, b, c]
+  if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
+    return trimmed.slice(1, -1).split(',').map(item => unquote(item.trim())).filter(Boolean);
+  }
+
+  return unquote(trimmed);
+}
+
+function unquote(value) {
+  if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
+    return value.slice(1, -1);
+  }
+  return value;
+}
+
+function parseFrontMatter(content) {
+  const match = (content || '').match(FRONT_MATTER_REGEX);
+  if (!match) {
+    return { attributes: {}, body: content || '' };
+  }
+
+  const attributes = {};
+  match[1].split(/\r?\n/).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator <= 0 || line.trim().startsWith('#')) return;
+
+    const key = line.substring(0, separator).trim();
+    attributes[key] = parseValue(line.substring(separator + 1));
+  });
+
+  return {
+    attributes,
+    body: content.substring(match[0].length)
+  };
+}
+
+// Comma-separated strings and arrays both become arrays
+function toList(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = { parseFrontMatter, toList };
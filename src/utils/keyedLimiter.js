@@ -0,0 +1,56 @@
+// Runs async tasks grouped by key: at most `concurrency` tasks of a key at
+// once, and starts of the same key spaced at least `interval` ms apart. Tasks
+// of different keys never wait for each other. Queued tasks start in the order
+// they were submitted.
+class KeyedLimiter {
+  constructor(options = {}) {
+    this.wait = options.wait || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.slots = new Map();
+  }
+
+  async run(key, task, { concurrency = 1, interval = 0 } = {}) {
+    const slot = this.slot(key);
+    await this.acquire(slot, Math.max(1, concurrency));
+
+    try {
+      // Reserve the start time synchronously so parallel tasks of the key queue up behind it
+      const now = Date.now();
+      const startAt = Math.max(now, slot.nextStart);
+      slot.nextStart = startAt + interval;
+      if (startAt > now) {
+        await this.wait(startAt - now);
+      }
+
+      return await task();
+    } finally {
+      this.release(slot);
+    }
+  }
+
+  slot(key) {
+    if (!this.slots.has(key)) {
+      this.slots.set(key, { active: 0, nextStart: 0, waiting: [] });
+    }
+    return this.slots.get(key);
+  }
+
+  acquire(slot, concurrency) {
+    if (slot.active < concurrency) {
+      slot.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => slot.waiting.push(resolve));
+  }
+
+  // Hands the slot straight to the next queued task, if any
+  release(slot) {
+    const next = slot.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      slot.active--;
+    }
+  }
+}
+
+module.exports = { KeyedLimiter };
@@ -0,0 +1,92 @@
+// Loads media for native uploads from a URL or a local file. Local paths come
+// from API requests, so they must resolve inside the media root
+// (MEDIA_ROOT, default ./media) - anything else would let callers publish
+// arbitrary files from the server.
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.pdf': 'application/pdf'
+};
+
+function getMediaRoot() {
+  return path.resolve(process.env.MEDIA_ROOT || path.join(process.cwd(), 'media'));
+}
+
+function contentTypeFor(filename) {
+  return CONTENT_TYPES[path.extname(filename || '').toLowerCase()] || 'application/octet-stream';
+}
+
+function resolveLocalPath(filePath, mediaRoot = getMediaRoot()) {
+  const root = path.resolve(mediaRoot);
+  const resolved = path.resolve(root, filePath);
+
+  if (resolved !== root && !resolved.startsWith(`${root}${path.sep}`)) {
+    throw new Error(`Media path ${filePath} is outside the media root`);
+  }
+
+  return resolved;
+}
+
+// { url } or { path } -> { data: Buffer, contentType, filename, size }
+async function loadMedia(source, options = {}) {
+  if (source.path) {
+    const filePath = resolveLocalPath(source.path, options.mediaRoot);
+    const data = await fs.promises.readFile(filePath);
+
+    return {
+      data,
+      contentType: source.contentType || contentTypeFor(filePath),
+      filename: path.basename(filePath),
+      size: data.length
+    };
+  }
+
+  if (!source.url) {
+    throw new Error('Media needs a url or a path');
+  }
+
+  const response = await axios.get(source.url, { responseType: 'arraybuffer' });
+  const data = Buffer.from(response.data);
+  const filename = path.basename(new URL(source.url).pathname) || 'media';
+  const headerType = (response.headers?.['content-type'] || '').split(';')[0];
+
+  return {
+    data,
+    contentType: source.contentType ||
+      (headerType && headerType !== 'application/octet-stream' ? headerType : contentTypeFor(filename)),
+    filename,
+    size: data.length
+  };
+}
+
+// Duration in seconds from the movie header ('mvhd') of an MP4/MOV file, or null
+function getMp4Duration(buffer) {
+  const index = buffer.indexOf('mvhd');
+  if (index < 0 || index + 36 > buffer.length) return null;
+
+  // Version 1 headers use 64-bit creation/modification times and duration
+  const version = buffer.readUInt8(index + 4);
+  const timescale = buffer.readUInt32BE(index + (version === 1 ? 24 : 16));
+  const duration = version === 1
+    ? Number(buffer.readBigUInt64BE(index + 28))
+    : buffer.readUInt32BE(index + 20);
+
+  return timescale ? duration / timescale : null;
+}
+
+module.exports = {
+  loadMedia,
+  getMp4Duration,
+  resolveLocalPath,
+  contentTypeFor,
+  getMediaRoot
+};
@@ -0,0 +1,110 @@
+// Length helpers for platforms that don't count UTF-16 code units
+// (Bluesky counts graphemes, X weights characters, facets use UTF-8 byte offsets).
+
+const segmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+function splitGraphemes(text) {
+  if (!text) return [];
+  if (segmenter) {
+    return Array.from(segmenter.segment(text), segment => segment.segment);
+  }
+  // Fallback: code points (close enough without Intl.Segmenter)
+  return Array.from(text);
+}
+
+function countGraphemes(text) {
+  return splitGraphemes(text).length;
+}
+
+function truncateGraphemes(text, maxGraphemes, suffix = '...') {
+  const graphemes = splitGraphemes(text);
+  if (graphemes.length <= maxGraphemes) return text;
+
+  return graphemes.slice(0, maxGraphemes - countGraphemes(suffix)).join('') + suffix;
+}
+
+// X (twitter-text v3): code points in these ranges weigh 1, everything else
+// (CJK, most symbols) 2; an emoji sequence weighs 2 and every URL 23
+const WEIGHTED_RANGES = [[0x0000, 0x10ff], [0x2000, 0x200d], [0x2010, 0x201f], [0x2032, 0x2037]];
+const URL_LENGTH = 23;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20e3/u;
+// Links with a scheme or www., and bare domains on common TLDs that are not part
+// of an email address; trailing punctuation is not part of the URL
+const URL_PATTERN = /(?:\bhttps?:\/\/|\bwww\.)[^\s]+|(?<![@\w.])\b(?:[a-z0-9-]+\.)+(?:com|org|net|io|dev|ai|app|co|me|ly|gl|gg|edu|gov|info|xyz|tech)\b(?:\/[^\s]*)?/gi;
+const URL_TRAILING = /[.,:;!?'")\]]+$/;
+
+function codePointWeight(codePoint) {
+  return WEIGHTED_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end) ? 1 : 2;
+}
+
+function weightSegment(text) {
+  return splitGraphemes(text).reduce((total, grapheme) => {
+    if (EMOJI_PATTERN.test(grapheme)) return total + 2;
+    return total + Array.from(grapheme).reduce((sum, char) => sum + codePointWeight(char.codePointAt(0)), 0);
+  }, 0);
+}
+
+function weightedLength(text) {
+  const normalized = (text || '').normalize('NFC');
+  let total = 0;
+  let lastIndex = 0;
+
+  for (const match of normalized.matchAll(URL_PATTERN)) {
+    const url = match[0].replace(URL_TRAILING, '');
+    total += weightSegment(normalized.substring(lastIndex, match.index)) + URL_LENGTH;
+    lastIndex = match.index + url.length;
+  }
+
+  return total + weightSegment(normalized.substring(lastIndex));
+}
+
+// Longest prefix that fits when measured with a non-linear length function
+function truncateMeasured(text, maxLength, measure, suffix = '...') {
+  if (measure(text) <= maxLength) return text;
+
+  const chars = Array.from(text);
+  const available = maxLength - measure(suffix);
+  let low = 0;
+  let high = chars.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (measure(chars.slice(0, mid).join('')) <= available) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return chars.slice(0, low).join('') + suffix;
+}
+
+function utf8Length(text) {
+  return Buffer.byteLength(text || '', 'utf8');
+}
+
+// Measure text in the unit a platform uses ('characters', 'graphemes' or 'weighted')
+function measureLength(text, unit = 'characters') {
+  if (unit === 'graphemes') return countGraphemes(text);
+  if (unit === 'weighted') return weightedLength(text);
+  return (text || '').length;
+}
+
+function truncateToLength(text, maxLength, unit = 'characters', suffix = '...') {
+  if (unit === 'graphemes') return truncateGraphemes(text, maxLength, suffix);
+  if (unit === 'weighted') return truncateMeasured(text, maxLength, weightedLength, suffix);
+  if (text.length <= maxLength) return text;
+  return text.substring(0, maxLength - suffix.length) + suffix;
+}
+
+module.exports = {
+  splitGraphemes,
+  countGraphemes,
+  truncateGraphemes,
+  utf8Length,
+  weightedLength,
+  truncateMeasured,
+  measureLength,
+  truncateToLength
+};
@@ -0,0 +1,121 @@
+// Splits long content into numbered posts for platforms that thread replies
+// (Twitter, Mastodon, Bluesky) or cap message size (Telegram).
+
+const defaultOptions = {
+  maxLength: 280,
+  maxParts: 25,
+  // Room kept free for the " n/m" thread numbering; measured from the
+  // actual numbering when not set
+  reservedLength: null,
+  numbering: true,
+  // Only split at a sentence or word boundary past this share of the post
+  minFillRatio: 0.7,
+  // Length function in the platform's unit (characters by default)
+  measure: null
+};
+
+function splitIntoThreads(content, options = {}) {
+  const settings = { ...defaultOptions, ...options };
+  const measure = settings.measure || (text => text.length);
+
+  let posts = splitPosts(content, settings, measure, reservedFor(1, settings, measure));
+  // Ten or more posts need a wider " n/m"; split again with that much room
+  for (let digits = 1; settings.numbering && String(posts.length).length > digits; digits++) {
+    posts = splitPosts(content, settings, measure, reservedFor(digits + 1, settings, measure));
+  }
+
+  // Add thread numbering if multiple posts
+  if (settings.numbering && posts.length > 1) {
+    posts.forEach((post, index) => {
+      posts[index] = `${post} ${index + 1}/${posts.length}`;
+    });
+  }
+
+  return posts;
+}
+
+function reservedFor(digits, settings, measure) {
+  if (!settings.numbering) return 0;
+  if (settings.reservedLength !== null) return settings.reservedLength;
+  const widest = '9'.repeat(digits);
+  return measure(` ${widest}/${widest}`);
+}
+
+function splitPosts(content, settings, measure, reservedLength) {
+  const posts = [];
+  let remainingContent = content;
+
+  const availableLength = settings.maxLength - reservedLength;
+
+  while (remainingContent.length > 0 && posts.length < settings.maxParts) {
+    if (measure(remainingContent) <= availableLength) {
+      // Last post or content fits in one post
+      posts.push(remainingContent.trim());
+      break;
+    }
+
+    const fitIndex = settings.measure
+      ? findFitIndex(remainingContent, availableLength, measure)
+      : availableLength;
+    const splitIndex = findSplitIndex(remainingContent, fitIndex, settings);
+
+    posts.push(remainingContent.substring(0, splitIndex).trim());
+    remainingContent = remainingContent.substring(splitIndex).trim();
+  }
+
+  return posts;
+}
+
+// Longest prefix (in UTF-16 index) whose measured length fits
+function findFitIndex(content, availableLength, measure) {
+  let low = 0;
+  let high = content.length;
+
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (measure(content.substring(0, mid)) <= availableLength) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  // Never cut a surrogate pair in half
+  const code = content.charCodeAt(low - 1);
+  if (low > 0 && code >= 0xd800 && code <= 0xdbff) {
+    low--;
+  }
+
+  return Math.max(low, 1);
+}
+
+function findSplitIndex(content, availableLength, settings) {
+  let splitIndex = availableLength;
+
+  // Try to split at sentence boundaries - punctuation followed by whitespace,
+  // so dots inside URLs and numbers are left alone
+  const bestSentenceEnd = lastSentenceEnd(content, splitIndex);
+  if (bestSentenceEnd > availableLength * settings.minFillRatio) {
+    splitIndex = bestSentenceEnd + 1;
+  } else {
+    // Split at word boundaries
+    const lastSpace = content.lastIndexOf(' ', splitIndex);
+    if (lastSpace > availableLength * settings.minFillRatio) {
+      splitIndex = lastSpace;
+    }
+  }
+
+  return splitIndex;
+}
+
+// Index of the last sentence-ending punctuation within the first `length` characters
+function lastSentenceEnd(content, length) {
+  for (let i = Math.min(length, content.length) - 1; i >= 0; i--) {
+    if ('.?!'.includes(content[i]) && (i + 1 >= content.length || /\s/.test(content[i + 1]))) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+module.exports = { splitIntoThreads, findSplitIndex, findFitIndex };
@@ -0,0 +1,227 @@
+const logger = require('../utils/logger');
+const { deriveKey, encrypt, decrypt } = require('../utils/encryption');
+
+// Encrypted credential store. Each entry is a named secret (e.g. TWITTER_ACCESS_SECRET),
+// optionally scoped to an account such as 'linkedin:company'. Values are encrypted
+// with AES-256-GCM under the master key and bound to their entry ID.
+class CredentialVault {
+  constructor(options = {}) {
+    this.backend = options.backend;
+    const masterKey = options.masterKey || process.env.VAULT_MASTER_KEY;
+    this.key = masterKey ? deriveKey(masterKey) : null;
+    this.entries = null;
+    // Backends without a revision() (Postgres) are re-read this often
+    this.refreshInterval = options.refreshInterval ||
+      Number(process.env.VAULT_REFRESH_SECONDS || 60) * 1000;
+    this.loadedAt = 0;
+    this.revision = null;
+    this.refreshing = null;
+  }
+
+  get enabled() {
+    return Boolean(this.key && this.backend);
+  }
+
+  static entryId(name, account = null) {
+    return account ? `${account}/${name}` : name;
+  }
+
+  async load() {
+    if (!this.enabled) return this;
+
+    const revision = this.backendRevision();
+    this.setEntries(await this.backend.load(), revision);
+    return this;
+  }
+
+  setEntries(entries, revision) {
+    this.entries = new Map(entries.map(entry => [entry.id, entry]));
+    this.loadedAt = Date.now();
+    this.revision = revision;
+  }
+
+  backendRevision() {
+    return typeof this.backend.revision === 'function' ? this.backend.revision() : null;
+  }
+
+  // File-backed vaults can load lazily on first lookup; Postgres needs load() at startup
+  ensureLoaded() {
+    if (this.entries) return true;
+
+    if (typeof this.backend.loadSync === 'function') {
+      const revision = this.backendRevision();
+      this.setEntries(this.backend.loadSync(), revision);
+      return true;
+    }
+
+    return false;
+  }
+
+  // Picks up entries changed by another process (e.g. `npm run vault -- rotate`):
+  // file vaults reload as soon as the file changes, others are re-read in the
+  // background once refreshInterval has passed
+  refreshIfStale() {
+    if (typeof this.backend.revision === 'function') {
+      const revision = this.backend.revision();
+      if (revision !== this.revision) {
+        this.refreshEntries(this.backend.loadSync(), revision);
+      }
+      return;
+    }
+
+    if (!this.refreshing && Date.now() - this.loadedAt > this.refreshInterval) {
+      this.refreshing = this.backend.load()
+        .then(entries => this.refreshEntries(entries, null))
+        .catch(error => logger.error(`Failed to refresh credential vault: ${error.message}`))
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+  }
+
+  // After `rotate-master-key` the entries only decrypt with the new key; keep
+  // serving the current ones until the server restarts with it
+  refreshEntries(entries, revision) {
+    const readable = entries.every(entry => {
+      try {
+        decrypt(entry.value, this.key, entry.id);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    });
+
+    if (!readable) {
+      logger.warn('Credential vault changed but cannot be decrypted with the current VAULT_MASTER_KEY; restart with the new key');
+      this.loadedAt = Date.now();
+      this.revision = revision;
+      return;
+    }
+
+    this.setEntries(entries, revision);
+  }
+
+  // Exactly the entry for this name and account (or the global one without an account)
+  read(name, account = null) {
+    if (!this.enabled || !this.ensureLoaded()) return null;
+    this.refreshIfStale();
+
+    const id = CredentialVault.entryId(name, account);
+    const entry = this.entries.get(id);
+    if (!entry) return null;
+
+    try {
+      return decrypt(entry.value, this.key, id);
+    } catch (error) {
+      logger.error(`Cannot decrypt credential ${id}; check VAULT_MASTER_KEY`);
+      return null;
+    }
+  }
+
+  // Account-scoped entry, or the global one for shared credentials; null when neither exists
+  resolve(name, account = null, options = {}) {
+    if (!account) return this.read(name);
+
+    const scoped = this.read(name, account);
+    return scoped !== null || !options.shared ? scoped : this.read(name);
+  }
+
+  has(name, account = null) {
+    return this.enabled && this.ensureLoaded() && this.entries.has(CredentialVault.entryId(name, account));
+  }
+
+  requireEnabled() {
+    if (!this.key) throw new Error('VAULT_MASTER_KEY is not set');
+    if (!this.backend) throw new Error('No vault backend configured');
+    if (!this.ensureLoaded()) throw new Error('Vault not loaded; call load() first');
+  }
+
+  // Adds a credential, or rotates it (new version) when it already exists
+  async set(name, value, options = {}) {
+    this.requireEnabled();
+    if (!name || !value) throw new Error('Credential name and value are required');
+
+    const account = options.account || null;
+    const id = CredentialVault.entryId(name, account);
+    const existing = this.entries.get(id);
+    const now = new Date().toISOString();
+
+    const entry = {
+      id,
+      name,
+      account,
+      version: existing ? existing.version + 1 : 1,
+      value: encrypt(value, this.key, id),
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      rotatedAt: existing ? now : null
+    };
+
+    await this.backend.save(entry);
+    this.entries.set(id, entry);
+
+    logger.info(`Credential ${id} ${existing ? `rotated to version ${entry.version}` : 'added'}`);
+    return CredentialVault.describe(entry);
+  }
+
+  async rotate(name, value, options = {}) {
+    this.requireEnabled();
+    if (!this.entries.has(CredentialVault.entryId(name, options.account))) {
+      throw new Error(`Credential ${CredentialVault.entryId(name, options.account)} does not exist`);
+    }
+    return this.set(name, value, options);
+  }
+
+  async revoke(name, options = {}) {
+    this.requireEnabled();
+
+    const id = CredentialVault.entryId(name, options.account);
+    if (!this.entries.has(id)) return false;
+
+    await this.backend.remove(id);
+    this.entries.delete(id);
+
+    logger.info(`Credential ${id} revoked`);
+    return true;
+  }
+
+  // Metadata only - values never leave the vault through listings
+  list() {
+    this.requireEnabled();
+    return Array.from(this.entries.values())
+      .map(entry => CredentialVault.describe(entry))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  // Re-encrypt every entry under a new master key
+  async rotateMasterKey(newMasterKey) {
+    this.requireEnabled();
+
+    const newKey = deriveKey(newMasterKey);
+    const reencrypted = Array.from(this.entries.values()).map(entry => ({
+      ...entry,
+      value: encrypt(decrypt(entry.value, this.key, entry.id), newKey, entry.id)
+    }));
+
+    await this.backend.replaceAll(reencrypted);
+    this.key = newKey;
+    this.entries = new Map(reencrypted.map(entry => [entry.id, entry]));
+
+    logger.info(`Vault master key rotated (${reencrypted.length} credentials re-encrypted)`);
+    return reencrypted.length;
+  }
+
+  static describe(entry) {
+    return {
+      id: entry.id,
+      name: entry.name,
+      account: entry.account,
+      version: entry.version,
+      createdAt: entry.createdAt,
+      updatedAt: entry.updatedAt,
+      rotatedAt: entry.rotatedAt
+    };
+  }
+}
+
+module.exports = CredentialVault;
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores vault entries as JSON in a file readable only by the service user.
+// Values are already encrypted by CredentialVault; names and metadata are not.
+class FileVaultBackend {
+  constructor(options = {}) {
+    this.filePath = options.filePath ||
+      process.env.VAULT_PATH ||
+      path.join(process.cwd(), 'data', 'vault.json');
+  }
+
+  loadSync() {
+    if (!fs.existsSync(this.filePath)) return [];
+
+    const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    return stored.credentials || [];
+  }
+
+  // Changes whenever the file is rewritten, so a running server notices CLI edits
+  revision() {
+    try {
+      const stats = fs.statSync(this.filePath);
+      return `${stats.mtimeMs}:${stats.size}`;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async load() {
+    return this.loadSync();
+  }
+
+  write(entries) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(
+      this.filePath,
+      JSON.stringify({ version: 1, credentials: entries }, null, 2),
+      { mode: 0o600 }
+    );
+  }
+
+  async save(entry) {
+    const entries = this.loadSync().filter(existing => existing.id !== entry.id);
+    entries.push(entry);
+    this.write(entries);
+  }
+
+  async remove(id) {
+    this.write(this.loadSync().filter(entry => entry.id !== id));
+  }
+
+  async replaceAll(entries) {
+    this.write(entries);
+  }
+}
+
+module.exports = FileVaultBackend;
@@ -0,0 +1,107 @@
+const { getPool } = require('../database');
+const { migrate } = require('../database/migrate');
+
+function toIso(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    account: row.account,
+    version: row.version,
+    value: { iv: row.iv, tag: row.tag, data: row.data },
+    createdAt: toIso(row.created_at),
+    updatedAt: toIso(row.updated_at),
+    rotatedAt: toIso(row.rotated_at)
+  };
+}
+
+function toParams(entry) {
+  return [
+    entry.id,
+    entry.name,
+    entry.account,
+    entry.version,
+    entry.value.iv,
+    entry.value.tag,
+    entry.value.data,
+    entry.createdAt,
+    entry.updatedAt,
+    entry.rotatedAt
+  ];
+}
+
+const UPSERT = `
+  INSERT INTO credentials (id, name, account, version, iv, tag, data, created_at, updated_at, rotated_at)
+  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+  ON CONFLICT (id) DO UPDATE SET
+    version = EXCLUDED.version,
+    iv = EXCLUDED.iv,
+    tag = EXCLUDED.tag,
+    data = EXCLUDED.data,
+    updated_at = EXCLUDED.updated_at,
+    rotated_at = EXCLUDED.rotated_at
+`;
+
+// Keeps vault entries in the `credentials` table of DATABASE_URL
+class PostgresVaultBackend {
+  constructor(options = {}) {
+    this.pool = options.pool || null;
+    this.ready = null;
+  }
+
+  getPool() {
+    if (!this.pool) this.pool = getPool();
+    return this.pool;
+  }
+
+  // The credentials table comes from the numbered migrations
+  ensureTable() {
+    if (!this.ready) {
+      this.ready = migrate(this.getPool()).catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  async load() {
+    await this.ensureTable();
+    const result = await this.getPool().query('SELECT * FROM credentials ORDER BY id');
+    return result.rows.map(fromRow);
+  }
+
+  async save(entry) {
+    await this.ensureTable();
+    await this.getPool().query(UPSERT, toParams(entry));
+  }
+
+  async remove(id) {
+    await this.ensureTable();
+    await this.getPool().query('DELETE FROM credentials WHERE id = $1', [id]);
+  }
+
+  // Runs in one transaction so a failed master key rotation leaves the old keys intact
+  async replaceAll(entries) {
+    await this.ensureTable();
+    const client = await this.getPool().connect();
+
+    try {
+      await client.query('BEGIN');
+      for (const entry of entries) {
+        await client.query(UPSERT, toParams(entry));
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = PostgresVaultBackend;
@@ -0,0 +1,111 @@
+const readline = require('readline');
+const { getDefaultVault } = require('./index');
+
+const USAGE = `Usage: npm run vault -- <command> [options]
+
+Commands:
+  add <NAME> [--account <account>]      Add a credential (value read from stdin)
+  rotate <NAME> [--account <account>]   Replace an existing credential with a new version
+  revoke <NAME> [--account <account>]   Delete a credential
+  list                                  List credentials (names and versions only)
+  rotate-master-key                     Re-encrypt everything under a new master key
+
+Values are never passed as arguments so they stay out of shell history.`;
+
+function parseArgs(args) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      flags[args[i].substring(2)] = args[i + 1];
+      i++;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  return { command: positional[0], name: positional[1], account: flags.account || null };
+}
+
+// Prompts without echo on a terminal; otherwise reads the whole of stdin (for piping)
+function readSecret(prompt, input = process.stdin, output = process.stderr) {
+  if (!input.isTTY) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+      input.setEncoding('utf8');
+      input.on('data', chunk => { data += chunk; });
+      input.on('end', () => resolve(data.replace(/\r?\n$/, '')));
+      input.on('error', reject);
+    });
+  }
+
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input, output, terminal: true });
+    output.write(prompt);
+    rl._writeToOutput = () => {};
+    rl.question('', answer => {
+      rl.close();
+      output.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+function formatEntry(entry) {
+  const changed = entry.rotatedAt ? `rotated ${entry.rotatedAt}` : `added ${entry.createdAt}`;
+  return `${entry.id}\tv${entry.version}\t${changed}`;
+}
+
+async function run(args, io = {}) {
+  const vault = io.vault || getDefaultVault();
+  const stdout = io.stdout || process.stdout;
+  const readValue = io.readSecret || readSecret;
+  const { command, name, account } = parseArgs(args);
+
+  if (!command || command === 'help') {
+    stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  await vault.load();
+
+  switch (command) {
+    case 'add':
+    case 'rotate': {
+      if (!name) throw new Error(`${command} requires a credential name`);
+      const value = await readValue(`Value for ${name}: `);
+      const entry = command === 'add'
+        ? await vault.set(name, value, { account })
+        : await vault.rotate(name, value, { account });
+      stdout.write(`Stored ${entry.id} (version ${entry.version})\n`);
+      return 0;
+    }
+
+    case 'revoke': {
+      if (!name) throw new Error('revoke requires a credential name');
+      const removed = await vault.revoke(name, { account });
+      stdout.write(removed ? `Revoked ${name}${account ? ` for ${account}` : ''}\n` : `No credential named ${name}\n`);
+      return removed ? 0 : 1;
+    }
+
+    case 'list': {
+      const entries = vault.list();
+      stdout.write(entries.length ? `${entries.map(formatEntry).join('\n')}\n` : 'Vault is empty\n');
+      return 0;
+    }
+
+    case 'rotate-master-key': {
+      const newKey = await readValue('New master key: ');
+      if (!newKey) throw new Error('New master key must not be empty');
+      const count = await vault.rotateMasterKey(newKey);
+      stdout.write(`Re-encrypted ${count} credential(s); update VAULT_MASTER_KEY before restarting\n`);
+      return 0;
+    }
+
+    default:
+      throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+}
+
+module.exports = { run, parseArgs, readSecret };
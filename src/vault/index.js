@@ -0,0 +1,64 @@
+const CredentialVault = require('./CredentialVault');
+const FileVaultBackend = require('./FileVaultBackend');
+const PostgresVaultBackend = require('./PostgresVaultBackend');
+
+function createBackend(type = process.env.VAULT_BACKEND || 'file') {
+  switch (type) {
+    case 'file':
+      return new FileVaultBackend();
+    case 'postgres':
+      return new PostgresVaultBackend();
+    default:
+      throw new Error(`Unknown VAULT_BACKEND: ${type}`);
+  }
+}
+
+let defaultVault = null;
+
+function getDefaultVault() {
+  if (!defaultVault) {
+    defaultVault = new CredentialVault({ backend: createBackend() });
+  }
+  return defaultVault;
+}
+
+function setDefaultVault(vault) {
+  defaultVault = vault;
+}
+
+// Environment variable for an account's own credential:
+// TWITTER_ACCESS_TOKEN for 'twitter:devrel' -> TWITTER_ACCESS_TOKEN_DEVREL
+function accountEnvName(name, account) {
+  const label = account.split(':').slice(1).join('_');
+  return `${name}_${label.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+}
+
+// Vault entry, then the environment variable of the same name so existing .env
+// setups keep working. A named account only sees its own values (vault, then
+// <NAME>_<ACCOUNT>) and never the default account's, or it would post as that
+// account; app-level keys shared by every account (client id/secret, consumer
+// key) pass { shared: true } to fall back to the global value.
+function resolveCredential(name, account = null, options = {}) {
+  const vault = getDefaultVault();
+
+  if (account) {
+    const scoped = vault.read(name, account);
+    if (scoped !== null) return scoped;
+    const scopedEnv = process.env[accountEnvName(name, account)];
+    if (scopedEnv || !options.shared) return scopedEnv || undefined;
+  }
+
+  const value = vault.read(name);
+  return value !== null ? value : process.env[name];
+}
+
+module.exports = {
+  CredentialVault,
+  FileVaultBackend,
+  PostgresVaultBackend,
+  createBackend,
+  getDefaultVault,
+  setDefaultVault,
+  accountEnvName,
+  resolveCredential
+};
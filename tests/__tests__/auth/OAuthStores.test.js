@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  TokenStore,
+  OAuthStateStore,
+  generateCodeVerifier,
+  generateCodeChallenge
+} = require('../../../src/auth');
+
+jest.mock('../../../src/utils/logger');
+
+describe('OAuth helpers', () => {
+  describe('PKCE', () => {
+    test('should derive an S256 challenge from a URL-safe verifier', () => {
+      const verifier = generateCodeVerifier();
+      const expected = crypto.createHash('sha256').update(verifier).digest('base64')
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+      expect(verifier).toMatch(/^[A-Za-z0-9_-]{43,128}$/);
+      expect(generateCodeChallenge(verifier)).toBe(expected);
+    });
+  });
+
+  describe('OAuthStateStore', () => {
+    test('should return stored data exactly once', () => {
+      const store = new OAuthStateStore();
+      const state = store.create('twitter', { codeVerifier: 'verifier' });
+
+      expect(store.consume(state, 'twitter')).toEqual({ codeVerifier: 'verifier', platform: 'twitter' });
+      expect(store.consume(state, 'twitter')).toBeNull();
+    });
+
+    test('should reject expired states and other platforms', () => {
+      const store = new OAuthStateStore({ ttl: -1 });
+      const expired = store.create('twitter', {});
+
+      expect(store.consume(expired, 'twitter')).toBeNull();
+
+      const fresh = new OAuthStateStore();
+      expect(fresh.consume(fresh.create('linkedin', {}), 'twitter')).toBeNull();
+      expect(fresh.consume('made-up', 'twitter')).toBeNull();
+    });
+  });
+
+  describe('TokenStore', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-store-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should persist tokens to a private file', () => {
+      const filePath = path.join(tmpDir, 'nested', 'tokens.json');
+      new TokenStore({ filePath }).set('twitter', { accessToken: 'abc' });
+
+      const reloaded = new TokenStore({ filePath });
+      expect(reloaded.get('twitter')).toEqual(expect.objectContaining({ accessToken: 'abc' }));
+      expect(reloaded.list()).toEqual(['twitter']);
+      expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+
+      expect(reloaded.delete('twitter')).toBe(true);
+      expect(new TokenStore({ filePath }).get('twitter')).toBeNull();
+    });
+
+    test('should encrypt the file when a key is configured', () => {
+      const filePath = path.join(tmpDir, 'tokens.json');
+      new TokenStore({ filePath, encryptionKey: 'correct horse battery staple' })
+        .set('linkedin', { accessToken: 'secret-token' });
+
+      const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      expect(raw).toEqual(expect.objectContaining({ encrypted: true, iv: expect.any(String), tag: expect.any(String) }));
+      expect(JSON.stringify(raw)).not.toContain('secret-token');
+
+      expect(new TokenStore({ filePath, encryptionKey: 'correct horse battery staple' }).get('linkedin').accessToken)
+        .toBe('secret-token');
+      expect(new TokenStore({ filePath, encryptionKey: 'wrong key' }).get('linkedin')).toBeNull();
+    });
+
+    test('should not overwrite a file it could not decrypt', () => {
+      const filePath = path.join(tmpDir, 'tokens.json');
+      new TokenStore({ filePath, encryptionKey: 'correct horse battery staple' })
+        .set('linkedin', { accessToken: 'secret-token' });
+      const original = fs.readFileSync(filePath, 'utf8');
+
+      const wrongKey = new TokenStore({ filePath, encryptionKey: 'wrong key' });
+      expect(() => wrongKey.set('twitter', { accessToken: 'abc' })).toThrow('refusing to overwrite');
+      expect(() => wrongKey.delete('linkedin')).toThrow('refusing to overwrite');
+      expect(wrongKey.getExpiryReport().warnings[0]).toContain('Token store could not be read');
+      expect(fs.readFileSync(filePath, 'utf8')).toBe(original);
+
+      expect(() => new TokenStore({ filePath }).set('twitter', { accessToken: 'abc' })).toThrow('TOKEN_ENCRYPTION_KEY is not set');
+      expect(fs.readFileSync(filePath, 'utf8')).toBe(original);
+    });
+
+    test('should refuse to store plaintext tokens in production', () => {
+      const originalEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+
+      const store = new TokenStore({ filePath: path.join(tmpDir, 'tokens.json') });
+
+      expect(() => store.set('twitter', { accessToken: 'abc' })).toThrow('TOKEN_ENCRYPTION_KEY');
+      process.env.NODE_ENV = originalEnv;
+    });
+
+    test('should report expired and expiring tokens without exposing them', () => {
+      const store = new TokenStore({ filePath: path.join(tmpDir, 'tokens.json'), encryptionKey: 'k' });
+      const inDays = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+      store.set('linkedin', { accessToken: 'a', expiresAt: inDays(3) });
+      store.set('twitter', { accessToken: 'b', refreshToken: 'r', expiresAt: inDays(-1) });
+      store.set('mastodon', { accessToken: 'c', expiresAt: inDays(-1) });
+      store.set('bluesky', { accessToken: 'd', expiresAt: inDays(30) });
+
+      const report = store.getExpiryReport();
+
+      expect(report.tokens.map(({ key, status }) => [key, status])).toEqual([
+        ['linkedin', 'expiring'],
+        ['twitter', 'refresh_pending'],
+        ['mastodon', 'expired'],
+        ['bluesky', 'valid']
+      ]);
+      expect(report.warnings).toEqual([
+        expect.stringContaining('linkedin token expires in 2 day(s)'),
+        expect.stringContaining('mastodon token expired')
+      ]);
+      expect(JSON.stringify(report)).not.toMatch(/"accessToken"|"refreshToken"/);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const { SocialMediaController, getDefaultLimiter } = require('../../../src/controllers/SocialMediaController');
+const { KeyedLimiter } = require('../../../src/utils/keyedLimiter');
+const BasePublisher = require('../../../src/publishers/BasePublisher');
+const PublisherRegistry = require('../../../src/publishers/PublisherRegistry');
+
+jest.mock('../../../src/utils/logger');
+
+describe('SocialMediaController.publishContent()', () => {
+  let registry;
+  let controller;
+  let running;
+  let log;
+  let wait;
+
+  // Each publish takes a few ms so overlapping publishes are visible in the log
+  const publisherClass = (outcome = () => ({ success: true })) => class extends BasePublisher {
+    constructor(config) {
+      super(config);
+      this.defineCredential('accessToken', 'FAKE_ACCESS_TOKEN', config.accessToken);
+    }
+
+    async publish() {
+      running++;
+      log.push(['start', this.account || this.platform, running]);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      log.push(['end', this.account || this.platform]);
+      return outcome(this);
+    }
+  };
+
+  beforeEach(() => {
+    running = 0;
+    log = [];
+    registry = new PublisherRegistry()
+      .register('twitter', publisherClass())
+      .register('linkedin', publisherClass(() => ({ success: false, error: 'Post publication failed' })))
+      .register('mastodon', publisherClass(() => { throw new Error('socket hang up'); }))
+      .register('bluesky', publisherClass());
+    registry.registerAccount('twitter:devrel', { accessToken: 'devrel-token' });
+
+    wait = jest.fn().mockResolvedValue();
+    controller = new SocialMediaController({ registry, postStore: {}, limiter: new KeyedLimiter({ wait }) });
+    controller.contentProcessor = {
+      adaptContentForPlatforms: async (content, platforms) =>
+        Object.fromEntries(platforms.map(platform => [platform, { text: content }]))
+    };
+  });
+
+  test('should publish different platforms at the same time with ordered, isolated results', async () => {
+    const results = await controller.publishContent(
+      'Hello', ['mastodon', 'twitter', 'unknown', 'linkedin', 'bluesky'], 'release'
+    );
+
+    expect(Object.keys(results)).toEqual(['mastodon', 'twitter', 'unknown', 'linkedin', 'bluesky']);
+    expect(results.mastodon).toMatchObject({ success: false, error: 'socket hang up' });
+    expect(results.twitter.success).toBe(true);
+    expect(results.unknown).toMatchObject({ success: false, error: 'Publisher not implemented for unknown' });
+    expect(results.linkedin).toMatchObject({ success: false, error: 'Post publication failed' });
+    expect(results.bluesky.success).toBe(true);
+
+    expect(Math.max(...log.filter(([event]) => event === 'start').map(([, , count]) => count))).toBe(4);
+    expect(wait).not.toHaveBeenCalled();
+  });
+
+  test('should publish accounts of the same platform one after another', async () => {
+    await controller.publishContent('Hello', ['twitter', 'twitter:devrel', 'bluesky'], 'release');
+
+    const twitterLog = log.filter(([, name]) => name.startsWith('twitter'));
+    expect(twitterLog.map(([event, name]) => `${event} ${name}`)).toEqual([
+      'start twitter', 'end twitter', 'start twitter:devrel', 'end twitter:devrel'
+    ]);
+    expect(wait).toHaveBeenCalledTimes(1);
+  });
+
+  test('should share one limiter between controllers by default', () => {
+    const first = new SocialMediaController({ registry, postStore: {} });
+    const second = new SocialMediaController({ registry, postStore: {} });
+
+    expect(first.limiter).toBe(getDefaultLimiter());
+    expect(second.limiter).toBe(first.limiter);
+  });
+
+  test('should fail named accounts without credentials of their own', async () => {
+    process.env.FAKE_ACCESS_TOKEN = 'default-token';
+    registry.registerAccount('bluesky:news');
+
+    const results = await controller.publishContent('Hello', ['bluesky', 'bluesky:news'], 'release');
+    delete process.env.FAKE_ACCESS_TOKEN;
+
+    expect(results.bluesky.success).toBe(true);
+    expect(results['bluesky:news']).toEqual({ success: false, error: 'No credentials for bluesky:news' });
+    expect(log.map(([event, name]) => `${event} ${name}`)).toEqual(['start bluesky', 'end bluesky']);
+  });
+
+  test('should honour per-platform capabilities and the overall cap', async () => {
+    registry.register('bluesky', publisherClass(), { capabilities: { publishConcurrency: 2, publishInterval: 0 } });
+    registry.registerAccount('bluesky:news', { accessToken: 'news-token' });
+    controller.maxConcurrency = 2;
+
+    await controller.publishContent('Hello', ['bluesky', 'bluesky:news', 'twitter'], 'release');
+
+    const starts = log.filter(([event]) => event === 'start');
+    expect(starts.slice(0, 2).map(([, name]) => name)).toEqual(['bluesky', 'bluesky:news']);
+    expect(Math.max(...starts.map(([, , count]) => count))).toBe(2);
+  });
+
+  test('should report queued, publishing and finished states per platform', async () => {
+    const events = [];
+    await controller.publishContent('Hello', ['twitter', 'linkedin'], 'release', {}, event => events.push(event));
+
+    const statuses = platform => events.filter(event => event.platform === platform).map(event => event.status);
+    expect(statuses('twitter')).toEqual(['queued', 'publishing', 'published']);
+    expect(statuses('linkedin')).toEqual(['queued', 'publishing', 'failed']);
+  });
+});
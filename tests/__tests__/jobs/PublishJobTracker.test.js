@@ -0,0 +1,67 @@
+const { PublishJobTracker } = require('../../../src/jobs');
+
+jest.mock('../../../src/utils/logger');
+
+describe('PublishJobTracker', () => {
+  let tracker;
+
+  const finished = id => new Promise(resolve => {
+    tracker.subscribe(id, event => {
+      if (event.type === 'job' && ['completed', 'failed'].includes(event.status)) resolve();
+    });
+  });
+
+  beforeEach(() => {
+    tracker = new PublishJobTracker();
+  });
+
+  test('should run in the background and keep per-platform progress', async () => {
+    const job = tracker.start(async report => {
+      report({ type: 'platform', platform: 'twitter', status: 'publishing' });
+      report({ type: 'tweet', platform: 'twitter', position: 1, total: 2, tweetId: '1' });
+      report({ type: 'platform', platform: 'twitter', status: 'published', postUrl: 'https://twitter.com/i/web/status/1' });
+      return { summary: { successful: 1, failed: 0 } };
+    }, { platforms: ['twitter'] });
+
+    expect(job).toMatchObject({ status: 'queued', platforms: ['twitter'] });
+    await finished(job.id);
+
+    expect(tracker.get(job.id)).toMatchObject({
+      status: 'completed',
+      progress: {
+        twitter: { status: 'published', tweetsPosted: 1, tweetsTotal: 2, postUrl: 'https://twitter.com/i/web/status/1' }
+      },
+      result: { summary: { successful: 1, failed: 0 } },
+      eventCount: 5
+    });
+  });
+
+  test('should replay events after a given id and record failures', async () => {
+    const job = tracker.start(async report => {
+      report({ type: 'platform', platform: 'linkedin', status: 'publishing' });
+      throw new Error('Content processing failed: boom');
+    });
+    await finished(job.id);
+
+    const replayed = [];
+    tracker.subscribe(job.id, event => replayed.push(event), 1);
+
+    expect(replayed.map(event => [event.id, event.type, event.status])).toEqual([
+      [2, 'platform', 'publishing'],
+      [3, 'job', 'failed']
+    ]);
+    expect(tracker.get(job.id).error).toBe('Content processing failed: boom');
+    expect(tracker.subscribe('missing', () => {})).toBeNull();
+  });
+
+  test('should drop finished jobs after the ttl', async () => {
+    tracker.ttl = 1000;
+    const job = tracker.start(async () => ({}));
+    await finished(job.id);
+
+    tracker.jobs.get(job.id).completedAt = new Date(Date.now() - 2000).toISOString();
+    tracker.prune();
+
+    expect(tracker.get(job.id)).toBeNull();
+  });
+});
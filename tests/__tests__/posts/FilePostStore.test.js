@@ -0,0 +1,40 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FilePostStore } = require('../../../src/posts');
+
+jest.mock('../../../src/utils/logger');
+
+describe('FilePostStore', () => {
+  let tmpDir;
+  let filePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'post-store-'));
+    filePath = path.join(tmpDir, 'posts.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const platforms = { twitter: { status: 'published', postIds: ['1'] } };
+
+  test('should keep posts across instances', async () => {
+    const post = await new FilePostStore({ filePath }).create({ content: 'Hello', platforms });
+
+    const stored = await new FilePostStore({ filePath }).get(post.id);
+
+    expect(stored.content).toBe('Hello');
+    expect(stored.status).toBe('published');
+  });
+
+  test('should refuse to overwrite a history it could not read', async () => {
+    fs.writeFileSync(filePath, '{"version": 1, "posts": {');
+    const store = new FilePostStore({ filePath });
+
+    await expect(store.create({ content: 'Hello', platforms })).rejects.toThrow('refusing to overwrite');
+    expect(await store.list()).toEqual(expect.objectContaining({ total: 0 }));
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('{"version": 1, "posts": {');
+  });
+});
@@ -0,0 +1,134 @@
+const { PostgresPostStore, postStatus } = require('../../../src/posts');
+const { migrate, listMigrations } = require('../../../src/database/migrate');
+
+jest.mock('../../../src/utils/logger');
+
+// Answers the queries the store issues from a canned set of rows
+function createPool(rows = {}) {
+  const query = jest.fn(async sql => {
+    if (sql.startsWith('SELECT name FROM schema_migrations')) return { rows: rows.migrations || [] };
+    if (sql.startsWith('SELECT COUNT(*)')) return { rows: [{ total: String((rows.posts || []).length) }] };
+    if (sql.startsWith('SELECT * FROM posts')) return { rows: rows.posts || [] };
+    if (sql.startsWith('SELECT * FROM publications')) return { rows: rows.publications || [] };
+    return { rows: [] };
+  });
+  return { query, connect: async () => ({ query, release: jest.fn() }) };
+}
+
+const statements = pool => pool.query.mock.calls.map(([sql]) => sql.trim());
+
+describe('Publish history', () => {
+  describe('migrate()', () => {
+    test('should apply pending migrations in a transaction and record them', async () => {
+      const pool = createPool();
+
+      const applied = await migrate(pool);
+
+      expect(applied).toEqual(listMigrations().map(migration => migration.name));
+      expect(applied[0]).toBe('001_create_posts');
+      const sql = statements(pool);
+      expect(sql[0]).toBe('BEGIN');
+      expect(sql[1]).toBe('SELECT pg_advisory_xact_lock($1)');
+      expect(sql[2]).toContain('CREATE TABLE IF NOT EXISTS schema_migrations');
+      expect(sql[3]).toBe('SELECT name FROM schema_migrations');
+      expect(sql[4]).toContain('CREATE TABLE posts');
+      expect(pool.query).toHaveBeenCalledWith('INSERT INTO schema_migrations (name) VALUES ($1)', ['001_create_posts']);
+      expect(sql[sql.length - 1]).toBe('COMMIT');
+    });
+
+    test('should skip migrations that already ran', async () => {
+      const pool = createPool({ migrations: listMigrations().map(migration => ({ name: migration.name })) });
+
+      expect(await migrate(pool)).toEqual([]);
+      expect(statements(pool).filter(sql => sql.startsWith('CREATE TABLE') || sql.startsWith('INSERT'))).toEqual([
+        expect.stringContaining('schema_migrations')
+      ]);
+    });
+
+    test('should share one run between concurrent callers and roll back failures', async () => {
+      const pool = createPool();
+      const [first, second] = await Promise.all([migrate(pool), migrate(pool)]);
+
+      expect(second).toBe(first);
+      expect(statements(pool).filter(sql => sql === 'BEGIN')).toHaveLength(1);
+
+      const failing = createPool();
+      failing.query.mockImplementation(async sql => {
+        if (sql.includes('CREATE TABLE scheduled_jobs')) throw new Error('relation exists');
+        return { rows: [] };
+      });
+      await expect(migrate(failing)).rejects.toThrow('Migration 002_create_scheduled_jobs failed: relation exists');
+      expect(statements(failing)).toContain('ROLLBACK');
+      expect(statements(failing)).not.toContain('COMMIT');
+    });
+  });
+
+  describe('PostgresPostStore', () => {
+    const migrated = { migrations: listMigrations().map(migration => ({ name: migration.name })) };
+
+    test('should insert the post and a publication per platform', async () => {
+      const pool = createPool(migrated);
+      const store = new PostgresPostStore({ pool });
+
+      await store.create({
+        content: 'Hello',
+        category: 'news',
+        platforms: {
+          twitter: { status: 'published', postIds: ['1', '2'], privacy: { riskLevel: 'low' } },
+          linkedin: { status: 'failed', postIds: [], error: 'Post publication failed', errorDetails: { status: 401 } }
+        }
+      });
+
+      const post = pool.query.mock.calls.find(([sql]) => sql.startsWith('INSERT INTO posts'));
+      expect(post[1].slice(1)).toEqual(['Hello', 'news', 'partial']);
+
+      const publications = pool.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO publications'));
+      expect(publications).toHaveLength(2);
+      expect(publications[0][1].slice(1, 4)).toEqual(['twitter', 'published', '["1","2"]']);
+      expect(publications[0][1]).toContain('{"riskLevel":"low"}');
+      expect(publications[1][1]).toContain('{"status":401}');
+    });
+
+    test('should map rows back to records', async () => {
+      const createdAt = new Date('2024-05-01T10:00:00Z');
+      const pool = createPool({
+        ...migrated,
+        posts: [{ id: 'p1', content: 'Hello', category: null, status: 'published', created_at: createdAt, updated_at: createdAt }],
+        publications: [{ post_id: 'p1', platform: 'twitter', status: 'published', post_ids: ['1'], published_at: createdAt }]
+      });
+
+      const post = await new PostgresPostStore({ pool }).get('p1');
+
+      expect(post).toMatchObject({
+        id: 'p1',
+        createdAt: '2024-05-01T10:00:00.000Z',
+        platforms: { twitter: { status: 'published', postIds: ['1'], publishedAt: '2024-05-01T10:00:00.000Z', error: null } }
+      });
+    });
+
+    test('should turn filters into parameterized conditions', async () => {
+      const pool = createPool(migrated);
+      const from = new Date('2024-05-01');
+
+      const result = await new PostgresPostStore({ pool }).list({
+        platform: 'twitter', category: 'news', status: 'published', from, to: null, limit: 10, offset: 20
+      });
+
+      const [sql, params] = pool.query.mock.calls.find(([text]) => text.startsWith('SELECT * FROM posts'));
+      expect(sql).toContain('platform = $1');
+      expect(sql).toContain('category = $2 AND status = $3 AND created_at >= $4');
+      expect(sql).toContain('LIMIT $5 OFFSET $6');
+      expect(params).toEqual(['twitter', 'news', 'published', from, 10, 20]);
+      expect(result).toEqual({ posts: [], total: 0 });
+    });
+  });
+
+  test.each([
+    [{ a: { status: 'published' }, b: { status: 'failed' } }, 'partial'],
+    [{ a: { status: 'published' }, b: { status: 'deleted' } }, 'published'],
+    [{ a: { status: 'deleted' }, b: { status: 'failed' } }, 'deleted'],
+    [{ a: { status: 'failed' } }, 'failed']
+  ])('should derive the post status from %j', (platforms, expected) => {
+    expect(postStatus(platforms)).toBe(expected);
+  });
+});
@@ -0,0 +1,93 @@
+const { ContentProcessor } = require('../../../src/processors/ContentProcessor');
+const { createDefaultRegistry } = require('../../../src/publishers');
+const { weightedLength } = require('../../../src/utils/textLength');
+
+jest.mock('../../../src/utils/logger');
+
+describe('ContentProcessor', () => {
+  let processor;
+
+  beforeEach(() => {
+    processor = new ContentProcessor({ registry: createDefaultRegistry({ configPath: null }) });
+    processor.openai = null;
+  });
+
+  describe('buildAIPrompt()', () => {
+    test('should use the reddit adaptation profile', () => {
+      const prompt = processor.buildAIPrompt('Content', 'reddit', 'release');
+
+      expect(prompt).toContain('no hashtags');
+      expect(prompt).toContain('title');
+      expect(prompt).not.toContain('Professional tone, 2-3 hashtags');
+    });
+
+    test('should derive requirements from capabilities for platforms without a profile', () => {
+      processor.registry.register('intranet', class {
+        static get capabilities() {
+          return { maxLength: 1200, maxHashtags: 0, requiresTitle: true };
+        }
+        async publish() {}
+      });
+
+      const prompt = processor.buildAIPrompt('Content', 'intranet', 'release');
+
+      expect(prompt).toContain('no hashtags, a title is required, under 1200 characters');
+      expect(prompt).not.toContain('Professional tone, 2-3 hashtags');
+    });
+  });
+
+  describe('validateContent()', () => {
+    test('should drop hashtags and derive a title for reddit', () => {
+      const content = processor.validateContent({
+        text: 'We open-sourced our scheduler. It handles time zones.',
+        hashtags: ['AI']
+      }, 'reddit');
+
+      expect(content.hashtags).toEqual([]);
+      expect(content.title).toBe('We open-sourced our scheduler.');
+    });
+
+    test('should enforce the instagram caption and hashtag limits', () => {
+      const content = processor.validateContent({
+        text: `#launch ${'a'.repeat(2300)}`,
+        hashtags: Array.from({ length: 35 }, (_, i) => `tag${i}`)
+      }, 'instagram');
+
+      expect(content.text.length).toBe(2200);
+      expect(content.hashtags).toHaveLength(29);
+    });
+
+    test('should truncate bluesky text by graphemes', () => {
+      const content = processor.validateContent({ text: '👍🏽'.repeat(400) }, 'bluesky');
+
+      expect(Array.from(new Intl.Segmenter().segment(content.text))).toHaveLength(300);
+    });
+
+    test('should truncate twitter text by weighted length', () => {
+      const content = processor.validateContent({ text: '日本語'.repeat(100) }, 'twitter');
+
+      expect(weightedLength(content.text)).toBeLessThanOrEqual(280);
+      expect(content.text).toBe(`${'日本語'.repeat(46)}...`);
+    });
+  });
+
+  describe('basicAdaptContent()', () => {
+    test('should build a titled, hashtag-free reddit adaptation', () => {
+      const adapted = processor.basicAdaptContent('Show and tell: a new CLI! Details inside.', 'reddit');
+
+      expect(adapted.title).toBe('Show and tell: a new CLI!');
+      expect(adapted.hashtags).toEqual([]);
+    });
+
+    test('should keep the thread marker within the twitter limit', () => {
+      const adapted = processor.basicAdaptContent('🚀'.repeat(200), 'twitter');
+
+      expect(adapted.text.endsWith(' 🧵')).toBe(true);
+      expect(weightedLength(adapted.text)).toBeLessThanOrEqual(250);
+    });
+
+    test('should give long-form platforms a title', () => {
+      expect(processor.basicAdaptContent('Body', 'devto').title).toBe('Insights and Thoughts');
+    });
+  });
+});
@@ -0,0 +1,223 @@
+const axios = require('axios');
+const BlueskyPublisher = require('../../../src/publishers/BlueskyPublisher');
+const { countGraphemes } = require('../../../src/utils/textLength');
+
+jest.mock('axios');
+jest.mock('../../../src/utils/logger');
+
+describe('BlueskyPublisher', () => {
+  let publisher;
+  const session = {
+    did: 'did:plc:author',
+    handle: 'author.bsky.social',
+    accessJwt: 'access-jwt',
+    refreshJwt: 'refresh-jwt'
+  };
+
+  const byteSlice = (text, index) =>
+    Buffer.from(text, 'utf8').subarray(index.byteStart, index.byteEnd).toString('utf8');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    publisher = new BlueskyPublisher({
+      identifier: 'author.bsky.social',
+      appPassword: 'app-password'
+    });
+    jest.spyOn(publisher, 'delay').mockResolvedValue();
+  });
+
+  describe('Constructor', () => {
+    test('should initialize with provided config', () => {
+      expect(publisher.serviceUrl).toBe('https://bsky.social');
+      expect(publisher.identifier).toBe('author.bsky.social');
+      expect(publisher.getCapabilities()).toEqual(expect.objectContaining({
+        maxLength: 300,
+        lengthUnit: 'graphemes',
+        threading: true
+      }));
+    });
+  });
+
+  describe('createSession()', () => {
+    test('should create a session with the app password', async () => {
+      axios.post.mockResolvedValueOnce({ data: session });
+
+      const result = await publisher.createSession();
+
+      expect(axios.post).toHaveBeenCalledWith(
+        'https://bsky.social/xrpc/com.atproto.server.createSession',
+        { identifier: 'author.bsky.social', password: 'app-password' },
+        expect.any(Object)
+      );
+      expect(result).toEqual(session);
+      expect(publisher.session).toEqual(session);
+    });
+  });
+
+  describe('detectFacets()', () => {
+    test('should compute byte offsets for links, mentions and hashtags', async () => {
+      axios.get.mockResolvedValueOnce({ data: { did: 'did:plc:friend' } });
+
+      const text = '🚀 Launch día with @friend.bsky.social, see https://example.com/post. #BuildInPublic!';
+      const facets = await publisher.detectFacets(text);
+
+      expect(facets).toHaveLength(3);
+      const [mention, link, tag] = facets;
+
+      expect(mention.features[0]).toEqual({ $type: 'app.bsky.richtext.facet#mention', did: 'did:plc:friend' });
+      expect(byteSlice(text, mention.index)).toBe('@friend.bsky.social');
+
+      expect(link.features[0]).toEqual({ $type: 'app.bsky.richtext.facet#link', uri: 'https://example.com/post' });
+      expect(byteSlice(text, link.index)).toBe('https://example.com/post');
+
+      expect(tag.features[0]).toEqual({ $type: 'app.bsky.richtext.facet#tag', tag: 'BuildInPublic' });
+      expect(byteSlice(text, tag.index)).toBe('#BuildInPublic');
+
+      // Byte offsets differ from UTF-16 indices once multi-byte characters appear
+      expect(link.index.byteStart).not.toBe(text.indexOf('https://'));
+    });
+
+    test('should skip mentions that do not resolve', async () => {
+      axios.get.mockRejectedValueOnce(new Error('Unable to resolve handle'));
+
+      const facets = await publisher.detectFacets('Hi @ghost.example.com');
+
+      expect(facets).toHaveLength(0);
+    });
+
+    test('should ignore numeric-only hashtags', async () => {
+      const facets = await publisher.detectFacets('Ranked #1 today');
+      expect(facets).toHaveLength(0);
+    });
+  });
+
+  describe('splitIntoThreads()', () => {
+    test('should split by graphemes rather than characters', () => {
+      const content = '👨‍👩‍👧 family '.repeat(60);
+      const posts = publisher.splitIntoThreads(content);
+
+      expect(posts.length).toBeGreaterThan(1);
+      posts.forEach(post => {
+        expect(countGraphemes(post)).toBeLessThanOrEqual(300);
+      });
+      // Each family emoji is several code units but one grapheme
+      expect(posts[0].length).toBeGreaterThan(300);
+    });
+  });
+
+  describe('publish()', () => {
+    test('should publish a reply thread with root and parent refs', async () => {
+      axios.post.mockImplementation(url => {
+        if (url.endsWith('createSession')) return Promise.resolve({ data: session });
+        const count = axios.post.mock.calls.filter(call => call[0].endsWith('createRecord')).length;
+        return Promise.resolve({
+          data: { uri: `at://did:plc:author/app.bsky.feed.post/rkey${count}`, cid: `cid${count}` }
+        });
+      });
+
+      const longContent = 'Sentences about shipping software in public. '.repeat(12);
+      const result = await publisher.publish({ text: longContent, hashtags: [] }, { linkCard: false });
+
+      const createCalls = axios.post.mock.calls.filter(call => call[0].endsWith('createRecord'));
+
+      expect(result.success).toBe(true);
+      expect(result.platform).toBe('bluesky');
+      expect(createCalls.length).toBeGreaterThan(1);
+      expect(result.postUrl).toBe('https://bsky.app/profile/author.bsky.social/post/rkey1');
+
+      const first = createCalls[0][1];
+      expect(first.repo).toBe('did:plc:author');
+      expect(first.collection).toBe('app.bsky.feed.post');
+      expect(first.record.reply).toBeUndefined();
+
+      const second = createCalls[1][1].record;
+      expect(second.reply).toEqual({
+        root: { uri: 'at://did:plc:author/app.bsky.feed.post/rkey1', cid: 'cid1' },
+        parent: { uri: 'at://did:plc:author/app.bsky.feed.post/rkey1', cid: 'cid1' }
+      });
+
+      if (createCalls.length > 2) {
+        expect(createCalls[2][1].record.reply.root.cid).toBe('cid1');
+        expect(createCalls[2][1].record.reply.parent.cid).toBe('cid2');
+      }
+    });
+
+    test('should attach uploaded images with alt text', async () => {
+      axios.get.mockResolvedValueOnce({
+        data: Buffer.from('png-bytes'),
+        headers: { 'content-type': 'image/png' }
+      });
+      axios.post.mockImplementation(url => {
+        if (url.endsWith('createSession')) return Promise.resolve({ data: session });
+        if (url.endsWith('uploadBlob')) {
+          return Promise.resolve({ data: { blob: { $type: 'blob', ref: { $link: 'bafy' }, mimeType: 'image/png', size: 9 } } });
+        }
+        return Promise.resolve({ data: { uri: 'at://did:plc:author/app.bsky.feed.post/abc', cid: 'cid' } });
+      });
+
+      const result = await publisher.publish('app-password', 'Screenshot of the release', {
+        media: [{ url: 'https://example.com/shot.png', altText: 'Release dashboard' }]
+      });
+
+      const record = axios.post.mock.calls.find(call => call[0].endsWith('createRecord'))[1].record;
+
+      expect(result.success).toBe(true);
+      expect(record.embed).toEqual({
+        $type: 'app.bsky.embed.images',
+        images: [{
+          alt: 'Release dashboard',
+          image: expect.objectContaining({ mimeType: 'image/png' })
+        }]
+      });
+    });
+
+    test('should build a link card from Open Graph tags', async () => {
+      axios.get.mockResolvedValueOnce({
+        data: '<html><head><meta property="og:title" content="Release notes"><meta property="og:description" content="What changed"></head></html>'
+      });
+      axios.post.mockImplementation(url => {
+        if (url.endsWith('createSession')) return Promise.resolve({ data: session });
+        return Promise.resolve({ data: { uri: 'at://did:plc:author/app.bsky.feed.post/abc', cid: 'cid' } });
+      });
+
+      await publisher.publish('app-password', 'Read more at https://example.com/notes');
+
+      const record = axios.post.mock.calls.find(call => call[0].endsWith('createRecord'))[1].record;
+      expect(record.embed).toEqual({
+        $type: 'app.bsky.embed.external',
+        external: {
+          uri: 'https://example.com/notes',
+          title: 'Release notes',
+          description: 'What changed'
+        }
+      });
+    });
+
+    test('should refresh an expired session and retry', async () => {
+      publisher.session = session;
+      axios.post
+        .mockRejectedValueOnce({ response: { data: { error: 'ExpiredToken' } } })
+        .mockResolvedValueOnce({ data: { accessJwt: 'new-access', refreshJwt: 'new-refresh' } })
+        .mockResolvedValueOnce({ data: { uri: 'at://did:plc:author/app.bsky.feed.post/abc', cid: 'cid' } });
+
+      const result = await publisher.publish('app-password', 'Hello', { linkCard: false });
+
+      expect(result.success).toBe(true);
+      expect(axios.post.mock.calls[1][0]).toContain('refreshSession');
+      expect(axios.post.mock.calls[2][2].headers.Authorization).toBe('Bearer new-access');
+    });
+
+    test('should report missing credentials', async () => {
+      const originalPassword = process.env.BLUESKY_APP_PASSWORD;
+      delete process.env.BLUESKY_APP_PASSWORD;
+
+      const noCredentials = new BlueskyPublisher({ identifier: 'author.bsky.social' });
+      const result = await noCredentials.publish({ text: 'Hello' });
+
+      if (originalPassword) process.env.BLUESKY_APP_PASSWORD = originalPassword;
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Missing Bluesky credentials');
+    });
+  });
+});
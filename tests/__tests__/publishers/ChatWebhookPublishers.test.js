@@ -0,0 +1,173 @@
+const http = require('http');
+const SlackPublisher = require('../../../src/publishers/SlackPublisher');
+const DiscordPublisher = require('../../../src/publishers/DiscordPublisher');
+const TeamsPublisher = require('../../../src/publishers/TeamsPublisher');
+const PublisherRegistry = require('../../../src/publishers/PublisherRegistry');
+const { SocialMediaController } = require('../../../src/controllers/SocialMediaController');
+
+jest.mock('../../../src/utils/logger');
+
+describe('Chat webhook publishers', () => {
+  let sink;
+  let baseUrl;
+  let received;
+
+  const adaptedContent = {
+    text: 'Release 2.0 is out with <faster> publishing & scheduling',
+    title: 'Release 2.0',
+    hashtags: ['Release', '#Automation'],
+    callToAction: 'Tell us what you think',
+    mediaUrl: 'https://example.com/changelog'
+  };
+
+  // Local HTTP sink that records every webhook call
+  beforeAll(done => {
+    sink = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        received.push({ url: req.url, body: JSON.parse(Buffer.concat(chunks).toString()) });
+
+        if (req.url.startsWith('/discord')) {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          return res.end(JSON.stringify({ id: 'msg-1', channel_id: 'chan-1', guild_id: 'guild-1' }));
+        }
+        if (req.url.startsWith('/fail')) {
+          res.writeHead(400, { 'Content-Type': 'text/plain' });
+          return res.end('invalid_payload');
+        }
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('ok');
+      });
+    });
+    sink.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${sink.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    sink.close(done);
+  });
+
+  beforeEach(() => {
+    received = [];
+  });
+
+  describe('SlackPublisher', () => {
+    test('should post a Block Kit message', async () => {
+      const publisher = new SlackPublisher({ webhookUrl: `${baseUrl}/slack` });
+
+      const result = await publisher.publish(adaptedContent);
+
+      expect(result.success).toBe(true);
+      expect(result.platform).toBe('slack');
+
+      const { body } = received[0];
+      expect(body.text).toContain('Release 2.0');
+      expect(body.blocks[0]).toEqual({
+        type: 'header',
+        text: { type: 'plain_text', text: 'Release 2.0', emoji: true }
+      });
+      expect(body.blocks[1].text.text).toBe('Release 2.0 is out with &lt;faster&gt; publishing &amp; scheduling');
+      expect(body.blocks[2].elements[0].url).toBe('https://example.com/changelog');
+      expect(body.blocks[3].text.text).toBe('_Tell us what you think_');
+      expect(body.blocks[4]).toEqual({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: '#Release #Automation' }]
+      });
+    });
+
+    test('should report webhook errors', async () => {
+      const publisher = new SlackPublisher({ webhookUrl: `${baseUrl}/fail` });
+
+      const result = await publisher.publish(adaptedContent);
+
+      expect(result.success).toBe(false);
+      expect(result.details).toBe('invalid_payload');
+    });
+
+    test('should require a webhook URL', async () => {
+      const original = process.env.SLACK_WEBHOOK_URL;
+      delete process.env.SLACK_WEBHOOK_URL;
+
+      const result = await new SlackPublisher().publish(adaptedContent);
+
+      if (original) process.env.SLACK_WEBHOOK_URL = original;
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('No webhook URL provided');
+    });
+  });
+
+  describe('DiscordPublisher', () => {
+    test('should post an embed and return the message link', async () => {
+      const publisher = new DiscordPublisher({ webhookUrl: `${baseUrl}/discord` });
+
+      const result = await publisher.publish(adaptedContent);
+
+      expect(received[0].url).toBe('/discord?wait=true');
+      const [embed] = received[0].body.embeds;
+      expect(embed).toEqual(expect.objectContaining({
+        title: 'Release 2.0',
+        description: adaptedContent.text,
+        url: 'https://example.com/changelog',
+        fields: [{ name: '💬', value: 'Tell us what you think' }],
+        footer: { text: '#Release #Automation' }
+      }));
+      expect(received[0].body.allowed_mentions).toEqual({ parse: [] });
+
+      expect(result.success).toBe(true);
+      expect(result.postId).toBe('msg-1');
+      expect(result.postUrl).toBe('https://discord.com/channels/guild-1/chan-1/msg-1');
+    });
+  });
+
+  describe('TeamsPublisher', () => {
+    test('should post an Adaptive Card attachment', async () => {
+      const publisher = new TeamsPublisher({ webhookUrl: `${baseUrl}/teams` });
+
+      const result = await publisher.publish(adaptedContent);
+
+      expect(result.success).toBe(true);
+
+      const { body } = received[0];
+      expect(body.type).toBe('message');
+      expect(body.attachments[0].contentType).toBe('application/vnd.microsoft.card.adaptive');
+
+      const card = body.attachments[0].content;
+      expect(card.type).toBe('AdaptiveCard');
+      expect(card.body.map(block => block.text)).toEqual([
+        'Release 2.0',
+        adaptedContent.text,
+        '_Tell us what you think_',
+        '#Release #Automation'
+      ]);
+      expect(card.actions).toEqual([
+        { type: 'Action.OpenUrl', title: 'Read more', url: 'https://example.com/changelog' }
+      ]);
+    });
+  });
+
+  describe('SocialMediaController integration', () => {
+    test('should publish to every chat channel through publishContent', async () => {
+      const registry = new PublisherRegistry()
+        .register('slack', SlackPublisher, { webhookUrl: `${baseUrl}/slack` })
+        .register('discord', DiscordPublisher, { webhookUrl: `${baseUrl}/discord` })
+        .register('teams', TeamsPublisher, { webhookUrl: `${baseUrl}/teams` });
+
+      const controller = new SocialMediaController({ registry });
+      jest.spyOn(controller, 'delay').mockResolvedValue();
+
+      const results = await controller.publishContent(
+        'We just shipped release 2.0 of the automation tool.',
+        ['slack', 'discord', 'teams'],
+        'release'
+      );
+
+      expect(Object.keys(results)).toEqual(['slack', 'discord', 'teams']);
+      Object.values(results).forEach(result => expect(result.success).toBe(true));
+      expect(received.map(request => request.url.split('?')[0])).toEqual(['/slack', '/discord', '/teams']);
+    });
+  });
+});
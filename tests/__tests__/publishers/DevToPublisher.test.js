@@ -0,0 +1,126 @@
+const axios = require('axios');
+const DevToPublisher = require('../../../src/publishers/DevToPublisher');
+const logger = require('../../../src/utils/logger');
+
+jest.mock('axios');
+jest.mock('../../../src/utils/logger');
+
+describe('DevToPublisher', () => {
+  let publisher;
+  const mockArticleResponse = {
+    data: {
+      id: 987,
+      url: 'https://dev.to/writer/my-post-1a2b',
+      canonical_url: 'https://blog.example.com/my-post',
+      published: false,
+      published_at: null
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    publisher = new DevToPublisher({ apiKey: 'devto-key' });
+  });
+
+  describe('formatTags()', () => {
+    test('should lowercase, strip symbols and keep at most 4 tags', () => {
+      expect(publisher.formatTags(['Node.js', 'AI', 'web-dev', 'Open Source', 'extra']))
+        .toEqual(['nodejs', 'ai', 'webdev', 'opensource']);
+    });
+  });
+
+  describe('publish()', () => {
+    test('should create a draft article from adapted content', async () => {
+      axios.post.mockResolvedValueOnce(mockArticleResponse);
+
+      const result = await publisher.publish({
+        text: 'Article body',
+        title: 'Insights and Thoughts',
+        hashtags: ['AI', 'Automation'],
+        callToAction: 'What do you think?'
+      }, { canonicalUrl: 'https://blog.example.com/my-post', series: 'Automation Diaries' });
+
+      expect(axios.post).toHaveBeenCalledWith(
+        'https://dev.to/api/articles',
+        {
+          article: {
+            title: 'Insights and Thoughts',
+            body_markdown: 'Article body\n\n*What do you think?*',
+            published: false,
+            tags: ['ai', 'automation'],
+            series: 'Automation Diaries',
+            canonical_url: 'https://blog.example.com/my-post'
+          }
+        },
+        expect.objectContaining({
+          headers: expect.objectContaining({ 'api-key': 'devto-key' })
+        })
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.postId).toBe('987');
+      expect(result.postUrl).toBe('https://dev.to/writer/my-post-1a2b');
+      expect(result.published).toBe(false);
+      expect(result.platform).toBe('devto');
+    });
+
+    test('should read metadata from front matter', async () => {
+      axios.post.mockResolvedValueOnce({ data: { ...mockArticleResponse.data, published: true } });
+
+      const markdown = [
+        '---',
+        'title: "Front matter title"',
+        'tags: [javascript, node]',
+        'published: true',
+        'cover_image: https://example.com/cover.png',
+        '---',
+        '',
+        'Body from markdown'
+      ].join('\n');
+
+      const result = await publisher.publish('devto-key', markdown);
+
+      const { article } = axios.post.mock.calls[0][1];
+      expect(article).toEqual(expect.objectContaining({
+        title: 'Front matter title',
+        body_markdown: 'Body from markdown',
+        published: true,
+        tags: ['javascript', 'node'],
+        main_image: 'https://example.com/cover.png'
+      }));
+      expect(result.published).toBe(true);
+    });
+
+    test('should let explicit options override front matter', async () => {
+      axios.post.mockResolvedValueOnce(mockArticleResponse);
+
+      await publisher.publish('devto-key', '---\ntitle: Old\npublished: true\n---\nBody', {
+        title: 'New',
+        published: false
+      });
+
+      const { article } = axios.post.mock.calls[0][1];
+      expect(article.title).toBe('New');
+      expect(article.published).toBe(false);
+    });
+
+    test('should require a title', async () => {
+      const result = await publisher.publish('devto-key', 'Body only');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Title is required');
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test('should handle API failure', async () => {
+      axios.post.mockRejectedValueOnce({ response: { data: { error: 'unauthorized', status: 401 } } });
+
+      const result = await publisher.publish('devto-key', 'Body', { title: 'T' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Post publication failed');
+      expect(result.details).toEqual({ error: 'unauthorized', status: 401 });
+      expect(logger.error).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const axios = require('axios');
+const HashnodePublisher = require('../../../src/publishers/HashnodePublisher');
+
+jest.mock('axios');
+jest.mock('../../../src/utils/logger');
+
+describe('HashnodePublisher', () => {
+  let publisher;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    publisher = new HashnodePublisher({ accessToken: 'hn-token', publicationId: 'pub-1' });
+  });
+
+  describe('formatTags()', () => {
+    test('should build slug and name pairs', () => {
+      expect(publisher.formatTags(['Node.js', 'Open Source'])).toEqual([
+        { slug: 'node-js', name: 'Node.js' },
+        { slug: 'open-source', name: 'Open Source' }
+      ]);
+    });
+  });
+
+  describe('publish()', () => {
+    test('should publish a post with canonical URL and cover image', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          data: {
+            publishPost: {
+              post: { id: 'post-1', slug: 'hello', url: 'https://blog.example.dev/hello', publishedAt: '2024-01-01T00:00:00.000Z' }
+            }
+          }
+        }
+      });
+
+      const result = await publisher.publish('hn-token', 'Body', {
+        title: 'Hello',
+        published: true,
+        tags: 'javascript, node',
+        coverImage: 'https://example.com/cover.png',
+        canonicalUrl: 'https://blog.example.com/hello'
+      });
+
+      const [url, body, config] = axios.post.mock.calls[0];
+      expect(url).toBe('https://gql.hashnode.com');
+      expect(body.query).toContain('publishPost');
+      expect(body.variables.input).toEqual({
+        title: 'Hello',
+        contentMarkdown: 'Body',
+        publicationId: 'pub-1',
+        tags: [{ slug: 'javascript', name: 'javascript' }, { slug: 'node', name: 'node' }],
+        coverImageOptions: { coverImageURL: 'https://example.com/cover.png' },
+        originalArticleURL: 'https://blog.example.com/hello'
+      });
+      expect(config.headers.Authorization).toBe('hn-token');
+
+      expect(result.success).toBe(true);
+      expect(result.postUrl).toBe('https://blog.example.dev/hello');
+      expect(result.platform).toBe('hashnode');
+    });
+
+    test('should create a draft by default', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { data: { createDraft: { draft: { id: 'draft-9', slug: 'wip' } } } }
+      });
+
+      const result = await publisher.publish({ text: 'Body', title: 'Draft title' });
+
+      expect(axios.post.mock.calls[0][1].query).toContain('createDraft');
+      expect(result.success).toBe(true);
+      expect(result.published).toBe(false);
+      expect(result.postUrl).toBe('https://hashnode.com/draft/draft-9');
+    });
+
+    test('should surface GraphQL errors', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { errors: [{ message: 'Tag not found' }] }
+      });
+
+      const result = await publisher.publish('hn-token', 'Body', { title: 'T', published: true });
+
+      expect(result.success).toBe(false);
+      expect(result.details).toEqual([{ message: 'Tag not found' }]);
+    });
+
+    test('should require a publication', async () => {
+      const originalPublication = process.env.HASHNODE_PUBLICATION_ID;
+      delete process.env.HASHNODE_PUBLICATION_ID;
+
+      const noPublication = new HashnodePublisher({ accessToken: 'hn-token' });
+      const result = await noPublication.publish('hn-token', 'Body', { title: 'T' });
+
+      if (originalPublication) process.env.HASHNODE_PUBLICATION_ID = originalPublication;
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('No publication configured');
+    });
+  });
+});
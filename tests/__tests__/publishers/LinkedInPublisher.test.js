@@ -1,4 +1,8 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const axios = require('axios');
+const { TokenStore } = require('../../../src/auth');
 const LinkedInPublisher = require('../../../src/publishers/LinkedInPublisher');
 const logger = require('../../../src/utils/logger');
 
@@ -399,4 +403,400 @@ describe('LinkedInPublisher', () => {
       expect(logger.error).toHaveBeenCalled();
     });
   });
-});
\ No newline at end of file
+
+  describe('Token lifecycle', () => {
+    let tmpDir;
+    let tokenStore;
+    let connectedPublisher;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'linkedin-tokens-'));
+      tokenStore = new TokenStore({ filePath: path.join(tmpDir, 'tokens.json'), encryptionKey: 'test-key' });
+      connectedPublisher = new LinkedInPublisher({ ...mockConfig, tokenStore });
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should keep refresh token details from the token response', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { access_token: 'access', expires_in: 5184000, refresh_token: 'refresh', refresh_token_expires_in: 31536000 }
+      });
+
+      const result = await connectedPublisher.authenticate('code');
+
+      expect(result.refreshToken).toBe('refresh');
+      expect(Date.parse(result.refreshTokenExpiresAt)).toBeGreaterThan(Date.parse(result.expiresAt));
+    });
+
+    test('should refresh an expiring stored token before publishing', async () => {
+      connectedPublisher.saveTokens({
+        accessToken: 'old-access',
+        refreshToken: 'refresh',
+        expiresAt: new Date(Date.now() + 60 * 1000).toISOString()
+      });
+      axios.post
+        .mockResolvedValueOnce({ data: { access_token: 'new-access', expires_in: 5184000, refresh_token: 'refresh-2' } })
+        .mockResolvedValueOnce({ data: { id: 'urn:li:share:1' } });
+      axios.get.mockResolvedValueOnce({ data: { sub: 'member-1' } });
+
+      const result = await connectedPublisher.publish({ text: 'Hello LinkedIn', hashtags: [] });
+
+      expect(result.success).toBe(true);
+      expect(axios.post.mock.calls[0][1]).toEqual(expect.objectContaining({
+        grant_type: 'refresh_token',
+        refresh_token: 'refresh'
+      }));
+      expect(axios.post.mock.calls[1][2].headers.Authorization).toBe('Bearer new-access');
+      expect(tokenStore.get('linkedin').refreshToken).toBe('refresh-2');
+    });
+
+    test('should fall back to LINKEDIN_ACCESS_TOKEN when no account is connected', async () => {
+      const originalToken = process.env.LINKEDIN_ACCESS_TOKEN;
+      process.env.LINKEDIN_ACCESS_TOKEN = 'env-token';
+      axios.get.mockResolvedValueOnce({ data: { sub: 'member-1' } });
+      axios.post.mockResolvedValueOnce({ data: { id: 'urn:li:share:2' } });
+
+      const result = await connectedPublisher.publish({ text: 'Hello', hashtags: [] });
+
+      if (originalToken) process.env.LINKEDIN_ACCESS_TOKEN = originalToken;
+      else delete process.env.LINKEDIN_ACCESS_TOKEN;
+
+      expect(result.success).toBe(true);
+      expect(axios.post.mock.calls[0][2].headers.Authorization).toBe('Bearer env-token');
+    });
+  });
+
+  describe('Posts API', () => {
+    let postsPublisher;
+
+    beforeEach(() => {
+      postsPublisher = new LinkedInPublisher({ ...mockConfig, postsApi: true, linkedInVersion: '202509' });
+    });
+
+    test('should publish through /rest/posts with the version header', async () => {
+      axios.get.mockResolvedValueOnce({ data: { sub: 'member-1' } });
+      axios.post.mockResolvedValueOnce({ status: 201, data: '', headers: { 'x-restli-id': 'urn:li:share:42' } });
+
+      const result = await postsPublisher.publish('token', 'Shipping (finally)', { hashtags: ['open_source'] });
+
+      const [url, body, config] = axios.post.mock.calls[0];
+      expect(url).toBe('https://api.linkedin.com/rest/posts');
+      expect(config.headers).toEqual(expect.objectContaining({
+        'Authorization': 'Bearer token',
+        'LinkedIn-Version': '202509',
+        'X-Restli-Protocol-Version': '2.0.0'
+      }));
+      expect(body).toEqual(expect.objectContaining({
+        author: 'urn:li:person:member-1',
+        visibility: 'PUBLIC',
+        lifecycleState: 'PUBLISHED',
+        distribution: expect.objectContaining({ feedDistribution: 'MAIN_FEED' })
+      }));
+      expect(body.commentary).toContain('Shipping \\(finally\\)');
+      expect(body.commentary).toContain('{hashtag|\\#|open\\_source}');
+
+      // Same result shape as the legacy endpoint
+      expect(result).toEqual(expect.objectContaining({
+        success: true,
+        postId: 'urn:li:share:42',
+        postUrl: 'https://www.linkedin.com/feed/update/urn:li:share:42',
+        platform: 'linkedin'
+      }));
+    });
+
+    test('should attach articles as post content', async () => {
+      axios.get.mockResolvedValueOnce({ data: { sub: 'member-1' } });
+      axios.post.mockResolvedValueOnce({ status: 201, headers: { 'x-restli-id': 'urn:li:share:43' } });
+
+      await postsPublisher.publish('token', 'Read this', {
+        mediaUrl: 'https://blog.example.com/post',
+        mediaTitle: 'The post'
+      });
+
+      expect(axios.post.mock.calls[0][1].content).toEqual({
+        article: { source: 'https://blog.example.com/post', title: 'The post' }
+      });
+    });
+
+    test('should validate tokens against userinfo', async () => {
+      axios.get.mockResolvedValueOnce({ data: { sub: 'member-1' } });
+
+      const result = await postsPublisher.validateToken('token');
+
+      expect(result.valid).toBe(true);
+      expect(axios.get.mock.calls[0][0]).toBe('https://api.linkedin.com/v2/userinfo');
+    });
+  });
+
+  describe('Native media', () => {
+    let mediaRoot;
+
+    // Profile lookups and media downloads both go through axios.get
+    const mockGets = () => {
+      axios.get.mockImplementation(async url => {
+        if (url.includes('userinfo')) return { data: { sub: 'member-1' } };
+        return { data: Buffer.from('image-bytes'), headers: { 'content-type': 'image/png' } };
+      });
+    };
+
+    beforeEach(() => {
+      mediaRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'linkedin-media-'));
+      process.env.MEDIA_ROOT = mediaRoot;
+      mockGets();
+      axios.put.mockResolvedValue({ status: 201 });
+    });
+
+    afterEach(() => {
+      delete process.env.MEDIA_ROOT;
+      axios.get.mockReset();
+      axios.post.mockReset();
+      axios.put.mockReset();
+      fs.rmSync(mediaRoot, { recursive: true, force: true });
+    });
+
+    test('should report the image limit of the active API', () => {
+      const postsPublisher = new LinkedInPublisher({ ...mockConfig, postsApi: true });
+
+      expect(publisher.getCapabilities().maxMedia).toBe(9);
+      expect(postsPublisher.getCapabilities().maxMedia).toBe(20);
+    });
+
+    test('should upload images through registerUpload for ugcPosts with alt text', async () => {
+      let asset = 0;
+      axios.post.mockImplementation(async url => {
+        if (url.includes('registerUpload')) {
+          asset++;
+          return {
+            data: {
+              value: {
+                asset: `urn:li:digitalmediaAsset:${asset}`,
+                uploadMechanism: {
+                  'com.linkedin.digitalmedia.uploading.MediaUploadHttpRequest': { uploadUrl: `https://upload/${asset}` }
+                }
+              }
+            }
+          };
+        }
+        return { data: { id: 'urn:li:share:50' } };
+      });
+
+      const result = await publisher.publish('token', 'Two photos', {
+        media: [
+          { url: 'https://cdn.example.com/a.png', altText: 'Team photo' },
+          { url: 'https://cdn.example.com/b.png', altText: 'Office' }
+        ]
+      });
+
+      expect(result.success).toBe(true);
+      expect(axios.put).toHaveBeenCalledWith('https://upload/1', expect.any(Buffer), expect.objectContaining({
+        headers: expect.objectContaining({ 'Content-Type': 'image/png' })
+      }));
+      const registration = axios.post.mock.calls[0][1].registerUploadRequest;
+      expect(registration.owner).toBe('urn:li:person:member-1');
+      expect(registration.recipes).toEqual(['urn:li:digitalmediaRecipe:feedshare-image']);
+
+      const share = axios.post.mock.calls[2][1].specificContent['com.linkedin.ugc.ShareContent'];
+      expect(share.shareMediaCategory).toBe('IMAGE');
+      expect(share.media.map(item => [item.media, item.description.text])).toEqual([
+        ['urn:li:digitalmediaAsset:1', 'Team photo'],
+        ['urn:li:digitalmediaAsset:2', 'Office']
+      ]);
+    });
+
+    test('should post multiple images through the Posts API', async () => {
+      const postsPublisher = new LinkedInPublisher({ ...mockConfig, postsApi: true });
+      axios.post
+        .mockResolvedValueOnce({ data: { value: { uploadUrl: 'https://upload/1', image: 'urn:li:image:1' } } })
+        .mockResolvedValueOnce({ data: { value: { uploadUrl: 'https://upload/2', image: 'urn:li:image:2' } } })
+        .mockResolvedValueOnce({ headers: { 'x-restli-id': 'urn:li:share:51' } });
+
+      const result = await postsPublisher.publish('token', 'Gallery', {
+        imageUrl: 'https://cdn.example.com/a.png',
+        altText: 'First',
+        media: [{ url: 'https://cdn.example.com/b.png', altText: 'Second' }]
+      });
+
+      expect(result.postId).toBe('urn:li:share:51');
+      expect(axios.post.mock.calls[0][0]).toBe('https://api.linkedin.com/rest/images?action=initializeUpload');
+      expect(axios.post.mock.calls[2][1].content).toEqual({
+        multiImage: {
+          images: [
+            { id: 'urn:li:image:1', altText: 'First' },
+            { id: 'urn:li:image:2', altText: 'Second' }
+          ]
+        }
+      });
+    });
+
+    test('should post a local PDF as a document through the Posts API', async () => {
+      fs.writeFileSync(path.join(mediaRoot, 'deck.pdf'), '%PDF-1.4');
+      axios.post
+        .mockResolvedValueOnce({ data: { value: { uploadUrl: 'https://upload/doc', document: 'urn:li:document:7' } } })
+        .mockResolvedValueOnce({ headers: { 'x-restli-id': 'urn:li:share:52' } });
+
+      const result = await publisher.publish('token', 'Our deck', { documentPath: 'deck.pdf', documentTitle: 'Q3 deck' });
+
+      expect(result.success).toBe(true);
+      expect(axios.post.mock.calls[0][0]).toBe('https://api.linkedin.com/rest/documents?action=initializeUpload');
+      expect(axios.put.mock.calls[0][2].headers['Content-Type']).toBe('application/pdf');
+      expect(axios.post.mock.calls[1][0]).toBe('https://api.linkedin.com/rest/posts');
+      expect(axios.post.mock.calls[1][1].content).toEqual({ media: { id: 'urn:li:document:7', title: 'Q3 deck' } });
+    });
+
+    test('should refuse local files outside the media root', async () => {
+      const result = await publisher.publish('token', 'Nope', { documentPath: '../../etc/passwd' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Media upload failed');
+      expect(axios.put).not.toHaveBeenCalled();
+    });
+
+    test('should reject mixing images and a document', async () => {
+      const result = await publisher.publish('token', 'Mixed', {
+        imageUrl: 'https://cdn.example.com/a.png',
+        documentUrl: 'https://cdn.example.com/deck.pdf'
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid media');
+    });
+  });
+
+  describe('Deleting and editing', () => {
+    const urn = 'urn:li:share:7100';
+
+    beforeEach(() => {
+      jest.spyOn(publisher, 'getValidAccessToken').mockResolvedValue('stored-token');
+    });
+
+    afterEach(() => {
+      axios.delete.mockReset();
+      axios.post.mockReset();
+    });
+
+    test('should delete share and ugcPost URNs through the Posts API whichever API is active', async () => {
+      axios.delete
+        .mockResolvedValueOnce({ status: 204 })
+        .mockResolvedValueOnce({ status: 204 })
+        .mockRejectedValueOnce({ response: { status: 404 } });
+
+      // A legacy publisher deleting a document post created through the Posts API
+      const result = await publisher.deletePost([urn, 'urn:li:ugcPost:7102', 'urn:li:share:7101']);
+
+      expect(result).toMatchObject({
+        success: true,
+        deleted: [urn, 'urn:li:ugcPost:7102', 'urn:li:share:7101'],
+        failed: []
+      });
+      expect(axios.delete.mock.calls.map(([url]) => url)).toEqual([
+        'https://api.linkedin.com/rest/posts/urn%3Ali%3Ashare%3A7100',
+        'https://api.linkedin.com/rest/posts/urn%3Ali%3AugcPost%3A7102',
+        'https://api.linkedin.com/rest/posts/urn%3Ali%3Ashare%3A7101'
+      ]);
+    });
+
+    test('should report posts that could not be deleted', async () => {
+      const postsPublisher = new LinkedInPublisher({ ...mockConfig, postsApi: true });
+      jest.spyOn(postsPublisher, 'getValidAccessToken').mockResolvedValue('stored-token');
+      axios.delete.mockRejectedValueOnce({ response: { status: 403, data: { message: 'Not allowed' } } });
+
+      const result = await postsPublisher.deletePost([urn]);
+
+      expect(axios.delete.mock.calls[0][0]).toBe('https://api.linkedin.com/rest/posts/urn%3Ali%3Ashare%3A7100');
+      expect(result.success).toBe(false);
+      expect(result.failed).toEqual([{ id: urn, error: 'Not allowed' }]);
+    });
+
+    test('should replace the commentary with a partial update', async () => {
+      axios.post.mockResolvedValueOnce({ status: 204 });
+
+      const result = await publisher.editPost([urn], 'Updated #news');
+
+      const [url, body, config] = axios.post.mock.calls[0];
+      expect(url).toBe('https://api.linkedin.com/rest/posts/urn%3Ali%3Ashare%3A7100');
+      expect(body.patch.$set.commentary).toContain('Updated {hashtag|\\#|news}');
+      expect(config.headers['X-RestLi-Method']).toBe('PARTIAL_UPDATE');
+      expect(result).toMatchObject({ success: true, postIds: [urn] });
+    });
+  });
+
+  describe('Organization pages', () => {
+    const aclResponse = {
+      data: {
+        elements: [
+          {
+            organization: 'urn:li:organization:1001',
+            'organization~': { id: 1001, localizedName: 'Acme', vanityName: 'acme' },
+            role: 'ADMINISTRATOR',
+            state: 'APPROVED'
+          },
+          { organization: 'urn:li:organization:2002', role: 'CONTENT_ADMINISTRATOR', state: 'APPROVED' },
+          { organization: 'urn:li:organization:3003', role: 'ANALYST', state: 'APPROVED' }
+        ]
+      }
+    };
+
+    test('should list organizations the member can post for', async () => {
+      axios.get.mockResolvedValueOnce(aclResponse);
+
+      const result = await publisher.listOrganizations('token');
+
+      expect(axios.get).toHaveBeenCalledWith(
+        'https://api.linkedin.com/v2/organizationAcls',
+        expect.objectContaining({ params: expect.objectContaining({ q: 'roleAssignee', state: 'APPROVED' }) })
+      );
+      expect(result.organizations).toEqual([
+        { id: '1001', urn: 'urn:li:organization:1001', name: 'Acme', vanityName: 'acme', role: 'ADMINISTRATOR' },
+        { id: '2002', urn: 'urn:li:organization:2002', name: null, vanityName: null, role: 'CONTENT_ADMINISTRATOR' }
+      ]);
+    });
+
+    test('should post as an organization picked per request', async () => {
+      axios.get.mockResolvedValueOnce(aclResponse);
+      axios.post.mockResolvedValueOnce({ data: { id: 'urn:li:share:9' } });
+
+      const result = await publisher.publish('token', 'Company news', { organizationId: '1001' });
+
+      expect(result.success).toBe(true);
+      expect(result.author).toBe('urn:li:organization:1001');
+      expect(axios.post.mock.calls[0][1].author).toBe('urn:li:organization:1001');
+    });
+
+    test('should default to the configured organization and allow posting as the member', async () => {
+      const companyPublisher = new LinkedInPublisher({ ...mockConfig, organizationId: '2002' });
+      axios.get
+        .mockResolvedValueOnce(aclResponse)
+        .mockResolvedValueOnce({ data: { sub: 'member-1' } });
+      axios.post
+        .mockResolvedValueOnce({ data: { id: 'urn:li:share:10' } })
+        .mockResolvedValueOnce({ data: { id: 'urn:li:share:11' } });
+
+      const asCompany = await companyPublisher.publish('token', 'Hello', {});
+      const asMember = await companyPublisher.publish('token', 'Hello', { author: 'person' });
+
+      expect(asCompany.author).toBe('urn:li:organization:2002');
+      expect(asMember.author).toBe('urn:li:person:member-1');
+      // Roles are cached per token
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+
+    test('should refuse organizations the member does not administer', async () => {
+      axios.get.mockResolvedValueOnce(aclResponse);
+
+      const result = await publisher.publish('token', 'Hello', { author: 'urn:li:organization:3003' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Not an administrator of this organization');
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test('should require an organization ID when posting as an organization', async () => {
+      const result = await publisher.publish('token', 'Hello', { author: 'organization' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('No organization configured');
+    });
+  });
+});
@@ -0,0 +1,252 @@
+const http = require('http');
+const MastodonPublisher = require('../../../src/publishers/MastodonPublisher');
+
+jest.mock('../../../src/utils/logger');
+
+// Minimal stand-in for the Mastodon REST API
+function createMastodonStub() {
+  const stub = { requests: [], statusCount: 0, mediaCount: 0, dropStatuses: 0 };
+
+  stub.server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString();
+      const isJson = (req.headers['content-type'] || '').includes('application/json');
+      stub.requests.push({
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: isJson && raw ? JSON.parse(raw) : raw
+      });
+
+      const send = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+
+      // Public endpoints
+      if (req.method === 'GET' && req.url === '/image.png') {
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        return res.end(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+      }
+      if (req.method === 'GET' && req.url === '/api/v2/instance') {
+        return send(200, { configuration: { statuses: { max_characters: 1000, max_media_attachments: 4 } } });
+      }
+
+      if (req.headers.authorization !== 'Bearer test-token') {
+        return send(401, { error: 'The access token is invalid' });
+      }
+      if (req.method === 'GET' && req.url === '/api/v1/accounts/verify_credentials') {
+        return send(200, { id: '42', username: 'tester' });
+      }
+      if (req.method === 'POST' && req.url === '/api/v2/media') {
+        stub.mediaCount++;
+        return send(202, { id: `media-${stub.mediaCount}`, url: null });
+      }
+      if (req.method === 'GET' && req.url.startsWith('/api/v1/media/')) {
+        const id = req.url.split('/').pop();
+        return send(200, { id, url: `http://stub/media/${id}.png` });
+      }
+      if (req.method === 'POST' && req.url === '/api/v1/statuses') {
+        // Simulates a connection lost before the response arrives
+        if (stub.dropStatuses > 0) {
+          stub.dropStatuses--;
+          return req.socket.destroy();
+        }
+        stub.statusCount++;
+        const id = String(1000 + stub.statusCount);
+        return send(200, { id, url: `http://stub/@tester/${id}` });
+      }
+
+      send(404, { error: 'Record not found' });
+    });
+  });
+
+  return stub;
+}
+
+describe('MastodonPublisher', () => {
+  let stub;
+  let baseUrl;
+  let publisher;
+
+  beforeAll(done => {
+    stub = createMastodonStub();
+    stub.server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${stub.server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    stub.server.close(done);
+  });
+
+  beforeEach(() => {
+    stub.requests = [];
+    stub.dropStatuses = 0;
+    publisher = new MastodonPublisher({
+      instanceUrl: `${baseUrl}/`,
+      accessToken: 'test-token',
+      maxCharacters: 500
+    });
+    jest.spyOn(publisher, 'delay').mockResolvedValue();
+  });
+
+  const statusRequests = () => stub.requests.filter(r => r.url === '/api/v1/statuses');
+
+  test('should strip trailing slashes from the instance URL', () => {
+    expect(publisher.instanceUrl).toBe(baseUrl);
+  });
+
+  test('should publish a single status with visibility and content warning', async () => {
+    const result = await publisher.publish('test-token', 'Hello fediverse', {
+      visibility: 'unlisted',
+      contentWarning: 'Tech talk',
+      hashtags: ['NodeJS']
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.platform).toBe('mastodon');
+    expect(result.postId).toBe(result.thread[0].statusId);
+    expect(result.postUrl).toContain('/@tester/');
+
+    const [request] = statusRequests();
+    expect(request.body).toEqual({
+      status: 'Hello fediverse\n\n#NodeJS',
+      visibility: 'unlisted',
+      spoiler_text: 'Tech talk',
+      sensitive: true
+    });
+    expect(request.headers['idempotency-key']).toHaveLength(64);
+  });
+
+  test('should use a new idempotency key when the same text is published again', async () => {
+    await publisher.publish('test-token', 'Same text');
+    await publisher.publish('test-token', 'Same text');
+
+    const [first, second] = statusRequests();
+    expect(first.body).toEqual(second.body);
+    expect(first.headers['idempotency-key']).not.toBe(second.headers['idempotency-key']);
+  });
+
+  test('should retry a lost status request with the same idempotency key', async () => {
+    stub.dropStatuses = 1;
+
+    const result = await publisher.publish('test-token', 'Flaky network');
+
+    const [lost, retried] = statusRequests();
+    expect(result.success).toBe(true);
+    expect(statusRequests()).toHaveLength(2);
+    expect(retried.headers['idempotency-key']).toBe(lost.headers['idempotency-key']);
+  });
+
+  test('should not retry statuses the instance rejected', async () => {
+    await publisher.publish('wrong-token', 'Hello');
+
+    expect(statusRequests()).toHaveLength(1);
+  });
+
+  test('should split at the instance limit, read once before the first publish', async () => {
+    const content = 'Seven hundred characters fit on this instance. '.repeat(15);
+
+    await publisher.publish('test-token', content);
+    await publisher.publish('test-token', content);
+
+    expect(stub.requests.filter(r => r.url === '/api/v2/instance')).toHaveLength(1);
+    expect(statusRequests()).toHaveLength(2);
+    expect(statusRequests()[0].body.status).toBe(content.trim());
+  });
+
+  test('should count links as 23 characters when splitting', () => {
+    const text = `${'a '.repeat(240)}http://a.co`;
+
+    expect(publisher.statusLength('See https://example.com/a-very-long-path-indeed.')).toBe(4 + 23 + 1);
+    expect(publisher.splitIntoThreads(text)).toHaveLength(2);
+  });
+
+  test('should chain long content into a reply thread', async () => {
+    const longContent = 'This sentence keeps going for a while. '.repeat(30);
+
+    const result = await publisher.publish({ text: longContent });
+
+    const requests = statusRequests();
+    expect(result.success).toBe(true);
+    expect(requests.length).toBeGreaterThan(1);
+    expect(result.thread).toHaveLength(requests.length);
+
+    requests.forEach((request, index) => {
+      expect(request.body.status.length).toBeLessThanOrEqual(1000);
+      expect(request.body.status).toContain(`${index + 1}/${requests.length}`);
+      if (index === 0) {
+        expect(request.body.visibility).toBe('public');
+        expect(request.body.in_reply_to_id).toBeUndefined();
+      } else {
+        expect(request.body.visibility).toBe('unlisted');
+        expect(request.body.in_reply_to_id).toBe(result.thread[index - 1].statusId);
+      }
+    });
+  });
+
+  test('should upload media with alt text and attach it to the first status', async () => {
+    const result = await publisher.publish('test-token', 'Look at this', {
+      media: [{ url: `${baseUrl}/image.png`, altText: 'A tiny PNG' }]
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.stats.mediaAttached).toBe(1);
+
+    const upload = stub.requests.find(r => r.url === '/api/v2/media');
+    expect(upload.headers['content-type']).toContain('multipart/form-data');
+    expect(upload.body).toContain('A tiny PNG');
+
+    // Processing was polled until the attachment had a URL
+    expect(stub.requests.some(r => r.url.startsWith('/api/v1/media/'))).toBe(true);
+    expect(statusRequests()[0].body.media_ids).toEqual([expect.stringMatching(/^media-/)]);
+  });
+
+  test('should reject unknown visibility values', async () => {
+    const result = await publisher.publish('test-token', 'Hello', { visibility: 'friends' });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Invalid visibility');
+    expect(statusRequests()).toHaveLength(0);
+  });
+
+  test('should report missing access token', async () => {
+    const originalToken = process.env.MASTODON_ACCESS_TOKEN;
+    delete process.env.MASTODON_ACCESS_TOKEN;
+
+    const noTokenPublisher = new MastodonPublisher({ instanceUrl: baseUrl });
+    const result = await noTokenPublisher.publish({ text: 'Hello' });
+
+    if (originalToken) process.env.MASTODON_ACCESS_TOKEN = originalToken;
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('No access token provided');
+  });
+
+  test('should surface API errors as failed results', async () => {
+    const result = await publisher.publish('wrong-token', 'Hello');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Post publication failed');
+    expect(result.details).toEqual({ error: 'The access token is invalid' });
+  });
+
+  test('should read the character limit from the instance', async () => {
+    const limits = await publisher.fetchInstanceLimits();
+
+    expect(limits.success).toBe(true);
+    expect(publisher.maxStatusLength).toBe(1000);
+    expect(publisher.getCapabilities().maxLength).toBe(1000);
+  });
+
+  test('should validate tokens against verify_credentials', async () => {
+    const result = await publisher.validateToken('test-token');
+
+    expect(result.valid).toBe(true);
+    expect(result.profile.username).toBe('tester');
+  });
+});
@@ -0,0 +1,174 @@
+const axios = require('axios');
+const MediumPublisher = require('../../../src/publishers/MediumPublisher');
+const logger = require('../../../src/utils/logger');
+
+jest.mock('axios');
+jest.mock('../../../src/utils/logger');
+
+describe('MediumPublisher', () => {
+  let publisher;
+  const mockProfileResponse = { data: { data: { id: 'user-123', username: 'writer' } } };
+  const mockPostResponse = {
+    data: {
+      data: {
+        id: 'post-abc',
+        url: 'https://medium.com/@writer/post-abc',
+        canonicalUrl: 'https://blog.example.com/post',
+        publishStatus: 'draft',
+        tags: ['ai', 'automation'],
+        publishedAt: 1700000000000
+      }
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    publisher = new MediumPublisher({ accessToken: 'medium-token', publishStatus: 'draft' });
+  });
+
+  describe('formatContent()', () => {
+    test('should build a Markdown story with title and call to action', () => {
+      const formatted = publisher.formatContent('Body text', {
+        title: 'My Story',
+        callToAction: 'Let me know what you think'
+      });
+
+      expect(formatted).toBe('# My Story\n\nBody text\n\n*Let me know what you think*');
+    });
+
+    test('should wrap plain text paragraphs when posting HTML', () => {
+      const formatted = publisher.formatContent('First <para>\n\nSecond', {
+        contentFormat: 'html',
+        title: 'Title & More'
+      });
+
+      expect(formatted).toBe('<h1>Title &amp; More</h1>\n<p>First &lt;para&gt;</p>\n<p>Second</p>');
+    });
+  });
+
+  describe('formatTags()', () => {
+    test('should strip hashes and keep at most 5 tags', () => {
+      const tags = publisher.formatTags(['#AI', 'Automation', 'a', 'b', 'c', 'd']);
+      expect(tags).toEqual(['AI', 'Automation', 'a', 'b', 'c']);
+    });
+  });
+
+  describe('publish()', () => {
+    test('should publish an adapted story as a user draft', async () => {
+      axios.get.mockResolvedValueOnce(mockProfileResponse);
+      axios.post.mockResolvedValueOnce(mockPostResponse);
+
+      const result = await publisher.publish({
+        text: 'Long-form body',
+        title: 'Shared Insights',
+        hashtags: ['#AI', 'Automation'],
+        callToAction: 'Thoughts?'
+      }, { canonicalUrl: 'https://blog.example.com/post' });
+
+      expect(axios.post).toHaveBeenCalledWith(
+        'https://api.medium.com/v1/users/user-123/posts',
+        {
+          title: 'Shared Insights',
+          contentFormat: 'markdown',
+          content: '# Shared Insights\n\nLong-form body\n\n*Thoughts?*',
+          tags: ['AI', 'Automation'],
+          publishStatus: 'draft',
+          canonicalUrl: 'https://blog.example.com/post'
+        },
+        expect.objectContaining({
+          headers: expect.objectContaining({ 'Authorization': 'Bearer medium-token' })
+        })
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.postId).toBe('post-abc');
+      expect(result.postUrl).toBe('https://medium.com/@writer/post-abc');
+      expect(result.canonicalUrl).toBe('https://blog.example.com/post');
+      expect(result.platform).toBe('medium');
+    });
+
+    test('should post to a publication when publicationId is set', async () => {
+      axios.post.mockResolvedValueOnce(mockPostResponse);
+
+      const result = await publisher.publish('medium-token', 'Body', {
+        title: 'Publication story',
+        publicationId: 'pub-42',
+        publishStatus: 'public'
+      });
+
+      expect(axios.get).not.toHaveBeenCalled();
+      expect(axios.post).toHaveBeenCalledWith(
+        'https://api.medium.com/v1/publications/pub-42/posts',
+        expect.objectContaining({ publishStatus: 'public' }),
+        expect.any(Object)
+      );
+      expect(result.success).toBe(true);
+    });
+
+    test('should read metadata from front matter instead of publishing it', async () => {
+      axios.post.mockResolvedValueOnce(mockPostResponse);
+      const body = [
+        '---',
+        'title: Front matter title',
+        'tags: [node, "#javascript"]',
+        'canonical_url: https://blog.example.com/fm',
+        'published: true',
+        '---',
+        'The story itself.'
+      ].join('\n');
+
+      await publisher.publish('medium-token', body, { publicationId: 'pub-42' });
+
+      expect(axios.post.mock.calls[0][1]).toEqual({
+        title: 'Front matter title',
+        contentFormat: 'markdown',
+        content: '# Front matter title\n\nThe story itself.',
+        tags: ['node', 'javascript'],
+        publishStatus: 'public',
+        canonicalUrl: 'https://blog.example.com/fm'
+      });
+    });
+
+    test('should require a title', async () => {
+      const result = await publisher.publish('medium-token', 'Body without title');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Title is required');
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown publish status', async () => {
+      const result = await publisher.publish('medium-token', 'Body', { title: 'T', publishStatus: 'live' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid publish status');
+    });
+
+    test('should handle publication failure', async () => {
+      axios.get.mockResolvedValueOnce(mockProfileResponse);
+      axios.post.mockRejectedValueOnce({ response: { data: { errors: [{ message: 'Token was invalid.' }] } } });
+
+      const result = await publisher.publish('medium-token', 'Body', { title: 'T' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Post publication failed');
+      expect(logger.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('listPublications()', () => {
+    test('should list publications for the authenticated user', async () => {
+      axios.get
+        .mockResolvedValueOnce(mockProfileResponse)
+        .mockResolvedValueOnce({ data: { data: [{ id: 'pub-42', name: 'Engineering' }] } });
+
+      const result = await publisher.listPublications();
+
+      expect(axios.get).toHaveBeenLastCalledWith(
+        'https://api.medium.com/v1/users/user-123/publications',
+        expect.any(Object)
+      );
+      expect(result.publications).toEqual([{ id: 'pub-42', name: 'Engineering' }]);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+const axios = require('axios');
+const FacebookPublisher = require('../../../src/publishers/FacebookPublisher');
+const InstagramPublisher = require('../../../src/publishers/InstagramPublisher');
+const logger = require('../../../src/utils/logger');
+
+jest.mock('axios');
+jest.mock('../../../src/utils/logger');
+
+describe('Meta Graph API publishers', () => {
+  const graphUrl = path => `https://graph.facebook.com/v19.0/${path}`;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('FacebookPublisher', () => {
+    let publisher;
+
+    beforeEach(() => {
+      publisher = new FacebookPublisher({ pageId: 'page-1', userAccessToken: 'user-token' });
+    });
+
+    test('should derive and cache a page token from the user token', async () => {
+      axios.get.mockResolvedValueOnce({ data: { access_token: 'page-token', id: 'page-1' } });
+      axios.post.mockResolvedValue({ data: { id: 'page-1_post-1' } });
+
+      await publisher.publish('user-token', 'First', {});
+      await publisher.publish('user-token', 'Second', {});
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(axios.get).toHaveBeenCalledWith(graphUrl('page-1'), {
+        params: { fields: 'access_token', access_token: 'user-token' }
+      });
+      axios.post.mock.calls.forEach(([, , config]) => {
+        expect(config.params.access_token).toBe('page-token');
+      });
+    });
+
+    test('should publish link posts to the page feed', async () => {
+      axios.get.mockResolvedValueOnce({ data: { access_token: 'page-token' } });
+      axios.post.mockResolvedValueOnce({ data: { id: 'page-1_post-1' } });
+
+      const result = await publisher.publish(
+        { text: 'New release', hashtags: ['Release'], mediaUrl: 'https://example.com/blog', callToAction: 'Try it' }
+      );
+
+      const [url, body] = axios.post.mock.calls[0];
+      expect(url).toBe(graphUrl('page-1/feed'));
+      expect(body).toEqual({
+        message: 'New release\n\nTry it\n\n#Release',
+        link: 'https://example.com/blog',
+        published: true
+      });
+      expect(result).toEqual(expect.objectContaining({
+        success: true,
+        postId: 'page-1_post-1',
+        postUrl: 'https://www.facebook.com/page-1_post-1',
+        postType: 'link'
+      }));
+    });
+
+    test('should publish photo posts with the text as caption', async () => {
+      publisher = new FacebookPublisher({ pageId: 'page-1', pageAccessToken: 'page-token' });
+      axios.post.mockResolvedValueOnce({ data: { id: 'photo-1', post_id: 'page-1_post-2' } });
+
+      const result = await publisher.publish(null, 'Team photo', { imageUrl: 'https://example.com/team.jpg' });
+
+      expect(axios.get).not.toHaveBeenCalled();
+      const [url, body, config] = axios.post.mock.calls[0];
+      expect(url).toBe(graphUrl('page-1/photos'));
+      expect(body).toEqual(expect.objectContaining({ url: 'https://example.com/team.jpg', caption: 'Team photo' }));
+      expect(config.params.access_token).toBe('page-token');
+      expect(result.postId).toBe('page-1_post-2');
+      expect(result.postType).toBe('photo');
+    });
+
+    test('should report Graph API errors', async () => {
+      axios.get.mockRejectedValueOnce({
+        response: { data: { error: { message: 'Invalid OAuth access token.', code: 190 } } }
+      });
+
+      const result = await publisher.publish('bad-token', 'Hello', {});
+
+      expect(result.success).toBe(false);
+      expect(result.details).toEqual({ message: 'Invalid OAuth access token.', code: 190 });
+      expect(logger.error).toHaveBeenCalled();
+    });
+
+    test('should store page tokens when listing pages', async () => {
+      axios.get.mockResolvedValueOnce({
+        data: { data: [{ id: 'page-2', name: 'Brand', access_token: 'brand-token', instagram_business_account: { id: 'ig-2' } }] }
+      });
+
+      const result = await publisher.listPages();
+
+      expect(result.pages).toEqual([{ id: 'page-2', name: 'Brand', instagramBusinessAccountId: 'ig-2' }]);
+      expect(await publisher.getPageAccessToken('page-2')).toBe('brand-token');
+    });
+  });
+
+  describe('InstagramPublisher', () => {
+    let publisher;
+    const hashtags = ['Automation', 'NodeJS'];
+
+    beforeEach(() => {
+      publisher = new InstagramPublisher({ pageId: 'page-1', pageAccessToken: 'page-token' });
+      jest.spyOn(publisher, 'delay').mockResolvedValue();
+
+      axios.get.mockImplementation(url => {
+        if (url === graphUrl('page-1')) return Promise.resolve({ data: { instagram_business_account: { id: 'ig-1' } } });
+        if (url === graphUrl('container-1')) return Promise.resolve({ data: { status_code: 'FINISHED' } });
+        if (url === graphUrl('media-1')) return Promise.resolve({ data: { permalink: 'https://www.instagram.com/p/abc/' } });
+        return Promise.reject(new Error(`Unexpected GET ${url}`));
+      });
+      axios.post.mockImplementation(url => {
+        if (url === graphUrl('ig-1/media')) return Promise.resolve({ data: { id: 'container-1' } });
+        if (url === graphUrl('ig-1/media_publish')) return Promise.resolve({ data: { id: 'media-1' } });
+        if (url === graphUrl('media-1/comments')) return Promise.resolve({ data: { id: 'comment-1' } });
+        return Promise.reject(new Error(`Unexpected POST ${url}`));
+      });
+    });
+
+    test('should create a container, publish it and post hashtags as the first comment', async () => {
+      const result = await publisher.publish(null, 'Behind the scenes', {
+        imageUrl: 'https://example.com/photo.jpg',
+        altText: 'Desk with two monitors',
+        hashtags
+      });
+
+      expect(axios.post.mock.calls.map(([url]) => url)).toEqual([
+        graphUrl('ig-1/media'),
+        graphUrl('ig-1/media_publish'),
+        graphUrl('media-1/comments')
+      ]);
+      expect(axios.post.mock.calls[0][1]).toEqual({
+        image_url: 'https://example.com/photo.jpg',
+        caption: 'Behind the scenes',
+        alt_text: 'Desk with two monitors'
+      });
+      expect(axios.post.mock.calls[1][1]).toEqual({ creation_id: 'container-1' });
+      expect(axios.post.mock.calls[2][1]).toEqual({ message: '#Automation #NodeJS' });
+
+      expect(result).toEqual(expect.objectContaining({
+        success: true,
+        postId: 'media-1',
+        postUrl: 'https://www.instagram.com/p/abc/',
+        firstCommentId: 'comment-1',
+        hashtagStrategy: 'first_comment'
+      }));
+    });
+
+    test('should keep hashtags in the caption when asked', async () => {
+      const result = await publisher.publish(null, 'Behind the scenes', {
+        imageUrl: 'https://example.com/photo.jpg',
+        hashtags,
+        hashtagStrategy: 'caption'
+      });
+
+      expect(axios.post.mock.calls[0][1].caption).toBe('Behind the scenes\n\n#Automation #NodeJS');
+      expect(axios.post).toHaveBeenCalledTimes(2);
+      expect(result.firstCommentId).toBeNull();
+    });
+
+    test('should wait for the container to finish processing', async () => {
+      const statuses = ['IN_PROGRESS', 'IN_PROGRESS', 'FINISHED'];
+      const defaultGet = axios.get.getMockImplementation();
+      axios.get.mockImplementation(url => url === graphUrl('container-1')
+        ? Promise.resolve({ data: { status_code: statuses.shift() } })
+        : defaultGet(url));
+
+      const result = await publisher.publish(null, 'Caption', { imageUrl: 'https://example.com/photo.jpg' });
+
+      expect(result.success).toBe(true);
+      expect(publisher.delay).toHaveBeenCalledTimes(2);
+    });
+
+    test('should look up the Instagram account of each page separately', async () => {
+      publisher.instagramAccountId = 'ig-configured';
+      axios.get.mockImplementation(url => url === graphUrl('page-2')
+        ? Promise.resolve({ data: { instagram_business_account: { id: 'ig-2' } } })
+        : Promise.reject(new Error(`Unexpected GET ${url}`)));
+
+      expect(await publisher.resolveInstagramAccountId('page-1', 'page-token')).toBe('ig-configured');
+      expect(await publisher.resolveInstagramAccountId('page-2', 'page-2-token')).toBe('ig-2');
+      expect(await publisher.resolveInstagramAccountId('page-2', 'page-2-token')).toBe('ig-2');
+      expect(await publisher.resolveInstagramAccountId('page-1', 'page-token')).toBe('ig-configured');
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('should cap hashtags at 30 including those in the caption', () => {
+      const tags = Array.from({ length: 40 }, (_, i) => `tag${i}`);
+
+      expect(publisher.formatHashtagList('Hello #one #two', tags).split(' ')).toHaveLength(28);
+    });
+
+    test('should require an image', async () => {
+      const result = await publisher.publish(null, 'Text only', {});
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Image is required');
+    });
+  });
+});
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PublisherRegistry = require('../../../src/publishers/PublisherRegistry');
+const BasePublisher = require('../../../src/publishers/BasePublisher');
+const TwitterPublisher = require('../../../src/publishers/TwitterPublisher');
+const logger = require('../../../src/utils/logger');
+
+jest.mock('../../../src/utils/logger');
+
+class EchoPublisher extends BasePublisher {
+  static get capabilities() {
+    return { ...super.capabilities, maxLength: 500, supportsTitle: true };
+  }
+
+  async publish(accessTokenOrAdaptedContent, content, options = {}) {
+    const args = this.normalizePublishArgs(accessTokenOrAdaptedContent, content, options);
+    return { success: true, platform: this.platform, text: this.formatContent(args.content, args.options) };
+  }
+}
+
+describe('PublisherRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new PublisherRegistry();
+    jest.clearAllMocks();
+  });
+
+  describe('register()', () => {
+    test('should register and lazily instantiate publishers', () => {
+      registry.register('echo', EchoPublisher, { displayName: 'Echo' });
+
+      expect(registry.has('echo')).toBe(true);
+      expect(registry.has('ECHO')).toBe(true);
+      expect(registry.list()).toEqual(['echo']);
+
+      const publisher = registry.get('echo');
+      expect(publisher).toBeInstanceOf(EchoPublisher);
+      expect(publisher.platform).toBe('echo');
+      expect(publisher.displayName).toBe('Echo');
+      expect(registry.get('echo')).toBe(publisher);
+    });
+
+    test('should reject classes without publish()', () => {
+      expect(() => registry.register('bad', class {})).toThrow('must be a class implementing publish()');
+      expect(() => registry.register('', EchoPublisher)).toThrow('non-empty string');
+    });
+
+    test('should return null for unknown publishers', () => {
+      expect(registry.get('unknown')).toBeNull();
+      expect(registry.getCapabilities('unknown')).toBeNull();
+    });
+  });
+
+  describe('capabilities', () => {
+    test('should expose static capabilities without instantiating', () => {
+      registry.register('twitter', TwitterPublisher);
+
+      const capabilities = registry.getCapabilities('twitter');
+
+      expect(capabilities.maxLength).toBe(280);
+      expect(capabilities.threading).toBe(true);
+      expect(capabilities.mediaTypes).toContain('video');
+      expect(registry.entries.get('twitter').instance).toBeNull();
+    });
+
+    test('should merge capability overrides from config', () => {
+      registry.register('echo', EchoPublisher, { capabilities: { maxLength: 42 } });
+
+      expect(registry.getCapabilities('echo').maxLength).toBe(42);
+      expect(registry.get('echo').getCapabilities().maxLength).toBe(42);
+      expect(registry.getAllCapabilities()).toEqual({
+        echo: expect.objectContaining({ maxLength: 42, supportsTitle: true })
+      });
+    });
+  });
+
+  describe('module loading', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'publishers-'));
+      const basePath = path.resolve(__dirname, '../../../src/publishers/BasePublisher');
+      fs.writeFileSync(path.join(tmpDir, 'IntranetPublisher.js'), `
+        const BasePublisher = require(${JSON.stringify(basePath)});
+        class IntranetPublisher extends BasePublisher {
+          async publish() { return { success: true, platform: this.platform }; }
+        }
+        module.exports = { IntranetPublisher };
+      `);
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should register publishers listed in a config file', async () => {
+      const configPath = path.join(tmpDir, 'publishers.json');
+      fs.writeFileSync(configPath, JSON.stringify({
+        publishers: [
+          { name: 'intranet', module: './IntranetPublisher.js', options: { endpoint: 'http://intranet' } },
+          { name: 'disabled', module: './IntranetPublisher.js', enabled: false }
+        ]
+      }));
+
+      registry.loadFromFile(configPath);
+
+      expect(registry.list()).toEqual(['intranet']);
+      expect(registry.get('intranet').config.endpoint).toBe('http://intranet');
+      await expect(registry.get('intranet').publish({ text: 'hi' })).resolves.toEqual({
+        success: true,
+        platform: 'intranet'
+      });
+    });
+
+    test('should log and skip modules that fail to load', () => {
+      registry.loadFromConfig([{ name: 'missing', module: './does-not-exist.js' }], tmpDir);
+
+      expect(registry.has('missing')).toBe(false);
+      expect(logger.error).toHaveBeenCalled();
+    });
+
+    test('should ignore a missing config file', () => {
+      registry.loadFromFile(path.join(tmpDir, 'nope.json'));
+      expect(registry.list()).toEqual([]);
+    });
+  });
+
+  describe('named accounts', () => {
+    afterEach(() => {
+      delete process.env.TWITTER_API_KEY;
+      delete process.env.TWITTER_ACCESS_TOKEN;
+      delete process.env.TWITTER_ACCESS_TOKEN_DEVREL;
+    });
+
+    test('should create a separate instance per account', async () => {
+      registry.register('echo', EchoPublisher, { capabilities: { maxLength: 280 } });
+      registry.loadFromConfig({ accounts: [{ name: 'Echo:Company', options: { label: 'company' } }] });
+
+      const company = registry.get('echo:company');
+      expect(company).not.toBe(registry.get('echo'));
+      expect(company.platform).toBe('echo');
+      expect(company.account).toBe('echo:company');
+      expect(company.config.label).toBe('company');
+      expect(registry.getPlatform('echo:company')).toBe('echo');
+      expect(registry.getCapabilities('echo:company').maxLength).toBe(280);
+    });
+
+    test('should keep rate limiter state per account', async () => {
+      registry.register('echo', EchoPublisher).registerAccount('echo:company');
+      const personal = registry.get('echo');
+      personal.rateLimiter = { requests: [], maxRequests: 1, timeWindow: 60000 };
+      registry.get('echo:company').rateLimiter = { requests: [], maxRequests: 1, timeWindow: 60000 };
+
+      await personal.checkRateLimit();
+      await expect(personal.checkRateLimit()).rejects.toThrow('Rate limit exceeded');
+      await expect(registry.get('echo:company').checkRateLimit()).resolves.toBeUndefined();
+    });
+
+    test('should resolve account credentials before the shared ones', () => {
+      process.env.TWITTER_ACCESS_TOKEN = 'personal-token';
+      process.env.TWITTER_ACCESS_TOKEN_DEVREL = 'devrel-token';
+      registry.register('twitter', TwitterPublisher).registerAccount('twitter:devrel');
+
+      expect(registry.get('twitter').accessToken).toBe('personal-token');
+      expect(registry.get('twitter:devrel').accessToken).toBe('devrel-token');
+      expect(registry.get('twitter:devrel').tokenKey).toBe('twitter:devrel');
+    });
+
+    test('should not give accounts the default account credentials', () => {
+      process.env.TWITTER_API_KEY = 'consumer-key';
+      process.env.TWITTER_ACCESS_TOKEN = 'personal-token';
+      registry.register('twitter', TwitterPublisher).registerAccount('twitter:devrel');
+
+      const devrel = registry.get('twitter:devrel');
+      expect(devrel.accessToken).toBeUndefined();
+      expect(devrel.apiKey).toBe('consumer-key');
+      expect(devrel.hasAccountCredentials()).toBe(false);
+    });
+
+    test('should reject accounts without a registered platform', () => {
+      expect(() => registry.registerAccount('unknown:company')).toThrow('no publisher registered');
+      expect(() => registry.registerAccount('echo')).toThrow('<platform>:<account>');
+    });
+  });
+});
+
+describe('BasePublisher', () => {
+  test('should normalize adapted content into publish arguments', () => {
+    const publisher = new EchoPublisher({ platform: 'echo' });
+    publisher.accessToken = 'default-token';
+
+    const args = publisher.normalizePublishArgs({
+      text: 'Hello',
+      hashtags: ['one'],
+      title: 'Title'
+    }, { mentions: ['someone'] });
+
+    expect(args.accessToken).toBe('default-token');
+    expect(args.content).toBe('Hello');
+    expect(args.options).toEqual(expect.objectContaining({
+      hashtags: ['one'],
+      mediaTitle: 'Title',
+      mentions: ['someone']
+    }));
+  });
+
+  test('should pass direct arguments through', () => {
+    const publisher = new EchoPublisher();
+    const args = publisher.normalizePublishArgs('token', 'Hello', { hashtags: ['x'] });
+
+    expect(args).toEqual({
+      accessToken: 'token',
+      content: 'Hello',
+      adaptedContent: null,
+      options: { hashtags: ['x'] }
+    });
+  });
+
+  test('should format hashtags and mentions within capability limits', () => {
+    const publisher = new EchoPublisher({ capabilities: { maxHashtags: 2, maxMentions: 1 } });
+
+    const formatted = publisher.formatContent('Post', {
+      hashtags: ['a', '#b', 'c'],
+      mentions: ['x', '@y']
+    });
+
+    expect(formatted).toBe('Post\n\n#a #b\n\n@x');
+  });
+
+  test('should throw when publish() is not implemented', async () => {
+    const publisher = new BasePublisher();
+    await expect(publisher.publish()).rejects.toThrow('BasePublisher must implement publish()');
+  });
+
+  test('should support keyed rate limiters', async () => {
+    const publisher = new EchoPublisher({ displayName: 'Echo' });
+    publisher.rateLimiter = {
+      posts: { requests: new Array(2).fill(Date.now()), maxRequests: 2, timeWindow: 60000 }
+    };
+
+    await expect(publisher.checkRateLimit('posts')).rejects.toThrow('Rate limit exceeded for posts');
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Echo posts rate limit reached'));
+    await expect(publisher.checkRateLimit('other')).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,177 @@
+const axios = require('axios');
+const RedditPublisher = require('../../../src/publishers/RedditPublisher');
+const logger = require('../../../src/utils/logger');
+
+jest.mock('axios');
+jest.mock('../../../src/utils/logger');
+
+describe('RedditPublisher', () => {
+  let publisher;
+  const mockConfig = {
+    clientId: 'client-id',
+    clientSecret: 'client-secret',
+    username: 'poster',
+    password: 'hunter2',
+    subredditRules: {
+      javascript: { titlePrefix: '[Project]', flair: 'Showoff' }
+    }
+  };
+
+  const submitResponse = (id) => ({
+    data: { json: { errors: [], data: { id, name: `t3_${id}`, url: `https://www.reddit.com/r/x/comments/${id}/` } } }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    publisher = new RedditPublisher(mockConfig);
+    jest.spyOn(publisher, 'delay').mockResolvedValue();
+  });
+
+  describe('authenticate()', () => {
+    test('should use the password grant with basic auth', async () => {
+      axios.post.mockResolvedValueOnce({ data: { access_token: 'reddit-token', expires_in: 3600 } });
+
+      const result = await publisher.authenticate();
+
+      const [url, body, config] = axios.post.mock.calls[0];
+      expect(url).toBe('https://www.reddit.com/api/v1/access_token');
+      expect(body).toBe('grant_type=password&username=poster&password=hunter2');
+      expect(config.headers.Authorization).toBe(`Basic ${Buffer.from('client-id:client-secret').toString('base64')}`);
+      expect(config.headers['User-Agent']).toContain('/u/poster');
+      expect(result.success).toBe(true);
+      expect(publisher.getDefaultAccessToken()).toBe('reddit-token');
+    });
+  });
+
+  describe('applyTitleRules()', () => {
+    test('should add prefixes and enforce the 300 character limit', () => {
+      const result = publisher.applyTitleRules('A'.repeat(400), { name: 'x', titlePrefix: '[OC]' });
+
+      expect(result.title.startsWith('[OC] ')).toBe(true);
+      expect(result.title.length).toBeLessThanOrEqual(300);
+    });
+
+    test('should reject titles that break subreddit rules', () => {
+      expect(publisher.applyTitleRules('Buy my course', { name: 'x', bannedTitleWords: ['buy'] }).error)
+        .toContain('does not allow');
+      expect(publisher.applyTitleRules('No tag', { name: 'x', titlePattern: '^\\[.+\\]' }).error)
+        .toContain('required format');
+    });
+  });
+
+  describe('publish()', () => {
+    test('should submit self posts to several subreddits with flair and flags', async () => {
+      axios.get.mockResolvedValueOnce({ data: [{ id: 'flair-1', text: 'Showoff' }] });
+      axios.post
+        .mockResolvedValueOnce(submitResponse('abc'))
+        .mockResolvedValueOnce(submitResponse('def'));
+
+      const result = await publisher.publish('reddit-token', 'I built a thing.', {
+        title: 'Open-source scheduler',
+        subreddits: ['javascript', { name: 'r/node', spoiler: true }],
+        nsfw: false
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.submissions).toHaveLength(2);
+      expect(result.postId).toBe('t3_abc');
+
+      const first = new URLSearchParams(axios.post.mock.calls[0][1]);
+      expect(axios.post.mock.calls[0][0]).toBe('https://oauth.reddit.com/api/submit');
+      expect(first.get('sr')).toBe('javascript');
+      expect(first.get('kind')).toBe('self');
+      expect(first.get('title')).toBe('[Project] Open-source scheduler');
+      expect(first.get('text')).toBe('I built a thing.');
+      expect(first.get('flair_id')).toBe('flair-1');
+      expect(first.get('nsfw')).toBe('false');
+
+      const second = new URLSearchParams(axios.post.mock.calls[1][1]);
+      expect(second.get('sr')).toBe('node');
+      expect(second.get('title')).toBe('Open-source scheduler');
+      expect(second.get('spoiler')).toBe('true');
+      expect(second.has('flair_id')).toBe(false);
+    });
+
+    test('should submit link posts when a URL is given', async () => {
+      axios.post.mockResolvedValueOnce(submitResponse('lnk'));
+
+      await publisher.publish('reddit-token', 'Body', {
+        title: 'Release notes',
+        subreddits: ['programming'],
+        url: 'https://example.com/release'
+      });
+
+      const submission = new URLSearchParams(axios.post.mock.calls[0][1]);
+      expect(submission.get('kind')).toBe('link');
+      expect(submission.get('url')).toBe('https://example.com/release');
+      expect(submission.has('text')).toBe(false);
+    });
+
+    test('should require a URL for link posts', async () => {
+      const result = await publisher.publish('reddit-token', 'Body', {
+        title: 'Release notes',
+        subreddits: ['programming'],
+        kind: 'link'
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Link URL is required');
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test('should fail only the subreddit with an invalid title pattern', async () => {
+      axios.post.mockResolvedValueOnce(submitResponse('ok2'));
+      const rulesPublisher = new RedditPublisher({
+        ...mockConfig,
+        subredditRules: { broken: { titlePattern: '[unclosed' } }
+      });
+
+      const result = await rulesPublisher.publish('reddit-token', 'Body', {
+        title: 'Hello',
+        subreddits: ['broken', 'fine']
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.submissions.map(submission => submission.subreddit)).toEqual(['fine']);
+      expect(result.failures).toEqual([
+        { subreddit: 'broken', error: expect.stringContaining('Invalid titlePattern for r/broken') }
+      ]);
+    });
+
+    test('should keep going when one subreddit rejects the post', async () => {
+      axios.post
+        .mockResolvedValueOnce({ data: { json: { errors: [['SUBREDDIT_NOTALLOWED', 'you aren\'t allowed to post there.', 'sr']] } } })
+        .mockResolvedValueOnce(submitResponse('ok1'));
+
+      const result = await publisher.publish('reddit-token', 'Body', {
+        title: 'Hello',
+        subreddits: ['private', 'public']
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.failures).toEqual([
+        expect.objectContaining({ subreddit: 'private', error: 'SUBREDDIT_NOTALLOWED: you aren\'t allowed to post there.' })
+      ]);
+      expect(logger.error).toHaveBeenCalled();
+    });
+
+    test('should authenticate first when called with adapted content', async () => {
+      axios.post
+        .mockResolvedValueOnce({ data: { access_token: 'fresh-token', expires_in: 3600 } })
+        .mockResolvedValueOnce(submitResponse('new'));
+
+      const result = await publisher.publish(
+        { text: 'Adapted body', title: 'Adapted title', hashtags: [] },
+        { subreddits: ['test'] }
+      );
+
+      expect(result.success).toBe(true);
+      expect(axios.post.mock.calls[1][2].headers.Authorization).toBe('Bearer fresh-token');
+    });
+
+    test('should require a title and a subreddit', async () => {
+      expect((await publisher.publish('reddit-token', 'Body', { subreddits: ['x'] })).error).toBe('Title is required');
+      expect((await publisher.publish('reddit-token', 'Body', { title: 'T' })).error).toBe('No subreddit specified');
+    });
+  });
+});
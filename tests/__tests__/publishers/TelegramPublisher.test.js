@@ -0,0 +1,141 @@
+const axios = require('axios');
+const TelegramPublisher = require('../../../src/publishers/TelegramPublisher');
+
+jest.mock('axios');
+jest.mock('../../../src/utils/logger');
+
+describe('TelegramPublisher', () => {
+  let publisher;
+  let messageId;
+
+  const apiUrl = method => `https://api.telegram.org/botbot-token/${method}`;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    publisher = new TelegramPublisher({ botToken: 'bot-token', chatId: '@automation' });
+    jest.spyOn(publisher, 'delay').mockResolvedValue();
+
+    messageId = 100;
+    axios.post.mockImplementation((url, payload) => {
+      const message = () => ({ message_id: ++messageId, chat: { id: -1001, username: 'automation' } });
+      if (url.endsWith('/sendMediaGroup')) {
+        return Promise.resolve({ data: { ok: true, result: payload.media.map(message) } });
+      }
+      return Promise.resolve({ data: { ok: true, result: message() } });
+    });
+  });
+
+  describe('escapeMarkdownV2()', () => {
+    test('should escape every MarkdownV2 special character', () => {
+      expect(publisher.escapeMarkdownV2('v2.0 (beta) - 50% off! [docs] #tag a_b *x* ~y~ `z` > q+1=2 |p| {o} \\'))
+        .toBe('v2\\.0 \\(beta\\) \\- 50% off\\! \\[docs\\] \\#tag a\\_b \\*x\\* \\~y\\~ \\`z\\` \\> q\\+1\\=2 \\|p\\| \\{o\\} \\\\');
+    });
+  });
+
+  describe('publish()', () => {
+    test('should send an escaped MarkdownV2 message with a bold title', async () => {
+      const result = await publisher.publish({
+        text: 'Version 2.0 is out!',
+        title: 'Release 2.0',
+        hashtags: ['release'],
+        callToAction: 'Read the notes.'
+      });
+
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      const [url, payload] = axios.post.mock.calls[0];
+      expect(url).toBe(apiUrl('sendMessage'));
+      expect(payload).toEqual({
+        chat_id: '@automation',
+        text: '*Release 2\\.0*\n\nVersion 2\\.0 is out\\!\n\nRead the notes\\.\n\n\\#release',
+        parse_mode: 'MarkdownV2',
+        link_preview_options: { is_disabled: false }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.postId).toBe(101);
+      expect(result.postUrl).toBe('https://t.me/automation/101');
+    });
+
+    test('should split messages over 4096 characters', async () => {
+      const sentence = 'This sentence is padding for a very long channel post. ';
+      const longText = sentence.repeat(Math.ceil(9000 / sentence.length));
+
+      const result = await publisher.publish('bot-token', longText, { disableLinkPreview: true });
+
+      const texts = axios.post.mock.calls.map(([, payload]) => payload.text);
+      expect(texts.length).toBe(3);
+      texts.forEach(text => {
+        expect(text.replace(/\\(.)/g, '$1').length).toBeLessThanOrEqual(4096);
+      });
+      expect(axios.post.mock.calls[0][1].link_preview_options).toEqual({ is_disabled: true });
+      expect(result.messageIds).toEqual([101, 102, 103]);
+    });
+
+    test('should send a photo with the text as caption', async () => {
+      await publisher.publish('bot-token', 'Look at this.', { imageUrl: 'https://example.com/a.png' });
+
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(axios.post.mock.calls[0][0]).toBe(apiUrl('sendPhoto'));
+      expect(axios.post.mock.calls[0][1]).toEqual({
+        chat_id: '@automation',
+        photo: 'https://example.com/a.png',
+        caption: 'Look at this\\.',
+        parse_mode: 'MarkdownV2'
+      });
+    });
+
+    test('should send long text after a document when it exceeds the caption limit', async () => {
+      await publisher.publish('bot-token', 'x'.repeat(1500), { documentUrl: 'https://example.com/report.pdf' });
+
+      expect(axios.post.mock.calls.map(([url]) => url)).toEqual([apiUrl('sendDocument'), apiUrl('sendMessage')]);
+      expect(axios.post.mock.calls[0][1]).not.toHaveProperty('caption');
+    });
+
+    test('should group several attachments into an album', async () => {
+      const result = await publisher.publish('bot-token', 'Gallery', {
+        media: ['https://example.com/1.png', 'https://example.com/2.png']
+      });
+
+      const [url, payload] = axios.post.mock.calls[0];
+      expect(url).toBe(apiUrl('sendMediaGroup'));
+      expect(payload.media).toEqual([
+        { type: 'photo', media: 'https://example.com/1.png', caption: 'Gallery', parse_mode: 'MarkdownV2' },
+        { type: 'photo', media: 'https://example.com/2.png' }
+      ]);
+      expect(result.messageIds).toEqual([101, 102]);
+    });
+
+    test('should send documents in their own album when mixed with photos', async () => {
+      const result = await publisher.publish('bot-token', 'Release assets', {
+        media: [
+          'https://example.com/1.png',
+          { url: 'https://example.com/notes.pdf', type: 'document' },
+          'https://example.com/2.png',
+          { url: 'https://example.com/changelog.pdf', type: 'document' }
+        ]
+      });
+
+      expect(axios.post.mock.calls.map(([url]) => url)).toEqual([apiUrl('sendMediaGroup'), apiUrl('sendMediaGroup')]);
+      expect(axios.post.mock.calls[0][1].media).toEqual([
+        { type: 'photo', media: 'https://example.com/1.png', caption: 'Release assets', parse_mode: 'MarkdownV2' },
+        { type: 'photo', media: 'https://example.com/2.png' }
+      ]);
+      expect(axios.post.mock.calls[1][1].media).toEqual([
+        { type: 'document', media: 'https://example.com/notes.pdf' },
+        { type: 'document', media: 'https://example.com/changelog.pdf' }
+      ]);
+      expect(result.messageIds).toEqual([101, 102, 103, 104]);
+    });
+
+    test('should surface Bot API errors', async () => {
+      axios.post.mockRejectedValueOnce({
+        response: { data: { ok: false, error_code: 400, description: 'Bad Request: can\'t parse entities' } }
+      });
+
+      const result = await publisher.publish('bot-token', 'Hello', {});
+
+      expect(result.success).toBe(false);
+      expect(result.details).toBe('Bad Request: can\'t parse entities');
+    });
+  });
+});
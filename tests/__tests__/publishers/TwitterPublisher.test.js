@@ -1,4 +1,8 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const axios = require('axios');
+const { TokenStore } = require('../../../src/auth');
 const TwitterPublisher = require('../../../src/publishers/TwitterPublisher');
 const logger = require('../../../src/utils/logger');
 
@@ -321,6 +325,420 @@ describe('TwitterPublisher', () => {
     });
   });
 
+  describe('OAuth 2.0 tokens', () => {
+    let tmpDir;
+    let tokenStore;
+    let oauthPublisher;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'twitter-tokens-'));
+      tokenStore = new TokenStore({ filePath: path.join(tmpDir, 'tokens.json') });
+      oauthPublisher = new TwitterPublisher({ clientId: 'client-id', clientSecret: 'client-secret', tokenStore });
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should exchange the code with the PKCE verifier', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { access_token: 'access-1', refresh_token: 'refresh-1', expires_in: 7200, scope: 'tweet.write' }
+      });
+
+      const result = await oauthPublisher.authenticate('auth-code', 'verifier');
+
+      const [url, body, config] = axios.post.mock.calls[0];
+      expect(url).toBe('https://api.twitter.com/2/oauth2/token');
+      expect(Object.fromEntries(new URLSearchParams(body))).toEqual({
+        grant_type: 'authorization_code',
+        code: 'auth-code',
+        redirect_uri: oauthPublisher.redirectUri,
+        code_verifier: 'verifier',
+        client_id: 'client-id'
+      });
+      expect(config.headers.Authorization).toBe(`Basic ${Buffer.from('client-id:client-secret').toString('base64')}`);
+      expect(result.refreshToken).toBe('refresh-1');
+    });
+
+    test('should use a stored token that is not about to expire', async () => {
+      oauthPublisher.saveTokens({
+        accessToken: 'access-1',
+        refreshToken: 'refresh-1',
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+      });
+
+      await expect(oauthPublisher.getValidAccessToken()).resolves.toBe('access-1');
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test('should refresh once and persist the rotated refresh token', async () => {
+      oauthPublisher.saveTokens({
+        accessToken: 'access-1',
+        refreshToken: 'refresh-1',
+        expiresAt: new Date(Date.now() + 60 * 1000).toISOString()
+      });
+      axios.post.mockResolvedValueOnce({
+        data: { access_token: 'access-2', refresh_token: 'refresh-2', expires_in: 7200 }
+      });
+
+      const tokens = await Promise.all([
+        oauthPublisher.getValidAccessToken(),
+        oauthPublisher.getValidAccessToken()
+      ]);
+
+      expect(tokens).toEqual(['access-2', 'access-2']);
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(new URLSearchParams(axios.post.mock.calls[0][1]).get('refresh_token')).toBe('refresh-1');
+
+      const stored = new TokenStore({ filePath: tokenStore.filePath }).get('twitter');
+      expect(stored.accessToken).toBe('access-2');
+      expect(stored.refreshToken).toBe('refresh-2');
+    });
+
+    test('should post with the stored user token', async () => {
+      oauthPublisher.saveTokens({
+        accessToken: 'access-1',
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+      });
+      axios.post.mockResolvedValueOnce({ data: { data: { id: '42' } } });
+
+      const result = await oauthPublisher.publish({ text: 'Hello', hashtags: [] });
+
+      expect(result.success).toBe(true);
+      expect(axios.post.mock.calls[0][2].headers.Authorization).toBe('Bearer access-1');
+    });
+  });
+
+  describe('Media uploads', () => {
+    let mediaCount;
+
+    // Routes upload commands by their form body and answers tweets with sequential ids
+    function mockUploadApi({ finalize = {} } = {}) {
+      mediaCount = 0;
+      let tweetCount = 0;
+      axios.post.mockImplementation(async (url, body) => {
+        if (url.endsWith('/tweets')) return { data: { data: { id: `tweet-${++tweetCount}` } } };
+        if (url.endsWith('/media/metadata/create.json')) return { data: {} };
+        if (typeof body === 'string') {
+          const command = new URLSearchParams(body).get('command');
+          if (command === 'INIT') return { data: { media_id_string: `media-${++mediaCount}` } };
+          if (command === 'FINALIZE') return { data: finalize };
+        }
+        return { data: {} };
+      });
+    }
+
+    function mockDownload(size, contentType) {
+      axios.get.mockResolvedValueOnce({ data: Buffer.alloc(size), headers: { 'content-type': contentType } });
+    }
+
+    function commands() {
+      return axios.post.mock.calls
+        .filter(([url]) => url.endsWith('/media/upload.json'))
+        .map(([, body]) => (typeof body === 'string' ? new URLSearchParams(body).get('command') : body.get('command')));
+    }
+
+    beforeEach(() => {
+      jest.spyOn(publisher, 'delay').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      axios.get.mockReset();
+      axios.post.mockReset();
+    });
+
+    test('should upload in chunks and wait for video processing', async () => {
+      mockUploadApi({ finalize: { processing_info: { state: 'pending', check_after_secs: 2 } } });
+      mockDownload(9 * 1024 * 1024, 'video/mp4');
+      axios.get
+        .mockResolvedValueOnce({ data: { processing_info: { state: 'in_progress', check_after_secs: 1 } } })
+        .mockResolvedValueOnce({ data: { processing_info: { state: 'succeeded' } } });
+
+      const result = await publisher.uploadMedia({ url: 'https://example.com/clip.mp4', altText: 'A demo' });
+
+      expect(result).toEqual({ success: true, mediaId: 'media-1', category: 'tweet_video' });
+      expect(commands()).toEqual(['INIT', 'APPEND', 'APPEND', 'APPEND', 'FINALIZE']);
+      const init = new URLSearchParams(axios.post.mock.calls[0][1]);
+      expect(init.get('media_category')).toBe('tweet_video');
+      expect(init.get('total_bytes')).toBe(String(9 * 1024 * 1024));
+      expect(axios.get.mock.calls[1][1].params).toEqual({ command: 'STATUS', media_id: 'media-1' });
+      expect(publisher.delay).toHaveBeenNthCalledWith(1, 2000);
+      expect(axios.post).toHaveBeenLastCalledWith(
+        'https://upload.twitter.com/1.1/media/metadata/create.json',
+        { media_id: 'media-1', alt_text: { text: 'A demo' } },
+        expect.any(Object)
+      );
+    });
+
+    test('should report failed processing', async () => {
+      mockUploadApi({ finalize: { processing_info: { state: 'failed', error: { message: 'Unsupported codec' } } } });
+      mockDownload(1024, 'video/mp4');
+
+      const result = await publisher.uploadMedia('https://example.com/clip.mp4');
+
+      expect(result.success).toBe(false);
+      expect(result.details).toBe('Unsupported codec');
+    });
+
+    test('should reject media over the category limits before uploading', async () => {
+      mockUploadApi();
+      mockDownload(6 * 1024 * 1024, 'image/png');
+
+      const result = await publisher.uploadMedia('https://example.com/big.png');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid media');
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test('should reject videos longer than 140 seconds', async () => {
+      mockUploadApi();
+      const video = Buffer.alloc(64);
+      video.write('mvhd', 0);
+      video.writeUInt32BE(1000, 16);
+      video.writeUInt32BE(150 * 1000, 20);
+      axios.get.mockResolvedValueOnce({ data: video, headers: { 'content-type': 'video/mp4' } });
+
+      const result = await publisher.uploadMedia('https://example.com/long.mp4');
+
+      expect(result.success).toBe(false);
+      expect(result.details).toContain('150.0s');
+    });
+
+    test('should attach up to 4 images to a tweet and media to later tweets', async () => {
+      mockUploadApi();
+      for (let i = 0; i < 5; i++) mockDownload(1024, 'image/jpeg');
+      mockDownload(1024, 'image/gif');
+
+      const media = [1, 2, 3, 4, 5].map(n => ({ url: `https://example.com/${n}.jpg` }));
+      media.push({ url: 'https://example.com/reaction.gif', tweet: 2 });
+      const result = await publisher.publish({ text: 'First tweet. '.repeat(30), hashtags: [] }, { media });
+
+      const tweets = axios.post.mock.calls.filter(([url]) => url.endsWith('/tweets')).map(([, body]) => body);
+      expect(result.success).toBe(true);
+      expect(tweets[0].media).toEqual({ media_ids: ['media-1', 'media-2', 'media-3', 'media-4'] });
+      expect(tweets[1].media).toEqual({ media_ids: ['media-6'] });
+      expect(result.warnings).toEqual([expect.stringContaining('up to 4 images')]);
+    });
+
+    describe('with a connected account', () => {
+      let connected;
+
+      beforeEach(() => {
+        connected = new TwitterPublisher({ ...mockConfig, accessToken: '111-oauth1-token' });
+        jest.spyOn(connected, 'delay').mockResolvedValue();
+        jest.spyOn(connected, 'getValidAccessToken').mockResolvedValue('user-token');
+        mockUploadApi();
+      });
+
+      const initParams = () => new URLSearchParams(axios.post.mock.calls
+        .find(([url, body]) => url.endsWith('/media/upload.json') && typeof body === 'string')[1]);
+
+      test('should make another X account an additional owner of the media', async () => {
+        axios.get.mockResolvedValueOnce({ data: { data: { id: '222', username: 'devrel' } } });
+        mockDownload(1024, 'image/png');
+
+        const result = await connected.publish({ text: 'Hello', hashtags: [] }, {
+          media: [{ url: 'https://example.com/a.png' }]
+        });
+
+        const tweetCall = axios.post.mock.calls.find(([url]) => url.endsWith('/tweets'));
+        expect(result.success).toBe(true);
+        expect(axios.get.mock.calls[0][0]).toBe('https://api.twitter.com/2/users/me');
+        expect(initParams().get('additional_owners')).toBe('222');
+        expect(tweetCall[1].media).toEqual({ media_ids: ['media-1'] });
+        expect(tweetCall[2].headers.Authorization).toBe('Bearer user-token');
+      });
+
+      test('should not add owners when both credentials belong to the same account', async () => {
+        axios.get.mockResolvedValueOnce({ data: { data: { id: '111', username: 'main' } } });
+        mockDownload(1024, 'image/png');
+
+        await connected.publish({ text: 'Hello', hashtags: [] }, { media: [{ url: 'https://example.com/a.png' }] });
+
+        expect(initParams().has('additional_owners')).toBe(false);
+      });
+
+      test('should post without media when the connected account cannot be looked up', async () => {
+        axios.get.mockRejectedValueOnce({ response: { status: 401, data: { title: 'Unauthorized' } } });
+
+        const result = await connected.publish({ text: 'Hello', hashtags: [] }, {
+          media: [{ url: 'https://example.com/a.png' }]
+        });
+
+        const tweet = axios.post.mock.calls.find(([url]) => url.endsWith('/tweets'))[1];
+        expect(result.success).toBe(true);
+        expect(commands()).toEqual([]);
+        expect(tweet.media).toBeUndefined();
+        expect(result.warnings).toEqual([expect.stringContaining('posted without media')]);
+      });
+    });
+
+    test('should post without media that could not be uploaded', async () => {
+      mockUploadApi();
+      mockDownload(6 * 1024 * 1024, 'image/png');
+
+      const result = await publisher.publish({ text: 'Hello', hashtags: [] }, {
+        media: [{ url: 'https://example.com/big.png' }, { url: 'https://example.com/x.png', tweet: 3 }]
+      });
+
+      const tweet = axios.post.mock.calls.find(([url]) => url.endsWith('/tweets'))[1];
+      expect(result.success).toBe(true);
+      expect(tweet.media).toBeUndefined();
+      expect(result.warnings).toHaveLength(2);
+    });
+  });
+
+  describe('Polls, quotes and replies', () => {
+    beforeEach(() => {
+      jest.spyOn(publisher, 'delay').mockResolvedValue();
+      let tweetCount = 0;
+      axios.post.mockImplementation(async () => ({ data: { data: { id: `tweet-${++tweetCount}` } } }));
+    });
+
+    afterEach(() => {
+      axios.post.mockReset();
+    });
+
+    function postedTweets() {
+      return axios.post.mock.calls.map(([, body]) => body);
+    }
+
+    test('should attach a poll to the first tweet', async () => {
+      const result = await publisher.publish({ text: 'Which runtime?', hashtags: [] }, {
+        poll: { options: ['Node', ' Deno ', 'Bun'], durationMinutes: 60 }
+      });
+
+      expect(result.success).toBe(true);
+      expect(postedTweets()[0].poll).toEqual({ options: ['Node', 'Deno', 'Bun'], duration_minutes: 60 });
+    });
+
+    test('should quote a tweet URL and restrict replies on every tweet', async () => {
+      await publisher.publish({ text: 'Worth reading. '.repeat(30), hashtags: [] }, {
+        quoteTweet: 'https://x.com/someone/status/1790000000000000001',
+        replySettings: 'following'
+      });
+
+      const tweets = postedTweets();
+      expect(tweets.length).toBeGreaterThan(1);
+      expect(tweets[0].quote_tweet_id).toBe('1790000000000000001');
+      expect(tweets[1].quote_tweet_id).toBeUndefined();
+      expect(tweets.every(tweet => tweet.reply_settings === 'following')).toBe(true);
+    });
+
+    test('should reply into an existing conversation and keep threading', async () => {
+      await publisher.publish({ text: 'Follow-up. '.repeat(40), hashtags: [] }, {
+        replyTo: 'https://twitter.com/someone/status/555'
+      });
+
+      const tweets = postedTweets();
+      expect(tweets[0].reply).toEqual({ in_reply_to_tweet_id: '555' });
+      expect(tweets[1].reply).toEqual({ in_reply_to_tweet_id: 'tweet-1' });
+    });
+
+    test.each([
+      [{ poll: { options: ['Only one'] } }, '2-4 options'],
+      [{ poll: { options: ['A', 'B'], durationMinutes: 2 } }, 'duration'],
+      [{ poll: { options: ['A', 'x'.repeat(26)] } }, '1-25 characters'],
+      [{ poll: { options: ['A', 'B'] }, quoteTweet: '123' }, 'both a poll and a quote'],
+      [{ poll: { options: ['A', 'B'] }, mediaUrl: 'https://example.com/a.png' }, 'both a poll and media'],
+      [{ replyTo: 'https://example.com/not-a-tweet' }, 'not a tweet id or URL'],
+      [{ replySettings: 'nobody' }, 'replySettings must be one of']
+    ])('should reject invalid options %j', async (options, message) => {
+      const result = await publisher.publish({ text: 'Hello', hashtags: [] }, options);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid tweet options');
+      expect(result.details).toContain(message);
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test('should preview the tweets without posting', () => {
+      const preview = publisher.preview({ text: 'Vote now', hashtags: ['poll'] }, {
+        poll: { options: ['Yes', 'No'] },
+        replySettings: 'mentioned'
+      });
+
+      expect(preview.success).toBe(true);
+      expect(preview.tweets[0]).toMatchObject({
+        poll: { options: ['Yes', 'No'], duration_minutes: 1440 },
+        reply_settings: 'mentionedUsers',
+        media: []
+      });
+      expect(preview.tweets[0].text).toContain('Vote now');
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Deleting and editing', () => {
+    beforeEach(() => {
+      jest.spyOn(publisher, 'delay').mockResolvedValue();
+      jest.spyOn(publisher, 'getValidAccessToken').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+      axios.delete.mockReset();
+      axios.post.mockReset();
+    });
+
+    test('should keep every tweet of a thread as post IDs', () => {
+      expect(publisher.getPostIds({ thread: [{ tweetId: '1' }, { tweetId: '2' }] })).toEqual(['1', '2']);
+    });
+
+    test('should delete a thread from the last tweet to the first', async () => {
+      axios.delete
+        .mockResolvedValueOnce({ data: { data: { deleted: true } } })
+        .mockRejectedValueOnce({ response: { status: 404 } })
+        .mockRejectedValueOnce({ response: { status: 403, data: { detail: 'Forbidden' } } });
+
+      const result = await publisher.deletePost(['1', '2', '3']);
+
+      expect(axios.delete.mock.calls.map(([url]) => url)).toEqual([
+        'https://api.twitter.com/2/tweets/3',
+        'https://api.twitter.com/2/tweets/2',
+        'https://api.twitter.com/2/tweets/1'
+      ]);
+      expect(axios.delete.mock.calls[0][1].headers.Authorization).toMatch(/^OAuth /);
+      expect(result.success).toBe(false);
+      expect(result.deleted).toEqual(['3', '2']);
+      expect(result.failed).toEqual([{ id: '1', error: 'Forbidden' }]);
+    });
+
+    test('should edit each tweet and drop leftover tweets of a shorter thread', async () => {
+      axios.post.mockResolvedValueOnce({ data: { data: { id: '10' } } });
+      axios.delete.mockResolvedValue({ data: { data: { deleted: true } } });
+
+      const result = await publisher.editPost(['1', '2'], 'Short correction');
+
+      expect(axios.post.mock.calls[0][1]).toMatchObject({ edit_options: { previous_post_id: '1' } });
+      expect(axios.delete).toHaveBeenCalledWith('https://api.twitter.com/2/tweets/2', expect.any(Object));
+      expect(result).toMatchObject({ success: true, postIds: ['10'] });
+    });
+
+    test('should add replies when the edited thread grows', async () => {
+      axios.post
+        .mockResolvedValueOnce({ data: { data: { id: '10' } } })
+        .mockResolvedValueOnce({ data: { data: { id: '11' } } });
+
+      const result = await publisher.editPost(['1'], 'A longer correction. '.repeat(20));
+
+      expect(axios.post.mock.calls[1][1]).toMatchObject({ reply: { in_reply_to_tweet_id: '10' } });
+      expect(axios.post.mock.calls[1][1].edit_options).toBeUndefined();
+      expect(result.postIds.slice(0, 2)).toEqual(['10', '11']);
+    });
+
+    test('should report the IDs edited before a failure', async () => {
+      axios.post
+        .mockResolvedValueOnce({ data: { data: { id: '10' } } })
+        .mockRejectedValueOnce({ response: { status: 403, data: { detail: 'Edit window expired' } } });
+
+      const result = await publisher.editPost(['1', '2'], 'Another correction. '.repeat(20));
+
+      expect(result.success).toBe(false);
+      expect(result.postIds).toEqual(['10', '2']);
+    });
+  });
+
   describe('Rate Limiting', () => {
     describe('checkRateLimit()', () => {
       test('should allow requests within rate limit', async () => {
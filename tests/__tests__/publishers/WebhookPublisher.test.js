@@ -0,0 +1,159 @@
+const http = require('http');
+const crypto = require('crypto');
+const WebhookPublisher = require('../../../src/publishers/WebhookPublisher');
+const PublisherRegistry = require('../../../src/publishers/PublisherRegistry');
+const { SocialMediaController } = require('../../../src/controllers/SocialMediaController');
+
+jest.mock('../../../src/utils/logger');
+
+describe('WebhookPublisher', () => {
+  let sink;
+  let baseUrl;
+  let received;
+
+  const adaptedContent = {
+    text: 'Release 2.0 is out',
+    title: 'Release 2.0',
+    hashtags: ['Release', 'Automation'],
+    callToAction: 'Tell us what you think'
+  };
+
+  // Local HTTP sink that records raw bodies so signatures can be checked
+  beforeAll(done => {
+    sink = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const raw = Buffer.concat(chunks).toString();
+        received.push({ url: req.url, method: req.method, headers: req.headers, raw, body: JSON.parse(raw) });
+
+        if (req.url.startsWith('/created')) {
+          res.writeHead(201, { 'Content-Type': 'application/json' });
+          return res.end(JSON.stringify({ data: { id: 'article-7', link: 'https://cms.example.com/a/7' } }));
+        }
+        if (req.url.startsWith('/accepted')) {
+          res.writeHead(202);
+          return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ id: 'evt-1' }));
+      });
+    });
+    sink.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${sink.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    sink.close(done);
+  });
+
+  beforeEach(() => {
+    received = [];
+  });
+
+  test('should send the adapted content as JSON by default', async () => {
+    const publisher = new WebhookPublisher({ platform: 'hook', url: `${baseUrl}/default` });
+
+    const result = await publisher.publish(adaptedContent);
+
+    expect(result).toEqual(expect.objectContaining({ success: true, postId: 'evt-1', platform: 'hook', signed: false }));
+    expect(received[0].body).toEqual(expect.objectContaining({
+      platform: 'hook',
+      text: 'Release 2.0 is out',
+      title: 'Release 2.0',
+      hashtags: ['Release', 'Automation'],
+      callToAction: 'Tell us what you think'
+    }));
+    expect(received[0].headers['x-webhook-signature']).toBeUndefined();
+  });
+
+  test('should render the body template, headers and response paths', async () => {
+    const publisher = new WebhookPublisher({
+      platform: 'cms',
+      url: `${baseUrl}/created`,
+      method: 'put',
+      headers: { 'X-Target': '{{platform}}' },
+      bodyTemplate: {
+        headline: '{{title}}',
+        body: '{{text}}\n\n{{callToAction}}',
+        tags: '{{hashtags}}',
+        meta: { engagement: '{{adapted.estimatedEngagement}}', summary: 'Tags: {{hashtags}}' },
+        status: 'draft'
+      },
+      successStatus: 201,
+      responseIdPath: 'data.id',
+      responseUrlPath: 'data.link'
+    });
+
+    const result = await publisher.publish({ ...adaptedContent, estimatedEngagement: 'high' });
+
+    expect(received[0].method).toBe('PUT');
+    expect(received[0].headers['x-target']).toBe('cms');
+    expect(received[0].body).toEqual({
+      headline: 'Release 2.0',
+      body: 'Release 2.0 is out\n\nTell us what you think',
+      tags: ['Release', 'Automation'],
+      meta: { engagement: 'high', summary: 'Tags: Release Automation' },
+      status: 'draft'
+    });
+    expect(result.postId).toBe('article-7');
+    expect(result.postUrl).toBe('https://cms.example.com/a/7');
+  });
+
+  test('should sign the raw body with HMAC-SHA256', async () => {
+    const publisher = new WebhookPublisher({ platform: 'cms', url: `${baseUrl}/default`, secret: 'shh' });
+
+    const result = await publisher.publish(adaptedContent);
+
+    const { headers, raw } = received[0];
+    const expected = crypto.createHmac('sha256', 'shh')
+      .update(`${headers['x-webhook-timestamp']}.${raw}`)
+      .digest('hex');
+    expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+    expect(result.signed).toBe(true);
+  });
+
+  test('should read the signing secret from the environment', () => {
+    process.env.WEBHOOK_PARTNER_CMS_SECRET = 'from-env';
+
+    const publisher = new WebhookPublisher({ platform: 'partner-cms', url: `${baseUrl}/default` });
+
+    expect(publisher.secret).toBe('from-env');
+    delete process.env.WEBHOOK_PARTNER_CMS_SECRET;
+  });
+
+  test('should fail when the status is not the expected one', async () => {
+    const publisher = new WebhookPublisher({ platform: 'cms', url: `${baseUrl}/accepted`, successStatus: [200, 201] });
+
+    const result = await publisher.publish(adaptedContent);
+
+    expect(result.success).toBe(false);
+    expect(result.details).toEqual(expect.objectContaining({ status: 202, expected: [200, 201] }));
+  });
+
+  test('should publish to named targets as separate platforms', async () => {
+    const registry = new PublisherRegistry()
+      .registerType('webhook', WebhookPublisher)
+      .loadFromConfig({
+        publishers: [
+          { name: 'cms', type: 'webhook', options: { url: `${baseUrl}/created`, bodyTemplate: { body: '{{text}}' } } },
+          { name: 'archive', type: 'webhook', options: { url: `${baseUrl}/archive` } },
+          { name: 'broken', type: 'unknown-type', options: {} }
+        ]
+      });
+
+    expect(registry.list()).toEqual(['cms', 'archive']);
+
+    const controller = new SocialMediaController({ registry });
+    jest.spyOn(controller, 'delay').mockResolvedValue();
+
+    const results = await controller.publishContent('We shipped release 2.0.', ['cms', 'archive'], 'release');
+
+    expect(results.cms.success).toBe(true);
+    expect(results.archive.success).toBe(true);
+    expect(received.map(request => request.url)).toEqual(['/created', '/archive']);
+    expect(received[1].body.platform).toBe('archive');
+  });
+});
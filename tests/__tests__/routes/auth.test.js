@@ -0,0 +1,171 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+
+jest.mock('axios');
+jest.mock('../../../src/utils/logger');
+
+describe('OAuth connect routes', () => {
+  let app;
+  let tmpDir;
+  let getDefaultTokenStore;
+
+  // Start a flow and return the state plus the cookie the browser would send back
+  const startFlow = async (platform, query = '') => {
+    const response = await request(app).get(`/api/auth/${platform}/start?redirect=false${query}`);
+    const state = new URL(response.body.data.authUrl).searchParams.get('state');
+    const cookie = response.headers['set-cookie'][0].split(';')[0];
+    return { state, cookie, response };
+  };
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-routes-'));
+    process.env.TOKEN_STORE_PATH = path.join(tmpDir, 'tokens.json');
+    process.env.TOKEN_ENCRYPTION_KEY = 'a'.repeat(64);
+    process.env.TWITTER_CLIENT_ID = 'client-id';
+    process.env.LINKEDIN_CLIENT_ID = 'li-client-id';
+    process.env.LINKEDIN_CLIENT_SECRET = 'li-client-secret';
+    process.env.PUBLISHER_ACCOUNTS = 'linkedin:company,linkedin:brand';
+
+    ({ getDefaultTokenStore } = require('../../../src/auth'));
+    app = express();
+    app.use('/api/auth', require('../../../src/routes/auth'));
+  });
+
+  afterAll(() => {
+    ['TOKEN_STORE_PATH', 'TOKEN_ENCRYPTION_KEY', 'TWITTER_CLIENT_ID', 'LINKEDIN_CLIENT_ID', 'LINKEDIN_CLIENT_SECRET', 'PUBLISHER_ACCOUNTS']
+      .forEach(name => delete process.env[name]);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should redirect to Twitter with a PKCE challenge and a state cookie', async () => {
+    const response = await request(app).get('/api/auth/twitter/start');
+
+    expect(response.status).toBe(302);
+    const location = new URL(response.headers.location);
+    expect(location.origin + location.pathname).toBe('https://twitter.com/i/oauth2/authorize');
+    expect(location.searchParams.get('client_id')).toBe('client-id');
+    expect(location.searchParams.get('code_challenge_method')).toBe('S256');
+
+    const [cookie] = response.headers['set-cookie'];
+    expect(cookie).toContain(`oauth_state_twitter=${location.searchParams.get('state')}`);
+    expect(cookie).toContain('HttpOnly');
+    expect(cookie).toContain('SameSite=Lax');
+  });
+
+  test('should exchange the Twitter code and store the tokens encrypted', async () => {
+    const { state, cookie } = await startFlow('twitter');
+
+    axios.post.mockResolvedValueOnce({
+      data: { access_token: 'access-1', refresh_token: 'refresh-1', expires_in: 7200, scope: 'tweet.write' }
+    });
+    axios.get.mockResolvedValueOnce({ data: { data: { id: '1', username: 'automation' } } });
+
+    const response = await request(app)
+      .get(`/api/auth/twitter/callback?code=auth-code&state=${state}`)
+      .set('Cookie', cookie);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual(expect.objectContaining({ account: 'automation', refreshable: true }));
+    expect(new URLSearchParams(axios.post.mock.calls[0][1]).get('code_verifier')).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(getDefaultTokenStore().get('twitter')).toEqual(expect.objectContaining({
+      accessToken: 'access-1',
+      refreshToken: 'refresh-1'
+    }));
+    expect(fs.readFileSync(process.env.TOKEN_STORE_PATH, 'utf8')).not.toContain('access-1');
+
+    // States are single-use
+    const replay = await request(app)
+      .get(`/api/auth/twitter/callback?code=auth-code&state=${state}`)
+      .set('Cookie', cookie);
+    expect(replay.status).toBe(400);
+  });
+
+  test('should connect a LinkedIn account', async () => {
+    const { state, cookie, response: start } = await startFlow('linkedin');
+    const authUrl = new URL(start.body.data.authUrl);
+    expect(authUrl.origin + authUrl.pathname).toBe('https://www.linkedin.com/oauth/v2/authorization');
+    expect(authUrl.searchParams.get('redirect_uri')).toBe('http://localhost:3000/api/auth/linkedin/callback');
+
+    axios.post.mockResolvedValueOnce({
+      data: { access_token: 'li-access', expires_in: 5184000, scope: 'openid,profile,w_member_social' }
+    });
+    axios.get.mockResolvedValueOnce({ data: { sub: 'abc', name: 'Jordan Lee' } });
+
+    const response = await request(app)
+      .get(`/api/auth/linkedin/callback?code=li-code&state=${state}`)
+      .set('Cookie', cookie);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual(expect.objectContaining({ account: 'Jordan Lee', refreshable: false }));
+    expect(axios.post.mock.calls[0][1]).toEqual(expect.objectContaining({ code: 'li-code', grant_type: 'authorization_code' }));
+    expect(getDefaultTokenStore().get('linkedin').accessToken).toBe('li-access');
+  });
+
+  test('should store tokens for a named account separately', async () => {
+    const { state, cookie } = await startFlow('linkedin', '&account=company');
+
+    axios.post.mockResolvedValueOnce({ data: { access_token: 'company-access', expires_in: 5184000 } });
+    axios.get.mockResolvedValueOnce({ data: { sub: 'def', name: 'Company Admin' } });
+
+    const response = await request(app)
+      .get(`/api/auth/linkedin/callback?code=li-code&state=${state}`)
+      .set('Cookie', cookie);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.key).toBe('linkedin:company');
+    expect(getDefaultTokenStore().get('linkedin:company').accessToken).toBe('company-access');
+    expect(getDefaultTokenStore().get('linkedin').accessToken).not.toBe('company-access');
+
+    const unknown = await request(app).get('/api/auth/linkedin/start?account=marketing');
+    expect(unknown.status).toBe(404);
+  });
+
+  test('should let connected accounts publish without an env token', async () => {
+    const api = express();
+    api.use(express.json());
+    api.use('/api', require('../../../src/routes/api'));
+
+    // linkedin and linkedin:company were connected above; linkedin:brand was not
+    const response = await request(api)
+      .post('/api/content/publish')
+      .send({ content: 'Hello', platforms: ['linkedin', 'linkedin:company', 'linkedin:brand'] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Missing required environment variables: LINKEDIN_ACCESS_TOKEN_BRAND');
+  });
+
+  test('should reject a state that does not match the browser cookie', async () => {
+    const { state } = await startFlow('linkedin');
+    const other = await startFlow('linkedin');
+
+    const response = await request(app)
+      .get(`/api/auth/linkedin/callback?code=x&state=${state}`)
+      .set('Cookie', other.cookie);
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Invalid or expired OAuth state');
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('should reject unknown states, denied authorizations and unsupported platforms', async () => {
+    const unknown = await request(app)
+      .get('/api/auth/twitter/callback?code=x&state=forged')
+      .set('Cookie', 'oauth_state_twitter=forged');
+    expect(unknown.status).toBe(400);
+
+    const denied = await request(app).get('/api/auth/linkedin/callback?error=user_cancelled_login');
+    expect(denied.status).toBe(400);
+
+    const unsupported = await request(app).get('/api/auth/myspace/start');
+    expect(unsupported.status).toBe(404);
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+});
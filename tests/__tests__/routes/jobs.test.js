@@ -0,0 +1,149 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+const TwitterPublisher = require('../../../src/publishers/TwitterPublisher');
+const { PublishJobTracker, setDefaultJobTracker } = require('../../../src/jobs');
+
+jest.mock('axios');
+jest.mock('../../../src/utils/logger');
+
+describe('Async publish jobs', () => {
+  const credentials = {
+    TWITTER_API_KEY: 'api-key',
+    TWITTER_API_SECRET: 'api-secret',
+    TWITTER_ACCESS_TOKEN: 'access-token',
+    TWITTER_ACCESS_SECRET: 'access-secret'
+  };
+  let app;
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-routes-'));
+    process.env.TOKEN_STORE_PATH = path.join(tmpDir, 'tokens.json');
+    process.env.POST_STORE_PATH = path.join(tmpDir, 'posts.json');
+    Object.assign(process.env, credentials);
+    jest.spyOn(TwitterPublisher.prototype, 'delay').mockResolvedValue();
+
+    app = express();
+    app.use(express.json());
+    app.use('/api', require('../../../src/routes/api'));
+  });
+
+  afterAll(() => {
+    ['TOKEN_STORE_PATH', 'POST_STORE_PATH', ...Object.keys(credentials)].forEach(name => delete process.env[name]);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setDefaultJobTracker(new PublishJobTracker());
+    let tweetId = 100;
+    axios.post.mockImplementation(() => Promise.resolve({ data: { data: { id: String(++tweetId) } } }));
+  });
+
+  const waitForJob = async id => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const response = await request(app).get(`/api/jobs/${id}`);
+      if (['completed', 'failed'].includes(response.body.data.job.status)) return response;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Job did not finish');
+  };
+
+  const parseEvents = text => text.trim().split('\n\n').map(block => {
+    const fields = Object.fromEntries(block.split('\n').map(line => {
+      const index = line.indexOf(': ');
+      return [line.slice(0, index), line.slice(index + 2)];
+    }));
+    return { id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) };
+  });
+
+  test('should return a job at once and report each tweet of the thread', async () => {
+    const started = await request(app).post('/api/content/publish').send({
+      content: 'A thread. '.repeat(40).trim(),
+      platforms: ['twitter'],
+      async: true
+    });
+
+    expect(started.status).toBe(202);
+    const { jobId, eventsUrl } = started.body.data;
+    expect(eventsUrl).toBe(`/api/jobs/${jobId}/events`);
+
+    const finished = await waitForJob(jobId);
+    const { job } = finished.body.data;
+    const tweets = axios.post.mock.calls.length;
+    expect(tweets).toBeGreaterThan(1);
+    expect(job).toMatchObject({
+      status: 'completed',
+      progress: { twitter: { status: 'published', tweetsPosted: tweets, tweetsTotal: tweets } },
+      result: { summary: { successful: 1, failed: 0 } }
+    });
+    expect(job.result.id).toEqual(expect.any(String));
+
+    const stream = await request(app).get(eventsUrl);
+    expect(stream.headers['content-type']).toMatch('text/event-stream');
+    const events = parseEvents(stream.text);
+    expect(events.map(({ event }) => event)).toEqual([
+      'job', 'platform', 'platform', ...Array(tweets).fill('tweet'), 'platform', 'job'
+    ]);
+    expect(events.slice(1, 3).map(({ data }) => data.status)).toEqual(['queued', 'publishing']);
+    expect(events[3].data).toMatchObject({ platform: 'twitter', position: 1, total: tweets, tweetId: '101' });
+    expect(events[events.length - 1].data).toMatchObject({ status: 'completed' });
+
+    const resumed = await request(app).get(eventsUrl).set('Last-Event-ID', String(events.length - 1));
+    expect(parseEvents(resumed.text).map(({ id }) => id)).toEqual([events.length]);
+  });
+
+  test('should stream events uncompressed through the application middleware', async () => {
+    const Application = require('../../../src/index');
+    const server = new Application().app.listen(0);
+    const tracker = new PublishJobTracker();
+    setDefaultJobTracker(tracker);
+
+    let finish;
+    const job = tracker.start(report => new Promise(resolve => {
+      report({ type: 'platform', platform: 'twitter', status: 'publishing' });
+      finish = resolve;
+    }));
+
+    try {
+      const { headers, firstChunk, rest } = await new Promise((resolve, reject) => {
+        http.get({
+          port: server.address().port,
+          path: `/api/jobs/${job.id}/events`,
+          headers: { 'Accept-Encoding': 'gzip' }
+        }, res => {
+          let firstChunk = null;
+          let rest = '';
+          res.setEncoding('utf8');
+          res.on('data', chunk => {
+            if (firstChunk === null) {
+              // Arrives while the job is still running
+              firstChunk = chunk;
+              finish({});
+            } else {
+              rest += chunk;
+            }
+          });
+          res.on('end', () => resolve({ headers: res.headers, firstChunk, rest }));
+        }).on('error', reject);
+      });
+
+      expect(headers['content-encoding']).toBeUndefined();
+      expect(headers['cache-control']).toContain('no-transform');
+      expect(firstChunk).toContain('event: job');
+      expect(rest).toContain('"status":"completed"');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('should return 404 for unknown jobs', async () => {
+    expect((await request(app).get('/api/jobs/missing')).status).toBe(404);
+    expect((await request(app).get('/api/jobs/missing/events')).status).toBe(404);
+  });
+});
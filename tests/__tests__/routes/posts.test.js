@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+
+jest.mock('axios');
+jest.mock('../../../src/utils/logger');
+
+describe('Post routes', () => {
+  const credentials = {
+    TWITTER_API_KEY: 'api-key',
+    TWITTER_API_SECRET: 'api-secret',
+    TWITTER_ACCESS_TOKEN: 'access-token',
+    TWITTER_ACCESS_SECRET: 'access-secret',
+    LINKEDIN_ACCESS_TOKEN: 'linkedin-token'
+  };
+  let app;
+  let tmpDir;
+  let postStore;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'post-routes-'));
+    process.env.TOKEN_STORE_PATH = path.join(tmpDir, 'tokens.json');
+    process.env.POST_STORE_PATH = path.join(tmpDir, 'posts.json');
+    Object.assign(process.env, credentials);
+
+    postStore = require('../../../src/posts').getDefaultPostStore();
+    app = express();
+    app.use(express.json());
+    app.use('/api', require('../../../src/routes/api'));
+  });
+
+  afterAll(() => {
+    ['TOKEN_STORE_PATH', 'POST_STORE_PATH', ...Object.keys(credentials)].forEach(name => delete process.env[name]);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const createPost = () => postStore.create({
+    content: 'Original',
+    platforms: {
+      twitter: { postIds: ['1', '2'], postUrl: 'https://twitter.com/i/web/status/1', status: 'published' },
+      linkedin: { postIds: ['urn:li:share:7'], postUrl: null, status: 'published' }
+    }
+  });
+
+  test('should delete every tweet of the thread and the LinkedIn post', async () => {
+    const post = await createPost();
+    axios.delete.mockResolvedValue({ status: 200, data: {} });
+
+    const response = await request(app).delete(`/api/posts/${post.id}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(axios.delete.mock.calls.map(([url]) => url)).toEqual([
+      'https://api.twitter.com/2/tweets/2',
+      'https://api.twitter.com/2/tweets/1',
+      'https://api.linkedin.com/rest/posts/urn%3Ali%3Ashare%3A7'
+    ]);
+    expect((await postStore.get(post.id)).status).toBe('deleted');
+  });
+
+  test('should keep the pieces that could not be deleted', async () => {
+    const post = await createPost();
+    axios.delete
+      .mockResolvedValueOnce({ status: 200, data: {} })
+      .mockRejectedValueOnce({ response: { status: 500, data: { detail: 'Try again' } } })
+      .mockResolvedValueOnce({ status: 204 });
+
+    const response = await request(app).delete(`/api/posts/${post.id}`);
+
+    expect(response.body.success).toBe(false);
+    expect(response.body.message).toBe('Deleted on 1/2 platforms');
+    const stored = await postStore.get(post.id);
+    expect(stored.status).toBe('published');
+    expect(stored.platforms.twitter.postIds).toEqual(['1']);
+    expect(stored.platforms.linkedin.status).toBe('deleted');
+  });
+
+  test('should edit the post and store the new tweet IDs', async () => {
+    const post = await createPost();
+    axios.post.mockImplementation(async url => (
+      url.endsWith('/tweets') ? { data: { data: { id: '10' } } } : { status: 204 }
+    ));
+    axios.delete.mockResolvedValue({ status: 200, data: {} });
+
+    const response = await request(app).patch(`/api/posts/${post.id}`).send({ content: 'Fixed typo' });
+
+    expect(response.body.success).toBe(true);
+    const stored = await postStore.get(post.id);
+    expect(stored.content).toBe('Fixed typo');
+    expect(stored.platforms.twitter.postIds).toEqual(['10']);
+    expect(stored.platforms.linkedin.editedAt).toBeTruthy();
+  });
+
+  test('should run edits through the privacy filter and platform adaptation', async () => {
+    const post = await createPost();
+    axios.post.mockImplementation(async url => (
+      url.endsWith('/tweets') ? { data: { data: { id: '11' } } } : { status: 204 }
+    ));
+    axios.delete.mockResolvedValue({ status: 200, data: {} });
+    process.env.ENABLE_PRIVACY_FILTER = 'true';
+
+    try {
+      await request(app).patch(`/api/posts/${post.id}`).send({ content: 'Write to jane@example.com' });
+    } finally {
+      delete process.env.ENABLE_PRIVACY_FILTER;
+    }
+
+    const tweet = axios.post.mock.calls.find(([url]) => url.endsWith('/tweets'))[1];
+    const linkedinEdit = axios.post.mock.calls.find(([url]) => url.includes('/rest/posts/'))[1];
+    expect(tweet.text).toContain('[EMAIL_REDACTED]');
+    expect(tweet.text).not.toContain('jane@example.com');
+    expect(linkedinEdit.patch.$set.commentary).toContain('🚀 Write to \\[EMAIL\\_REDACTED\\]');
+
+    const stored = await postStore.get(post.id);
+    expect(stored.platforms.twitter.adaptedText).toBe('Write to [EMAIL_REDACTED] 🧵');
+    expect(stored.platforms.linkedin.adaptedText).toContain('🚀 Write to [EMAIL_REDACTED]');
+    expect(stored.platforms.linkedin.privacy.riskLevel).toBe('high');
+  });
+
+  test('should reject edits without content and unknown posts', async () => {
+    const post = await createPost();
+
+    expect((await request(app).patch(`/api/posts/${post.id}`).send({})).status).toBe(400);
+    expect((await request(app).delete('/api/posts/missing')).status).toBe(404);
+    expect((await request(app).patch('/api/posts/missing').send({ content: 'x' })).status).toBe(404);
+  });
+
+  describe('GET /api/posts', () => {
+    beforeAll(async () => {
+      await postStore.create({
+        content: 'Release notes',
+        category: 'release',
+        platforms: {
+          mastodon: { status: 'failed', postIds: [], error: 'Post publication failed' }
+        }
+      });
+    });
+
+    test('should filter by platform, category and status', async () => {
+      const byPlatform = await request(app).get('/api/posts?platform=mastodon');
+      const byCategory = await request(app).get('/api/posts?category=release&status=failed');
+      const none = await request(app).get('/api/posts?category=release&status=published');
+
+      expect(byPlatform.body.data.posts.map(post => post.content)).toEqual(['Release notes']);
+      expect(byPlatform.body.data.posts[0].platforms.mastodon.error).toBe('Post publication failed');
+      expect(byCategory.body.data.total).toBe(1);
+      expect(none.body.data.posts).toEqual([]);
+    });
+
+    test('should filter by date range and paginate newest first', async () => {
+      const future = await request(app).get(`/api/posts?from=${new Date(Date.now() + 60000).toISOString()}`);
+      const page = await request(app).get('/api/posts?limit=1&offset=0');
+
+      expect(future.body.data.posts).toEqual([]);
+      expect(page.body.data.posts).toHaveLength(1);
+      expect(page.body.data.posts[0].content).toBe('Release notes');
+      expect(page.body.data.total).toBeGreaterThan(1);
+    });
+
+    test.each([
+      ['status=unknown', 'status must be one of'],
+      ['from=yesterday', 'from must be a date'],
+      ['limit=1000', 'limit must be between']
+    ])('should reject %s', async (query, message) => {
+      const response = await request(app).get(`/api/posts?${query}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain(message);
+    });
+  });
+});
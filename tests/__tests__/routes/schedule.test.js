@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { Scheduler, FileJobStore, setDefaultScheduler } = require('../../../src/scheduler');
+
+jest.mock('../../../src/utils/logger');
+
+describe('Schedule routes', () => {
+  let app;
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-routes-'));
+    process.env.TOKEN_STORE_PATH = path.join(tmpDir, 'tokens.json');
+
+    app = express();
+    app.use(express.json());
+    app.use('/api', require('../../../src/routes/api'));
+  });
+
+  beforeEach(() => {
+    setDefaultScheduler(new Scheduler({
+      controller: { publishContent: jest.fn(), recordPost: jest.fn() },
+      store: new FileJobStore({ filePath: path.join(tmpDir, `schedule-${Date.now()}.json`) })
+    }));
+  });
+
+  afterAll(() => {
+    setDefaultScheduler(null);
+    delete process.env.TOKEN_STORE_PATH;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const schedule = body => request(app).post('/api/content/schedule').send({
+    content: 'Launch day',
+    platforms: ['twitter'],
+    publishAt: '2099-06-01T09:00',
+    timezone: 'America/New_York',
+    ...body
+  });
+
+  test('should schedule, list and cancel a job', async () => {
+    const created = await schedule();
+    expect(created.status).toBe(201);
+    expect(created.body.data.job).toMatchObject({ status: 'scheduled', publishAt: '2099-06-01T13:00:00.000Z' });
+    const { id } = created.body.data.job;
+
+    const listed = await request(app).get('/api/content/schedule?status=scheduled');
+    expect(listed.body.data.jobs.map(job => job.id)).toEqual([id]);
+
+    expect((await request(app).delete(`/api/content/schedule/${id}`)).body.data.job.status).toBe('cancelled');
+    expect((await request(app).delete(`/api/content/schedule/${id}`)).status).toBe(409);
+    expect((await request(app).patch(`/api/content/schedule/${id}`).send({ publishAt: '2099-07-01T09:00Z' })).status).toBe(409);
+  });
+
+  test('should reject invalid times and unknown jobs', async () => {
+    expect((await schedule({ publishAt: '2001-01-01T00:00Z' })).status).toBe(400);
+    expect((await schedule({ timezone: 'Nowhere/Land' })).status).toBe(400);
+    expect((await request(app).get('/api/content/schedule?status=done')).status).toBe(400);
+    expect((await request(app).get('/api/content/schedule/missing')).status).toBe(404);
+  });
+});
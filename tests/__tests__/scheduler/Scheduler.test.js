@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cron = require('node-cron');
+const {
+  Scheduler,
+  FileJobStore,
+  PostgresJobStore,
+  resolvePublishTime,
+  getDefaultScheduler,
+  setDefaultScheduler
+} = require('../../../src/scheduler');
+const { getDefaultController } = require('../../../src/controllers/SocialMediaController');
+
+jest.mock('node-cron');
+jest.mock('../../../src/utils/logger');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Scheduler', () => {
+  let tmpDir;
+  let filePath;
+  let controller;
+  let scheduler;
+
+  const inOneHour = () => new Date(Date.now() + HOUR).toISOString();
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+    filePath = path.join(tmpDir, 'schedule.json');
+    controller = {
+      publishContent: jest.fn().mockResolvedValue({
+        twitter: { success: true, data: { threadUrl: 'https://twitter.com/i/web/status/1' } },
+        linkedin: { success: false, error: 'Post publication failed' }
+      }),
+      recordPost: jest.fn().mockResolvedValue({ id: 'post-1' })
+    };
+    scheduler = new Scheduler({ controller, store: new FileJobStore({ filePath }) });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('resolvePublishTime()', () => {
+    test('should read wall-clock time in the given time zone', () => {
+      expect(resolvePublishTime('2024-06-01T09:00', 'Europe/Berlin').toISOString()).toBe('2024-06-01T07:00:00.000Z');
+      expect(resolvePublishTime('2024-01-15 09:00', 'America/New_York').toISOString()).toBe('2024-01-15T14:00:00.000Z');
+    });
+
+    test('should keep absolute timestamps as they are', () => {
+      expect(resolvePublishTime('2024-06-01T09:00:00+02:00', 'Asia/Tokyo').toISOString()).toBe('2024-06-01T07:00:00.000Z');
+    });
+
+    test('should reject unknown zones and malformed times', () => {
+      expect(() => resolvePublishTime('2024-06-01T09:00', 'Mars/Olympus')).toThrow('Unknown time zone');
+      expect(() => resolvePublishTime('tomorrow at nine')).toThrow('publishAt must be an ISO date-time');
+    });
+  });
+
+  test('should store jobs durably and validate them', async () => {
+    const job = await scheduler.schedule({
+      content: 'Launch day',
+      platforms: ['twitter'],
+      publishAt: '2099-06-01T09:00',
+      timezone: 'Europe/Berlin'
+    });
+
+    const reopened = new FileJobStore({ filePath });
+    expect(await reopened.get(job.id)).toMatchObject({
+      status: 'scheduled',
+      publishAt: '2099-06-01T07:00:00.000Z',
+      timeZone: 'Europe/Berlin'
+    });
+
+    await expect(scheduler.schedule({ content: 'Late', platforms: ['twitter'], publishAt: '2000-01-01T00:00Z' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'publishAt must be in the future' });
+    await expect(scheduler.schedule({ content: 'No platforms', platforms: [], publishAt: inOneHour() }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('should refuse to overwrite a schedule file it could not read', async () => {
+    fs.writeFileSync(filePath, '{"version": 1, "jobs": {');
+    const store = new FileJobStore({ filePath });
+
+    await expect(store.create({ content: 'Hello', platforms: ['twitter'], status: 'scheduled', publishAt: inOneHour() }))
+      .rejects.toThrow('refusing to overwrite');
+    expect(await store.list()).toEqual([]);
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('{"version": 1, "jobs": {');
+  });
+
+  test('should publish due jobs once and record the outcome', async () => {
+    const job = await scheduler.schedule({ content: 'Hello', platforms: ['twitter', 'linkedin'], publishAt: inOneHour() });
+
+    expect(await scheduler.runDueJobs()).toBe(0);
+    expect(await scheduler.runDueJobs(new Date(Date.now() + 2 * HOUR))).toBe(1);
+    expect(await scheduler.runDueJobs(new Date(Date.now() + 3 * HOUR))).toBe(0);
+
+    expect(controller.publishContent).toHaveBeenCalledTimes(1);
+    expect(controller.publishContent).toHaveBeenCalledWith('Hello', ['twitter', 'linkedin'], null, {});
+    expect(await scheduler.get(job.id)).toMatchObject({
+      status: 'partial',
+      postId: 'post-1',
+      results: {
+        twitter: { success: true, postUrl: 'https://twitter.com/i/web/status/1' },
+        linkedin: { success: false, error: 'Post publication failed' }
+      }
+    });
+  });
+
+  test('should mark a job failed when publishing throws', async () => {
+    controller.publishContent.mockRejectedValueOnce(new Error('Content processing failed: boom'));
+    const job = await scheduler.schedule({ content: 'Hello', platforms: ['twitter'], publishAt: inOneHour() });
+
+    await scheduler.runDueJobs(new Date(Date.now() + 2 * HOUR));
+
+    expect(await scheduler.get(job.id)).toMatchObject({ status: 'failed', error: 'Content processing failed: boom' });
+  });
+
+  test('should fail jobs interrupted by a restart instead of posting twice', async () => {
+    const store = new FileJobStore({ filePath });
+    const job = await store.create({ content: 'Hello', platforms: ['twitter'], publishAt: new Date().toISOString(), status: 'running' });
+    await store.update(job.id, { startedAt: new Date(Date.now() - HOUR).toISOString() });
+
+    await new Scheduler({ controller, store: new FileJobStore({ filePath }) }).runDueJobs();
+
+    expect((await new FileJobStore({ filePath }).get(job.id)).status).toBe('failed');
+    expect(controller.publishContent).not.toHaveBeenCalled();
+  });
+
+  test('should reschedule and cancel only pending jobs', async () => {
+    const job = await scheduler.schedule({ content: 'Hello', platforms: ['twitter'], publishAt: inOneHour() });
+
+    const moved = await scheduler.reschedule(job.id, { publishAt: '2099-01-01T08:00', timezone: 'Asia/Tokyo' });
+    expect(moved).toMatchObject({ publishAt: '2098-12-31T23:00:00.000Z', timeZone: 'Asia/Tokyo' });
+
+    expect((await scheduler.cancel(job.id)).status).toBe('cancelled');
+    await expect(scheduler.cancel(job.id)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(scheduler.reschedule(job.id, { publishAt: inOneHour() })).rejects.toMatchObject({ statusCode: 409 });
+    expect(await scheduler.cancel('missing')).toBeNull();
+  });
+
+  test('should run on a cron tick and catch up when started', async () => {
+    scheduler.start();
+
+    expect(cron.schedule).toHaveBeenCalledWith('* * * * *', expect.any(Function));
+    await scheduler.running;
+  });
+
+  test('should publish through the API controller so both share its limits', () => {
+    setDefaultScheduler(null);
+
+    expect(getDefaultScheduler().controller).toBe(getDefaultController());
+    setDefaultScheduler(null);
+  });
+
+  test('should claim due jobs in Postgres with SKIP LOCKED', async () => {
+    const query = jest.fn().mockResolvedValue({ rows: [] });
+    const store = new PostgresJobStore({ pool: { query } });
+    store.ready = Promise.resolve();
+    const now = new Date();
+
+    await store.claimDue(now, 5);
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain("status = 'scheduled' AND publish_at <= $1");
+    expect(sql).toContain('FOR UPDATE SKIP LOCKED');
+    expect(params).toEqual([now, 5]);
+  });
+});
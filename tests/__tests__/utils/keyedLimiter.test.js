@@ -0,0 +1,53 @@
+const { KeyedLimiter } = require('../../../src/utils/keyedLimiter');
+
+describe('KeyedLimiter', () => {
+  const deferred = () => {
+    let resolve;
+    const promise = new Promise(done => { resolve = done; });
+    return { promise, resolve };
+  };
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+
+  test('should queue tasks of a key beyond its concurrency in order', async () => {
+    const limiter = new KeyedLimiter();
+    const gates = [deferred(), deferred(), deferred()];
+    const started = [];
+
+    const runs = gates.map((gate, index) => limiter.run('twitter', () => {
+      started.push(index);
+      return gate.promise.then(() => index);
+    }, { concurrency: 2 }));
+
+    await tick();
+    expect(started).toEqual([0, 1]);
+
+    gates[1].resolve();
+    await tick();
+    expect(started).toEqual([0, 1, 2]);
+
+    gates[0].resolve();
+    gates[2].resolve();
+    expect(await Promise.all(runs)).toEqual([0, 1, 2]);
+  });
+
+  test('should space starts of a key but not across keys', async () => {
+    const wait = jest.fn().mockResolvedValue();
+    const limiter = new KeyedLimiter({ wait });
+
+    await Promise.all([
+      limiter.run('twitter', async () => {}, { interval: 2000 }),
+      limiter.run('twitter', async () => {}, { interval: 2000 }),
+      limiter.run('linkedin', async () => {}, { interval: 2000 })
+    ]);
+
+    expect(wait).toHaveBeenCalledTimes(1);
+    expect(wait.mock.calls[0][0]).toBeGreaterThan(1900);
+  });
+
+  test('should free the slot when a task throws', async () => {
+    const limiter = new KeyedLimiter();
+
+    await expect(limiter.run('mastodon', async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    await expect(limiter.run('mastodon', async () => 'next')).resolves.toBe('next');
+  });
+});
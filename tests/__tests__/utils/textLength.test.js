@@ -0,0 +1,57 @@
+const { weightedLength, measureLength, truncateToLength } = require('../../../src/utils/textLength');
+const { splitIntoThreads } = require('../../../src/utils/threadSplitter');
+
+describe('weightedLength', () => {
+  test.each([
+    ['Hello, world!', 13],
+    ['Read https://example.com/a/very/long/path?with=query', 28],
+    ['See example.com.', 28],
+    ['Mail me@example.com', 19],
+    ['日本語のテキスト', 16],
+    ['👍🏽 done', 7],
+    ['👨‍👩‍👧 🇯🇵', 5],
+    ['café', 4]
+  ])('should count %j as %i', (text, expected) => {
+    expect(weightedLength(text)).toBe(expected);
+  });
+
+  test('should be the weighted unit of measureLength and truncateToLength', () => {
+    const truncated = truncateToLength('漢字'.repeat(200), 280, 'weighted');
+
+    expect(measureLength('漢字', 'weighted')).toBe(4);
+    expect(truncated.endsWith('...')).toBe(true);
+    expect(weightedLength(truncated)).toBe(279);
+  });
+});
+
+describe('splitIntoThreads', () => {
+  const split = content => splitIntoThreads(content, { maxLength: 280, measure: weightedLength });
+
+  test('should keep every numbered tweet within the weighted limit', () => {
+    const posts = split('これは長いスレッドです。'.repeat(80));
+
+    expect(posts.length).toBeGreaterThan(1);
+    posts.forEach(post => expect(weightedLength(post)).toBeLessThanOrEqual(280));
+  });
+
+  test('should fill tweets with long URLs instead of splitting by string length', () => {
+    const url = `https://example.com/${'segment/'.repeat(20)}`;
+    const posts = split(`Links worth reading: ${url} ${url} ${url} and some closing words.`);
+
+    expect(posts).toHaveLength(1);
+  });
+
+  test('should reserve room for two-digit numbering', () => {
+    const posts = split('word '.repeat(800));
+
+    expect(posts.length).toBeGreaterThanOrEqual(10);
+    expect(posts[9].endsWith(` 10/${posts.length}`)).toBe(true);
+    posts.forEach(post => expect(weightedLength(post)).toBeLessThanOrEqual(280));
+  });
+
+  test('should not split at dots inside URLs', () => {
+    const posts = splitIntoThreads(`${'a'.repeat(250)} docs.example.com/guide ${'b'.repeat(100)}`, { maxLength: 280 });
+
+    expect(posts[0]).not.toMatch(/docs\.$/);
+  });
+});
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  CredentialVault,
+  FileVaultBackend,
+  PostgresVaultBackend,
+  setDefaultVault,
+  resolveCredential
+} = require('../../../src/vault');
+const { run } = require('../../../src/vault/cli');
+const MastodonPublisher = require('../../../src/publishers/MastodonPublisher');
+
+jest.mock('../../../src/utils/logger');
+
+const MASTER_KEY = 'a'.repeat(64);
+
+describe('CredentialVault', () => {
+  let dir;
+  let filePath;
+  let vault;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vault-'));
+    filePath = path.join(dir, 'vault.json');
+    vault = new CredentialVault({ backend: new FileVaultBackend({ filePath }), masterKey: MASTER_KEY });
+  });
+
+  afterEach(() => {
+    setDefaultVault(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('file backend', () => {
+    test('should store values encrypted and resolve them', async () => {
+      await vault.set('TWITTER_ACCESS_SECRET', 'super-secret');
+
+      const raw = fs.readFileSync(filePath, 'utf8');
+      expect(raw).not.toContain('super-secret');
+      expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+
+      const reopened = new CredentialVault({ backend: new FileVaultBackend({ filePath }), masterKey: MASTER_KEY });
+      expect(reopened.resolve('TWITTER_ACCESS_SECRET')).toBe('super-secret');
+    });
+
+    test('should prefer account-scoped entries over global ones', async () => {
+      await vault.set('LINKEDIN_ACCESS_TOKEN', 'global-token');
+      await vault.set('LINKEDIN_ACCESS_TOKEN', 'company-token', { account: 'linkedin:company' });
+
+      expect(vault.resolve('LINKEDIN_ACCESS_TOKEN', 'linkedin:company')).toBe('company-token');
+      expect(vault.resolve('LINKEDIN_ACCESS_TOKEN', 'linkedin:other')).toBeNull();
+      expect(vault.resolve('LINKEDIN_ACCESS_TOKEN', 'linkedin:other', { shared: true })).toBe('global-token');
+      expect(vault.resolve('LINKEDIN_ACCESS_TOKEN')).toBe('global-token');
+    });
+
+    test('should pick up entries rotated by another process without a restart', async () => {
+      await vault.set('MASTODON_ACCESS_TOKEN', 'old-token');
+      expect(vault.resolve('MASTODON_ACCESS_TOKEN')).toBe('old-token');
+
+      const cli = new CredentialVault({ backend: new FileVaultBackend({ filePath }), masterKey: MASTER_KEY });
+      await cli.load();
+      await cli.rotate('MASTODON_ACCESS_TOKEN', 'rotated-token-value');
+
+      expect(vault.resolve('MASTODON_ACCESS_TOKEN')).toBe('rotated-token-value');
+
+      // Until the server restarts with a new master key it keeps the entries it can read
+      await cli.rotateMasterKey('b'.repeat(64));
+      expect(vault.resolve('MASTODON_ACCESS_TOKEN')).toBe('rotated-token-value');
+    });
+
+    test('should not decrypt a value moved to another entry', async () => {
+      await vault.set('OPENAI_API_KEY', 'sk-test');
+      const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      stored.credentials.push({ ...stored.credentials[0], id: 'SLACK_WEBHOOK_URL', name: 'SLACK_WEBHOOK_URL' });
+      fs.writeFileSync(filePath, JSON.stringify(stored));
+
+      const reopened = new CredentialVault({ backend: new FileVaultBackend({ filePath }), masterKey: MASTER_KEY });
+      expect(reopened.resolve('SLACK_WEBHOOK_URL')).toBeNull();
+    });
+
+    test('should version rotations and list metadata only', async () => {
+      await vault.set('MASTODON_ACCESS_TOKEN', 'first');
+      const rotated = await vault.rotate('MASTODON_ACCESS_TOKEN', 'second');
+
+      expect(rotated.version).toBe(2);
+      expect(rotated.rotatedAt).toBeTruthy();
+      expect(vault.resolve('MASTODON_ACCESS_TOKEN')).toBe('second');
+
+      const listing = JSON.stringify(vault.list());
+      expect(listing).toContain('MASTODON_ACCESS_TOKEN');
+      expect(listing).not.toContain('second');
+    });
+
+    test('should refuse to rotate a missing credential', async () => {
+      await expect(vault.rotate('MISSING', 'value')).rejects.toThrow('does not exist');
+    });
+
+    test('should revoke entries', async () => {
+      await vault.set('TELEGRAM_BOT_TOKEN', 'bot-token');
+
+      expect(await vault.revoke('TELEGRAM_BOT_TOKEN')).toBe(true);
+      expect(await vault.revoke('TELEGRAM_BOT_TOKEN')).toBe(false);
+      expect(vault.resolve('TELEGRAM_BOT_TOKEN')).toBeNull();
+    });
+
+    test('should re-encrypt everything when the master key rotates', async () => {
+      await vault.set('DEVTO_API_KEY', 'devto-key');
+      const newKey = 'b'.repeat(64);
+
+      expect(await vault.rotateMasterKey(newKey)).toBe(1);
+
+      const withOldKey = new CredentialVault({ backend: new FileVaultBackend({ filePath }), masterKey: MASTER_KEY });
+      const withNewKey = new CredentialVault({ backend: new FileVaultBackend({ filePath }), masterKey: newKey });
+      expect(withOldKey.resolve('DEVTO_API_KEY')).toBeNull();
+      expect(withNewKey.resolve('DEVTO_API_KEY')).toBe('devto-key');
+    });
+
+    test('should be disabled without a master key', async () => {
+      const disabled = new CredentialVault({ backend: new FileVaultBackend({ filePath }), masterKey: '' });
+
+      expect(disabled.enabled).toBe(false);
+      expect(disabled.resolve('OPENAI_API_KEY')).toBeNull();
+      await expect(disabled.set('OPENAI_API_KEY', 'value')).rejects.toThrow('VAULT_MASTER_KEY');
+    });
+  });
+
+  describe('postgres backend', () => {
+    test('should upsert entries and map rows back', async () => {
+      const rows = [];
+      const pool = {
+        query: jest.fn(async (sql, params) => {
+          if (sql.includes('INSERT INTO credentials')) {
+            rows.push({
+              id: params[0], name: params[1], account: params[2], version: params[3],
+              iv: params[4], tag: params[5], data: params[6],
+              created_at: params[7], updated_at: params[8], rotated_at: params[9]
+            });
+          }
+          return { rows: sql.startsWith('SELECT *') ? rows : [] };
+        })
+      };
+      pool.connect = async () => ({ query: pool.query, release: jest.fn() });
+      const pgVault = new CredentialVault({ backend: new PostgresVaultBackend({ pool }), masterKey: MASTER_KEY });
+
+      await pgVault.load();
+      await pgVault.set('REDDIT_PASSWORD', 'hunter2', { account: 'reddit:brand' });
+
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE IF NOT EXISTS credentials'));
+      expect(rows[0]).toMatchObject({ id: 'reddit:brand/REDDIT_PASSWORD', account: 'reddit:brand', version: 1 });
+      expect(rows[0].data).not.toContain('hunter2');
+
+      const reloaded = new CredentialVault({ backend: new PostgresVaultBackend({ pool }), masterKey: MASTER_KEY });
+      expect(reloaded.resolve('REDDIT_PASSWORD', 'reddit:brand')).toBeNull();
+      await reloaded.load();
+      expect(reloaded.resolve('REDDIT_PASSWORD', 'reddit:brand')).toBe('hunter2');
+
+      // Another process rotates the entry; the running vault re-reads once the interval passed
+      await pgVault.rotate('REDDIT_PASSWORD', 'correct-horse', { account: 'reddit:brand' });
+      reloaded.loadedAt -= reloaded.refreshInterval + 1;
+
+      expect(reloaded.resolve('REDDIT_PASSWORD', 'reddit:brand')).toBe('hunter2');
+      await reloaded.refreshing;
+      expect(reloaded.resolve('REDDIT_PASSWORD', 'reddit:brand')).toBe('correct-horse');
+    });
+  });
+
+  describe('resolveCredential', () => {
+    afterEach(() => {
+      delete process.env.MASTODON_ACCESS_TOKEN;
+    });
+
+    test('should fall back to the environment', async () => {
+      process.env.MASTODON_ACCESS_TOKEN = 'env-token';
+      setDefaultVault(vault);
+
+      expect(resolveCredential('MASTODON_ACCESS_TOKEN')).toBe('env-token');
+      await vault.set('MASTODON_ACCESS_TOKEN', 'vault-token');
+      expect(resolveCredential('MASTODON_ACCESS_TOKEN')).toBe('vault-token');
+    });
+
+    test('should give publishers rotated credentials without recreating them', async () => {
+      setDefaultVault(vault);
+      await vault.set('MASTODON_ACCESS_TOKEN', 'first');
+      const publisher = new MastodonPublisher();
+
+      expect(publisher.accessToken).toBe('first');
+      await vault.rotate('MASTODON_ACCESS_TOKEN', 'second');
+      expect(publisher.accessToken).toBe('second');
+      expect(new MastodonPublisher({ accessToken: 'explicit' }).accessToken).toBe('explicit');
+    });
+  });
+
+  describe('cli', () => {
+    function capture() {
+      let output = '';
+      return { stdout: { write: text => { output += text; } }, output: () => output };
+    }
+
+    test('should add, list and revoke without printing secrets', async () => {
+      const io = capture();
+      const readSecret = jest.fn().mockResolvedValue('cli-secret');
+
+      await run(['add', 'SLACK_WEBHOOK_URL', '--account', 'slack:eng'], { vault, stdout: io.stdout, readSecret });
+      await run(['list'], { vault, stdout: io.stdout });
+      const code = await run(['revoke', 'SLACK_WEBHOOK_URL', '--account', 'slack:eng'], { vault, stdout: io.stdout });
+
+      expect(code).toBe(0);
+      expect(io.output()).toContain('slack:eng/SLACK_WEBHOOK_URL\tv1');
+      expect(io.output()).not.toContain('cli-secret');
+      expect(vault.list()).toEqual([]);
+    });
+
+    test('should reject unknown commands', async () => {
+      await expect(run(['export'], { vault, stdout: capture().stdout })).rejects.toThrow('Unknown command');
+    });
+  });
+});